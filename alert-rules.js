@@ -0,0 +1,389 @@
+// Rule language shared by alerts and backtests. One line such as
+//   RELIANCE.NS close crosses_above sma(50) and rsi(14) < 35 within 3 sessions
+// parses to an AST that is evaluated on daily bars, one true/false per session. The optional leading
+// symbol names the instrument (quote it when it has spaces: "NIFTY 50" close > 25000).
+//
+//   rule       := [symbol] or
+//   or         := and ("or" and)*                 -- "or" binds looser than "and"
+//   and        := unary ("and" unary)*
+//   unary      := "not" unary | ( "(" or ")" | comparison ) [window]
+//   comparison := expr op expr                    -- op: > >= < <= == != crosses_above crosses_below
+//   window     := ("within" | "for") n sessions   -- true on any / on every one of the last n sessions
+//   expr       := term (("+" | "-") term)*,  term := factor (("*" | "/") factor)*
+//   factor     := number ["%"] | "-" factor | "(" expr ")" | series ["(" number ("," number)* ")"]
+//
+// A window binds to the condition just before it; wrap a group in parentheses to window all of it.
+// Series are the backtester's (see RULE_SERIES); percent changes come from change_pct(n), so
+// "change_pct(1) <= -3%" is a 3% daily fall (the % sign is only a reminder of the units).
+const RULE_SERIES = {
+    close: { max: 0, usage: 'close', text: 'closing price (the live price for the current session)' },
+    open: { max: 0, usage: 'open', text: 'opening price' },
+    high: { max: 0, usage: 'high', text: 'session high' },
+    low: { max: 0, usage: 'low', text: 'session low' },
+    volume: { max: 0, usage: 'volume', text: 'traded volume' },
+    sma: { max: 1, usage: 'sma(n)', text: 'n-session simple moving average of the close' },
+    ema: { max: 1, usage: 'ema(n)', text: 'n-session exponential moving average of the close' },
+    rsi: { max: 1, usage: 'rsi(n)', text: 'relative strength index, 0-100' },
+    macd: { max: 2, usage: 'macd', text: 'MACD line (optionally macd(fast,slow))' },
+    macd_signal: { max: 2, usage: 'macd_signal', text: 'MACD signal line' },
+    macd_hist: { max: 2, usage: 'macd_hist', text: 'MACD histogram' },
+    bb_upper: { max: 2, usage: 'bb_upper(n,k)', text: 'upper Bollinger band' },
+    bb_middle: { max: 1, usage: 'bb_middle(n)', text: 'middle Bollinger band' },
+    bb_lower: { max: 2, usage: 'bb_lower(n,k)', text: 'lower Bollinger band' },
+    atr: { max: 1, usage: 'atr(n)', text: 'average true range' },
+    volume_ratio: { max: 1, usage: 'volume_ratio(n)', text: 'volume as a multiple of its n-session average' },
+    highest: { max: 1, usage: 'highest(n)', text: 'highest high of the previous n sessions (for breakouts)' },
+    lowest: { max: 1, usage: 'lowest(n)', text: 'lowest low of the previous n sessions' },
+    change_pct: { max: 1, usage: 'change_pct(n)', text: 'percent change of the close over n sessions' }
+};
+
+const RULE_ALIASES = { price: 'close', ltp: 'close', pct_change: 'change_pct', ma: 'sma', dma: 'sma' };
+
+class AlertRuleLanguage {
+    constructor(options = {}) {
+        this.series = { ...RULE_SERIES, ...(options.series || {}) };
+        this.maxWindow = options.maxWindow || 250;
+        this.operators = ['>=', '<=', '==', '!=', '>', '<', 'crosses_above', 'crosses_below'];
+        this.keywords = new Set(['and', 'or', 'not', 'within', 'for', 'crosses_above', 'crosses_below', 'crosses']);
+    }
+
+    // Error pointing at the offending column, with the rule and a caret line for the UI
+    syntaxError(message, source, position) {
+        const column = Math.max(0, Math.min(position, source.length));
+        const error = new Error(`${message} (column ${column + 1})`);
+        error.rule = source;
+        error.column = column + 1;
+        error.pointer = `${source}\n${' '.repeat(column)}^`;
+        return error;
+    }
+
+    tokenize(source, offset = 0) {
+        const tokens = [];
+        const re = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|(₹|rs\.?(?=\s*\d))|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|==|!=|[<>=%(),+\-*/])|(\S))/giy;
+        re.lastIndex = offset;
+        let m;
+        while (re.lastIndex < source.length && (m = re.exec(source))) {
+            const pos = m.index + m[0].length - (m[1] || m[2] || m[3] || m[4] || m[5] || '').length;
+            if (m[1]) tokens.push({ type: 'number', value: Number(m[1]), text: m[1], pos });
+            else if (m[2]) continue; // currency marks before amounts
+            else if (m[3]) tokens.push({ type: 'word', value: m[3].toLowerCase(), text: m[3], pos });
+            else if (m[4]) tokens.push({ type: 'punct', value: m[4] === '=' ? '==' : m[4], text: m[4], pos });
+            else if (m[5]) throw this.syntaxError(`Unexpected character "${m[5]}"`, source, pos);
+            else break;
+        }
+        tokens.push({ type: 'end', value: null, text: 'end of rule', pos: source.length });
+        return tokens;
+    }
+
+    // Leading instrument: a quoted name, or a ticker-like word that is not a series and is followed by
+    // the start of a condition ("TCS rsi(14) < 30", "M&M.NS close > 3000", "NSE:INFY ...")
+    leadingSymbol(source) {
+        const quoted = /^\s*"([^"]+)"\s*/.exec(source);
+        if (quoted) return { symbol: quoted[1].trim(), offset: quoted[0].length };
+        const m = /^\s*([A-Za-z0-9][A-Za-z0-9&._:-]*)\s+(?=[A-Za-z(-]|\d)/.exec(source);
+        if (!m) return { symbol: null, offset: 0 };
+        const word = m[1].toLowerCase();
+        if (this.series[word] || RULE_ALIASES[word] || this.keywords.has(word) || /^\d+(\.\d+)?$/.test(word)) return { symbol: null, offset: 0 };
+        return { symbol: m[1].replace(/^(NSE|BSE):/i, ''), offset: m[0].length };
+    }
+
+    // Text -> { type: 'rule', symbol, body, source }; throws with a column on bad input
+    parse(text) {
+        const source = String(text ?? '').replace(/\s+/g, ' ').trim();
+        if (!source) throw this.syntaxError('Empty rule; expected e.g. "rsi(14) < 30"', source, 0);
+        const { symbol, offset } = this.leadingSymbol(source);
+        const tokens = this.tokenize(source, offset);
+        let i = 0;
+        const peek = (k = 0) => tokens[Math.min(i + k, tokens.length - 1)];
+        const next = () => tokens[i++];
+        const isWord = (t, ...words) => t.type === 'word' && words.includes(t.value);
+        const isPunct = (t, ...marks) => t.type === 'punct' && marks.includes(t.value);
+        const fail = (message, t = peek()) => this.syntaxError(message, source, t.pos);
+        const describe = t => (t.type === 'end' ? 'the end of the rule' : `"${t.text}"`);
+
+        const operator = () => {
+            const t = peek();
+            if (t.type === 'punct' && this.operators.includes(t.value)) { next(); return t.value; }
+            if (isWord(t, 'crosses_above', 'crosses_below')) { next(); return t.value; }
+            // "crosses above" / "crosses below" read the same as the underscore forms
+            if (isWord(t, 'crosses') && isWord(peek(1), 'above', 'below')) { next(); return `crosses_${next().value}`; }
+            return null;
+        };
+
+        const suggest = name => {
+            const names = [...Object.keys(this.series), ...Object.keys(RULE_ALIASES)];
+            const distance = (a, b) => {
+                const d = Array.from({ length: a.length + 1 }, (_, x) => [x, ...Array(b.length).fill(0)]);
+                for (let y = 1; y <= b.length; y++) d[0][y] = y;
+                for (let x = 1; x <= a.length; x++) for (let y = 1; y <= b.length; y++) {
+                    d[x][y] = Math.min(d[x - 1][y] + 1, d[x][y - 1] + 1, d[x - 1][y - 1] + (a[x - 1] === b[y - 1] ? 0 : 1));
+                }
+                return d[a.length][b.length];
+            };
+            const best = names.map(n => [n, distance(name, n)]).sort((a, b) => a[1] - b[1])[0];
+            return best && best[1] <= 2 ? `; did you mean "${best[0]}"?` : `; expected one of ${Object.values(this.series).map(s => s.usage).join(', ')}`;
+        };
+
+        const seriesRef = () => {
+            const t = next();
+            if (this.keywords.has(t.value)) throw fail(`Expected a value but found ${describe(t)}`, t);
+            const name = RULE_ALIASES[t.value] || t.value;
+            const spec = this.series[name];
+            if (!spec) throw fail(`Unknown series "${t.text}"${suggest(t.value)}`, t);
+            const args = [];
+            if (isPunct(peek(), '(')) {
+                next();
+                while (!isPunct(peek(), ')')) {
+                    const a = next();
+                    if (a.type !== 'number') throw fail(`Expected a number inside ${name}( ) but found ${describe(a)}`, a);
+                    if (a.value <= 0) throw fail(`${name} period must be positive`, a);
+                    args.push(a.value);
+                    if (isPunct(peek(), ',')) next();
+                    else if (!isPunct(peek(), ')')) throw fail(`Expected "," or ")" after ${name}(${args.join(',')} but found ${describe(peek())}`);
+                }
+                next();
+            }
+            if (args.length > spec.max) throw fail(`${name} takes at most ${spec.max} argument${spec.max === 1 ? '' : 's'} (${spec.usage})`, t);
+            return { type: 'series', name, args };
+        };
+
+        const factor = () => {
+            const t = peek();
+            if (t.type === 'number') {
+                next();
+                const percent = isPunct(peek(), '%') ? !!next() : false;
+                return { type: 'number', value: t.value, ...(percent ? { percent } : {}) };
+            }
+            if (isPunct(t, '-')) { next(); return { type: 'negate', arg: factor() }; }
+            if (isPunct(t, '(')) {
+                next();
+                const inner = expr();
+                if (!isPunct(peek(), ')')) throw fail(`Expected ")" but found ${describe(peek())}`);
+                next();
+                return inner;
+            }
+            if (t.type === 'word') return seriesRef();
+            throw fail(`Expected a value (a number or a series such as close or sma(50)) but found ${describe(t)}`);
+        };
+        const term = () => {
+            let left = factor();
+            while (isPunct(peek(), '*', '/')) left = { type: 'binary', op: next().value, left, right: factor() };
+            return left;
+        };
+        const expr = () => {
+            let left = term();
+            while (isPunct(peek(), '+', '-')) left = { type: 'binary', op: next().value, left, right: term() };
+            return left;
+        };
+
+        const comparison = () => {
+            const start = peek();
+            const left = expr();
+            const opToken = peek();
+            const op = operator();
+            if (!op) {
+                const hint = isWord(opToken, 'above', 'over') ? '; write ">" or crosses_above' : isWord(opToken, 'below', 'under') ? '; write "<" or crosses_below' : '';
+                throw fail(`Expected a comparison (${this.operators.join(' ')}) after "${source.slice(start.pos, opToken.pos).trim()}" but found ${describe(opToken)}${hint}`, opToken);
+            }
+            return { type: 'compare', op, left, right: expr() };
+        };
+
+        const window = node => {
+            if (!isWord(peek(), 'within', 'for') || peek(1).type !== 'number') return node;
+            const mode = next().value;
+            const n = next();
+            if (!Number.isInteger(n.value) || n.value < 1 || n.value > this.maxWindow) throw fail(`Window must be a whole number of sessions between 1 and ${this.maxWindow}`, n);
+            if (isWord(peek(), 'sessions', 'session', 'days', 'day', 'bars', 'bar', 'candles')) next();
+            return { type: 'window', mode, sessions: n.value, arg: node };
+        };
+
+        // "(" starts either a group of conditions or a bracketed value ("(close - sma(20)) / atr > 2");
+        // try the group first and fall back when no condition-level token follows the ")"
+        const continuesValue = t => isPunct(t, '+', '-', '*', '/', '%', ...this.operators) || isWord(t, 'crosses_above', 'crosses_below', 'crosses');
+        const unary = () => {
+            if (isWord(peek(), 'not')) { next(); return { type: 'not', arg: unary() }; }
+            if (!isPunct(peek(), '(')) return window(comparison());
+            const mark = i;
+            let groupError = null;
+            try {
+                next();
+                const inner = or();
+                if (!isPunct(peek(), ')')) throw fail(`Expected ")" but found ${describe(peek())}`);
+                next();
+                if (!continuesValue(peek())) return window(inner);
+            } catch (error) {
+                groupError = error;
+            }
+            i = mark;
+            try {
+                return window(comparison());
+            } catch (error) {
+                // Report whichever reading got further into the rule
+                throw groupError && groupError.column > error.column ? groupError : error;
+            }
+        };
+        const and = () => {
+            const args = [unary()];
+            while (isWord(peek(), 'and')) { next(); args.push(unary()); }
+            return args.length === 1 ? args[0] : { type: 'and', args };
+        };
+        const or = () => {
+            const args = [and()];
+            while (isWord(peek(), 'or')) { next(); args.push(and()); }
+            return args.length === 1 ? args[0] : { type: 'or', args };
+        };
+
+        const body = or();
+        if (peek().type !== 'end') {
+            const t = peek();
+            const hint = isWord(t, 'within', 'for') ? '; windows read "within 3 sessions"' : '; join conditions with "and" / "or"';
+            throw fail(`Unexpected ${describe(t)}${hint}`, t);
+        }
+        return { type: 'rule', symbol, body, source };
+    }
+
+    // { ast } or { error } without throwing, for callers that fall back to other parsers
+    tryParse(text) {
+        try {
+            return { ast: this.parse(text), error: null };
+        } catch (error) {
+            return { ast: null, error };
+        }
+    }
+
+    // Whether text is written in the rule language rather than prose (crossovers, series calls or
+    // comparison signs next to a series name)
+    looksLikeRule(text) {
+        const s = String(text || '');
+        const names = [...Object.keys(this.series), ...Object.keys(RULE_ALIASES)].join('|');
+        return /crosses_(above|below)/i.test(s) || new RegExp(`\\b(${names})\\s*\\(\\s*\\d`, 'i').test(s) || new RegExp(`\\b(${names})\\s*(>=|<=|==|!=|>|<)`, 'i').test(s);
+    }
+
+    // Canonical text for an AST (or any node), with brackets only where precedence needs them
+    format(node) {
+        if (!node) return '';
+        const level = { or: 1, and: 2 };
+        const wrap = (child, parent) => (level[child.type] && level[child.type] < level[parent] ? `(${this.format(child)})` : this.format(child));
+        const value = (n, parentPrec = 0) => {
+            switch (n.type) {
+                case 'number': return `${n.value}${n.percent ? '%' : ''}`;
+                case 'series': return RULE_SERIES[n.name]?.max === 0 || !n.args.length ? n.name : `${n.name}(${n.args.join(',')})`;
+                case 'negate': return `-${value(n.arg, 3)}`;
+                case 'binary': {
+                    const prec = n.op === '*' || n.op === '/' ? 2 : 1;
+                    const text = `${value(n.left, prec)} ${n.op} ${value(n.right, prec + 0.5)}`;
+                    return prec < parentPrec ? `(${text})` : text;
+                }
+                default: return '';
+            }
+        };
+        switch (node.type) {
+            case 'rule': return `${node.symbol ? `${/\s/.test(node.symbol) ? `"${node.symbol}"` : node.symbol} ` : ''}${this.format(node.body)}`;
+            case 'or': case 'and': return node.args.map(a => wrap(a, node.type)).join(` ${node.type} `);
+            case 'not': return `not ${level[node.arg.type] ? `(${this.format(node.arg)})` : this.format(node.arg)}`;
+            case 'window': return `${level[node.arg.type] || node.arg.type === 'window' ? `(${this.format(node.arg)})` : this.format(node.arg)} ${node.mode} ${node.sessions} session${node.sessions === 1 ? '' : 's'}`;
+            case 'compare': return `${value(node.left)} ${node.op} ${value(node.right)}`;
+            default: return value(node);
+        }
+    }
+
+    // Sessions of history needed before the last bar gives a settled answer: indicator warm-up
+    // (EMA-based series need a few multiples of their period) plus any windows
+    lookback(node) {
+        if (!node) return 0;
+        switch (node.type) {
+            case 'rule': return Math.max(30, this.lookback(node.body) + 1);
+            case 'or': case 'and': return Math.max(...node.args.map(a => this.lookback(a)));
+            case 'not': case 'negate': return this.lookback(node.arg);
+            case 'window': return this.lookback(node.arg) + node.sessions;
+            case 'compare': case 'binary': return Math.max(this.lookback(node.left), this.lookback(node.right)) + (node.op?.startsWith('crosses') ? 1 : 0);
+            case 'series': {
+                const defaults = { sma: 20, ema: 20, rsi: 14, atr: 14, volume_ratio: 20, highest: 20, lowest: 20, change_pct: 1, bb_upper: 20, bb_middle: 20, bb_lower: 20, macd: 26, macd_signal: 35, macd_hist: 35 };
+                const period = Math.max(node.args[0] || 0, node.name.startsWith('macd') ? (node.args[1] || 26) + 9 : 0, defaults[node.name] || 0);
+                return ['ema', 'rsi', 'atr', 'macd', 'macd_signal', 'macd_hist'].includes(node.name) ? period * 3 : period + 1;
+            }
+            default: return 0;
+        }
+    }
+
+    // True/false per bar. seriesOf(name, args) returns values aligned with bars (null while warming up)
+    evaluate(node, bars, seriesOf) {
+        const n = bars.length;
+        const values = v => {
+            switch (v.type) {
+                case 'number': return bars.map(() => v.value);
+                case 'series': return seriesOf(v.name, v.args);
+                case 'negate': return values(v.arg).map(x => (x === null || x === undefined ? null : -x));
+                case 'binary': {
+                    const l = values(v.left);
+                    const r = values(v.right);
+                    return l.map((a, k) => {
+                        const b = r[k];
+                        if (a === null || a === undefined || b === null || b === undefined) return null;
+                        if (v.op === '/') return b === 0 ? null : a / b;
+                        return v.op === '*' ? a * b : v.op === '+' ? a + b : a - b;
+                    });
+                }
+                default: throw new Error(`Not a value: ${v.type}`);
+            }
+        };
+        const test = node => {
+            switch (node.type) {
+                case 'rule': return test(node.body);
+                case 'and': { const parts = node.args.map(test); return bars.map((_, k) => parts.every(p => p[k])); }
+                case 'or': { const parts = node.args.map(test); return bars.map((_, k) => parts.some(p => p[k])); }
+                case 'not': return test(node.arg).map(x => !x);
+                case 'window': {
+                    const inner = test(node.arg);
+                    return inner.map((_, k) => {
+                        if (node.mode === 'for' && k + 1 < node.sessions) return false;
+                        const slice = inner.slice(Math.max(0, k - node.sessions + 1), k + 1);
+                        return node.mode === 'for' ? slice.every(Boolean) : slice.some(Boolean);
+                    });
+                }
+                case 'compare': {
+                    const l = values(node.left);
+                    const r = values(node.right);
+                    const ok = k => k >= 0 && l[k] !== null && l[k] !== undefined && r[k] !== null && r[k] !== undefined;
+                    const ops = {
+                        '>': k => l[k] > r[k],
+                        '>=': k => l[k] >= r[k],
+                        '<': k => l[k] < r[k],
+                        '<=': k => l[k] <= r[k],
+                        '==': k => Math.abs(l[k] - r[k]) < 1e-9,
+                        '!=': k => Math.abs(l[k] - r[k]) >= 1e-9,
+                        crosses_above: k => ok(k - 1) && l[k - 1] <= r[k - 1] && l[k] > r[k],
+                        crosses_below: k => ok(k - 1) && l[k - 1] >= r[k - 1] && l[k] < r[k]
+                    };
+                    const fn = ops[node.op];
+                    if (!fn) throw new Error(`Unknown operator: ${node.op}`);
+                    return Array.from({ length: n }, (_, k) => ok(k) && fn(k));
+                }
+                default: throw new Error(`Not a condition: ${node.type}`);
+            }
+        };
+        return test(node);
+    }
+
+    // Grammar summary for the LLM prompt that translates requests into rules
+    reference() {
+        return [
+            'Rule syntax: [SYMBOL] condition (and|or condition)*, "not" and parentheses allowed.',
+            'Condition: value op value, op one of > >= < <= == != crosses_above crosses_below.',
+            'Append "within N sessions" (true on any of the last N sessions) or "for N sessions" (true on each of them) to a condition or a bracketed group.',
+            'Values: numbers, arithmetic (+ - * /) and these series:',
+            ...Object.values(this.series).map(s => `  ${s.usage}: ${s.text}`),
+            'Examples: RELIANCE close crosses_above sma(50) and rsi(14) < 35 within 3 sessions; TCS change_pct(1) <= -3; INFY volume_ratio(20) >= 2 and close > highest(20)'
+        ].join('\n');
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.AlertRuleLanguage = AlertRuleLanguage;
+} else if (typeof global !== 'undefined') {
+    global.AlertRuleLanguage = AlertRuleLanguage;
+} else {
+    // Service worker environment
+    self.AlertRuleLanguage = AlertRuleLanguage;
+}
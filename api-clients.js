@@ -1,52 +1,135 @@
+// Bar intervals accepted by getBars, with each provider's spelling. Yahoo only serves
+// recent intraday history (about 7 days of 1m, 60 days of 5m/15m, 2 years of 60m).
+const BAR_INTERVALS = {
+    '1min': { yahoo: '1m', alphaVantage: '1min', finnhub: '1', yahooMaxDays: 7 },
+    '5min': { yahoo: '5m', alphaVantage: '5min', finnhub: '5', yahooMaxDays: 59 },
+    '15min': { yahoo: '15m', alphaVantage: '15min', finnhub: '15', yahooMaxDays: 59 },
+    '60min': { yahoo: '60m', alphaVantage: '60min', finnhub: '60', yahooMaxDays: 729 },
+    '1day': { yahoo: '1d', alphaVantage: null, finnhub: 'D', yahooMaxDays: null }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trading date of a timestamp in India (IST, UTC+5:30)
+function istDate(ms) {
+    return new Date(ms + 330 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// { start, end } in ms for a request: explicit from/to dates win, otherwise enough calendar
+// days to cover lookbackDays sessions (weekends and exchange holidays included)
+function barWindow({ lookbackDays = 120, from = null, to = null } = {}) {
+    const end = to ? Date.parse(to) + DAY_MS : Date.now();
+    const start = from ? Date.parse(from) : end - Math.ceil(lookbackDays * 1.5 + 5) * DAY_MS;
+    return { start, end };
+}
+
+// Sort oldest first, apply the from/to dates, then keep the last lookbackDays sessions
+function clipBars(bars, { lookbackDays = null, from = null, to = null } = {}) {
+    let out = bars.slice().sort((a, b) => (a.time || a.date).localeCompare(b.time || b.date));
+    if (from) out = out.filter(b => b.date >= from);
+    if (to) out = out.filter(b => b.date <= to);
+    if (lookbackDays && !from) {
+        const dates = Array.from(new Set(out.map(b => b.date))).slice(-lookbackDays);
+        out = out.filter(b => b.date >= dates[0]);
+    }
+    return out;
+}
+
+// Splits and bonus issues both arrive as a share-count ratio (a 1:1 bonus is a 2:1 split), so the label
+// names both readings; dividends carry the per-share amount in the listing currency
+function splitAction(date, numerator, denominator, source) {
+    const factor = numerator / denominator;
+    const ratio = `${+numerator.toFixed(4)}:${+denominator.toFixed(4)}`;
+    const bonus = numerator > denominator && Number.isInteger(numerator - denominator) ? `${numerator - denominator}:${denominator}` : null;
+    return { date, type: 'split', factor, ratio, label: bonus ? `${ratio} split or ${bonus} bonus` : `${ratio} split`, source };
+}
+
+function dividendAction(date, amount, source) {
+    return { date, type: 'dividend', amount: +amount, label: `dividend ${+amount}`, source };
+}
+
+// Provider numbers arrive as strings, { raw, fmt } objects or 'None'; anything unusable becomes null
+function num(value) {
+    const v = value && typeof value === 'object' ? value.raw : value;
+    if (v === null || v === undefined || v === '' || v === 'None' || v === '-') return null;
+    const n = +v;
+    return Number.isFinite(n) ? n : null;
+}
+
+// AMFI writes dates as 17-Oct-2025 (NAV file) or 17-10-2025 (history); returns YYYY-MM-DD or null
+function parseAmfiDate(text) {
+    const m = /^(\d{1,2})-([A-Za-z]{3}|\d{1,2})-(\d{4})$/.exec(String(text || '').trim());
+    if (!m) return null;
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const month = /^\d+$/.test(m[2]) ? +m[2] : months.indexOf(m[2].toLowerCase()) + 1;
+    if (!month) return null;
+    return `${m[3]}-${String(month).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DD HH:MM:SS' wall-clock time in an IANA zone -> ISO timestamp (UTC)
+function zonedTimeToIso(local, timeZone) {
+    const asUtc = Date.parse(local.replace(' ', 'T') + 'Z');
+    if (!timeZone) return new Date(asUtc).toISOString();
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(asUtc)).map(p => [p.type, p.value]));
+    const zoned = Date.parse(`${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}Z`);
+    return new Date(asUtc - (zoned - asUtc)).toISOString();
+}
+
 class StockDataClient {
-    constructor() {
+    constructor(options = {}) {
+        this.quota = options.quota || new QuotaManager({ persistent: false });
         this.clients = {
-            alphaVantage: new AlphaVantageAPI(),
-            yahooFinance: new YahooFinanceAPI(),
-            finhub: new FinnhubAPI()
+            alphaVantage: new AlphaVantageAPI({ quota: this.quota }),
+            yahooFinance: new YahooFinanceAPI({ quota: this.quota }),
+            finhub: new FinnhubAPI({ quota: this.quota })
         };
-        this.cache = new Map();
-        this.lastFetchTime = new Map();
-        this.CACHE_DURATION = 60000; // 1 minute cache
+        this.resolver = options.resolver || null;
+        this.registry = options.registry || new QuoteProviderRegistry({ quota: this.quota });
+        this.registry.register('alphaVantage', this.clients.alphaVantage);
+        this.registry.register('yahoo', this.clients.yahooFinance);
+        this.registry.register('finnhub', this.clients.finhub);
+        this.cache = options.cache || new MarketDataCache({ persistent: false });
     }
 
-    async getStockPrice(symbol) {
-        const cacheKey = `stock_${symbol}`;
-        const now = Date.now();
-        
-        if (this.cache.has(cacheKey) && this.lastFetchTime.has(cacheKey)) {
-            const cachedData = this.cache.get(cacheKey);
-            const lastFetch = this.lastFetchTime.get(cacheKey);
-            
-            if (now - lastFetch < this.CACHE_DURATION) {
-                return cachedData;
-            }
+    // Map a user-facing symbol/name to the canonical NSE/BSE instrument, if a resolver is wired in
+    async resolveInstrument(symbol) {
+        if (!this.resolver) return null;
+        try {
+            const res = await this.resolver.resolve(symbol);
+            return res.best;
+        } catch (error) {
+            console.warn(`Symbol resolution failed for ${symbol}:`, error);
+            return null;
         }
+    }
+
+    async getStockPrice(symbol, { force = false } = {}) {
+        const instrument = await this.resolveInstrument(symbol);
+        const cacheKey = instrument ? instrument.id : symbol;
 
         try {
-            // Try Alpha Vantage first
-            const data = await this.clients.alphaVantage.getStockData(symbol);
-            this.cache.set(cacheKey, data);
-            this.lastFetchTime.set(cacheKey, now);
-            return data;
+            const { value, cache } = await this.cache.wrap('quote', cacheKey, async () => {
+                const result = await this.registry.run('quote', instrument || symbol, (client, providerSymbol) => client.getStockData(providerSymbol));
+                return {
+                    ...result.data,
+                    providerSymbol: result.data.symbol,
+                    provider: result.provider,
+                    attempts: result.attempts,
+                    instrument: instrument ? { id: instrument.id, name: instrument.name, exchange: instrument.exchange } : null
+                };
+            }, { force });
+            return { ...value, symbol, cache };
         } catch (error) {
-            console.warn('Alpha Vantage failed, trying Yahoo Finance:', error);
-            
-            try {
-                const data = await this.clients.yahooFinance.getStockData(symbol);
-                this.cache.set(cacheKey, data);
-                this.lastFetchTime.set(cacheKey, now);
-                return data;
-            } catch (error2) {
-                console.error('All stock APIs failed:', error2);
-                throw new Error(`Unable to fetch data for ${symbol}`);
-            }
+            console.error('All stock APIs failed:', error.message);
+            throw new Error(`Unable to fetch data for ${symbol}`);
         }
     }
 
-    async getMultipleStockPrices(symbols) {
+    async getMultipleStockPrices(symbols, options = {}) {
         const promises = symbols.map(symbol => 
-            this.getStockPrice(symbol).catch(error => ({ symbol, error: error.message }))
+            this.getStockPrice(symbol, options).catch(error => ({ symbol, error: error.message }))
         );
         
         const results = await Promise.all(promises);
@@ -65,37 +148,267 @@ class StockDataClient {
         return data;
     }
 
-    async getStockHistory(symbol, timeframe = '1day') {
+    // timeframe: an intraday/daily interval from BAR_INTERVALS, or '1week' / '1month' (Alpha Vantage only).
+    // options: { lookbackDays, from, to } as for getBars. Returns OHLCV bars oldest first, or null.
+    async getStockHistory(symbol, timeframe = '1day', options = {}) {
         try {
-            return await this.clients.alphaVantage.getHistoricalData(symbol, timeframe);
+            if (BAR_INTERVALS[timeframe]) {
+                return (await this.getBars(symbol, { ...options, interval: timeframe })).bars;
+            }
+            const instrument = await this.resolveInstrument(symbol);
+            const avSymbol = instrument ? instrument.providers.alphaVantage : symbol;
+            if (!avSymbol) throw new Error(`No Alpha Vantage symbol for ${symbol}`);
+            return clipBars(await this.clients.alphaVantage.getHistoricalData(avSymbol, timeframe), options);
         } catch (error) {
             console.error('Error fetching stock history:', error);
             return null;
         }
     }
+
+    // OHLCV bars (oldest first) from the first provider in the 'daily' or 'intraday' chain that answers.
+    // Pass lookbackDays for the most recent sessions, or from/to ('YYYY-MM-DD') for a date range.
+    // open/high/low/close/volume are as traded; adjClose is back-adjusted for splits, bonuses and
+    // dividends. actions lists the corporate actions inside the returned range.
+    async getBars(symbol, { interval = '1day', lookbackDays = null, from = null, to = null, force = false } = {}) {
+        if (!BAR_INTERVALS[interval]) throw new Error(`Unsupported interval: ${interval}`);
+        const instrument = typeof symbol === 'string' ? await this.resolveInstrument(symbol) : symbol;
+        const capability = interval === '1day' ? 'daily' : 'intraday';
+        const range = { lookbackDays: lookbackDays || (from ? null : capability === 'daily' ? 120 : 5), from, to };
+        const cacheKey = [instrument ? instrument.id : symbol, interval, range.lookbackDays || '', from || '', to || ''].join(':');
+        const { value, cache } = await this.cache.wrap(capability, cacheKey, async () => {
+            const result = await this.registry.run(capability, instrument || symbol, (client, providerSymbol) => client.getBars(providerSymbol, { interval, ...range }));
+            // Intraday bars are never adjusted, so adjClose simply mirrors close there
+            const bars = clipBars(result.data.bars, range).map(b => (b.adjClose === undefined ? { ...b, adjClose: b.close } : b));
+            if (!bars.length) throw new Error(`No ${interval} bars for ${symbol} in the requested range`);
+            const first = bars[0].date;
+            const last = bars[bars.length - 1].date;
+            const actions = (result.data.actions || [])
+                .filter(a => a.date > first && a.date <= last)
+                .sort((a, b) => a.date.localeCompare(b.date));
+            return { bars, actions, provider: result.provider, attempts: result.attempts };
+        }, { force });
+        return { symbol: instrument ? instrument.symbol : symbol, interval, ...value, cache };
+    }
+
+    async getDailySeries(symbol, { lookbackDays = 120, from = null, to = null, force = false } = {}) {
+        return this.getBars(symbol, { interval: '1day', lookbackDays, from, to, force });
+    }
+}
+
+// Company fundamentals through the same provider registry, resolver and cache as prices.
+// Every provider returns the normalized shape below; sections a provider lacks stay null/empty:
+// { name, sector, industry, description, currency,
+//   valuation: { marketCap, peRatio, pbRatio, dividendYieldPct, eps, bookValue, beta, week52High, week52Low },
+//   income: { annual: [...], quarterly: [...] }   // { period, revenue, grossProfit, operatingIncome, netIncome, ebitda }
+//   balance: { annual: [...], quarterly: [...] }  // { period, totalAssets, totalLiabilities, equity, cash, debt }
+//   earnings: [...]                               // { period, reportedDate, actualEps, estimateEps, surprise, surprisePct }
+//   source }  -- statement and earnings rows newest first
+class FundamentalsClient {
+    constructor(options = {}) {
+        this.stocks = options.stockDataClient || new StockDataClient(options);
+        this.cache = options.cache || this.stocks.cache;
+    }
+
+    async getFundamentals(symbol, { force = false } = {}) {
+        const instrument = typeof symbol === 'string' ? await this.stocks.resolveInstrument(symbol) : symbol;
+        if (instrument && instrument.type === 'index') throw new Error(`${instrument.name} is an index; fundamentals are per company`);
+        const cacheKey = instrument ? instrument.id : symbol;
+        const { value, cache } = await this.cache.wrap('fundamentals', cacheKey, async () => {
+            const result = await this.stocks.registry.run('fundamentals', instrument || symbol, (client, providerSymbol) => client.getFundamentals(providerSymbol));
+            return { ...result.data, provider: result.provider, attempts: result.attempts };
+        }, { force });
+        return { symbol: instrument ? instrument.symbol : symbol, ...value, cache };
+    }
+
+    // Compact view for prompts and logs; market cap in ₹ crore for INR listings
+    brief(f) {
+        if (!f) return null;
+        const v = f.valuation || {};
+        const round = (n, d = 2) => (n === null || n === undefined ? null : +n.toFixed(d));
+        const [q0] = f.income?.quarterly || [];
+        // Same quarter a year earlier, when the provider returned enough history
+        const qYearAgo = (f.income?.quarterly || [])[4];
+        const [e0] = f.earnings || [];
+        return {
+            marketCap: v.marketCap === null || v.marketCap === undefined ? null
+                : f.currency === 'INR' ? `₹${Math.round(v.marketCap / 1e7).toLocaleString('en-IN')} cr` : `${round(v.marketCap / 1e9)}B ${f.currency || ''}`.trim(),
+            peRatio: round(v.peRatio, 1),
+            pbRatio: round(v.pbRatio, 1),
+            dividendYieldPct: round(v.dividendYieldPct),
+            latestQuarter: q0 ? {
+                period: q0.period,
+                revenue: q0.revenue,
+                netIncome: q0.netIncome,
+                revenueYoYPct: qYearAgo?.revenue ? round(((q0.revenue - qYearAgo.revenue) / Math.abs(qYearAgo.revenue)) * 100, 1) : null
+            } : null,
+            lastEarnings: e0 ? { period: e0.period, actualEps: e0.actualEps, estimateEps: e0.estimateEps, surprisePct: round(e0.surprisePct, 1) } : null,
+            source: f.provider || f.source || null
+        };
+    }
+}
+
+// Providers declare their capabilities; the registry walks the user's priority chain per capability
+class QuoteProviderRegistry {
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.quota = options.quota || null;
+        this.defaultOrder = {
+            quote: ['alphaVantage', 'yahoo', 'finnhub'],
+            daily: ['alphaVantage', 'yahoo', 'finnhub'],
+            intraday: ['yahoo', 'alphaVantage', 'finnhub'],
+            fundamentals: ['yahoo', 'finnhub', 'alphaVantage'],
+            ...((typeof CONFIG !== 'undefined' && CONFIG.PROVIDERS?.order) || {})
+        };
+        this.order = { ...this.defaultOrder };
+        this._loading = null;
+
+        // Pick up priority changes saved from the sidebar without a worker restart
+        try {
+            chrome?.storage?.onChanged?.addListener((changes, area) => {
+                if (area === 'local' && changes.agentic_settings) this._loading = null;
+            });
+        } catch (_) {}
+    }
+
+    register(name, client) {
+        this.providers.set(name, { name, client, descriptor: client.descriptor || {} });
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadSettings();
+        return this._loading;
+    }
+
+    // Re-reads saved settings now, e.g. right after the provider order was changed
+    async reload() {
+        this._loading = null;
+        return this.load();
+    }
+
+    async _loadSettings() {
+        try {
+            if (typeof chrome === 'undefined' || !chrome?.storage?.local) return;
+            const { agentic_settings } = await chrome.storage.local.get(['agentic_settings']);
+            const saved = agentic_settings?.providerOrder || {};
+            this.order = { ...this.defaultOrder };
+            for (const [capability, names] of Object.entries(saved)) {
+                if (Array.isArray(names)) this.order[capability] = names.slice();
+            }
+            // Keys saved in settings apply when config.js does not hardcode them
+            for (const { client } of this.providers.values()) {
+                if (typeof client.applySettings === 'function') client.applySettings(agentic_settings || {});
+            }
+        } catch (error) {
+            console.warn('Could not load provider settings:', error);
+        }
+    }
+
+    chainFor(capability) {
+        const preferred = this.order[capability] || [];
+        // Providers missing from a saved order still run, after the preferred ones
+        const rest = Array.from(this.providers.keys()).filter(n => !preferred.includes(n));
+        return [...preferred, ...rest].filter(n => this.providers.has(n));
+    }
+
+    describe() {
+        return {
+            order: Object.fromEntries(Object.keys(this.defaultOrder).map(c => [c, this.chainFor(c)])),
+            providers: Array.from(this.providers.values()).map(({ name, client, descriptor }) => ({
+                name,
+                label: descriptor.label || name,
+                capabilities: descriptor.capabilities || [],
+                exchanges: descriptor.exchanges || [],
+                rateLimit: descriptor.rateLimit || null,
+                configured: this.isConfigured(client, descriptor)
+            }))
+        };
+    }
+
+    isConfigured(client, descriptor) {
+        return !descriptor.requiresKey || (!!client.apiKey && client.apiKey !== 'demo');
+    }
+
+    skipReason(name, capability, instrument) {
+        const { client, descriptor } = this.providers.get(name);
+        if (!(descriptor.capabilities || []).includes(capability)) return `does not support ${capability}`;
+        const venue = instrument && typeof instrument === 'object' ? (instrument.type === 'index' ? 'INDEX' : instrument.exchange) : null;
+        if (venue && descriptor.exchanges && !descriptor.exchanges.includes(venue)) return `does not cover ${venue}`;
+        if (instrument && typeof instrument === 'object' && !instrument.providers?.[name]) return 'no provider symbol';
+        if (!this.isConfigured(client, descriptor)) return 'no API key configured';
+        // Budgets are counted by the clients themselves; here we only skip providers already out of quota
+        const verdict = this.quota ? this.quota.evaluate(name) : { allowed: true };
+        if (!verdict.allowed) return `quota: ${verdict.reason}`;
+        return null;
+    }
+
+    async run(capability, instrument, call) {
+        await this.load();
+        if (this.quota) await this.quota.load();
+        const attempts = [];
+        for (const name of this.chainFor(capability)) {
+            const reason = this.skipReason(name, capability, instrument);
+            if (reason) {
+                attempts.push({ provider: name, status: 'skipped', reason });
+                continue;
+            }
+            const providerSymbol = typeof instrument === 'object' ? instrument.providers[name] : instrument;
+            try {
+                const data = await call(this.providers.get(name).client, providerSymbol);
+                attempts.push({ provider: name, status: 'ok', symbol: providerSymbol });
+                return { data, provider: name, attempts };
+            } catch (error) {
+                const message = String(error?.message || error);
+                attempts.push({ provider: name, status: 'failed', symbol: providerSymbol, reason: message });
+            }
+        }
+        const error = new Error(`No ${capability} provider answered: ${attempts.map(a => `${a.provider} ${a.status} (${a.reason})`).join('; ')}`);
+        error.attempts = attempts;
+        throw error;
+    }
 }
 
 class AlphaVantageAPI {
-    constructor() {
+    constructor(options = {}) {
         this.baseUrl = 'https://www.alphavantage.co/query';
-        this.apiKey = (typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && CONFIG.STOCK?.alphaVantageKey)
-            ? CONFIG.STOCK.alphaVantageKey
-            : 'demo';
+        this.hardcoded = typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && !!CONFIG.STOCK?.alphaVantageKey;
+        this.apiKey = this.hardcoded ? CONFIG.STOCK.alphaVantageKey : 'demo';
+        // NSE instruments are served from their BSE listing (SYMBOL.BSE); no index coverage
+        this.descriptor = {
+            label: 'Alpha Vantage',
+            capabilities: ['quote', 'daily', 'intraday', 'fundamentals'],
+            exchanges: ['NSE', 'BSE'],
+            rateLimit: { perMinute: 5, perDay: 25 }
+        };
+        this.quota = options.quota || new QuotaManager({ persistent: false });
+        this.quota.declare('alphaVantage', { label: this.descriptor.label, ...this.descriptor.rateLimit });
+    }
+
+    applySettings(settings) {
+        if (!this.hardcoded && settings.alphaVantageKey) this.apiKey = settings.alphaVantageKey;
+    }
+
+    // Every Alpha Vantage call is counted against the budget and checked for rate-limit notes
+    async request(url) {
+        const gate = await this.quota.acquire('alphaVantage');
+        if (!gate.allowed) throw new Error(`Quota: ${gate.reason}`);
+        const response = await fetch(url);
+        const data = await response.json();
+        await this.quota.inspect('alphaVantage', { status: response.status, headers: response.headers, body: data });
+        return data;
     }
 
     async getStockData(symbol) {
-        const url = `${this.baseUrl}?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${this.apiKey}`;
+        const url = `${this.baseUrl}?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(symbol)}&apikey=${this.apiKey}`;
         
         try {
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await this.request(url);
             
-            if (data['Note']) {
-                throw new Error('API rate limit exceeded');
+            if (data['Note'] || data['Information']) {
+                throw new Error(data['Note'] ? 'API rate limit exceeded' : data['Information']);
             }
             
             const quote = data['Global Quote'];
-            if (!quote) {
+            if (!quote || !quote['05. price']) {
                 throw new Error('No data found for symbol');
             }
             
@@ -123,14 +436,14 @@ class AlphaVantageAPI {
             '1month': 'TIME_SERIES_MONTHLY'
         };
         
-        const url = `${this.baseUrl}?function=${functionMap[timeframe]}&symbol=${symbol}&apikey=${this.apiKey}&outputsize=compact`;
+        if (!functionMap[timeframe]) throw new Error(`Unsupported timeframe: ${timeframe}`);
+        const url = `${this.baseUrl}?function=${functionMap[timeframe]}&symbol=${encodeURIComponent(symbol)}&apikey=${this.apiKey}&outputsize=full`;
         
         try {
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await this.request(url);
             
-            if (data['Note']) {
-                throw new Error('API rate limit exceeded');
+            if (data['Note'] || data['Information']) {
+                throw new Error(data['Note'] ? 'API rate limit exceeded' : data['Information']);
             }
             
             const timeKeyMap = {
@@ -140,37 +453,218 @@ class AlphaVantageAPI {
             };
             
             const timeSeries = data[timeKeyMap[functionMap[timeframe]]];
-            const result = [];
-            
-            Object.entries(timeSeries).slice(0, 10).forEach(([date, values]) => {
-                result.push({
-                    date,
-                    open: parseFloat(values['1. open']),
-                    high: parseFloat(values['2. high']),
-                    low: parseFloat(values['3. low']),
-                    close: parseFloat(values['4. close']),
-                    volume: parseInt(values['5. volume'])
-                });
-            });
+            if (!timeSeries) {
+                throw new Error(data['Error Message'] || 'No data found for symbol');
+            }
             
-            return result;
+            return Object.entries(timeSeries)
+                .map(([date, values]) => this.parseBar(date, values))
+                .sort((a, b) => a.date.localeCompare(b.date));
         } catch (error) {
             throw new Error(`Historical data error: ${error.message}`);
         }
     }
+
+    // Alpha Vantage rows use '1. open' ... '5. volume'; the adjusted daily series inserts
+    // '5. adjusted close' and moves volume to '6. volume'
+    parseBar(date, values, time = null) {
+        const bar = {
+            date,
+            open: parseFloat(values['1. open']),
+            high: parseFloat(values['2. high']),
+            low: parseFloat(values['3. low']),
+            close: parseFloat(values['4. close']),
+            volume: parseInt(values['6. volume'] ?? values['5. volume'])
+        };
+        if (values['5. adjusted close'] !== undefined) bar.adjClose = parseFloat(values['5. adjusted close']);
+        return time ? { date, time, ...bar } : bar;
+    }
+
+    async getBars(symbol, { interval = '1day', lookbackDays = 120, from = null, to = null } = {}) {
+        return interval === '1day'
+            ? this.getDailyBars(symbol, { lookbackDays, from, to })
+            : this.getIntradayBars(symbol, { interval, lookbackDays, from, to });
+    }
+
+    async getDailyBars(symbol, { lookbackDays = 120, from = null, to = null } = {}) {
+        // compact = latest 100 sessions
+        const { start } = barWindow({ lookbackDays, from, to });
+        const outputsize = Date.now() - start > 140 * DAY_MS ? 'full' : 'compact';
+        const url = `${this.baseUrl}?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${encodeURIComponent(symbol)}&outputsize=${outputsize}&apikey=${this.apiKey}`;
+
+        try {
+            const data = await this.request(url);
+
+            if (data['Note'] || data['Information']) {
+                throw new Error(data['Note'] ? 'API rate limit exceeded' : data['Information']);
+            }
+
+            const ts = data['Time Series (Daily)'];
+            if (!ts) {
+                throw new Error(data['Error Message'] || 'No daily series for symbol');
+            }
+
+            const bars = [];
+            const actions = [];
+            for (const [d, v] of Object.entries(ts)) {
+                bars.push(this.parseBar(d, v));
+                const coefficient = parseFloat(v['8. split coefficient']);
+                if (Number.isFinite(coefficient) && coefficient > 0 && coefficient !== 1) actions.push(splitAction(d, coefficient, 1, 'alpha_vantage'));
+                const dividend = parseFloat(v['7. dividend amount']);
+                if (dividend > 0) actions.push(dividendAction(d, dividend, 'alpha_vantage'));
+            }
+            return { bars, actions };
+        } catch (error) {
+            throw new Error(`Alpha Vantage daily series error: ${error.message}`);
+        }
+    }
+
+    // Intraday history is served one calendar month per call, so date ranges cost one request per month
+    async getIntradayBars(symbol, { interval = '5min', lookbackDays = 5, from = null, to = null } = {}) {
+        const { start, end } = barWindow({ lookbackDays, from, to });
+        const months = [];
+        if (from || to) {
+            for (let d = new Date(start); d.getTime() < end && months.length < 12; d.setUTCMonth(d.getUTCMonth() + 1, 1)) {
+                months.push(d.toISOString().slice(0, 7));
+            }
+        } else {
+            months.push(null); // latest 30 days
+        }
+
+        const bars = [];
+        try {
+            for (const month of months) {
+                const url = `${this.baseUrl}?function=TIME_SERIES_INTRADAY&symbol=${encodeURIComponent(symbol)}&interval=${BAR_INTERVALS[interval].alphaVantage}&outputsize=full${month ? `&month=${month}` : ''}&apikey=${this.apiKey}`;
+                const data = await this.request(url);
+
+                if (data['Note'] || data['Information']) {
+                    throw new Error(data['Note'] ? 'API rate limit exceeded' : data['Information']);
+                }
+
+                const ts = data[`Time Series (${BAR_INTERVALS[interval].alphaVantage})`];
+                if (!ts) {
+                    throw new Error(data['Error Message'] || 'No intraday series for symbol');
+                }
+
+                const timeZone = data['Meta Data']?.['6. Time Zone'] || null;
+                for (const [local, v] of Object.entries(ts)) {
+                    const time = zonedTimeToIso(local, timeZone);
+                    bars.push(this.parseBar(istDate(Date.parse(time)), v, time));
+                }
+            }
+            return { bars, actions: [] };
+        } catch (error) {
+            throw new Error(`Alpha Vantage intraday series error: ${error.message}`);
+        }
+    }
+
+    // Four calls (overview, income statement, balance sheet, earnings), so this is expensive on the free tier
+    async getFundamentals(symbol) {
+        const call = async (fn) => {
+            const data = await this.request(`${this.baseUrl}?function=${fn}&symbol=${encodeURIComponent(symbol)}&apikey=${this.apiKey}`);
+            if (data['Note'] || data['Information']) {
+                throw new Error(data['Note'] ? 'API rate limit exceeded' : data['Information']);
+            }
+            return data;
+        };
+
+        try {
+            const overview = await call('OVERVIEW');
+            if (!overview || !overview.Symbol) {
+                throw new Error('No fundamentals for symbol');
+            }
+            const income = await call('INCOME_STATEMENT');
+            const balance = await call('BALANCE_SHEET');
+            const earnings = await call('EARNINGS');
+
+            const incomeRow = r => ({
+                period: r.fiscalDateEnding,
+                revenue: num(r.totalRevenue),
+                grossProfit: num(r.grossProfit),
+                operatingIncome: num(r.operatingIncome),
+                netIncome: num(r.netIncome),
+                ebitda: num(r.ebitda)
+            });
+            const balanceRow = r => ({
+                period: r.fiscalDateEnding,
+                totalAssets: num(r.totalAssets),
+                totalLiabilities: num(r.totalLiabilities),
+                equity: num(r.totalShareholderEquity),
+                cash: num(r.cashAndCashEquivalentsAtCarryingValue),
+                debt: num(r.shortLongTermDebtTotal)
+            });
+            const dividendYield = num(overview.DividendYield);
+
+            return {
+                name: overview.Name || null,
+                sector: overview.Sector || null,
+                industry: overview.Industry || null,
+                description: overview.Description || null,
+                currency: overview.Currency || null,
+                valuation: {
+                    marketCap: num(overview.MarketCapitalization),
+                    peRatio: num(overview.PERatio),
+                    pbRatio: num(overview.PriceToBookRatio),
+                    dividendYieldPct: dividendYield === null ? null : dividendYield * 100,
+                    eps: num(overview.EPS),
+                    bookValue: num(overview.BookValue),
+                    beta: num(overview.Beta),
+                    week52High: num(overview['52WeekHigh']),
+                    week52Low: num(overview['52WeekLow'])
+                },
+                income: {
+                    annual: (income.annualReports || []).slice(0, 4).map(incomeRow),
+                    quarterly: (income.quarterlyReports || []).slice(0, 8).map(incomeRow)
+                },
+                balance: {
+                    annual: (balance.annualReports || []).slice(0, 4).map(balanceRow),
+                    quarterly: (balance.quarterlyReports || []).slice(0, 4).map(balanceRow)
+                },
+                earnings: (earnings.quarterlyEarnings || []).slice(0, 8).map(e => ({
+                    period: e.fiscalDateEnding,
+                    reportedDate: e.reportedDate || null,
+                    actualEps: num(e.reportedEPS),
+                    estimateEps: num(e.estimatedEPS),
+                    surprise: num(e.surprise),
+                    surprisePct: num(e.surprisePercentage)
+                })),
+                source: 'alpha_vantage'
+            };
+        } catch (error) {
+            throw new Error(`Alpha Vantage fundamentals error: ${error.message}`);
+        }
+    }
 }
 
 class YahooFinanceAPI {
-    constructor() {
+    constructor(options = {}) {
         this.baseUrl = 'https://query1.finance.yahoo.com/v8/finance/chart';
+        this.summaryUrl = 'https://query2.finance.yahoo.com/v10/finance/quoteSummary';
+        // Unofficial endpoint: no key, but throttles aggressive polling
+        this.descriptor = {
+            label: 'Yahoo Finance',
+            capabilities: ['quote', 'daily', 'intraday', 'fundamentals'],
+            exchanges: ['NSE', 'BSE', 'INDEX'],
+            rateLimit: { perMinute: 60 }
+        };
+        this.quota = options.quota || new QuotaManager({ persistent: false });
+        this.quota.declare('yahoo', { label: this.descriptor.label, ...this.descriptor.rateLimit });
+    }
+
+    async request(url) {
+        const gate = await this.quota.acquire('yahoo');
+        if (!gate.allowed) throw new Error(`Quota: ${gate.reason}`);
+        const response = await fetch(url);
+        const signal = await this.quota.inspect('yahoo', { status: response.status, headers: response.headers });
+        if (signal) throw new Error('API rate limit exceeded');
+        return response.json();
     }
 
     async getStockData(symbol) {
-        const url = `${this.baseUrl}/${symbol}`;
+        const url = `${this.baseUrl}/${encodeURIComponent(symbol)}`;
         
         try {
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await this.request(url);
             
             if (!data.chart || !data.chart.result || !data.chart.result[0]) {
                 throw new Error('Invalid symbol or no data');
@@ -195,26 +689,175 @@ class YahooFinanceAPI {
             throw new Error(`Yahoo Finance API error: ${error.message}`);
         }
     }
+
+    async getBars(symbol, { interval = '1day', lookbackDays = 120, from = null, to = null } = {}) {
+        const spec = BAR_INTERVALS[interval];
+        let { start, end } = barWindow({ lookbackDays, from, to });
+        if (spec.yahooMaxDays) start = Math.max(start, Date.now() - spec.yahooMaxDays * DAY_MS);
+        const url = `${this.baseUrl}/${encodeURIComponent(symbol)}?interval=${spec.yahoo}&period1=${Math.floor(start / 1000)}&period2=${Math.floor(end / 1000)}&events=div%2Csplits`;
+
+        try {
+            const data = await this.request(url);
+            const r0 = data?.chart?.result?.[0];
+            if (!r0) {
+                throw new Error(data?.chart?.error?.description || 'Invalid symbol or no data');
+            }
+
+            const t = r0.timestamp || [];
+            const q = r0.indicators?.quote?.[0] || {};
+            const adj = r0.indicators?.adjclose?.[0]?.adjclose || [];
+            const intraday = interval !== '1day';
+            const actions = [
+                ...Object.values(r0.events?.splits || {})
+                    .filter(e => e.numerator > 0 && e.denominator > 0)
+                    .map(e => splitAction(istDate(e.date * 1000), e.numerator, e.denominator, 'yahoo_finance')),
+                ...Object.values(r0.events?.dividends || {})
+                    .filter(e => e.amount > 0)
+                    .map(e => dividendAction(istDate(e.date * 1000), e.amount, 'yahoo_finance'))
+            ];
+            // Yahoo's OHLCV is already split-adjusted; undo later splits to get prices as traded
+            const splits = actions.filter(a => a.type === 'split');
+            const bars = t.map((unix, i) => {
+                const date = istDate(unix * 1000);
+                const factor = splits.reduce((f, s) => (s.date > date ? f * s.factor : f), 1);
+                const bar = {
+                    date,
+                    open: +q.open?.[i] * factor,
+                    high: +q.high?.[i] * factor,
+                    low: +q.low?.[i] * factor,
+                    close: +q.close?.[i] * factor,
+                    volume: Math.round((+q.volume?.[i] || 0) / factor)
+                };
+                if (!intraday) bar.adjClose = Number.isFinite(+adj[i]) && adj[i] !== null ? +adj[i] : +q.close?.[i];
+                return intraday ? { date, time: new Date(unix * 1000).toISOString(), ...bar } : bar;
+            }).filter((p, i) => q.close?.[i] !== null && Number.isFinite(p.close));
+            return { bars, actions: intraday ? [] : actions };
+        } catch (error) {
+            throw new Error(`Yahoo Finance ${interval} series error: ${error.message}`);
+        }
+    }
+
+    async getFundamentals(symbol) {
+        const modules = [
+            'price', 'summaryDetail', 'defaultKeyStatistics', 'assetProfile',
+            'incomeStatementHistory', 'incomeStatementHistoryQuarterly',
+            'balanceSheetHistory', 'balanceSheetHistoryQuarterly', 'earningsHistory'
+        ].join(',');
+        const url = `${this.summaryUrl}/${encodeURIComponent(symbol)}?modules=${modules}`;
+
+        try {
+            const data = await this.request(url);
+            const r0 = data?.quoteSummary?.result?.[0];
+            if (!r0) {
+                throw new Error(data?.quoteSummary?.error?.description || 'No fundamentals for symbol');
+            }
+
+            const date = v => (num(v) ? new Date(num(v) * 1000).toISOString().slice(0, 10) : null);
+            const incomeRow = r => ({
+                period: date(r.endDate),
+                revenue: num(r.totalRevenue),
+                grossProfit: num(r.grossProfit),
+                operatingIncome: num(r.operatingIncome),
+                netIncome: num(r.netIncome),
+                ebitda: num(r.ebitda) ?? num(r.ebit)
+            });
+            const balanceRow = r => ({
+                period: date(r.endDate),
+                totalAssets: num(r.totalAssets),
+                totalLiabilities: num(r.totalLiab),
+                equity: num(r.totalStockholderEquity),
+                cash: num(r.cash),
+                debt: (num(r.shortLongTermDebt) || 0) + (num(r.longTermDebt) || 0) || null
+            });
+            const sd = r0.summaryDetail || {};
+            const ks = r0.defaultKeyStatistics || {};
+            const dividendYield = num(sd.dividendYield);
+
+            return {
+                name: r0.price?.longName || r0.price?.shortName || null,
+                sector: r0.assetProfile?.sector || null,
+                industry: r0.assetProfile?.industry || null,
+                description: r0.assetProfile?.longBusinessSummary || null,
+                currency: r0.price?.currency || sd.currency || null,
+                valuation: {
+                    marketCap: num(r0.price?.marketCap) ?? num(sd.marketCap),
+                    peRatio: num(sd.trailingPE),
+                    pbRatio: num(ks.priceToBook),
+                    dividendYieldPct: dividendYield === null ? null : dividendYield * 100,
+                    eps: num(ks.trailingEps),
+                    bookValue: num(ks.bookValue),
+                    beta: num(sd.beta) ?? num(ks.beta),
+                    week52High: num(sd.fiftyTwoWeekHigh),
+                    week52Low: num(sd.fiftyTwoWeekLow)
+                },
+                income: {
+                    annual: (r0.incomeStatementHistory?.incomeStatementHistory || []).map(incomeRow),
+                    quarterly: (r0.incomeStatementHistoryQuarterly?.incomeStatementHistory || []).map(incomeRow)
+                },
+                balance: {
+                    annual: (r0.balanceSheetHistory?.balanceSheetStatements || []).map(balanceRow),
+                    quarterly: (r0.balanceSheetHistoryQuarterly?.balanceSheetStatements || []).map(balanceRow)
+                },
+                // Yahoo lists earnings oldest first with the surprise as a fraction
+                earnings: (r0.earningsHistory?.history || []).slice().reverse().map(e => ({
+                    period: date(e.quarter),
+                    reportedDate: null,
+                    actualEps: num(e.epsActual),
+                    estimateEps: num(e.epsEstimate),
+                    surprise: num(e.epsDifference),
+                    surprisePct: num(e.surprisePercent) === null ? null : num(e.surprisePercent) * 100
+                })),
+                source: 'yahoo_finance'
+            };
+        } catch (error) {
+            throw new Error(`Yahoo Finance fundamentals error: ${error.message}`);
+        }
+    }
 }
 
 class FinnhubAPI {
-    constructor() {
+    constructor(options = {}) {
         this.baseUrl = 'https://finnhub.io/api/v1';
-        this.apiKey = (typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && CONFIG.STOCK?.finnhubKey)
-            ? CONFIG.STOCK.finnhubKey
-            : 'demo';
+        this.hardcoded = typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && !!CONFIG.STOCK?.finnhubKey;
+        this.apiKey = this.hardcoded ? CONFIG.STOCK.finnhubKey : 'demo';
+        // The demo token does not cover NSE/BSE, so a real key is required
+        this.descriptor = {
+            label: 'Finnhub',
+            capabilities: ['quote', 'daily', 'intraday', 'fundamentals'],
+            exchanges: ['NSE', 'BSE'],
+            rateLimit: { perMinute: 60 },
+            requiresKey: true
+        };
+        this.quota = options.quota || new QuotaManager({ persistent: false });
+        this.quota.declare('finnhub', { label: this.descriptor.label, ...this.descriptor.rateLimit });
+    }
+
+    applySettings(settings) {
+        if (!this.hardcoded && settings.finnhubKey) this.apiKey = settings.finnhubKey;
+    }
+
+    async request(url) {
+        const gate = await this.quota.acquire('finnhub');
+        if (!gate.allowed) throw new Error(`Quota: ${gate.reason}`);
+        const response = await fetch(url);
+        const signal = await this.quota.inspect('finnhub', { status: response.status, headers: response.headers });
+        if (signal) throw new Error('API rate limit exceeded');
+        return response.json();
     }
 
     async getStockData(symbol) {
-        const url = `${this.baseUrl}/quote?symbol=${symbol}&token=${this.apiKey}`;
+        const url = `${this.baseUrl}/quote?symbol=${encodeURIComponent(symbol)}&token=${this.apiKey}`;
         
         try {
-            const response = await fetch(url);
-            const data = await response.json();
+            const data = await this.request(url);
             
             if (data.error) {
                 throw new Error(data.error);
             }
+            // Unknown symbols come back as an all-zero quote
+            if (!data.c) {
+                throw new Error('No data found for symbol');
+            }
             
             return {
                 symbol: symbol,
@@ -231,40 +874,456 @@ class FinnhubAPI {
             throw new Error(`Finnhub API error: ${error.message}`);
         }
     }
+
+    async getBars(symbol, { interval = '1day', lookbackDays = 120, from = null, to = null } = {}) {
+        const { start, end } = barWindow({ lookbackDays, from, to });
+        const url = `${this.baseUrl}/stock/candle?symbol=${encodeURIComponent(symbol)}&resolution=${BAR_INTERVALS[interval].finnhub}&from=${Math.floor(start / 1000)}&to=${Math.floor(end / 1000)}&token=${this.apiKey}`;
+
+        try {
+            const data = await this.request(url);
+
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            if (data.s !== 'ok' || !Array.isArray(data.t)) {
+                throw new Error(`No ${interval} series for symbol`);
+            }
+
+            // Candles come split-adjusted with no event list, so raw and adjusted series coincide here
+            const intraday = interval !== '1day';
+            const bars = data.t.map((unix, i) => {
+                const bar = {
+                    date: intraday ? istDate(unix * 1000) : new Date(unix * 1000).toISOString().slice(0, 10),
+                    open: +data.o[i],
+                    high: +data.h[i],
+                    low: +data.l[i],
+                    close: +data.c[i],
+                    volume: +data.v[i] || 0
+                };
+                return intraday ? { date: bar.date, time: new Date(unix * 1000).toISOString(), ...bar } : bar;
+            }).filter(p => Number.isFinite(p.close));
+            return { bars, actions: [] };
+        } catch (error) {
+            throw new Error(`Finnhub ${interval} series error: ${error.message}`);
+        }
+    }
+
+    // Profile, metrics and earnings surprises; as-reported statements are not normalized here
+    async getFundamentals(symbol) {
+        const call = async (path) => {
+            const data = await this.request(`${this.baseUrl}${path}${path.includes('?') ? '&' : '?'}symbol=${encodeURIComponent(symbol)}&token=${this.apiKey}`);
+            if (data && data.error) {
+                throw new Error(data.error);
+            }
+            return data;
+        };
+
+        try {
+            const profile = await call('/stock/profile2');
+            if (!profile || !profile.name) {
+                throw new Error('No fundamentals for symbol');
+            }
+            const m = (await call('/stock/metric?metric=all'))?.metric || {};
+            const earnings = await call('/stock/earnings');
+
+            return {
+                name: profile.name,
+                sector: profile.finnhubIndustry || null,
+                industry: profile.finnhubIndustry || null,
+                description: null,
+                currency: profile.currency || null,
+                valuation: {
+                    // Finnhub reports market cap in millions
+                    marketCap: num(profile.marketCapitalization) === null ? null : num(profile.marketCapitalization) * 1e6,
+                    peRatio: num(m.peTTM) ?? num(m.peBasicExclExtraTTM),
+                    pbRatio: num(m.pbAnnual) ?? num(m.pbQuarterly),
+                    dividendYieldPct: num(m.dividendYieldIndicatedAnnual) ?? num(m.currentDividendYieldTTM),
+                    eps: num(m.epsTTM) ?? num(m.epsBasicExclExtraItemsTTM),
+                    bookValue: num(m.bookValuePerShareAnnual),
+                    beta: num(m.beta),
+                    week52High: num(m['52WeekHigh']),
+                    week52Low: num(m['52WeekLow'])
+                },
+                income: { annual: [], quarterly: [] },
+                balance: { annual: [], quarterly: [] },
+                earnings: (Array.isArray(earnings) ? earnings : []).slice(0, 8).map(e => ({
+                    period: e.period,
+                    reportedDate: null,
+                    actualEps: num(e.actual),
+                    estimateEps: num(e.estimate),
+                    surprise: num(e.surprise),
+                    surprisePct: num(e.surprisePercent)
+                })),
+                source: 'finnhub'
+            };
+        } catch (error) {
+            throw new Error(`Finnhub fundamentals error: ${error.message}`);
+        }
+    }
+}
+
+// Indian mutual funds from AMFI. NAVAll.txt lists every open scheme with its latest NAV, grouped
+// under category and AMC header lines; per-scheme NAV history comes from mfapi.in, which mirrors
+// AMFI's history keyed by the same scheme code.
+class MutualFundClient {
+    constructor(options = {}) {
+        this.navAllUrl = 'https://www.amfiindia.com/spages/NAVAll.txt';
+        this.historyUrl = 'https://api.mfapi.in/mf';
+        this.cache = options.cache || new MarketDataCache({ persistent: false });
+        // The parsed scheme list (~15k rows) is larger than one cache entry may be, so it stays in memory
+        this.schemes = null;
+        this.schemesLoadedAt = 0;
+        this.schemesTtl = 6 * 60 * 60 * 1000;
+        this._loadingSchemes = null;
+    }
+
+    // Rows look like: code;ISIN growth/payout;ISIN reinvestment;scheme name;NAV;date
+    parseNavAll(text) {
+        const schemes = [];
+        let category = null;
+        let amc = null;
+        for (const raw of String(text || '').split(/\r?\n/)) {
+            const line = raw.trim();
+            if (!line || /^Scheme Code;/i.test(line)) continue;
+            if (!line.includes(';')) {
+                if (/schemes?\s*\(/i.test(line)) category = line.replace(/^.*?\((.*)\)\s*$/, '$1').trim();
+                else amc = line;
+                continue;
+            }
+            const [code, isin, isinReinvest, name, nav, date] = line.split(';').map(x => x.trim());
+            if (!/^\d+$/.test(code)) continue;
+            schemes.push({
+                schemeCode: code,
+                name,
+                amc,
+                category,
+                isin: isin && isin !== '-' ? isin : null,
+                isinReinvest: isinReinvest && isinReinvest !== '-' ? isinReinvest : null,
+                nav: num(nav),
+                navDate: parseAmfiDate(date)
+            });
+        }
+        return schemes;
+    }
+
+    async getSchemes({ force = false } = {}) {
+        if (!force && this.schemes && Date.now() - this.schemesLoadedAt < this.schemesTtl) return this.schemes;
+        if (!this._loadingSchemes) {
+            this._loadingSchemes = (async () => {
+                try {
+                    const response = await fetch(this.navAllUrl);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    const schemes = this.parseNavAll(await response.text());
+                    if (!schemes.length) throw new Error('NAV file had no schemes');
+                    this.schemes = schemes;
+                    this.schemesLoadedAt = Date.now();
+                    return schemes;
+                } catch (error) {
+                    // A stale list beats none when AMFI is briefly unavailable
+                    if (this.schemes) return this.schemes;
+                    throw new Error(`AMFI NAV file error: ${error.message}`);
+                } finally {
+                    this._loadingSchemes = null;
+                }
+            })();
+        }
+        return this._loadingSchemes;
+    }
+
+    // Every query word must appear in the scheme or AMC name; Growth and Direct plans rank first
+    async searchSchemes(query, { limit = 10 } = {}) {
+        const stop = new Set(['fund', 'funds', 'mutual', 'mf', 'scheme', 'plan', 'option', 'the', 'of', 'and', '-']);
+        const words = String(query || '').toLowerCase().replace(/[^a-z0-9& ]+/g, ' ').split(/\s+/).filter(w => w && !stop.has(w));
+        if (/^\d{5,6}$/.test(String(query).trim())) {
+            const byCode = (await this.getSchemes()).find(x => x.schemeCode === String(query).trim());
+            return byCode ? [{ ...byCode, score: 100 }] : [];
+        }
+        if (!words.length) return [];
+
+        const out = [];
+        for (const scheme of await this.getSchemes()) {
+            const hay = ` ${`${scheme.name} ${scheme.amc || ''}`.toLowerCase().replace(/[^a-z0-9& ]+/g, ' ')} `;
+            if (!words.every(w => hay.includes(` ${w}`))) continue;
+            let score = 60;
+            if (/growth/i.test(scheme.name)) score += 20;
+            if (/direct/i.test(scheme.name)) score += 10;
+            if (/idcw|dividend|bonus/i.test(scheme.name)) score -= 10;
+            score -= Math.min(10, Math.floor(scheme.name.length / 20));
+            out.push({ ...scheme, score });
+        }
+        return out.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    // NAVs oldest first
+    async getNavHistory(schemeCode, { force = false } = {}) {
+        const { value, cache } = await this.cache.wrap('mf', String(schemeCode), async () => {
+            try {
+                const response = await fetch(`${this.historyUrl}/${encodeURIComponent(schemeCode)}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = await response.json();
+                const navs = (data?.data || [])
+                    .map(row => ({ date: parseAmfiDate(row.date), nav: num(row.nav) }))
+                    .filter(row => row.date && row.nav !== null && row.nav > 0)
+                    .sort((a, b) => a.date.localeCompare(b.date));
+                if (!navs.length) throw new Error('No NAV history for scheme');
+                return {
+                    schemeCode: String(schemeCode),
+                    name: data.meta?.scheme_name || null,
+                    amc: data.meta?.fund_house || null,
+                    category: data.meta?.scheme_category || null,
+                    navs,
+                    source: 'mfapi'
+                };
+            } catch (error) {
+                throw new Error(`NAV history error: ${error.message}`);
+            }
+        }, { force });
+        return { ...value, cache };
+    }
+
+    // 1M and 1Y as plain returns, 3Y and 5Y annualised (CAGR), all in percent; null when history is too short
+    returns(navs) {
+        if (!navs || !navs.length) return null;
+        const latest = navs[navs.length - 1];
+        const end = new Date(latest.date + 'T00:00:00Z');
+        const navOnOrBefore = (date) => {
+            let found = null;
+            for (const row of navs) {
+                if (row.date > date) break;
+                found = row;
+            }
+            return found;
+        };
+        const horizon = (months, annualise) => {
+            const target = new Date(end);
+            target.setUTCMonth(target.getUTCMonth() - months);
+            const start = navOnOrBefore(target.toISOString().slice(0, 10));
+            if (!start) return null;
+            const growth = latest.nav / start.nav;
+            const years = (end - new Date(start.date + 'T00:00:00Z')) / (365.25 * DAY_MS);
+            const pct = annualise ? (Math.pow(growth, 1 / years) - 1) * 100 : (growth - 1) * 100;
+            return +pct.toFixed(2);
+        };
+        return {
+            asOf: latest.date,
+            nav: latest.nav,
+            '1M': horizon(1, false),
+            '1Y': horizon(12, false),
+            '3Y': horizon(36, true),
+            '5Y': horizon(60, true)
+        };
+    }
+
+    // Scheme as an instrument-like object so research results keep one shape for stocks and funds
+    toInstrument(scheme) {
+        return {
+            id: `AMFI:${scheme.schemeCode}`,
+            symbol: scheme.schemeCode,
+            type: 'mutual_fund',
+            exchange: 'AMFI',
+            name: scheme.name,
+            shortName: scheme.name.replace(/\s*-\s*(direct|regular).*$/i, '').trim(),
+            isin: scheme.isin || null,
+            amc: scheme.amc || null,
+            category: scheme.category || null
+        };
+    }
+}
+
+// FX, commodity and Indian macro reference figures, each returned with its source and as-of time.
+// FX and commodities are live Yahoo quotes (FX falls back to ECB rates via Frankfurter). Macro series
+// have no free live feed, so they are bundled values from the official releases; newer readings can
+// be saved over them (stored under agentic_reference_overrides) and are reported with their own date.
+class ReferenceDataClient {
+    constructor(options = {}) {
+        this.STORAGE_KEY = 'agentic_reference_overrides';
+        this.stocks = options.stockDataClient || new StockDataClient(options);
+        this.cache = options.cache || this.stocks.cache;
+        this.frankfurterUrl = 'https://api.frankfurter.app/latest';
+        this.series = {
+            USDINR: { kind: 'fx', label: 'USD/INR', yahoo: 'USDINR=X', pair: ['USD', 'INR'], unit: 'INR' },
+            EURINR: { kind: 'fx', label: 'EUR/INR', yahoo: 'EURINR=X', pair: ['EUR', 'INR'], unit: 'INR' },
+            GBPINR: { kind: 'fx', label: 'GBP/INR', yahoo: 'GBPINR=X', pair: ['GBP', 'INR'], unit: 'INR' },
+            BRENT: { kind: 'commodity', label: 'Brent crude', yahoo: 'BZ=F', unit: 'USD/bbl' },
+            WTI: { kind: 'commodity', label: 'WTI crude', yahoo: 'CL=F', unit: 'USD/bbl' },
+            NATGAS: { kind: 'commodity', label: 'Natural gas', yahoo: 'NG=F', unit: 'USD/MMBtu' },
+            GOLD: { kind: 'commodity', label: 'Gold', yahoo: 'GC=F', unit: 'USD/oz' },
+            SILVER: { kind: 'commodity', label: 'Silver', yahoo: 'SI=F', unit: 'USD/oz' },
+            COPPER: { kind: 'commodity', label: 'Copper', yahoo: 'HG=F', unit: 'USD/lb' },
+            REPO: { kind: 'macro', label: 'RBI repo rate', unit: '%', value: 6.5, asOf: '2024-12-06', source: 'RBI Monetary Policy Statement' },
+            CPI: { kind: 'macro', label: 'CPI inflation (YoY)', unit: '%', value: 5.22, asOf: '2024-12-31', source: 'MoSPI CPI release' },
+            GSEC10Y: { kind: 'macro', label: '10Y G-sec yield', unit: '%', value: 6.77, asOf: '2025-01-15', source: 'RBI/CCIL benchmark' }
+        };
+        // Which figures move which parts of the market
+        this.sensitivities = {
+            'Oil & Gas': ['BRENT', 'WTI', 'USDINR'],
+            'Information Technology': ['USDINR', 'EURINR', 'GBPINR'],
+            'Financial Services': ['REPO', 'CPI', 'GSEC10Y'],
+            'Metals & Mining': ['COPPER', 'USDINR'],
+            'Realty': ['REPO', 'GSEC10Y'],
+            'Healthcare': ['USDINR'],
+            'Power': ['NATGAS', 'REPO'],
+            'Automobile': ['BRENT', 'REPO'],
+            'Chemicals': ['BRENT'],
+            'FMCG': ['CPI']
+        };
+        this.symbolSensitivities = {
+            TITAN: ['GOLD'], ASIANPAINT: ['BRENT'], INDIGO: ['BRENT', 'USDINR'], HINDZINC: ['SILVER'], MUTHOOTFIN: ['GOLD']
+        };
+        this.indexSensitivities = {
+            'NIFTY 50': ['USDINR', 'BRENT', 'REPO'],
+            'SENSEX': ['USDINR', 'BRENT', 'REPO'],
+            'NIFTY BANK': ['REPO', 'CPI', 'GSEC10Y'],
+            'NIFTY FIN SERVICE': ['REPO', 'CPI', 'GSEC10Y'],
+            'NIFTY IT': ['USDINR', 'EURINR', 'GBPINR'],
+            'NIFTY ENERGY': ['BRENT', 'NATGAS', 'USDINR'],
+            'NIFTY METAL': ['COPPER', 'USDINR'],
+            'NIFTY AUTO': ['BRENT', 'REPO'],
+            'NIFTY REALTY': ['REPO', 'GSEC10Y'],
+            'NIFTY PHARMA': ['USDINR'],
+            'NIFTY FMCG': ['CPI']
+        };
+        this.keywords = [
+            [/\b(crude|oil|brent|omc|petrol|diesel|opec)\b/i, ['BRENT', 'USDINR']],
+            [/\b(rupee|usd|dollar|forex|fx|inr)\b/i, ['USDINR']],
+            [/\b(gold|jewell?ery|bullion)\b/i, ['GOLD']],
+            [/\b(silver)\b/i, ['SILVER']],
+            [/\b(copper|aluminium|metals?)\b/i, ['COPPER']],
+            [/\b(repo|rbi|rate cut|rate hike|policy rate|mpc|interest rates?)\b/i, ['REPO', 'GSEC10Y']],
+            [/\b(inflation|cpi)\b/i, ['CPI']],
+            [/\b(bond|g-?sec|yield)\b/i, ['GSEC10Y']]
+        ];
+        this._overrides = null;
+    }
+
+    async loadOverrides() {
+        if (this._overrides) return this._overrides;
+        this._overrides = {};
+        try {
+            if (typeof chrome !== 'undefined' && chrome?.storage?.local) {
+                this._overrides = (await chrome.storage.local.get([this.STORAGE_KEY]))[this.STORAGE_KEY] || {};
+            }
+        } catch (error) {
+            console.warn('Could not load reference overrides:', error);
+        }
+        return this._overrides;
+    }
+
+    // values: { REPO: { value, asOf, source }, ... } for macro series only
+    async updateMacro(values = {}) {
+        const current = { ...(await this.loadOverrides()) };
+        for (const [key, entry] of Object.entries(values)) {
+            if (this.series[key]?.kind !== 'macro') throw new Error(`Not a macro series: ${key}`);
+            if (!Number.isFinite(+entry?.value)) throw new Error(`Value required for ${key}`);
+            current[key] = { value: +entry.value, asOf: entry.asOf || new Date().toISOString().slice(0, 10), source: entry.source || 'user update' };
+        }
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: current });
+        this._overrides = current;
+        await this.cache.clear('reference');
+        return current;
+    }
+
+    async get(key, { force = false } = {}) {
+        const spec = this.series[key];
+        if (!spec) throw new Error(`Unknown reference series: ${key}`);
+        const { value, cache } = await this.cache.wrap('reference', key, () => this.fetchSeries(key, spec), { force });
+        return { ...value, cache };
+    }
+
+    async fetchSeries(key, spec) {
+        const base = { key, kind: spec.kind, label: spec.label, unit: spec.unit };
+        if (spec.kind === 'macro') {
+            const override = (await this.loadOverrides())[key];
+            const entry = override || spec;
+            return { ...base, value: entry.value, changePct: null, asOf: entry.asOf, source: entry.source, bundled: !override };
+        }
+
+        try {
+            const q = await this.stocks.clients.yahooFinance.getStockData(spec.yahoo);
+            if (!Number.isFinite(q.price)) throw new Error('No price');
+            return { ...base, value: q.price, changePct: Number.isFinite(q.changePercent) ? +q.changePercent.toFixed(2) : null, asOf: q.timestamp, source: 'Yahoo Finance' };
+        } catch (error) {
+            if (spec.kind !== 'fx') throw new Error(`${spec.label}: ${error.message}`);
+            // ECB reference rates: one fixing per working day, no intraday change
+            const response = await fetch(`${this.frankfurterUrl}?from=${spec.pair[0]}&to=${spec.pair[1]}`);
+            const data = await response.json();
+            const rate = num(data?.rates?.[spec.pair[1]]);
+            if (rate === null) throw new Error(`${spec.label}: ${error.message}; ECB rate unavailable`);
+            return { ...base, value: rate, changePct: null, asOf: data.date, source: 'ECB via Frankfurter' };
+        }
+    }
+
+    async getMany(keys = []) {
+        const out = {};
+        await Promise.all(keys.map(async key => {
+            try { out[key] = await this.get(key); }
+            catch (error) { out[key] = { key, label: this.series[key]?.label || key, error: error.message }; }
+        }));
+        return out;
+    }
+
+    // Series worth quoting for a query and its resolved instrument (sector, symbol and index rules plus keywords)
+    relevantSeries(query = '', instrument = null) {
+        const keys = new Set();
+        if (instrument) {
+            (this.sensitivities[instrument.sector] || []).forEach(k => keys.add(k));
+            (this.symbolSensitivities[instrument.symbol] || []).forEach(k => keys.add(k));
+            (this.indexSensitivities[instrument.symbol] || []).forEach(k => keys.add(k));
+        }
+        for (const [re, list] of this.keywords) {
+            if (re.test(query)) list.forEach(k => keys.add(k));
+        }
+        return Array.from(keys);
+    }
+
+    // "USD/INR 83.1 INR (+0.1%, Yahoo Finance)" style lines for prompts and summaries
+    describe(results) {
+        return Object.values(results || {})
+            .filter(r => !r.error && r.value !== null && r.value !== undefined)
+            .map(r => {
+                const change = r.changePct !== null && r.changePct !== undefined ? `${r.changePct > 0 ? '+' : ''}${r.changePct}%, ` : '';
+                const when = r.kind === 'macro' || !String(r.asOf || '').includes('T') ? `as of ${r.asOf}, ` : '';
+                return `${r.label} ${r.value}${r.unit === '%' ? '%' : ' ' + r.unit} (${change}${when}${r.source})`;
+            });
+    }
 }
 
 class NewsDataClient {
-    constructor() {
+    constructor(options = {}) {
+        this.quota = options.quota || new QuotaManager({ persistent: false });
         this.clients = {
-            newsApi: new NewsAPIClient(),
-            currentApi: new CurrentNewsAPIClient()
+            newsApi: new NewsAPIClient({ quota: this.quota }),
+            currentApi: new CurrentNewsAPIClient({ quota: this.quota })
         };
-        this.cache = new Map();
+        this.cache = options.cache || new MarketDataCache({ persistent: false });
+        // Publisher RSS/Atom feeds polled in the background; searched locally so queries never leave the browser
+        this.feeds = options.feeds || new NewsFeedReader({ persistent: false });
+        this.clusterer = options.clusterer || new NewsClusterer();
         this._lastWarnAt = 0; // throttle noisy warnings
     }
 
     async getNews(query, options = {}) {
-        const cacheKey = `news_${query}_${JSON.stringify(options)}`;
-        const cachedData = this.cache.get(cacheKey);
-        
-        if (cachedData && (Date.now() - cachedData.timestamp) < 300000) { // 5-minute cache
-            return cachedData.data;
-        }
+        const cacheKey = `${query}_${JSON.stringify(options)}`;
+        const [{ value }, fromFeeds] = await Promise.all([
+            this.cache.wrap('news', cacheKey, () => this.fetchNews(query, options)),
+            this.feeds.search(query, { limit: options.pageSize || 10 }).catch(() => [])
+        ]);
+        const merged = this.mergeArticles(Array.isArray(value) ? value : [], fromFeeds);
+        return merged.sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0));
+    }
 
+    // null when the last fallback could not be reached either, so the cache does not keep an outage as the answer
+    async fetchNews(query, options = {}) {
         try {
             const data = await this.clients.newsApi.getNews(query, options);
-            // If NewsAPI is rate-limited and returned empty, try Currents as fallback
-            if (Array.isArray(data) && data.length === 0 && this.clients.newsApi.isRateLimited()) {
+            // If NewsAPI returned nothing (no key, rate-limited, no match), try Currents, then Google News RSS
+            if (Array.isArray(data) && data.length === 0) {
                 const alt = await this.clients.currentApi.getNews(query, options).catch(() => []);
                 if (Array.isArray(alt) && alt.length) {
-                    this.cache.set(cacheKey, { data: alt, timestamp: Date.now() });
                     return alt;
                 }
-                const rss = await this.getNewsFromGoogleRss(query, options).catch(() => []);
-                this.cache.set(cacheKey, { data: rss, timestamp: Date.now() });
-                return rss;
+                return await this.getNewsFromGoogleRss(query, options).catch(() => null);
             }
-            this.cache.set(cacheKey, { data, timestamp: Date.now() });
             return data;
         } catch (error) {
             // Throttle warnings to at most once per 5 minutes
@@ -275,13 +1334,10 @@ class NewsDataClient {
             }
             const alt = await this.clients.currentApi.getNews(query, options).catch(() => []);
             if (Array.isArray(alt) && alt.length) {
-                this.cache.set(cacheKey, { data: alt, timestamp: Date.now() });
                 return alt;
             }
             // Final fallback: Google News RSS (no API key)
-            const rss = await this.getNewsFromGoogleRss(query, options).catch(() => []);
-            this.cache.set(cacheKey, { data: rss, timestamp: Date.now() });
-            return rss;
+            return await this.getNewsFromGoogleRss(query, options).catch(() => null);
         }
     }
 
@@ -308,81 +1364,77 @@ class NewsDataClient {
             }
         }
         
-        // Remove duplicates and sort by publishedAt
-        const uniqueArticles = [];
-        const seenTitles = new Set();
-        
-        allResults
-            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
-            .forEach(article => {
-                if (!seenTitles.has(article.title)) {
-                    uniqueArticles.push(article);
-                    seenTitles.add(article.title);
-                }
-            });
-        
-        return uniqueArticles.slice(0, 20); // Limit to 20 most recent
+        // Only repeats of the same link are dropped here; syndicated copies on other outlets are kept
+        // so NewsClusterer can group them and list every outlet that carried the story
+        const seenUrls = new Set();
+        return allResults
+            .filter(article => {
+                const key = this.clusterer.canonicalUrl(article.url) || article.title;
+                if (!key || seenUrls.has(key)) return false;
+                seenUrls.add(key);
+                return true;
+            })
+            .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+            .slice(0, 40);
     }
 
-    // Fallback: Google News RSS (via rss2json proxy for CORS)
+    // Stories (clusters of near-duplicate articles), newest first
+    clusterArticles(articles) {
+        return this.clusterer.cluster(articles);
+    }
+
+    // Fallback: Google News RSS, fetched and parsed directly (host permissions cover CORS); null when the feed cannot be read
     async getNewsFromGoogleRss(query, options = {}) {
         const hl = options.hl || 'en-IN';
         const gl = options.gl || 'IN';
         const ceid = options.ceid || 'IN:en';
         const rssUrl = `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=${encodeURIComponent(hl)}&gl=${encodeURIComponent(gl)}&ceid=${encodeURIComponent(ceid)}`;
-        const api = `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(rssUrl)}`;
         try {
-            const res = await fetch(api);
-            if (!res.ok) return [];
-            const data = await res.json();
-            const items = Array.isArray(data?.items) ? data.items : [];
-            const mapped = items.map(it => ({
-                title: it.title || '',
-                description: it.description || '',
-                url: it.link || it.url || '',
-                urlToImage: undefined,
-                publishedAt: it.pubDate ? new Date(it.pubDate).toISOString() : undefined,
-                source: (data?.feed?.title || 'Google News'),
-                content: it.content || ''
-            })).filter(a => a.title && a.url);
+            const { text } = await this.feeds.fetchText(rssUrl);
+            const mapped = this.feeds.parse(text).items
+                .map(it => ({ ...it, source: it.source || 'Google News', provider: 'google_rss' }))
+                .filter(a => a.title && a.url);
             const pageSize = options.pageSize || 10;
             return mapped.slice(0, pageSize);
         } catch (_) {
-            return [];
+            return null;
         }
     }
 
-    _xmlTag(chunk, tag) {
-        const r = new RegExp(`<${tag}[^>]*>([\s\S]*?)<\/${tag}>`, 'i');
-        const mm = r.exec(chunk);
-        return mm ? this._decodeHtml(mm[1]).trim() : '';
-    }
-
-    _decodeHtml(s) {
-        if (!s) return '';
-        return s
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .replace(/&#39;/g, "'");
+    // Merge without repeating a story that two sources carried (same link or same headline)
+    mergeArticles(...lists) {
+        const seen = new Set();
+        const out = [];
+        for (const article of lists.flat()) {
+            if (!article || !article.title) continue;
+            const urlKey = this.clusterer.canonicalUrl(article.url);
+            const titleKey = article.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+            if ((urlKey && seen.has(urlKey)) || seen.has(titleKey)) continue;
+            if (urlKey) seen.add(urlKey);
+            seen.add(titleKey);
+            out.push(article);
+        }
+        return out;
     }
 }
 
 class NewsAPIClient {
-    constructor() {
+    constructor(options = {}) {
         this.baseUrl = 'https://newsapi.org/v2';
         this.apiKey = (typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && CONFIG.NEWS?.newsApiKey)
             ? CONFIG.NEWS.newsApiKey
             : 'demo';
-        this._rateLimitedUntil = 0; // timestamp ms
+        // Developer plan: 100 requests per 24h
+        this.quota = options.quota || new QuotaManager({ persistent: false });
+        this.quota.declare('newsApi', { label: 'NewsAPI', perDay: 100 });
         this._lastWarnAt = 0;
     }
 
     async getNews(query, options = {}) {
-        // Respect cooldown if previously rate-limited
+        // Respect the budget and any cooldown from an earlier rate-limit response
         const now = Date.now();
-        if (now < this._rateLimitedUntil) {
+        const gate = await this.quota.acquire('newsApi');
+        if (!gate.allowed) {
             return [];
         }
         const params = new URLSearchParams({
@@ -401,12 +1453,11 @@ class NewsAPIClient {
             
             if (data.status !== 'ok') {
                 const msg = (data?.message || '').toString();
-                const lower = msg.toLowerCase();
-                // If clearly rate-limited, set a cooldown (6 hours) and log once
-                if (lower.includes('too many requests') || lower.includes('rate') || lower.includes('limit')) {
-                    this._rateLimitedUntil = Date.now() + 6 * 60 * 60 * 1000;
+                // If clearly rate-limited, the quota manager starts a cooldown; log once
+                const signal = await this.quota.inspect('newsApi', { status: response.status, headers: response.headers, body: data });
+                if (signal) {
                     if (now - this._lastWarnAt > 5 * 60 * 1000) {
-                        console.warn('NewsAPI rate-limited. Cooling down for 6 hours. Message:', msg);
+                        console.warn(`NewsAPI rate-limited. Cooling down for ${Math.round(signal.retryAfterMs / 60000)} minutes. Message:`, msg);
                         this._lastWarnAt = now;
                     }
                     return [];
@@ -426,7 +1477,8 @@ class NewsAPIClient {
                 urlToImage: article.urlToImage,
                 publishedAt: article.publishedAt,
                 source: article.source?.name || 'Unknown',
-                content: article.content
+                content: article.content,
+                provider: 'newsapi'
             }));
         } catch (error) {
             if (Date.now() - this._lastWarnAt > 5 * 60 * 1000) {
@@ -438,16 +1490,18 @@ class NewsAPIClient {
     }
 
     isRateLimited() {
-        return Date.now() < this._rateLimitedUntil;
+        return this.quota.isExhausted('newsApi');
     }
 }
 
 class CurrentNewsAPIClient {
-    constructor() {
+    constructor(options = {}) {
         this.baseUrl = 'https://api.currentsapi.services/v1';
         this.apiKey = (typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && CONFIG.NEWS?.currentsApiKey)
             ? CONFIG.NEWS.currentsApiKey
             : 'demo';
+        this.quota = options.quota || new QuotaManager({ persistent: false });
+        this.quota.declare('currents', { label: 'Currents', perDay: 600 });
     }
 
     async getNews(query, options = {}) {
@@ -459,6 +1513,10 @@ class CurrentNewsAPIClient {
         });
         
         const url = `${this.baseUrl}/search?${params}`;
+        const gate = await this.quota.acquire('currents');
+        if (!gate.allowed) {
+            return [];
+        }
         
         try {
             const response = await fetch(url);
@@ -466,6 +1524,7 @@ class CurrentNewsAPIClient {
             
             if (data.status !== 'ok') {
                 // Graceful degrade: log and return empty array
+                await this.quota.inspect('currents', { status: response.status, headers: response.headers, body: data });
                 console.warn('Currents API response not ok:', data?.message || data);
                 return [];
             }
@@ -477,7 +1536,8 @@ class CurrentNewsAPIClient {
                 urlToImage: article.image,
                 publishedAt: article.published,
                 source: article.author || 'Unknown',
-                content: article.description
+                content: article.description,
+                provider: 'currents'
             }));
         } catch (error) {
             console.warn('Currents API error:', error?.message || error);
@@ -489,13 +1549,25 @@ class CurrentNewsAPIClient {
 // Make classes globally available
 if (typeof window !== 'undefined') {
     window.StockDataClient = StockDataClient;
+    window.FundamentalsClient = FundamentalsClient;
+    window.MutualFundClient = MutualFundClient;
+    window.ReferenceDataClient = ReferenceDataClient;
+    window.QuoteProviderRegistry = QuoteProviderRegistry;
     window.NewsDataClient = NewsDataClient;
 } else if (typeof global !== 'undefined') {
     global.StockDataClient = StockDataClient;
+    global.FundamentalsClient = FundamentalsClient;
+    global.MutualFundClient = MutualFundClient;
+    global.ReferenceDataClient = ReferenceDataClient;
+    global.QuoteProviderRegistry = QuoteProviderRegistry;
     global.NewsDataClient = NewsDataClient;
 } else {
     // Service worker environment
     self.StockDataClient = StockDataClient;
+    self.FundamentalsClient = FundamentalsClient;
+    self.MutualFundClient = MutualFundClient;
+    self.ReferenceDataClient = ReferenceDataClient;
+    self.QuoteProviderRegistry = QuoteProviderRegistry;
     self.NewsDataClient = NewsDataClient;
 }
 
@@ -0,0 +1,238 @@
+// Full-text extraction for news articles so synthesis can read more than the headline.
+// The service worker has no DOMParser, so pages are read as text: schema.org articleBody first
+// (most Indian business sites embed it), then the story container named in the per-domain rules,
+// then a readability-style pass that keeps long, link-light <p> blocks. Bodies are cached by URL.
+const ARTICLE_SITE_RULES = {
+    'economictimes.indiatimes.com': {
+        container: /<div[^>]+class="[^"]*\b(artText|art_body|article_body)\b[^"]*"/i,
+        stop: [/<div[^>]+class="[^"]*\b(also_read|relatedArticles|bottomCont)\b/i],
+        drop: [/^(also read|read more|catch all the|download the economic times)/i, /^\(you can now subscribe/i]
+    },
+    'moneycontrol.com': {
+        container: /<div[^>]+(id="contentdata"|class="[^"]*\bcontent_wrapper\b[^"]*")/i,
+        stop: [/<div[^>]+class="[^"]*\b(tags_first_line|related_stories)\b/i],
+        drop: [/^(also read|read more|disclaimer|moneycontrol pro|discover the latest business news)/i, /^(first published|tags):/i]
+    },
+    'livemint.com': {
+        container: /<div[^>]+(class="[^"]*\b(storyPage|mainArea|storyContent)\b[^"]*"|id="mainArea)/i,
+        stop: [/<div[^>]+class="[^"]*\b(paywall|moreNews|storyTags)\b/i],
+        drop: [/^(also read|catch all the|disclaimer|download the mint)/i, /^(subscribe to mint|unlock a world of benefits)/i]
+    },
+    'business-standard.com': {
+        container: /<div[^>]+(class="[^"]*\b(storycontent|story-content|p-content)\b[^"]*"|id="parent_top_div)/i,
+        stop: [/<div[^>]+class="[^"]*\b(readmore_tagslist|relatedStories)\b/i],
+        drop: [/^(also read|read more|first published|disclaimer|premium|keep reading)/i]
+    },
+    'thehindubusinessline.com': {
+        container: /<div[^>]+class="[^"]*\b(articlebodycontent|contentbody)\b[^"]*"/i,
+        drop: [/^(also read|comments|published on|more like this)/i]
+    },
+    'financialexpress.com': {
+        container: /<div[^>]+class="[^"]*\b(article-section|pcl-container|post-content)\b[^"]*"/i,
+        drop: [/^(also read|get live share market updates|financial express is now on)/i]
+    },
+    'cnbctv18.com': {
+        container: /<div[^>]+class="[^"]*\b(articleWrap|narticle-data|article-content)\b[^"]*"/i,
+        drop: [/^(also read|catch the latest|disclaimer)/i]
+    },
+    'ndtvprofit.com': {
+        container: /<div[^>]+class="[^"]*\b(story-element|story-content)\b[^"]*"/i,
+        drop: [/^(also read|disclaimer|watch live)/i]
+    }
+};
+
+class ArticleExtractor {
+    constructor(options = {}) {
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.NEWS) || {};
+        this.cache = options.cache || new MarketDataCache({ persistent: false });
+        this.feeds = options.feeds || new NewsFeedReader({ persistent: false });
+        this.rules = options.rules || ARTICLE_SITE_RULES;
+        this.topN = options.topN || cfg.extractTopN || 3;
+        this.tokenBudget = options.tokenBudget || cfg.extractTokenBudget || 900;
+        this.maxHtmlChars = options.maxHtmlChars || 600000;
+        this.minParagraphChars = 40;
+    }
+
+    ruleFor(url) {
+        let host = '';
+        try { host = new URL(url).hostname.toLowerCase().replace(/^(www|m|amp)\./, ''); } catch { return null; }
+        const key = Object.keys(this.rules).find(domain => host === domain || host.endsWith('.' + domain));
+        return key ? { domain: key, ...this.rules[key] } : null;
+    }
+
+    async extract(url, { force = false } = {}) {
+        if (!/^https?:\/\//i.test(String(url || ''))) throw new Error('Article URL required');
+        // Aggregator links redirect through a script page with no article text
+        if (/^https?:\/\/news\.google\.com\//i.test(url)) throw new Error('Aggregator link, no publisher page to extract');
+        const { value } = await this.cache.wrap('article', this.cache.hashKey(url), async () => {
+            const { text } = await this.feeds.fetchText(url);
+            return this.parse(text, url);
+        }, { force });
+        return value;
+    }
+
+    // { title, publishedAt, body, paragraphs, lead, wordCount, method } from page HTML
+    parse(html, url = '') {
+        const page = String(html || '').slice(0, this.maxHtmlChars);
+        const rule = this.ruleFor(url);
+        const title = this.metaContent(page, 'og:title') || this.feeds._stripHtml((/<title[^>]*>([\s\S]*?)<\/title>/i.exec(page) || [])[1] || '');
+        const publishedAt = this.metaContent(page, 'article:published_time') || null;
+
+        const enough = list => list.join(' ').length >= 200;
+        let method = 'jsonld';
+        let paragraphs = this.jsonLdBody(page);
+        if (!enough(paragraphs) && rule?.container) {
+            const region = this.ruleRegion(page, rule);
+            if (region) {
+                paragraphs = this.paragraphs(region);
+                method = `rule:${rule.domain}`;
+            }
+        }
+        if (!enough(paragraphs)) {
+            paragraphs = this.paragraphs(this.stripBoilerplate(page));
+            method = 'paragraphs';
+        }
+        if (rule?.drop) paragraphs = paragraphs.filter(p => !rule.drop.some(re => re.test(p)));
+        paragraphs = Array.from(new Set(paragraphs));
+
+        const body = paragraphs.join('\n\n');
+        return {
+            url,
+            title,
+            publishedAt,
+            method: paragraphs.length ? method : 'none',
+            paragraphs,
+            lead: paragraphs[0] || '',
+            body,
+            wordCount: body ? body.split(/\s+/).length : 0,
+            extractedAt: new Date().toISOString()
+        };
+    }
+
+    metaContent(html, property) {
+        const esc = property.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const m = new RegExp(`<meta[^>]+(?:property|name)=["']${esc}["'][^>]*>`, 'i').exec(html);
+        return m ? this.feeds._attr(m[0], 'content').trim() : '';
+    }
+
+    // schema.org NewsArticle/Article articleBody, split into paragraphs
+    jsonLdBody(html) {
+        const blocks = html.match(/<script[^>]+application\/ld\+json[^>]*>[\s\S]*?<\/script>/gi) || [];
+        for (const block of blocks) {
+            let data;
+            try { data = JSON.parse(block.replace(/^<script[^>]*>|<\/script>$/gi, '').trim()); } catch { continue; }
+            const nodes = [].concat(data, data?.['@graph'] || []).flat();
+            const article = nodes.find(n => n && typeof n.articleBody === 'string' && n.articleBody.length > 200);
+            if (!article) continue;
+            return article.articleBody.split(/\r?\n+|<\/p>|<br\s*\/?>/i)
+                .map(p => this.feeds._stripHtml(p))
+                .flatMap(p => this.splitLong(p))
+                .filter(p => p.length >= this.minParagraphChars);
+        }
+        return [];
+    }
+
+    // HTML between the domain's story container and the first stop marker after it
+    ruleRegion(html, rule) {
+        const start = html.search(rule.container);
+        if (start < 0) return '';
+        let region = html.slice(start);
+        for (const stop of rule.stop || []) {
+            const at = region.slice(1).search(stop);
+            if (at >= 0) region = region.slice(0, at + 1);
+        }
+        return this.stripBoilerplate(region);
+    }
+
+    stripBoilerplate(html) {
+        return html
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<(script|style|noscript|svg|iframe|form|button|select|template)\b[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<(nav|header|footer|aside|figure|figcaption)\b[\s\S]*?<\/\1>/gi, ' ');
+    }
+
+    // Readability-style pass: long <p> blocks with little link text
+    paragraphs(html) {
+        const out = [];
+        for (const m of html.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)) {
+            const inner = m[1];
+            const text = this.feeds._stripHtml(inner);
+            if (text.length < this.minParagraphChars) continue;
+            const linkText = (inner.match(/<a\b[^>]*>[\s\S]*?<\/a>/gi) || []).map(a => this.feeds._stripHtml(a)).join('').length;
+            if (linkText / text.length > 0.5) continue;
+            if (/^(copyright|©|all rights reserved|follow us|subscribe|sign up|download (the|our) app|click here)/i.test(text)) continue;
+            out.push(text);
+        }
+        return out;
+    }
+
+    // JSON-LD bodies often arrive as one block; break them at sentence ends every ~600 characters
+    splitLong(text) {
+        if (text.length <= 900) return [text];
+        const sentences = text.match(/[^.!?]+[.!?]+["”]?\s*|[^.!?]+$/g) || [text];
+        const out = [];
+        let current = '';
+        for (const s of sentences) {
+            if (current.length + s.length > 600 && current) { out.push(current.trim()); current = ''; }
+            current += s;
+        }
+        if (current.trim()) out.push(current.trim());
+        return out;
+    }
+
+    // Lead plus following paragraphs, cut at a sentence boundary to about maxTokens (4 characters per token)
+    excerpt(extracted, maxTokens) {
+        const limit = Math.max(40, maxTokens) * 4;
+        let text = '';
+        for (const p of extracted?.paragraphs || []) {
+            if ((text + ' ' + p).length > limit) {
+                const room = limit - text.length - 1;
+                if (room > 80) {
+                    const part = p.slice(0, room);
+                    const cut = Math.max(part.lastIndexOf('. '), part.lastIndexOf('? '), part.lastIndexOf('! '));
+                    text += ' ' + (cut > 40 ? part.slice(0, cut + 1) : part.replace(/\s+\S*$/, '') + '…');
+                }
+                break;
+            }
+            text += (text ? ' ' : '') + p;
+        }
+        return text.trim();
+    }
+
+    // Extracts the first topN articles in parallel and shares the token budget among the ones that worked
+    async extractMany(articles = [], { topN = this.topN, tokenBudget = this.tokenBudget } = {}) {
+        const picked = articles.filter(a => a && a.url).slice(0, topN);
+        const results = await Promise.all(picked.map(async (article) => {
+            try {
+                const extracted = await this.extract(article.url);
+                if (!extracted.wordCount) throw new Error('No article text found');
+                return { article, extracted };
+            } catch (error) {
+                return { article, error: String(error?.message || error) };
+            }
+        }));
+        const ok = results.filter(r => r.extracted);
+        const perArticle = ok.length ? Math.floor(tokenBudget / ok.length) : 0;
+        return results.map(r => ({
+            title: r.article.title,
+            source: r.article.source,
+            url: r.article.url,
+            ...(r.extracted ? {
+                method: r.extracted.method,
+                wordCount: r.extracted.wordCount,
+                lead: r.extracted.lead,
+                excerpt: this.excerpt(r.extracted, perArticle)
+            } : { error: r.error })
+        }));
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.ArticleExtractor = ArticleExtractor;
+} else if (typeof global !== 'undefined') {
+    global.ArticleExtractor = ArticleExtractor;
+} else {
+    // Service worker environment
+    self.ArticleExtractor = ArticleExtractor;
+}
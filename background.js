@@ -1,5 +1,24 @@
 importScripts('config.js');
+importScripts('symbol-master.js');
+importScripts('symbol-resolver.js');
+importScripts('market-cache.js');
+importScripts('quota-manager.js');
+importScripts('news-feeds.js');
+importScripts('news-clusters.js');
+importScripts('news-entities.js');
+importScripts('article-extractor.js');
+importScripts('news-sentiment.js');
+importScripts('event-study.js');
+importScripts('indicators.js');
+importScripts('alert-rules.js');
+importScripts('backtester.js');
+importScripts('risk.js');
+importScripts('portfolio.js');
+importScripts('watchlist.js');
+importScripts('task-monitor.js');
+importScripts('news-monitor.js');
 importScripts('api-clients.js');
+importScripts('market-breadth.js');
 importScripts('llm-processor.js');
 
 class NotificationManager {
@@ -301,8 +320,135 @@ class StorageManager {
 // Initialize lightweight singletons (no monitoring)
 const notifier = new NotificationManager();
 const storageManager = new StorageManager();
+const symbolResolver = new SymbolResolver();
+// Shared across runs so the persistent cache and provider rate windows are actually reused
+const marketCache = new MarketDataCache();
+const quotaManager = new QuotaManager();
+const stockDataClient = new StockDataClient({ resolver: symbolResolver, cache: marketCache, quota: quotaManager });
+const newsFeedReader = new NewsFeedReader();
+const newsClusterer = new NewsClusterer();
+const newsEntityTagger = new NewsEntityTagger({ resolver: symbolResolver });
+const articleExtractor = new ArticleExtractor({ cache: marketCache, feeds: newsFeedReader });
+const headlineSentiment = new HeadlineSentiment();
+const newsEventStudy = new NewsEventStudy();
+const technicalIndicators = new TechnicalIndicators();
+const strategyBacktester = new StrategyBacktester({ indicators: technicalIndicators });
+const riskAnalytics = new RiskAnalytics();
+const portfolioTracker = new PortfolioTracker({ stockDataClient, resolver: symbolResolver });
+const watchlistManager = new WatchlistManager({ stockDataClient, resolver: symbolResolver });
+const taskMonitor = new TaskMonitor({ storage: storageManager, stockDataClient, resolver: symbolResolver, backtester: strategyBacktester, marketStatus: () => watchlistManager.marketStatus() });
+const newsDataClient = new NewsDataClient({ cache: marketCache, quota: quotaManager, feeds: newsFeedReader, clusterer: newsClusterer });
+const fundamentalsClient = new FundamentalsClient({ stockDataClient, cache: marketCache });
+const mutualFundClient = new MutualFundClient({ cache: marketCache });
+const marketBreadth = new MarketBreadth({ stockDataClient, resolver: symbolResolver });
+const referenceDataClient = new ReferenceDataClient({ stockDataClient, cache: marketCache });
+const newsMonitor = new NewsMonitor({
+    feeds: newsFeedReader,
+    news: newsDataClient,
+    tagger: newsEntityTagger,
+    sentiment: headlineSentiment,
+    resolver: symbolResolver,
+    scopes: {
+        watchlist: async () => { await watchlistManager.load(); return watchlistManager.symbols(); },
+        portfolio: async () => { await portfolioTracker.load(); return portfolioTracker.positions().positions.filter(p => p.lots.length).map(p => p.symbol); }
+    }
+});
+
+// Creates, re-creates or clears a repeating alarm; an unchanged period leaves the running alarm alone
+async function scheduleAlarm(name, periodMinutes) {
+    if (!chrome?.alarms) return;
+    const existing = await chrome.alarms.get(name);
+    if (!periodMinutes) {
+        if (existing) await chrome.alarms.clear(name);
+        return;
+    }
+    if (existing && existing.periodInMinutes === periodMinutes) return;
+    await chrome.alarms.create(name, { delayInMinutes: 1, periodInMinutes: periodMinutes });
+}
+
+// Background feed polling: one alarm at the shortest enabled interval; each run only fetches feeds that are due
+const FEED_ALARM = 'agentic_feed_poll';
+
+async function scheduleFeedPolling() {
+    await scheduleAlarm(FEED_ALARM, await newsFeedReader.pollPeriodMinutes());
+}
+
+// Watchlist quotes: the alarm fires all day, refresh() itself skips runs outside NSE hours
+const WATCHLIST_ALARM = 'agentic_watchlist_refresh';
+
+async function scheduleWatchlistRefresh() {
+    await scheduleAlarm(WATCHLIST_ALARM, (await watchlistManager.getLists()).some(l => l.symbols.length) ? watchlistManager.refreshMinutes : null);
+}
+
+// Monitoring tasks: one alarm at the shortest interval among active tasks; each run checks the tasks that are due
+const TASK_ALARM = 'agentic_task_monitor';
+
+async function scheduleTaskMonitoring() {
+    await scheduleAlarm(TASK_ALARM, await taskMonitor.checkPeriodMinutes());
+}
+
+// Settings for NotificationManager, with the config.js Telegram bot as the default
+async function notificationSettings() {
+    const settings = await storageManager.getSettings();
+    const telegram = (typeof CONFIG !== 'undefined' && CONFIG.TELEGRAM) || {};
+    return { ...settings, telegramBot: settings.telegramBot || telegram.botToken || '', telegramChatId: settings.telegramChatId || telegram.chatId || '' };
+}
+
+async function notifyTaskTrigger(task, trigger) {
+    let message = taskMonitor.describeTrigger(trigger);
+    // The LLM may add context; without a key the plain trigger text is sent
+    try {
+        const llm = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
+        await llm.initialize();
+        if (llm.apiKey) {
+            const content = await llm.generateNotificationContent(task, message, { symbol: trigger.symbol, price: trigger.price, changePercent: trigger.changePercent, conditions: trigger.conditions });
+            if (content && content.parsed !== false && typeof content.text === 'string' && content.text.trim()) message = `${message}\n${content.text.trim()}`;
+        }
+    } catch (e) { console.warn('Notification content failed:', e); }
+    await notifier.sendNotification({ type: 'alert', title: `Alert: ${trigger.symbol}`, message, taskName: task.name }, task, await notificationSettings());
+}
+
+async function runTaskChecks(options = {}) {
+    const result = await taskMonitor.checkDue({ ...options, onTrigger: notifyTaskTrigger });
+    if (result.triggers.length) await persistLogs('Task monitor', null, [{ step: 'task_triggers', tool: 'TaskMonitor', output: result.triggers }]);
+    return result;
+}
+
+// News monitors: one alarm at the shortest interval among active monitors; runs outside market hours too
+const NEWS_MONITOR_ALARM = 'agentic_news_monitor';
+
+async function scheduleNewsMonitoring() {
+    await scheduleAlarm(NEWS_MONITOR_ALARM, await newsMonitor.checkPeriodMinutes());
+}
 
-// Global message handlers (no monitoring/task system)
+// One notification per article with the headline and link; a burst is capped and summarised
+async function notifyNewsHits(monitor, hits) {
+    const settings = await notificationSettings();
+    const cap = 5;
+    for (const [i, hit] of hits.slice(0, cap).entries()) {
+        const more = i === cap - 1 && hits.length > cap ? `\n(+${hits.length - cap} more in the Alerts tab)` : '';
+        await notifier.sendNotification({ type: 'news', title: `News: ${monitor.name}`, message: `${newsMonitor.describeHit(hit)}${more}`, taskName: monitor.name }, monitor, settings);
+    }
+}
+
+async function runNewsMonitors(options = {}) {
+    const result = await newsMonitor.checkDue({ ...options, onHit: notifyNewsHits });
+    if (result.hits.length) await persistLogs('News monitor', null, [{ step: 'news_monitor_hits', tool: 'NewsMonitor', output: result.hits.map(h => ({ monitorId: h.monitorId, title: h.title, url: h.url, source: h.source, symbols: h.symbols, keywords: h.keywords, relevance: h.relevance?.score ?? null, sentiment: h.sentiment?.score ?? null })) }]);
+    return result;
+}
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+    if (alarm.name === FEED_ALARM) newsFeedReader.pollDue().catch(e => console.warn('Feed poll failed:', e));
+    if (alarm.name === WATCHLIST_ALARM) watchlistManager.refresh().catch(e => console.warn('Watchlist refresh failed:', e));
+    if (alarm.name === TASK_ALARM) runTaskChecks().catch(e => console.warn('Task check failed:', e));
+    if (alarm.name === NEWS_MONITOR_ALARM) runNewsMonitors().catch(e => console.warn('News monitor check failed:', e));
+});
+scheduleFeedPolling().catch(e => console.warn('Could not schedule feed polling:', e));
+scheduleWatchlistRefresh().catch(e => console.warn('Could not schedule watchlist refresh:', e));
+scheduleTaskMonitoring().catch(e => console.warn('Could not schedule task monitoring:', e));
+scheduleNewsMonitoring().catch(e => console.warn('Could not schedule news monitoring:', e));
+
+// Global message handlers
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (!msg || !msg.type) return;
     switch (msg.type) {
@@ -352,12 +498,321 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                 } catch (e) { sendResponse({ success: false, error: String(e.message||e) }); }
             })();
             return true;
+        case 'RESOLVE_SYMBOL':
+            (async () => {
+                try {
+                    const res = await symbolResolver.resolve(msg.payload?.query || '', { exchange: msg.payload?.exchange || null });
+                    const data = {
+                        query: res.query,
+                        ambiguous: res.ambiguous,
+                        best: symbolResolver.describe(res.best),
+                        candidates: res.candidates.map(c => ({ ...symbolResolver.describe(c.instrument), score: c.score, matchedOn: c.matchedOn }))
+                    };
+                    sendResponse({ ok: true, data });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'UPDATE_SYMBOL_MASTER':
+            (async () => {
+                try { const data = await symbolResolver.updateMaster(msg.payload || {}, { replace: !!msg.payload?.replace }); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_PROVIDERS':
+            (async () => {
+                try { await stockDataClient.registry.load(); sendResponse({ ok: true, data: stockDataClient.registry.describe() }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SET_PROVIDER_ORDER':
+            (async () => {
+                try {
+                    const known = stockDataClient.registry.describe().providers.map(p => p.name);
+                    const order = {};
+                    for (const [capability, names] of Object.entries(msg.payload?.order || {})) {
+                        if (Array.isArray(names)) order[capability] = names.filter(n => known.includes(n));
+                    }
+                    const settings = await storageManager.getSettings();
+                    await storageManager.saveSettings({ ...settings, providerOrder: order });
+                    await stockDataClient.registry.reload();
+                    sendResponse({ ok: true, data: stockDataClient.registry.describe() });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_CACHE_STATS':
+            (async () => {
+                try { const data = await marketCache.stats(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'CLEAR_CACHE':
+            (async () => {
+                try { const removed = await marketCache.clear(msg.payload?.namespace || null); sendResponse({ ok: true, data: { removed } }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_FUNDAMENTALS':
+            (async () => {
+                try {
+                    const data = await fundamentalsClient.getFundamentals(msg.payload?.symbol, { force: !!msg.payload?.force });
+                    sendResponse({ ok: true, data: { ...data, brief: fundamentalsClient.brief(data) } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_INDEX_BREADTH':
+            (async () => {
+                try { const data = await marketBreadth.analyze(msg.payload?.index || 'NIFTY 50', { withAverages: msg.payload?.withAverages !== false }); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_REFERENCE_DATA':
+            (async () => {
+                try {
+                    const keys = msg.payload?.keys?.length ? msg.payload.keys : Object.keys(referenceDataClient.series);
+                    sendResponse({ ok: true, data: await referenceDataClient.getMany(keys) });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'UPDATE_MACRO_SERIES':
+            (async () => {
+                try { const data = await referenceDataClient.updateMacro(msg.payload?.values || {}); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SEARCH_FUNDS':
+            (async () => {
+                try { const data = await mutualFundClient.searchSchemes(msg.payload?.query || '', { limit: msg.payload?.limit || 10 }); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_FUND_NAV':
+            (async () => {
+                try {
+                    const data = await mutualFundClient.getNavHistory(msg.payload?.schemeCode);
+                    sendResponse({ ok: true, data: { ...data, returns: mutualFundClient.returns(data.navs) } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_QUOTA_STATUS':
+            (async () => {
+                try { const data = await quotaManager.status(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SET_QUOTA_BUDGETS':
+            (async () => {
+                try {
+                    const budgets = msg.payload?.budgets || {};
+                    const settings = await storageManager.getSettings();
+                    await storageManager.saveSettings({ ...settings, quotaBudgets: budgets });
+                    await quotaManager.load();
+                    quotaManager.applyBudgetOverrides(budgets);
+                    sendResponse({ ok: true, data: await quotaManager.status() });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'RESET_QUOTA':
+            (async () => {
+                try { await quotaManager.reset(msg.payload?.provider || null); sendResponse({ ok: true, data: await quotaManager.status() }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_FEEDS':
+            (async () => {
+                try { const data = await newsFeedReader.describe(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SAVE_FEEDS':
+            (async () => {
+                try {
+                    const data = await newsFeedReader.saveFeeds(msg.payload?.reset ? null : (msg.payload?.feeds || []));
+                    await scheduleFeedPolling();
+                    sendResponse({ ok: true, data });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'POLL_FEEDS':
+            (async () => {
+                try {
+                    const results = await newsFeedReader.pollDue({ force: true, ids: msg.payload?.ids || null });
+                    sendResponse({ ok: true, data: { results, ...(await newsFeedReader.describe()) } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
         case 'BACKTEST_TASK':
             (async () => {
-                try { const data = await backtestSymbol(msg.payload); sendResponse({ ok: true, data }); }
+                try {
+                    // Rule-based strategies carry an entry rule; the original threshold check does not
+                    const data = msg.payload?.entry ? await runBacktest(msg.payload) : await backtestSymbol(msg.payload);
+                    sendResponse({ ok: true, data });
+                }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_RISK':
+            (async () => {
+                try { const data = await runRiskAnalysis(msg.payload || {}); sendResponse({ ok: true, data }); }
                 catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
             })();
             return true;
+        case 'GET_PORTFOLIO':
+            (async () => {
+                try { const data = await portfolioTracker.value(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'ADD_TRADE':
+            (async () => {
+                try {
+                    const trade = await portfolioTracker.addTrade(msg.payload || {});
+                    sendResponse({ ok: true, data: { trade, portfolio: await portfolioTracker.value() } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'DELETE_TRADE':
+            (async () => {
+                try {
+                    const removed = await portfolioTracker.deleteTrade(msg.payload?.id);
+                    sendResponse({ ok: true, data: { removed, portfolio: await portfolioTracker.value() } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'IMPORT_TRADEBOOK':
+            (async () => {
+                try {
+                    const result = await portfolioTracker.importTradebook(msg.payload?.csv || '', { source: msg.payload?.source || 'csv' });
+                    // Row arrays are only useful for counting in the sidebar
+                    const data = { ...result, skipped: result.skipped.length, errors: result.errors.slice(0, 10), portfolio: await portfolioTracker.value() };
+                    sendResponse({ ok: true, data });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'CLEAR_PORTFOLIO':
+            (async () => {
+                try { await portfolioTracker.clear(); sendResponse({ ok: true, data: await portfolioTracker.value() }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_WATCHLISTS':
+            (async () => {
+                try { const data = await watchlistManager.describe(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SAVE_WATCHLIST':
+            (async () => {
+                try {
+                    const list = await watchlistManager.saveList(msg.payload || {});
+                    await scheduleWatchlistRefresh();
+                    // Quote the new instruments straight away rather than waiting for the next alarm
+                    await watchlistManager.refresh({ force: true });
+                    sendResponse({ ok: true, data: { list, ...(await watchlistManager.describe()) } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'DELETE_WATCHLIST':
+            (async () => {
+                try {
+                    await watchlistManager.deleteList(msg.payload?.id);
+                    await scheduleWatchlistRefresh();
+                    sendResponse({ ok: true, data: await watchlistManager.describe() });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'REFRESH_WATCHLISTS':
+            (async () => {
+                try {
+                    const result = await watchlistManager.refresh({ force: true });
+                    sendResponse({ ok: true, data: { result, ...(await watchlistManager.describe()) } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'CREATE_TASK':
+            (async () => {
+                try { const data = await createMonitoringTask(msg.payload || {}); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'TRANSLATE_RULE':
+            (async () => {
+                try { const data = await translateAlertRule(msg.payload || {}); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_TASKS':
+            (async () => {
+                try { const data = await taskMonitor.listTasks(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SET_TASK_STATUS':
+            (async () => {
+                try {
+                    const data = await taskMonitor.setStatus(msg.payload?.id, msg.payload?.status);
+                    await scheduleTaskMonitoring();
+                    sendResponse({ ok: true, data });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'DELETE_TASK':
+            (async () => {
+                try {
+                    await storageManager.deleteTask(msg.payload?.id);
+                    await scheduleTaskMonitoring();
+                    sendResponse({ ok: true, data: await taskMonitor.listTasks() });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'CHECK_TASKS':
+            (async () => {
+                try {
+                    const result = await runTaskChecks({ force: true, ids: msg.payload?.ids || null });
+                    sendResponse({ ok: true, data: { ...result, tasks: await taskMonitor.listTasks() } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'CREATE_NEWS_MONITOR':
+            (async () => {
+                try {
+                    const data = await newsMonitor.create(msg.payload || {});
+                    await scheduleNewsMonitoring();
+                    sendResponse({ ok: true, data });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'GET_NEWS_MONITORS':
+            (async () => {
+                try { const data = await newsMonitor.list(); sendResponse({ ok: true, data }); }
+                catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'SET_NEWS_MONITOR_STATUS':
+            (async () => {
+                try {
+                    const data = await newsMonitor.setStatus(msg.payload?.id, msg.payload?.status);
+                    await scheduleNewsMonitoring();
+                    sendResponse({ ok: true, data });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'DELETE_NEWS_MONITOR':
+            (async () => {
+                try {
+                    await newsMonitor.remove(msg.payload?.id);
+                    await scheduleNewsMonitoring();
+                    sendResponse({ ok: true, data: await newsMonitor.list() });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
+        case 'CHECK_NEWS_MONITORS':
+            (async () => {
+                try {
+                    const result = await runNewsMonitors({ force: true, ids: msg.payload?.ids || null });
+                    sendResponse({ ok: true, data: { ...result, monitors: await newsMonitor.list() } });
+                } catch (e) { sendResponse({ ok: false, error: String(e.message||e) }); }
+            })();
+            return true;
         case 'RUN_RESEARCH':
             (async () => {
                 try { const data = await runResearchAgent(msg.payload?.query || ''); sendResponse({ ok: true, data }); }
@@ -391,19 +846,85 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     }
 });
 
-async function backtestSymbol({ symbol, operator, threshold, lookbackDays = 120 }) {
-    if (!symbol) throw new Error('Symbol required');
-    const series = await fetchHistoricalSeries(symbol, lookbackDays);
-    if (!series?.length) throw new Error('No historical data');
+// Natural-language task -> stored monitoring task (LLM understanding plus the local condition parser).
+// Text already written in the rule language skips the LLM.
+async function createMonitoringTask({ text = '', notificationChannels = ['browser'], intervalMinutes = null } = {}) {
+    let understanding = null;
+    if (!(taskMonitor.rules.looksLikeRule(text) && taskMonitor.rules.tryParse(text).ast)) {
+        const llm = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
+        await llm.initialize();
+        understanding = await llm.processTaskInput(text);
+    }
+    const task = await taskMonitor.buildTask(text, understanding, {
+        notificationChannels,
+        intervalMinutes: intervalMinutes || understanding?.intervalMinutes || null
+    });
+    await storageManager.saveTask(task);
+    await scheduleTaskMonitoring();
+    await persistLogs(text, task.symbols[0]?.symbol || null, [{ step: 'task_created', tool: 'TaskMonitor', understanding, output: task }]);
+    return task;
+}
 
-    const closes = series.map(p => p.close);
-    const isUp = /^(>|over|above|greater)$/i.test(operator);
-    const isDown = /^(<|under|below|less)$/i.test(operator);
-    const meets = p => (isUp ? p > threshold : isDown ? p < threshold : false);
+// Plain words -> one line of the rule language, checked by the parser before it is returned. Text
+// that is already a rule is only validated and normalised.
+async function translateAlertRule({ text = '' } = {}) {
+    const input = String(text || '').trim();
+    if (!input) throw new Error('Describe the condition, e.g. "TCS crosses above its 50 DMA with RSI under 40"');
+    const rules = taskMonitor.rules;
+    if (rules.looksLikeRule(input)) {
+        const ast = rules.parse(input);
+        return { rule: rules.format(ast), symbol: ast.symbol, lookback: rules.lookback(ast), translated: false };
+    }
+    const llm = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
+    await llm.initialize();
+    const result = await llm.translateToRule(input);
+    if (!result?.rule) throw new Error('Could not express that as a rule; try naming an indicator, e.g. "RSI below 30" or "crosses above the 200 DMA"');
+    const ast = rules.parse(result.rule);
+    // Keep the instrument the user named when the translation left it out
+    if (!ast.symbol) {
+        const named = await taskMonitor.extractInstruments(input, result);
+        if (named.length === 1) ast.symbol = named[0].symbol;
+    }
+    return { rule: rules.format(ast), symbol: ast.symbol, lookback: rules.lookback(ast), explanation: result.explanation || null, translated: true, fallback: !!result.fallback };
+}
+
+// Signal study for one alert rule (alert-rules.js), or for the original operator + threshold price
+// check, which is read as the rule "close > threshold" / "close < threshold". A signal is a session
+// where the rule turns true; precision is how often the close then moved the expected way (up unless
+// direction is 'down') over the next five sessions.
+async function backtestSymbol({ symbol = null, rule = null, operator, threshold, direction = null, lookbackDays = 120, from = null, to = null }) {
+    let ast;
+    if (rule) {
+        ast = typeof rule === 'object' ? rule : strategyBacktester.parseRule(rule);
+    } else {
+        const isUp = /^(>|over|above|greater)$/i.test(operator);
+        const isDown = /^(<|under|below|less)$/i.test(operator);
+        const value = parseFloat(threshold);
+        if (!(isUp || isDown) || !Number.isFinite(value)) throw new Error('Rule required, e.g. "close crosses_above sma(50)" (or an operator and threshold)');
+        ast = strategyBacktester.parseRule(`close ${isUp ? '>' : '<'} ${value}`);
+        direction = direction || (isUp ? 'up' : 'down');
+    }
+    symbol = symbol || ast.symbol;
+    if (!symbol) throw new Error('Symbol required');
+    const instrument = (await symbolResolver.resolve(symbol)).best;
+    if (!instrument) throw new Error(`Unknown symbol: ${symbol}`);
+    // Extra sessions ahead of the study window let indicators settle before the first counted session
+    const warmup = from ? 0 : strategyBacktester.rules.lookback(ast);
+    const { bars: history, actions } = await fetchHistoricalSeries(instrument, lookbackDays + warmup, { from, to, withMeta: true });
+    if (!history?.length) throw new Error('No historical data');
+
+    // Adjusted bars keep splits, bonuses and dividends from showing up as price gaps or crossovers
+    const adjusted = technicalIndicators.adjusted(history);
+    const fired = strategyBacktester.evaluate(ast, adjusted, new Map());
+    // lookbackDays counts sessions, as in getBars
+    const first = warmup ? Math.max(0, history.length - lookbackDays) : 0;
+    const series = history.slice(first);
+    const closes = adjusted.slice(first).map(b => b.close);
+    const isUp = direction !== 'down';
 
     const signals = [];
-    for (let i = 1; i < closes.length; i++) {
-        if (!meets(closes[i - 1]) && meets(closes[i])) signals.push(i);
+    for (let i = first ? 0 : 1; i < series.length; i++) {
+        if (!fired[first + i - 1] && fired[first + i]) signals.push(i);
     }
 
     let wins = 0, totalMove = 0;
@@ -420,69 +941,243 @@ async function backtestSymbol({ symbol, operator, threshold, lookbackDays = 120
     const variance = rets.reduce((a, r) => a + (r - mean) * (r - mean), 0) / (rets.length || 1);
     const vol = Math.sqrt(variance) * Math.sqrt(252);
 
+    let benchmarkBars = null;
+    const benchmark = (typeof CONFIG !== 'undefined' && CONFIG.MARKET?.benchmark) || 'NIFTY 50';
+    if (instrument.symbol !== benchmark) {
+        try { benchmarkBars = await fetchHistoricalSeries(benchmark, lookbackDays, { from, to }); } catch { /* risk without beta */ }
+    }
+    const risk = riskAnalytics.summary(riskAnalytics.analyze(series, { benchmarkBars, benchmark }));
+
     return {
         stats: {
-            symbol,
+            symbol: instrument.symbol,
+            instrument: symbolResolver.describe(instrument),
+            rule: strategyBacktester.describeRule(ast),
+            direction: isUp ? 'up' : 'down',
             lookbackDays,
+            from: series[0].date,
+            to: series[series.length - 1].date,
             signals: signals.length,
             precisionPct: +(signals.length ? (wins / signals.length) * 100 : 0).toFixed(1),
             avg5dMove: +(signals.length ? totalMove / signals.length : 0).toFixed(2),
-            volatility: +vol.toFixed(2)
+            volatility: +vol.toFixed(2),
+            corporateActions: actions.length
         },
         series: {
             dates: series.map(s => s.date),
-            closes
+            closes,
+            rawCloses: series.map(s => s.close)
         },
+        risk,
+        actions,
         signals
     };
 }
 
-async function fetchHistoricalSeries(symbol, lookbackDays = 120) {
-    try {
-        const { agentic_settings } = await chrome.storage.local.get(['agentic_settings']);
-        const avKey = (typeof CONFIG !== 'undefined' && CONFIG.USE_HARDCODED_CONFIG && CONFIG.STOCK?.alphaVantageKey)
-            ? CONFIG.STOCK.alphaVantageKey
-            : agentic_settings?.alphaVantageKey;
-        if (avKey) {
-            const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${encodeURIComponent(symbol)}&outputsize=compact&apikey=${avKey}`;
-            const r = await fetch(url);
-            const j = await r.json();
-            const ts = j['Time Series (Daily)'];
-            if (ts) {
-                const arr = Object.entries(ts).map(([d, v]) => ({ date: d, close: +v['4. close'] }));
-                arr.sort((a, b) => new Date(a.date) - new Date(b.date));
-                return arr.slice(-lookbackDays);
-            }
+// Risk profile for one or more symbols against NIFTY 50 or another index, plus their pairwise
+// return correlations when there are several
+async function runRiskAnalysis({ symbols = [], benchmark = null, lookbackDays = 250, from = null, to = null } = {}) {
+    const list = (Array.isArray(symbols) ? symbols : [symbols]).filter(Boolean);
+    if (!list.length) throw new Error('At least one symbol required');
+    const benchmarkInstrument = (await symbolResolver.resolve(benchmark || (typeof CONFIG !== 'undefined' && CONFIG.MARKET?.benchmark) || 'NIFTY 50')).best;
+    if (!benchmarkInstrument) throw new Error(`Unknown benchmark: ${benchmark}`);
+    const benchmarkBars = await fetchHistoricalSeries(benchmarkInstrument, lookbackDays, { from, to });
+    const bySymbol = {};
+    const results = [];
+    for (const symbol of list) {
+        try {
+            const instrument = (await symbolResolver.resolve(symbol)).best;
+            if (!instrument) throw new Error(`Unknown symbol: ${symbol}`);
+            const bars = await fetchHistoricalSeries(instrument, lookbackDays, { from, to });
+            bySymbol[instrument.symbol] = bars;
+            const risk = riskAnalytics.analyze(bars, { benchmarkBars, benchmark: benchmarkInstrument.symbol });
+            results.push({ symbol: instrument.symbol, instrument: symbolResolver.describe(instrument), risk, note: riskAnalytics.describe(risk, instrument.shortName) });
+        } catch (e) {
+            results.push({ symbol, error: String(e.message||e) });
         }
+    }
+    return {
+        benchmark: benchmarkInstrument.symbol,
+        results,
+        correlation: Object.keys(bySymbol).length > 1 ? riskAnalytics.correlationMatrix(bySymbol) : null
+    };
+}
+
+// Strategy backtest over daily bars: indicator entry/exit rules, sizing, Indian delivery costs,
+// stop-loss and take-profit (see backtester.js). The run is saved to the agent logs like research runs.
+async function runBacktest({ symbol, entry, exit = null, stopLossPct = null, takeProfitPct = null, maxHoldingDays = null, capital, sizing, costs, riskFreePct, lookbackDays = 500, from = null, to = null } = {}) {
+    if (!symbol) throw new Error('Symbol required');
+    if (!entry) throw new Error('Entry rule required');
+    const logs = [];
+    const instrument = (await symbolResolver.resolve(symbol)).best;
+    if (!instrument) throw new Error(`Unknown symbol: ${symbol}`);
+    const { bars, actions, provider } = await fetchHistoricalSeries(instrument, lookbackDays, { from, to, withMeta: true });
+    if (!bars?.length) throw new Error('No historical data');
+    logs.push({ step: 'history', tool: 'fetchHistoricalSeries', provider, sessions: bars.length, from: bars[0].date, to: bars[bars.length - 1].date, corporateActions: actions });
+
+    const strategy = { entry, exit, stopLossPct, takeProfitPct, maxHoldingDays, capital, sizing, costs, riskFreePct };
+    for (const key of Object.keys(strategy)) if (strategy[key] === null || strategy[key] === undefined) delete strategy[key];
+    const result = strategyBacktester.run(bars, strategy);
+    const title = `Backtest ${instrument.symbol}: enter ${strategyBacktester.describeRule(result.strategy.entry)}${result.strategy.exit ? `, exit ${strategyBacktester.describeRule(result.strategy.exit)}` : ''}`;
+    logs.push({ step: 'backtest', tool: 'StrategyBacktester', strategy: result.strategy, stats: result.stats, trades: result.trades });
+
+    await persistLogs(title, instrument.id, logs);
+    return {
+        title,
+        instrument: symbolResolver.describe(instrument),
+        ...result,
+        series: {
+            dates: bars.map(b => b.date),
+            closes: bars.map(b => b.adjClose ?? b.close)
+        },
+        actions,
+        logs
+    };
+}
+
+// Accepts a resolved instrument or any symbol/name the resolver understands.
+// Walks the provider registry's 'daily' chain, or 'intraday' for interval '1min' | '5min' | '15min' | '60min'.
+// from/to ('YYYY-MM-DD') select a date range instead of the last lookbackDays sessions.
+// Bars are OHLCV as traded plus adjClose, oldest first; pass { withMeta: true } for the provider
+// that answered and the corporate actions (splits, bonuses, dividends) inside the range.
+async function fetchHistoricalSeries(symbol, lookbackDays = 120, { withMeta = false, interval = '1day', from = null, to = null } = {}) {
+    const instrument = typeof symbol === 'string' ? ((await symbolResolver.resolve(symbol)).best || symbol) : symbol;
+    const res = await stockDataClient.getBars(instrument, { interval, lookbackDays, from, to });
+    return withMeta ? res : res.bars;
+}
+
+// Percent change in adjusted closes over the last n sessions, or null when the series is too short
+function seriesChangePct(bars, n) {
+    if (!bars || bars.length <= n) return null;
+    const close = b => b.adjClose ?? b.close;
+    const ref = close(bars[bars.length - 1 - n]);
+    return ref ? +(((close(bars[bars.length - 1]) - ref) / ref) * 100).toFixed(1) : null;
+}
+
+// One or two plain sentences from FundamentalsClient.brief() for the fallback summary
+function describeFundamentals(f) {
+    if (!f) return '';
+    const parts = [];
+    const valuation = [
+        f.marketCap ? `market cap ${f.marketCap}` : '',
+        f.peRatio !== null ? `P/E ${f.peRatio}` : '',
+        f.pbRatio !== null ? `P/B ${f.pbRatio}` : '',
+        f.dividendYieldPct !== null ? `dividend yield ${f.dividendYieldPct}%` : ''
+    ].filter(Boolean);
+    if (valuation.length) parts.push(`Valuation: ${valuation.join(', ')}.`);
+    const e = f.lastEarnings;
+    if (e && e.actualEps !== null && e.estimateEps !== null) {
+        const verdict = e.actualEps > e.estimateEps ? 'beat' : e.actualEps < e.estimateEps ? 'missed' : 'matched';
+        parts.push(`Latest reported EPS (${e.period}) was ${e.actualEps} against ${e.estimateEps} expected, so earnings ${verdict} estimates${e.surprisePct !== null && verdict !== 'matched' ? ` by ${Math.abs(e.surprisePct)} percent` : ''}.`);
+    }
+    const q = f.latestQuarter;
+    if (q && q.revenueYoYPct !== null) parts.push(`Quarterly revenue (${q.period}) changed ${q.revenueYoYPct} percent from a year earlier.`);
+    return parts.join(' ');
+}
+
+const FUND_QUERY_RE = /\b(mutual funds?|mf|funds?|nav|sip|elss)\b/i;
+
+// Mutual fund research: find the scheme in the AMFI list, compute 1M/1Y/3Y/5Y returns from NAV
+// history and return the same shape as runResearchAgent. Returns null when no scheme matches,
+// so the caller can fall back to the equity flow.
+async function runFundResearch(query, { llm, logs }) {
+    const words = query
+        .replace(/\b(research|latest|news|returns?|performance|cagr|nav|sip|how|is|are|doing|show|me|give|of|for|about|the|in|india|today|mutual funds?|mf)\b/gi, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    let matches = [];
+    try {
+        matches = await mutualFundClient.searchSchemes(words, { limit: 5 });
     } catch (e) {
-        console.warn('Alpha Vantage historical fetch failed, falling back:', e);
-    }
-
-    // Yahoo Finance fallback (approx last 6 months daily)
-    const y = await fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=6mo`);
-    const jj = await y.json();
-    const r0 = jj?.chart?.result?.[0];
-    const t = r0?.timestamp || [];
-    const c = r0?.indicators?.quote?.[0]?.close || [];
-    const data = t.map((unix, i) => ({
-        date: new Date(unix * 1000).toISOString().slice(0, 10),
-        close: +c[i]
-    })).filter(p => Number.isFinite(p.close));
-    return data.slice(-lookbackDays);
+        logs.push({ step: 'fund_search_error', error: String(e.message||e) });
+        return null;
+    }
+    logs.push({ step: 'fund_search', tool: 'MutualFundClient', input: words, output: matches.map(m => ({ schemeCode: m.schemeCode, name: m.name, score: m.score })) });
+    if (!matches.length) return null;
+
+    const scheme = matches[0];
+    const instrument = mutualFundClient.toInstrument(scheme);
+    const baseName = n => n.replace(/\s*-\s*(direct|regular).*$/i, '').trim().toLowerCase();
+    const ambiguous = matches.some(m => baseName(m.name) !== baseName(scheme.name));
+    const candidates = matches.slice(1, 4).map(m => ({ id: `AMFI:${m.schemeCode}`, name: m.name, score: m.score }));
+
+    let history = null;
+    let returns = null;
+    try {
+        history = await mutualFundClient.getNavHistory(scheme.schemeCode);
+        returns = mutualFundClient.returns(history.navs);
+    } catch (e) { logs.push({ step: 'nav_history_error', error: String(e.message||e) }); }
+    logs.push({ step: 'nav_history', tool: 'MutualFundClient', schemeCode: scheme.schemeCode, points: history?.navs?.length || 0, output: returns });
+
+    let articles = [];
+    try { articles = await newsDataClient.searchForStockNews(`${scheme.amc || instrument.shortName} mutual fund`); } catch(e) { logs.push({ step: 'news_error', error: String(e.message||e) }); }
+    const clusters = newsClusterer.cluster(articles);
+    const artBrief = newsClusterer.brief(clusters);
+    logs.push({ step: 'news', tool: 'NewsDataClient', articles: articles.length, stories: clusters.length, output: artBrief });
+    const sentiment = clusters.length ? headlineSentiment.aggregate(clusters.map(c => c.representative)) : null;
+    const sentimentNote = headlineSentiment.describe(sentiment);
+    if (sentiment) logs.push({ step: 'sentiment', tool: 'HeadlineSentiment', output: { overall: sentiment.overall, byDay: sentiment.byDay, mostPositive: sentiment.mostPositive, mostNegative: sentiment.mostNegative } });
+
+    const fund = {
+        schemeCode: scheme.schemeCode,
+        name: scheme.name,
+        amc: scheme.amc,
+        category: history?.category || scheme.category,
+        nav: returns?.nav ?? scheme.nav,
+        navDate: returns?.asOf ?? scheme.navDate,
+        returns
+    };
+    const pct = v => (v === null || v === undefined ? 'N/A' : `${v}%`);
+    const synthPrompt = `Synthesize a concise mutual fund research note. Query: ${query}\nScheme: ${fund.name} (AMFI ${fund.schemeCode}), ${fund.amc || ''}, category ${fund.category || 'N/A'}\nNAV: ${fund.nav} as of ${fund.navDate}\nReturns: 1M ${pct(returns?.['1M'])}, 1Y ${pct(returns?.['1Y'])}, 3Y CAGR ${pct(returns?.['3Y'])}, 5Y CAGR ${pct(returns?.['5Y'])}\nRecent articles: ${JSON.stringify(artBrief)}\nHeadline sentiment (lexicon): ${sentimentNote || 'N/A'}\nFocus on: performance across horizons, category context, and near-term risk. Keep under 120 words.`;
+    const synth = await llm.makeLLMCall(synthPrompt, 'data_interpretation');
+    logs.push({ step: 'synthesize', promptType: 'data_interpretation', prompt: synthPrompt, result: synth });
+
+    let summaryText = (synth && (synth.text || synth.summary || synth.result || '')) || '';
+    if (!summaryText) {
+        if (returns) {
+            const longRun = [['3Y', '3 year'], ['5Y', '5 year']].filter(([k]) => returns[k] !== null).map(([k, label]) => `${label} CAGR is ${returns[k]} percent`);
+            summaryText = `${fund.name} from ${fund.amc || 'its AMC'} has a NAV of ${fund.nav} as of ${fund.navDate}. Over the past month it returned ${pct(returns['1M'])} and over one year ${pct(returns['1Y'])}.${longRun.length ? ' Its ' + longRun.join(' and its ') + '.' : ' It does not yet have three years of history.'} Compare these figures with the category average before acting, since past returns do not guarantee future performance.`;
+            logs.push({ step: 'fallback_summary', basis: 'nav_only', details: returns });
+        } else {
+            summaryText = `${fund.name} has a NAV of ${fund.nav ?? 'N/A'} as of ${fund.navDate || 'N/A'}, but NAV history is not available right now, so returns could not be computed. Please try again in a minute.`;
+            logs.push({ step: 'fallback_summary', basis: 'no_data' });
+        }
+        if (sentimentNote) summaryText += ' ' + sentimentNote;
+    }
+
+    await persistLogs(query, instrument.id, logs);
+    return {
+        summary: typeof summaryText === 'string' ? summaryText : JSON.stringify(summaryText),
+        articles: clusters.slice(0,6).map(c => c.representative),
+        clusters: clusters.slice(0,6),
+        sentiment,
+        instrument,
+        candidates: ambiguous ? candidates : [],
+        fund,
+        logs
+    };
 }
 
 // Research Agent: multi-step loop with logs
 async function runResearchAgent(query) {
     if (!query || typeof query !== 'string') throw new Error('Query required');
     const logs = [];
-    const llm = new LLMProcessor();
+    const llm = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
     await llm.initialize();
-    const stock = new StockDataClient();
-    const news = new NewsDataClient();
-
-    // Step 0: extract symbol keywords heuristically
-    const sym = (query.match(/\b[A-Z]{1,5}\b/) || [])[0];
-    logs.push({ step: 'extract', type: 'heuristic', input: query, output: { symbol: sym || null } });
+    const news = newsDataClient;
+
+    // Step 0: resolve the instrument (ticker, company name, nickname or index) from the query
+    const resolution = await symbolResolver.extract(query);
+    const instrument = resolution.best;
+    const sym = instrument ? instrument.symbol : null;
+    const candidates = resolution.candidates.slice(0, 3).map(c => ({ id: c.instrument.id, name: c.instrument.name, score: c.score }));
+    logs.push({ step: 'extract', type: 'symbol_resolver', input: query, output: { symbol: sym, instrument: symbolResolver.describe(instrument), matchedText: resolution.matchedText || null, ambiguous: resolution.ambiguous, candidates } });
+
+    // Mutual fund queries take their own path (AMFI NAVs instead of exchange prices)
+    if (FUND_QUERY_RE.test(query)) {
+        const fundResult = await runFundResearch(query, { llm, logs });
+        if (fundResult) return fundResult;
+    }
 
     // Special-case: simple calculator tasks
     if (/fibonacci/i.test(query) && /(exp|exponential)/i.test(query)) {
@@ -503,47 +1198,167 @@ async function runResearchAgent(query) {
 
     // Step 2: tools
     let articles = [];
-    if (sym) {
-        try { articles = await news.searchForStockNews(sym + ' India'); } catch(e) { logs.push({ step: 'news_error', error: String(e.message||e) }); }
+    if (instrument) {
+        try { articles = await news.searchForStockNews(instrument.shortName + ' India'); } catch(e) { logs.push({ step: 'news_error', error: String(e.message||e) }); }
     } else {
         const kw = (query.match(/[A-Za-z]{3,}/g) || []).slice(0,2).join(' ');
         const withCountry = (kw ? kw + ' ' : '') + 'India';
         try { articles = await news.getNews(withCountry || 'stocks India'); } catch(e) { logs.push({ step: 'news_error', error: String(e.message||e) }); }
     }
-    const artBrief = articles.slice(0,5).map(a => ({ title: a.title, source: a.source, publishedAt: a.publishedAt }));
-    logs.push({ step: 'news', tool: 'NewsDataClient', output: artBrief });
+    // Tag every article with the companies, tickers, sectors and people it names and drop the ones that
+    // are not about the instrument (acronym clashes, market wraps); the tags stay in the run log
+    const annotated = newsEntityTagger.annotate(articles, instrument);
+    const relevant = newsEntityTagger.filter(annotated);
+    articles = relevant.kept;
+    logs.push({ step: 'news_relevance', tool: 'NewsEntityTagger', target: instrument ? instrument.id : null, minRelevance: newsEntityTagger.minRelevance, kept: relevant.kept.map(a => newsEntityTagger.logEntry(a)), dropped: relevant.dropped.map(a => newsEntityTagger.logEntry(a)) });
+
+    // Syndicated copies of one story collapse into a cluster so the LLM sees each event once
+    const clusters = newsClusterer.cluster(articles);
+    const artBrief = newsClusterer.brief(clusters);
+    const newsProviders = {};
+    for (const a of articles) newsProviders[a.provider || 'unknown'] = (newsProviders[a.provider || 'unknown'] || 0) + 1;
+    logs.push({ step: 'news', tool: 'NewsDataClient', providers: newsProviders, articles: articles.length, stories: clusters.length, output: artBrief });
+    const merged = clusters.filter(c => c.articles.length > 1);
+    if (merged.length) logs.push({ step: 'news_clusters', tool: 'NewsClusterer', output: merged.map(c => ({ title: c.representative.title, sources: c.sources, urls: c.articles.map(a => a.url) })) });
+
+    // Lexicon sentiment per story (not per syndicated copy), by symbol and by IST day
+    const sentiment = clusters.length ? headlineSentiment.aggregate(clusters.map(c => c.representative), { symbol: sym }) : null;
+    const sentimentNote = headlineSentiment.describe(sentiment);
+    if (sentiment) logs.push({ step: 'sentiment', tool: 'HeadlineSentiment', output: { overall: sentiment.overall, bySymbol: sentiment.bySymbol, byDay: sentiment.byDay, mostPositive: sentiment.mostPositive, mostNegative: sentiment.mostNegative, scored: sentiment.scored } });
+
+    // Article bodies for the top stories, trimmed to share CONFIG.NEWS.extractTokenBudget
+    const excerpts = await articleExtractor.extractMany(clusters.map(c => c.representative));
+    if (excerpts.length) logs.push({ step: 'extract', tool: 'ArticleExtractor', tokenBudget: articleExtractor.tokenBudget, output: excerpts.map(({ excerpt, ...rest }) => ({ ...rest, excerptChars: excerpt ? excerpt.length : 0 })) });
+    const excerptBrief = excerpts.filter(x => x.excerpt).map(x => ({ title: x.title, source: x.source, words: x.wordCount, excerpt: x.excerpt }));
 
     let history = null;
-    if (sym) {
-        try { history = await fetchHistoricalSeries(sym, 30); } catch(e) { logs.push({ step: 'history_error', error: String(e.message||e) }); }
+    let historyMeta = null;
+    if (instrument) {
+        try {
+            // A year of sessions so the 52-week range and 200-day average are available
+            historyMeta = await fetchHistoricalSeries(instrument, 260, { withMeta: true });
+            history = historyMeta.bars;
+        } catch(e) { logs.push({ step: 'history_error', error: String(e.message||e), attempts: e.attempts || null }); }
+    }
+    const corporateActions = historyMeta?.actions || [];
+    logs.push({ step: 'history', tool: 'fetchHistoricalSeries', provider: historyMeta?.provider || null, attempts: historyMeta?.attempts || null, corporateActions, output: history ? history.slice(-5) : null });
+
+    const indicators = history && history.length ? technicalIndicators.snapshot(history) : null;
+    if (indicators) logs.push({ step: 'indicators', tool: 'TechnicalIndicators', output: indicators });
+
+    // Index series shared by the event study and the risk figures
+    const benchmarkSymbol = (typeof CONFIG !== 'undefined' && CONFIG.MARKET?.benchmark) || 'NIFTY 50';
+    let benchmarkBars = null;
+    if (history && history.length > 1 && instrument.symbol !== benchmarkSymbol) {
+        try { benchmarkBars = await fetchHistoricalSeries(benchmarkSymbol, 260); } catch(e) { logs.push({ step: 'benchmark_error', symbol: benchmarkSymbol, error: String(e.message||e) }); }
+    }
+
+    // Event study: which stories coincided with moves NIFTY does not explain
+    let eventStudy = null;
+    if (history && history.length > 1 && clusters.length) {
+        eventStudy = newsEventStudy.analyze({ bars: history, benchmarkBars, articles: clusters.map(c => c.representative), benchmark: benchmarkSymbol });
+        logs.push({ step: 'event_study', tool: 'NewsEventStudy', benchmark: eventStudy.benchmark, model: eventStudy.model, output: eventStudy.events, pending: eventStudy.pending, unplaced: eventStudy.unplaced });
+    }
+    const eventFacts = newsEventStudy.facts(eventStudy);
+
+    // Near-term risk comes from these figures rather than from the headlines
+    const risk = history ? riskAnalytics.summary(riskAnalytics.analyze(history, { benchmarkBars, benchmark: benchmarkSymbol })) : null;
+    if (risk) logs.push({ step: 'risk', tool: 'RiskAnalytics', output: risk });
+    const riskNote = riskAnalytics.describe(risk, instrument ? instrument.shortName : 'The asset');
+
+    // How much of the user's own portfolio the subject touches (directly, through an index or its sector)
+    let exposure = null;
+    if (instrument && !(await portfolioTracker.isEmpty())) {
+        try {
+            exposure = portfolioTracker.exposure(await portfolioTracker.value(), instrument);
+            if (exposure) logs.push({ step: 'portfolio_exposure', tool: 'PortfolioTracker', output: exposure });
+        } catch(e) { logs.push({ step: 'portfolio_error', error: String(e.message||e) }); }
+    }
+
+    let breadth = null;
+    if (instrument && instrument.type === 'index' && instrument.constituents?.length) {
+        try {
+            const { members, ...rest } = await marketBreadth.analyze(instrument);
+            breadth = rest;
+            logs.push({ step: 'breadth', tool: 'MarketBreadth', output: breadth, failed: members.filter(m => m.error || m.historyError).map(m => m.symbol) });
+        } catch(e) { logs.push({ step: 'breadth_error', error: String(e.message||e) }); }
+    }
+
+    // FX, commodity and rate figures only for sectors and topics that move with them
+    let reference = null;
+    const referenceKeys = referenceDataClient.relevantSeries(query, instrument);
+    if (referenceKeys.length) {
+        reference = await referenceDataClient.getMany(referenceKeys);
+        logs.push({ step: 'reference', tool: 'ReferenceDataClient', input: referenceKeys, output: reference });
+    }
+    const referenceLines = referenceDataClient.describe(reference);
+
+    let fundamentals = null;
+    if (instrument && instrument.type === 'equity') {
+        try {
+            const res = await fundamentalsClient.getFundamentals(instrument);
+            fundamentals = fundamentalsClient.brief(res);
+            logs.push({ step: 'fundamentals', tool: 'FundamentalsClient', provider: res.provider, attempts: res.attempts, output: fundamentals });
+        } catch(e) { logs.push({ step: 'fundamentals_error', error: String(e.message||e), attempts: e.attempts || null }); }
     }
-    logs.push({ step: 'history', tool: 'fetchHistoricalSeries', output: history ? history.slice(-5) : null });
 
     // Step 3: synthesize (LLM first, fallback to price-only summary)
-    const synthPrompt = `Synthesize a concise research note. Query: ${query}\nSymbol: ${sym || 'N/A'}\nRecent articles: ${JSON.stringify(artBrief)}\nLast 30 closes: ${history ? history.map(x=>x.close).slice(-10).join(', ') : 'N/A'}\nFocus on: recent catalysts, sentiment, and near-term risk. Keep under 120 words.`;
+    const synthPrompt = `Synthesize a concise research note. Query: ${query}\nSymbol: ${instrument ? `${instrument.name} (${instrument.id})` : 'N/A'}\nRecent stories (one per event, coveredBy lists the outlets that carried it): ${JSON.stringify(artBrief)}\nArticle excerpts: ${excerptBrief.length ? JSON.stringify(excerptBrief) : 'N/A'}\nHeadline sentiment (lexicon): ${sentimentNote || 'N/A'}\nNews vs price (session-aligned, abnormal vs index): ${eventFacts.length ? eventFacts.join('; ') : 'N/A'}\nLast 10 closes: ${history ? history.map(x=>x.close).slice(-10).join(', ') : 'N/A'}\nChange 1M/3M/6M % (adjusted): ${history ? [21, 63, 125].map(n => seriesChangePct(history, n) ?? 'N/A').join(' / ') : 'N/A'}\nTechnical indicators: ${indicators ? JSON.stringify({ rsi: indicators.rsi, macd: indicators.macd, sma: indicators.sma, bollinger: indicators.bollinger, atrPct: indicators.atrPct, week52: indicators.week52, signals: indicators.signals }) : 'N/A'}\nRisk metrics (base near-term risk on these): ${riskNote || 'N/A'}\nUser's portfolio exposure: ${exposure ? exposure.text : 'N/A'}\nCorporate actions (12M): ${corporateActions.length ? corporateActions.map(a => `${a.date} ${a.label}`).join('; ') : 'none'}\nFundamentals: ${fundamentals ? JSON.stringify(fundamentals) : 'N/A'}\nIndex breadth: ${breadth ? marketBreadth.describe(breadth) : 'N/A'}\nRelevant macro/market figures: ${referenceLines.length ? referenceLines.join('; ') : 'N/A'}\nFocus on: recent catalysts and the price moves they coincided with, valuation, earnings, sentiment, and near-term risk as measured by the risk metrics above (not inferred from headlines). If the user holds affected stocks, say what share of their portfolio this affects. Keep under 120 words.`;
     const synth = await llm.makeLLMCall(synthPrompt, 'data_interpretation');
     logs.push({ step: 'synthesize', promptType: 'data_interpretation', prompt: synthPrompt, result: synth });
 
+    // Record which budgets were exhausted so fallbacks (RSS news, price-only notes) can be explained
+    const exhausted = (await quotaManager.status()).filter(q => !q.allowed).map(q => ({ provider: q.provider, reason: q.reason }));
+    if (exhausted.length) logs.push({ step: 'quota', exhausted });
+
     // Build fallback summary if LLM text is missing or news empty
     let summaryText = (synth && (synth.text || synth.summary || synth.result || '')) || '';
     if (!summaryText) {
         let fallback = '';
         if (history && history.length) {
-            const closes = history.map(x => x.close);
+            const recent = history.slice(-30);
+            const closes = recent.map(x => x.adjClose ?? x.close);
             const last = closes[closes.length - 1];
             const refIdx = Math.max(0, closes.length - 10);
             const ref = closes[refIdx];
             const changePct = ref ? ((last - ref) / ref) * 100 : 0;
-            const min30 = Math.min(...closes);
-            const max30 = Math.max(...closes);
             const trend = changePct > 2 ? 'uptrend' : changePct < -2 ? 'downtrend' : 'range-bound';
-            const name = sym || 'the asset';
-            fallback = `I could not find recent articles, so I prepared a price-only snapshot. Over roughly the past month, ${name} is ${trend}. The latest close is ${last.toFixed(2)}. From 10 sessions ago the move is ${changePct.toFixed(1)} percent. The recent range spans ${min30.toFixed(2)} to ${max30.toFixed(2)}. Without fresh news, near term risk depends on whether price holds this range; watch for a break and follow through before acting.`;
-            logs.push({ step: 'fallback_summary', basis: 'price_only', details: { last, changePct: +changePct.toFixed(2), min30, max30, trend } });
+            const name = instrument ? instrument.shortName : 'the asset';
+            const recentActions = corporateActions.filter(a => a.date >= recent[0].date);
+            const actionNote = recentActions.length ? ` Prices are adjusted for ${recentActions.map(a => `${a.label} on ${a.date}`).join(', ')}.` : '';
+            const indicatorNote = technicalIndicators.describe(indicators, name);
+            const lead = clusters.length ? 'The language model is unavailable, so this snapshot is built from prices and headlines.' : 'I could not find recent articles, so I prepared a price-only snapshot.';
+            fallback = `${lead} Over roughly the past month, ${name} is ${trend}. The latest close is ${last.toFixed(2)}. From 10 sessions ago the move is ${changePct.toFixed(1)} percent.${indicatorNote ? ' ' + indicatorNote : ''}${actionNote}${riskNote ? ' ' + riskNote : ` ${clusters.length ? 'Near' : 'Without fresh news, near'} term risk depends on whether price holds its averages and recent range; watch for a break and follow through before acting.`}`;
+            logs.push({ step: 'fallback_summary', basis: 'price_only', details: { last, changePct: +changePct.toFixed(2), trend, rsi: indicators?.rsi ?? null, signals: indicators?.signals || [], corporateActions: recentActions.length } });
         } else {
             fallback = 'I could not access recent news or reliable price history at this moment. Please try again in a minute or adjust the query.';
             logs.push({ step: 'fallback_summary', basis: 'no_data' });
         }
+        if (breadth) {
+            fallback += ' ' + marketBreadth.describe(breadth);
+            logs.push({ step: 'fallback_breadth', details: { advancers: breadth.advancers, decliners: breadth.decliners } });
+        }
+        if (referenceLines.length) {
+            fallback += ` Relevant reference figures: ${referenceLines.join('; ')}.`;
+        }
+        const valuationNote = describeFundamentals(fundamentals);
+        if (valuationNote) {
+            fallback += ' ' + valuationNote;
+            logs.push({ step: 'fallback_fundamentals', details: fundamentals });
+        }
+        const eventNote = newsEventStudy.describe(eventStudy);
+        if (eventNote) {
+            fallback += ' ' + eventNote;
+            logs.push({ step: 'fallback_event_study', details: { events: eventStudy.events.length, significant: eventStudy.significant.length } });
+        }
+        if (sentimentNote) {
+            fallback += ' ' + sentimentNote;
+            logs.push({ step: 'fallback_sentiment', details: sentiment.overall });
+        }
+        if (exposure?.affectedPct) {
+            fallback += ' ' + exposure.text;
+            logs.push({ step: 'fallback_exposure', details: { affectedPct: exposure.affectedPct } });
+        }
         summaryText = fallback;
     }
 
@@ -551,7 +1366,23 @@ async function runResearchAgent(query) {
     await persistLogs(query, sym, logs);
 
     const text = summaryText;
-    return { summary: typeof text === 'string' ? text : JSON.stringify(text), articles: articles.slice(0,6), logs };
+    return {
+        summary: typeof text === 'string' ? text : JSON.stringify(text),
+        articles: clusters.slice(0,6).map(c => c.representative),
+        clusters: clusters.slice(0,6),
+        sentiment,
+        eventStudy,
+        indicators,
+        risk,
+        exposure,
+        instrument: symbolResolver.describe(instrument),
+        candidates: resolution.ambiguous ? candidates : [],
+        corporateActions,
+        fundamentals,
+        breadth,
+        reference,
+        logs
+    };
 }
 
 // OTT Agent: fetch top OTT series this week using TVMaze (no API key) with news fallback
@@ -605,7 +1436,7 @@ async function runOTTAgent({ send = false, channel = 'telegram' } = {}) {
 
     // Fallback: News heuristic if TVMaze yields nothing
     if (!top.length) {
-        const news = new NewsDataClient();
+        const news = newsDataClient;
         const queries = [
             'top ott series india this week',
             'best netflix india series this week',
@@ -707,7 +1538,7 @@ async function persistLogs(query, symbol, logs) {
 async function runQAAgent(question) {
     if (!question || typeof question !== 'string') throw new Error('Question required');
     const logs = [];
-    const llm = new LLMProcessor();
+    const llm = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
     await llm.initialize();
 
     const instruct = 'Answer plainly in short sentences. Include the main idea and every step. Do not use bullets or markdown characters. Avoid symbols like *, #, -, >, _, ~, backticks, or pipes.';
@@ -748,7 +1579,7 @@ async function runAgenticBatch({ calcK = 6, ottSend = true, researchQuery = 'Ola
             return payload;
         }
     } catch (_) {}
-    const llm = new LLMProcessor();
+    const llm = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
     await llm.initialize();
 
     // Helper to append full context prompt each turn
@@ -814,7 +1645,7 @@ async function runAgenticBatch({ calcK = 6, ottSend = true, researchQuery = 'Ola
         if (tool === 'research' && !researchResult) {
             const q = args.query || researchQuery;
             const data = await runResearchAgent(q);
-            researchResult = { summary: data.summary, articles: data.articles };
+            researchResult = { summary: data.summary, articles: data.articles, portfolioExposure: data.exposure ? data.exposure.text : null };
             transcript.push({ role: 'tool', content: JSON.stringify({ name: 'research', args: { query: q }, result: researchResult }) });
             continue;
         }
@@ -826,9 +1657,9 @@ async function runAgenticBatch({ calcK = 6, ottSend = true, researchQuery = 'Ola
 
     // Final consolidation via LLM with full transcript
     const finalHistory = transcript.map(t => `${t.role.toUpperCase()}: ${t.content}`).join('\n---\n');
-    const llm2 = new LLMProcessor();
+    const llm2 = new LLMProcessor({ cache: marketCache, quota: quotaManager, sentiment: headlineSentiment });
     await llm2.initialize();
-    const finalPrompt = `Summarize results clearly in short sentences with no bullets.\n\nTranscript:\n${finalHistory}\n\nReport:\n1) Calc result.\n2) OTT top shows in India and whether sent.\n3) Research summary linking news to last month price. Keep under 150 words total.`;
+    const finalPrompt = `Summarize results clearly in short sentences with no bullets.\n\nTranscript:\n${finalHistory}\n\nReport:\n1) Calc result.\n2) OTT top shows in India and whether sent.\n3) Research summary linking news to last month price, and the share of the user's portfolio it affects when portfolioExposure is given. Keep under 150 words total.`;
     const finalRes = await llm2.makeLLMCall(finalPrompt, 'data_interpretation');
     const finalText = (finalRes && (finalRes.text || finalRes.summary || finalRes.result)) || 'Completed tasks using tool results.';
 
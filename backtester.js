@@ -0,0 +1,345 @@
+// Long-only daily strategy backtester for NSE/BSE cash equities. Rules are evaluated on the close
+// and filled at the next session's open (with slippage), so a signal never trades on the bar that
+// produced it. Stops and targets are checked against each later bar's low/high; when a bar could
+// hit both, the stop is assumed first. Costs follow the delivery charge schedule in CONFIG.BACKTEST.
+//
+// Rules are text in the alert rule language (alert-rules.js), parsed to its AST, or condition triples
+// [left, op, right] combined with { all: [...] } / { any: [...] } (a bare array means all). Operands are
+// numbers or series: close, open, high, low, volume, sma(n), ema(n), rsi(n), macd, macd_signal,
+// macd_hist, bb_upper(n,k), bb_middle(n), bb_lower(n,k), atr(n), volume_ratio(n), highest(n), lowest(n)
+// (prior n bars, for breakouts) and change_pct(n). Operators: > >= < <= crosses_above crosses_below.
+const BACKTEST_DEFAULTS = {
+    capital: 100000,
+    sizing: { mode: 'percent_equity', value: 100 },
+    costs: {
+        brokeragePct: 0.03, brokerageCap: 20, // per order, discount-broker style
+        sttPct: 0.1, // securities transaction tax, delivery, both sides
+        exchangePct: 0.00297, // NSE transaction charge
+        sebiPct: 0.0001, // ₹10 per crore
+        stampDutyPct: 0.015, // buy side only
+        gstPct: 18, // on brokerage + exchange + SEBI charges
+        slippagePct: 0.05
+    },
+    riskFreePct: 0
+};
+
+class StrategyBacktester {
+    constructor(options = {}) {
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.BACKTEST) || {};
+        this.indicators = options.indicators || new TechnicalIndicators();
+        this.rules = options.rules || new AlertRuleLanguage();
+        this.defaults = {
+            ...BACKTEST_DEFAULTS,
+            ...cfg,
+            sizing: { ...BACKTEST_DEFAULTS.sizing, ...(cfg.sizing || {}) },
+            costs: { ...BACKTEST_DEFAULTS.costs, ...(cfg.costs || {}) }
+        };
+    }
+
+    // 'sma(50)' -> { name: 'sma', args: [50] }; numbers pass through
+    parseOperand(operand) {
+        if (typeof operand === 'number') return { value: operand };
+        if (operand && typeof operand === 'object' && operand.name) return { name: String(operand.name).toLowerCase(), args: operand.args || [] };
+        const text = String(operand ?? '').trim().toLowerCase();
+        if (text !== '' && !Number.isNaN(Number(text))) return { value: Number(text) };
+        const m = /^([a-z_]+)\s*(?:\(\s*([\d.\s,]*)\))?$/.exec(text);
+        if (!m) throw new Error(`Unrecognised operand: ${operand}`);
+        return { name: m[1], args: m[2] ? m[2].split(',').map(s => Number(s.trim())).filter(n => !Number.isNaN(n)) : [] };
+    }
+
+    // Text form used by the sidebar and alerts: "sma(20) crosses_above sma(50) and rsi(14) < 70"
+    parseRule(text) {
+        const source = String(text || '').trim();
+        if (!source) return null;
+        return this.rules.parse(source);
+    }
+
+    // Series aligned with bars for one operand, memoised per run
+    series(operand, bars, memo) {
+        const spec = this.parseOperand(operand);
+        if ('value' in spec) return bars.map(() => spec.value);
+        const key = `${spec.name}(${spec.args.join(',')})`;
+        if (memo.has(key)) return memo.get(key);
+        const ti = this.indicators;
+        const p = ti.periods;
+        const [a, b] = spec.args;
+        const closes = bars.map(x => x.close);
+        let out;
+        switch (spec.name) {
+            case 'close': case 'open': case 'high': case 'low': case 'volume':
+                out = bars.map(x => x[spec.name] ?? x.close); break;
+            case 'sma': out = ti.sma(closes, a || p.smaFast); break;
+            case 'ema': out = ti.ema(closes, a || p.ema); break;
+            case 'rsi': out = ti.rsi(closes, a || p.rsi); break;
+            case 'macd': out = ti.macd(closes, a, b).macd; break;
+            case 'macd_signal': out = ti.macd(closes, a, b).signal; break;
+            case 'macd_hist': out = ti.macd(closes, a, b).histogram; break;
+            case 'bb_upper': out = ti.bollinger(closes, a || p.bollinger, b || p.bollingerWidth).upper; break;
+            case 'bb_middle': out = ti.bollinger(closes, a || p.bollinger).middle; break;
+            case 'bb_lower': out = ti.bollinger(closes, a || p.bollinger, b || p.bollingerWidth).lower; break;
+            case 'atr': out = ti.atr(bars, a || p.atr); break;
+            case 'volume_ratio': out = ti.volumeRatio(bars, a || p.volumeAvg); break;
+            case 'highest': case 'lowest': {
+                const n = a || 20;
+                const field = spec.name === 'highest' ? 'high' : 'low';
+                const pick = spec.name === 'highest' ? Math.max : Math.min;
+                out = bars.map((_, i) => (i < n ? null : pick(...bars.slice(i - n, i).map(x => x[field] ?? x.close))));
+                break;
+            }
+            case 'change_pct': {
+                const n = a || 1;
+                out = closes.map((c, i) => (i < n || !closes[i - n] ? null : ((c - closes[i - n]) / closes[i - n]) * 100));
+                break;
+            }
+            default:
+                throw new Error(`Unknown indicator: ${spec.name}`);
+        }
+        memo.set(key, out);
+        return out;
+    }
+
+    // True/false per bar for a rule tree
+    evaluate(rule, bars, memo) {
+        if (typeof rule === 'string') rule = this.parseRule(rule);
+        if (!rule) return bars.map(() => false);
+        if (rule.type === 'rule') return this.rules.evaluate(rule, bars, (name, args) => this.series({ name, args }, bars, memo));
+        if (Array.isArray(rule) && rule.length === 3 && !Array.isArray(rule[0]) && typeof rule[1] === 'string' && !rule[0]?.all && !rule[0]?.any) {
+            return this.compare(rule, bars, memo);
+        }
+        if (Array.isArray(rule)) rule = { all: rule };
+        const parts = (rule.all || rule.any || []).map(r => this.evaluate(r, bars, memo));
+        if (!parts.length) return bars.map(() => false);
+        return bars.map((_, i) => (rule.all ? parts.every(p => p[i]) : parts.some(p => p[i])));
+    }
+
+    compare([left, op, right], bars, memo) {
+        const l = this.series(left, bars, memo);
+        const r = this.series(right, bars, memo);
+        const ok = i => l[i] !== null && l[i] !== undefined && r[i] !== null && r[i] !== undefined;
+        const ops = {
+            '>': i => l[i] > r[i],
+            '>=': i => l[i] >= r[i],
+            '<': i => l[i] < r[i],
+            '<=': i => l[i] <= r[i],
+            crosses_above: i => i > 0 && ok(i - 1) && l[i - 1] <= r[i - 1] && l[i] > r[i],
+            crosses_below: i => i > 0 && ok(i - 1) && l[i - 1] >= r[i - 1] && l[i] < r[i]
+        };
+        const fn = ops[String(op).toLowerCase()];
+        if (!fn) throw new Error(`Unknown operator: ${op}`);
+        return bars.map((_, i) => ok(i) && fn(i));
+    }
+
+    // Charges for one order of value `turnover` on the given side
+    orderCosts(turnover, side, costs) {
+        const brokerage = Math.min(turnover * costs.brokeragePct / 100, costs.brokerageCap ?? Infinity);
+        const stt = turnover * costs.sttPct / 100;
+        const exchange = turnover * costs.exchangePct / 100;
+        const sebi = turnover * costs.sebiPct / 100;
+        const stamp = side === 'buy' ? turnover * costs.stampDutyPct / 100 : 0;
+        const gst = (brokerage + exchange + sebi) * costs.gstPct / 100;
+        return brokerage + stt + exchange + sebi + stamp + gst;
+    }
+
+    sizeQuantity(sizing, equity, price, stopLossPct) {
+        let amount;
+        switch (sizing.mode) {
+            case 'fixed_qty': return Math.max(0, Math.floor(sizing.value));
+            case 'fixed_amount': amount = sizing.value; break;
+            // Risk a percent of equity between entry and the stop
+            case 'risk_pct':
+                if (!stopLossPct) throw new Error('risk_pct sizing needs a stopLossPct');
+                amount = (equity * sizing.value / 100) / (stopLossPct / 100);
+                break;
+            default: amount = equity * (sizing.value ?? 100) / 100;
+        }
+        return Math.max(0, Math.floor(Math.min(amount, equity) / price));
+    }
+
+    // bars: fetchHistoricalSeries output. strategy: { entry, exit, stopLossPct, takeProfitPct,
+    // maxHoldingDays, capital, sizing, costs, riskFreePct }
+    run(rawBars, strategy = {}) {
+        if (typeof strategy.entry === 'string') strategy = { ...strategy, entry: this.parseRule(strategy.entry) };
+        if (typeof strategy.exit === 'string') strategy = { ...strategy, exit: this.parseRule(strategy.exit) };
+        if (!strategy.entry) throw new Error('Entry rule required');
+        const bars = this.indicators.adjusted(rawBars).filter(b => b.close);
+        if (bars.length < 2) throw new Error('Not enough history to backtest');
+        const opts = {
+            ...this.defaults,
+            ...strategy,
+            sizing: { ...this.defaults.sizing, ...(strategy.sizing || {}) },
+            costs: { ...this.defaults.costs, ...(strategy.costs || {}) }
+        };
+        const memo = new Map();
+        const entries = this.evaluate(strategy.entry, bars, memo);
+        const exits = strategy.exit ? this.evaluate(strategy.exit, bars, memo) : bars.map(() => false);
+        const slip = opts.costs.slippagePct / 100;
+
+        let cash = opts.capital;
+        let position = null;
+        let pending = null; // 'buy' | 'sell' decided on the previous close
+        const trades = [];
+        const equity = [];
+        const markers = [];
+
+        const closePosition = (i, rawPrice, reason) => {
+            const price = rawPrice * (1 - slip);
+            const turnover = price * position.qty;
+            const costs = this.orderCosts(turnover, 'sell', opts.costs);
+            cash += turnover - costs;
+            const gross = (price - position.entryPrice) * position.qty;
+            const totalCosts = position.entryCosts + costs;
+            const net = gross - totalCosts;
+            trades.push({
+                entryDate: position.entryDate,
+                entryPrice: +position.entryPrice.toFixed(2),
+                exitDate: bars[i].date,
+                exitPrice: +price.toFixed(2),
+                qty: position.qty,
+                reason,
+                holdingDays: i - position.entryIndex,
+                grossPnl: +gross.toFixed(2),
+                costs: +totalCosts.toFixed(2),
+                netPnl: +net.toFixed(2),
+                returnPct: +((net / (position.entryPrice * position.qty + position.entryCosts)) * 100).toFixed(2)
+            });
+            markers.push({ date: bars[i].date, type: 'exit', price: +price.toFixed(2), reason });
+            position = null;
+        };
+
+        for (let i = 0; i < bars.length; i++) {
+            const bar = bars[i];
+            const open = bar.open ?? bar.close;
+
+            // Orders decided at the previous close fill at this open
+            if (pending === 'buy' && !position) {
+                const price = open * (1 + slip);
+                const equityNow = cash;
+                let qty = this.sizeQuantity(opts.sizing, equityNow, price, opts.stopLossPct);
+                while (qty > 0 && price * qty + this.orderCosts(price * qty, 'buy', opts.costs) > cash) qty--;
+                if (qty > 0) {
+                    const entryCosts = this.orderCosts(price * qty, 'buy', opts.costs);
+                    cash -= price * qty + entryCosts;
+                    position = { qty, entryPrice: price, entryCosts, entryDate: bar.date, entryIndex: i };
+                    markers.push({ date: bar.date, type: 'entry', price: +price.toFixed(2) });
+                }
+            } else if (pending === 'sell' && position) {
+                closePosition(i, open, position.exitReason || 'signal');
+            }
+            pending = null;
+
+            // Stops and targets inside the bar; gaps through them fill at the open (except on the entry bar)
+            if (position) {
+                const stop = opts.stopLossPct ? position.entryPrice * (1 - opts.stopLossPct / 100) : null;
+                const target = opts.takeProfitPct ? position.entryPrice * (1 + opts.takeProfitPct / 100) : null;
+                const low = bar.low ?? bar.close;
+                const high = bar.high ?? bar.close;
+                if (stop !== null && low <= stop) closePosition(i, position.entryIndex === i ? stop : Math.min(open, stop), 'stop_loss');
+                else if (target !== null && high >= target) closePosition(i, position.entryIndex === i ? target : Math.max(open, target), 'take_profit');
+            }
+
+            // Signals on this close act at the next open
+            if (i < bars.length - 1) {
+                if (!position && entries[i]) pending = 'buy';
+                else if (position && exits[i]) { pending = 'sell'; position.exitReason = 'signal'; }
+                else if (position && opts.maxHoldingDays && i - position.entryIndex + 1 >= opts.maxHoldingDays) { pending = 'sell'; position.exitReason = 'max_holding'; }
+            }
+
+            equity.push({ date: bar.date, equity: +(cash + (position ? position.qty * bar.close : 0)).toFixed(2), close: +bar.close.toFixed(2), inPosition: !!position });
+        }
+        if (position) closePosition(bars.length - 1, bars[bars.length - 1].close, 'end_of_data');
+        equity[equity.length - 1].equity = +cash.toFixed(2);
+        equity[equity.length - 1].inPosition = false;
+
+        return {
+            from: bars[0].date,
+            to: bars[bars.length - 1].date,
+            strategy: {
+                entry: strategy.entry,
+                exit: strategy.exit || null,
+                stopLossPct: opts.stopLossPct || null,
+                takeProfitPct: opts.takeProfitPct || null,
+                maxHoldingDays: opts.maxHoldingDays || null,
+                capital: opts.capital,
+                sizing: opts.sizing,
+                costs: opts.costs
+            },
+            stats: this.stats(equity, trades, bars, opts),
+            trades,
+            markers,
+            equity
+        };
+    }
+
+    stats(equity, trades, bars, opts) {
+        const start = opts.capital;
+        const end = equity[equity.length - 1].equity;
+        const days = (Date.parse(bars[bars.length - 1].date) - Date.parse(bars[0].date)) / 86400000;
+        const years = days / 365.25;
+        const cagr = years > 0 && end > 0 ? (Math.pow(end / start, 1 / years) - 1) * 100 : null;
+
+        let peak = -Infinity, peakDate = null, maxDd = 0, ddPeak = null, ddTrough = null;
+        for (const p of equity) {
+            if (p.equity > peak) { peak = p.equity; peakDate = p.date; }
+            const dd = peak ? (peak - p.equity) / peak : 0;
+            if (dd > maxDd) { maxDd = dd; ddPeak = peakDate; ddTrough = p.date; }
+        }
+
+        const rets = [];
+        for (let i = 1; i < equity.length; i++) rets.push(equity[i].equity / equity[i - 1].equity - 1);
+        const mean = rets.reduce((a, b) => a + b, 0) / (rets.length || 1);
+        const sd = Math.sqrt(rets.reduce((a, r) => a + (r - mean) ** 2, 0) / Math.max(1, rets.length - 1));
+        const rfDaily = (opts.riskFreePct || 0) / 100 / 252;
+        const sharpe = sd > 0 ? ((mean - rfDaily) / sd) * Math.sqrt(252) : null;
+
+        const wins = trades.filter(t => t.netPnl > 0);
+        const losses = trades.filter(t => t.netPnl <= 0);
+        const grossWin = wins.reduce((a, t) => a + t.netPnl, 0);
+        const grossLoss = Math.abs(losses.reduce((a, t) => a + t.netPnl, 0));
+        const r2 = v => (v === null || !Number.isFinite(v) ? null : +v.toFixed(2));
+        const firstClose = bars[0].close;
+        const lastClose = bars[bars.length - 1].close;
+
+        return {
+            startEquity: start,
+            endEquity: r2(end),
+            totalReturnPct: r2((end / start - 1) * 100),
+            cagrPct: r2(cagr),
+            maxDrawdownPct: r2(maxDd * 100),
+            maxDrawdownFrom: ddPeak,
+            maxDrawdownTo: ddTrough,
+            sharpe: r2(sharpe),
+            trades: trades.length,
+            winRatePct: trades.length ? r2((wins.length / trades.length) * 100) : null,
+            avgTradePct: trades.length ? r2(trades.reduce((a, t) => a + t.returnPct, 0) / trades.length) : null,
+            profitFactor: grossLoss > 0 ? r2(grossWin / grossLoss) : (grossWin > 0 ? null : 0),
+            totalCosts: r2(trades.reduce((a, t) => a + t.costs, 0)),
+            exposurePct: r2((equity.filter(p => p.inPosition).length / equity.length) * 100),
+            buyAndHoldPct: r2((lastClose / firstClose - 1) * 100),
+            sessions: bars.length
+        };
+    }
+
+    // Rule tree as readable text for logs and run titles
+    describeRule(rule) {
+        if (!rule) return 'none';
+        if (rule.type === 'rule') return this.rules.format(rule.symbol ? { ...rule, symbol: null } : rule);
+        if (Array.isArray(rule) && rule.length === 3 && typeof rule[1] === 'string' && !Array.isArray(rule[0])) {
+            const name = x => (typeof x === 'object' && x ? `${x.name}(${(x.args || []).join(',')})` : String(x));
+            return `${name(rule[0])} ${rule[1]} ${name(rule[2])}`;
+        }
+        if (Array.isArray(rule)) rule = { all: rule };
+        const joiner = rule.all ? ' and ' : ' or ';
+        const parts = (rule.all || rule.any || []).map(r => this.describeRule(r));
+        return parts.length > 1 ? `(${parts.join(joiner)})` : (parts[0] || 'none');
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.StrategyBacktester = StrategyBacktester;
+} else if (typeof global !== 'undefined') {
+    global.StrategyBacktester = StrategyBacktester;
+} else {
+    // Service worker environment
+    self.StrategyBacktester = StrategyBacktester;
+}
@@ -11,16 +11,131 @@
       apiKey: ''
     },
 
+    // NSE session in IST; news after the close counts towards the next session
+    MARKET: {
+      utcOffsetMinutes: 330,
+      sessionOpen: '09:15',
+      sessionClose: '15:30',
+      benchmark: 'NIFTY 50',
+      // NSE trading holidays ('YYYY-MM-DD', from the exchange's yearly circular); weekends are always closed.
+      // Add the next year's list when NSE publishes it, usually in December.
+      holidays: [
+        '2026-01-15', '2026-01-26', '2026-03-03', '2026-03-26', '2026-03-31', '2026-04-03', '2026-04-14',
+        '2026-05-01', '2026-05-28', '2026-06-26', '2026-09-14', '2026-10-02', '2026-10-20', '2026-11-10',
+        '2026-11-24', '2026-12-25'
+      ],
+      // A news day is significant when its abnormal return is both this many residual
+      // standard deviations and at least this many percent away from the market model
+      eventStudy: { zThreshold: 1.96, minAbnormalPct: 1 }
+    },
+
+    // Watchlists: quotes refresh every refreshMinutes while NSE is open (minimum 1) and each instrument keeps
+    // the last historyPoints intraday prices of the current session. defaultLists seeds the first run.
+    WATCHLIST: {
+      refreshMinutes: 5,
+      historyPoints: 80,
+      maxSymbols: 50,
+      defaultLists: [
+        { name: 'Markets', symbols: ['NIFTY 50', 'NIFTY BANK', 'SENSEX'] },
+        { name: 'Large caps', symbols: ['RELIANCE', 'HDFCBANK', 'ICICIBANK', 'INFY', 'TCS'] }
+      ]
+    },
+
+    // Monitoring tasks: due tasks are checked every checkMinutes while NSE is open (minimum 1); a condition
+    // that fired alerts again only after it has been false once and cooldownMinutes have passed
+    TASKS: {
+      checkMinutes: 5,
+      cooldownMinutes: 60,
+      maxTriggers: 20
+    },
+
+    // News monitors: due monitors are checked every pollMinutes (minimum 5), around the clock. Each keeps
+    // the last maxSeen article keys so a story alerts once; the API search covers at most maxApiQueries
+    // keywords (or instruments, in rotation) per check. Presets fill the Alerts tab form.
+    NEWS_MONITORS: {
+      pollMinutes: 15,
+      maxSeen: 600,
+      maxHits: 20,
+      maxApiQueries: 4,
+      maxAgeHours: 48,
+      presets: [
+        { label: 'SEBI order on any watchlist stock', text: 'SEBI order on any stock in my watchlist' },
+        { label: 'Negative news on my holdings', text: 'Negative news on my portfolio holdings', sentiment: 'negative' },
+        { label: 'Results on my watchlist', text: 'results or earnings on my watchlist' },
+        { label: 'Block deals or stake sales in my portfolio', text: 'block deal or stake sale in my portfolio' },
+        { label: 'Rating changes on my watchlist', text: 'upgrade or downgrade on my watchlist' }
+      ]
+    },
+
+    // Strategy backtests: starting capital, sizing and Indian delivery-equity charges (percent of turnover)
+    BACKTEST: {
+      capital: 100000,
+      sizing: { mode: 'percent_equity', value: 100 },
+      costs: {
+        brokeragePct: 0.03,
+        brokerageCap: 20,
+        sttPct: 0.1,
+        exchangePct: 0.00297,
+        sebiPct: 0.0001,
+        stampDutyPct: 0.015,
+        gstPct: 18,
+        slippagePct: 0.05
+      },
+      riskFreePct: 0
+    },
+
     // Stock data APIs (safe defaults)
     STOCK: {
       alphaVantageKey: 'demo', // public demo key for limited testing
       finnhubKey: ''
     },
 
-    // News APIs (optional)
+    // Default provider priority per capability (users can reorder in the sidebar)
+    PROVIDERS: {
+      order: {
+        quote: ['alphaVantage', 'yahoo', 'finnhub'],
+        daily: ['alphaVantage', 'yahoo', 'finnhub'],
+        intraday: ['yahoo', 'alphaVantage', 'finnhub'],
+        fundamentals: ['yahoo', 'finnhub', 'alphaVantage']
+      }
+    },
+
+    // Persistent market-data cache. The defaults live in market-cache.js; set maxEntries, maxBytes or a
+    // namespace policy here to override them, e.g. policies: { news: { ttl: 10 * 60 * 1000, staleTtl: 60 * 60 * 1000 } }
+    // (ttl = fresh, staleTtl = served while refreshing, in ms)
+    CACHE: {
+      policies: {}
+    },
+
+    // Per-provider call budgets; each entry overrides the client's published limits,
+    // e.g. alphaVantage: { perMinute: 5, perDay: 25 }. The sidebar Quotas tab can override these too.
+    QUOTA: {
+      budgets: {}
+    },
+
+    // News APIs (optional) and publisher RSS/Atom feeds (no key needed).
+    // Feeds are polled every pollMinutes (minimum 5) and kept for feedRetentionDays; the sidebar Feeds tab
+    // can replace this list. Articles whose headlines overlap by clusterThreshold (0-1) within
+    // clusterWindowHours are treated as one story. Research drops articles scoring below minRelevance (0-1)
+    // for the instrument being researched, then reads the full text of the top extractTopN stories and passes
+    // excerpts totalling about extractTokenBudget tokens to the synthesis prompt.
     NEWS: {
       newsApiKey: '',
-      currentsApiKey: ''
+      currentsApiKey: '',
+      clusterThreshold: 0.55,
+      clusterWindowHours: 36,
+      minRelevance: 0.35,
+      extractTopN: 3,
+      extractTokenBudget: 900,
+      feedRetentionDays: 3,
+      feedMaxItems: 400,
+      feeds: [
+        { id: 'et_markets', name: 'ET Markets', url: 'https://economictimes.indiatimes.com/markets/rssfeeds/1977021501.cms', enabled: true, pollMinutes: 15 },
+        { id: 'moneycontrol', name: 'Moneycontrol', url: 'https://www.moneycontrol.com/rss/marketreports.xml', enabled: true, pollMinutes: 15 },
+        { id: 'livemint_markets', name: 'LiveMint Markets', url: 'https://www.livemint.com/rss/markets', enabled: true, pollMinutes: 15 },
+        { id: 'business_standard_markets', name: 'Business Standard Markets', url: 'https://www.business-standard.com/rss/markets-106.rss', enabled: true, pollMinutes: 15 },
+        { id: 'nse_announcements', name: 'NSE Announcements', url: 'https://nsearchives.nseindia.com/content/RSS/Online_announcements.xml', enabled: true, pollMinutes: 30 }
+      ]
     },
 
     // Optional: Telegram notifications for OTT digest
@@ -0,0 +1,211 @@
+// Links news to price moves. Each story's publishedAt is mapped to the NSE session it could first move
+// (pre-open and intraday news to that day, after-close and holiday news to the next session), then the
+// same-day and next-day returns are compared with NIFTY through a market model (alpha + beta x index
+// return) fitted on the non-event days of the series. Abnormal returns are scaled by the residual
+// volatility, so "significant" means large for this stock, not just large.
+class NewsEventStudy {
+    constructor(options = {}) {
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.MARKET) || {};
+        const study = cfg.eventStudy || {};
+        this.utcOffsetMinutes = options.utcOffsetMinutes ?? cfg.utcOffsetMinutes ?? 330;
+        this.openMinutes = this.toMinutes(options.sessionOpen || cfg.sessionOpen || '09:15');
+        this.closeMinutes = this.toMinutes(options.sessionClose || cfg.sessionClose || '15:30');
+        this.zThreshold = options.zThreshold || study.zThreshold || 1.96;
+        this.minAbnormalPct = options.minAbnormalPct ?? study.minAbnormalPct ?? 1;
+        this.minObservations = options.minObservations || 20;
+    }
+
+    toMinutes(hhmm) {
+        const [h, m] = String(hhmm).split(':').map(Number);
+        return h * 60 + (m || 0);
+    }
+
+    // { session, timing } for a timestamp given the trading dates of the series (oldest first).
+    // session is null when the news came after the last bar (the move has not happened yet).
+    sessionFor(publishedAt, dates) {
+        const ms = Date.parse(publishedAt);
+        if (!Number.isFinite(ms)) return { session: null, timing: 'unknown' };
+        const local = new Date(ms + this.utcOffsetMinutes * 60 * 1000);
+        const day = local.toISOString().slice(0, 10);
+        const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+        const next = dates.find(d => d > day) || null;
+        if (!dates.includes(day)) {
+            // Weekends and exchange holidays; news older than the series cannot be placed
+            return { session: day < dates[0] ? null : next, timing: 'non_trading' };
+        }
+        if (minutes < this.openMinutes) return { session: day, timing: 'pre_open' };
+        if (minutes <= this.closeMinutes) return { session: day, timing: 'intraday' };
+        return { session: next, timing: 'after_close' };
+    }
+
+    // date -> close-to-close return on adjusted closes
+    returns(bars = []) {
+        const out = new Map();
+        const close = b => b.adjClose ?? b.close;
+        for (let i = 1; i < bars.length; i++) {
+            const prev = close(bars[i - 1]);
+            const cur = close(bars[i]);
+            if (prev && cur) out.set(bars[i].date, cur / prev - 1);
+        }
+        return out;
+    }
+
+    // OLS market model on days outside the event windows; with too few paired days it falls back to
+    // market-adjusted returns (beta 1), and with no benchmark to the stock's own mean and volatility
+    fitModel(stock, market, excluded) {
+        const pairs = [];
+        for (const [date, r] of stock) {
+            if (excluded.has(date)) continue;
+            if (market) { if (market.has(date)) pairs.push([market.get(date), r]); }
+            else pairs.push([0, r]);
+        }
+        const n = pairs.length;
+        const mean = list => list.reduce((s, v) => s + v, 0) / (list.length || 1);
+        let alpha = 0;
+        let beta = market ? 1 : 0;
+        let method = market ? 'market_adjusted' : 'raw';
+        if (market && n >= this.minObservations) {
+            const mx = mean(pairs.map(p => p[0]));
+            const my = mean(pairs.map(p => p[1]));
+            const sxx = pairs.reduce((s, [x]) => s + (x - mx) ** 2, 0);
+            if (sxx > 0) {
+                beta = pairs.reduce((s, [x, y]) => s + (x - mx) * (y - my), 0) / sxx;
+                alpha = my - beta * mx;
+                method = 'market_model';
+            }
+        } else if (!market) {
+            alpha = mean(pairs.map(p => p[1]));
+        }
+        const residuals = pairs.map(([x, y]) => y - (alpha + beta * x));
+        const dof = Math.max(1, n - (method === 'market_model' ? 2 : 1));
+        const sigma = Math.sqrt(residuals.reduce((s, e) => s + e * e, 0) / dof);
+        return { method, alpha, beta, sigma, observations: n };
+    }
+
+    // Studies one list of stories (one per event, e.g. cluster representatives) against daily bars
+    analyze({ bars = [], benchmarkBars = null, articles = [], benchmark = 'NIFTY 50' } = {}) {
+        const dates = bars.map(b => b.date);
+        const stock = this.returns(bars);
+        const market = benchmarkBars && benchmarkBars.length > 1 ? this.returns(benchmarkBars) : null;
+        if (dates.length < 2) return { benchmark: market ? benchmark : null, model: null, events: [], significant: [], pending: [], unplaced: articles.length };
+
+        const placed = [];
+        const pending = [];
+        let unplaced = 0;
+        for (const article of articles) {
+            if (!article || !article.title) continue;
+            const { session, timing } = this.sessionFor(article.publishedAt, dates);
+            if (session) placed.push({ article, session, timing });
+            else if (timing === 'unknown' || Date.parse(article.publishedAt) < Date.parse(dates[0])) unplaced++;
+            else pending.push({ title: article.title, source: article.source || null, url: article.url || null, publishedAt: article.publishedAt, timing });
+        }
+
+        // Keep event days and the day after out of the estimation window
+        const excluded = new Set();
+        for (const p of placed) {
+            const i = dates.indexOf(p.session);
+            excluded.add(p.session);
+            if (dates[i + 1]) excluded.add(dates[i + 1]);
+        }
+        const model = this.fitModel(stock, market, excluded);
+        const pct = v => (v === null || v === undefined ? null : +(v * 100).toFixed(2));
+
+        const dayResult = (date) => {
+            if (!date || !stock.has(date)) return null;
+            const ret = stock.get(date);
+            const mkt = market ? (market.get(date) ?? null) : null;
+            if (market && mkt === null) return { date, returnPct: pct(ret), marketPct: null, abnormalPct: null, z: null };
+            const abnormal = ret - (model.alpha + model.beta * (mkt || 0));
+            return {
+                date,
+                returnPct: pct(ret),
+                marketPct: pct(mkt),
+                abnormalPct: pct(abnormal),
+                z: model.sigma ? +(abnormal / model.sigma).toFixed(2) : null,
+                abnormal
+            };
+        };
+        const passes = (abnormal, z) => z !== null && Math.abs(z) >= this.zThreshold && Math.abs(abnormal * 100) >= this.minAbnormalPct;
+
+        const perSession = {};
+        for (const p of placed) perSession[p.session] = (perSession[p.session] || 0) + 1;
+
+        const events = placed.map(({ article, session, timing }) => {
+            const i = dates.indexOf(session);
+            const day0 = dayResult(session);
+            const day1 = dayResult(dates[i + 1]);
+            const parts = [day0, day1].filter(d => d && d.abnormalPct !== null);
+            const car = parts.reduce((s, d) => s + d.abnormal, 0);
+            const carZ = parts.length && model.sigma ? car / (model.sigma * Math.sqrt(parts.length)) : null;
+            const carPasses = parts.length > 1 && passes(car, carZ);
+            const dayPasses = !!day0 && passes(day0.abnormal || 0, day0.z);
+            const significant = carPasses || dayPasses;
+            const strip = d => { if (!d) return null; const { abnormal, ...rest } = d; return rest; };
+            return {
+                title: article.title,
+                source: article.source || null,
+                url: article.url || null,
+                publishedAt: article.publishedAt,
+                timing,
+                session,
+                sessionStories: perSession[session],
+                day0: strip(day0),
+                day1: strip(day1),
+                carPct: parts.length ? pct(car) : null,
+                carZ: carZ === null ? null : +carZ.toFixed(2),
+                significant: !!significant,
+                direction: !significant ? null : (carPasses ? car : day0.abnormal) > 0 ? 'up' : 'down'
+            };
+        }).sort((a, b) => b.session.localeCompare(a.session));
+
+        return {
+            benchmark: market ? benchmark : null,
+            model: {
+                method: model.method,
+                alpha: +model.alpha.toFixed(5),
+                beta: +model.beta.toFixed(2),
+                sigmaPct: pct(model.sigma),
+                observations: model.observations
+            },
+            thresholds: { z: this.zThreshold, minAbnormalPct: this.minAbnormalPct },
+            events,
+            significant: events.filter(e => e.significant),
+            pending,
+            unplaced
+        };
+    }
+
+    // Structured facts for the synthesis prompt
+    facts(study, limit = 6) {
+        if (!study || !study.model) return [];
+        const sign = v => (v > 0 ? '+' : '') + v;
+        const vs = study.benchmark ? ` vs ${study.benchmark}` : '';
+        return study.events.slice(0, limit).map(e => {
+            const d0 = e.day0 ? `${e.session} return ${sign(e.day0.returnPct)}%${e.day0.abnormalPct !== null && study.benchmark ? ` (abnormal ${sign(e.day0.abnormalPct)}%${vs})` : ''}` : `${e.session} no bar`;
+            const d1 = e.day1 ? `next day ${sign(e.day1.returnPct)}%` : 'next day not traded yet';
+            const car = e.carPct !== null ? `, 2-day abnormal ${sign(e.carPct)}% (z ${e.carZ})` : '';
+            return `"${e.title}" [${e.timing.replace('_', ' ')}] -> ${d0}, ${d1}${car}${e.significant ? ', SIGNIFICANT ' + e.direction.toUpperCase() : ''}`;
+        });
+    }
+
+    // One plain sentence for fallback summaries
+    describe(study) {
+        if (!study || !study.events.length) return '';
+        if (!study.significant.length) {
+            return `None of the ${study.events.length} recent stories coincided with an unusual price move${study.benchmark ? ` after adjusting for ${study.benchmark}` : ''}.`;
+        }
+        const top = study.significant.slice().sort((a, b) => Math.abs(b.carZ || 0) - Math.abs(a.carZ || 0))[0];
+        const move = top.carPct !== null ? top.carPct : top.day0?.abnormalPct;
+        return `${study.significant.length} of ${study.events.length} recent stories coincided with significant moves; the largest followed "${top.title}" on ${top.session}, a ${move > 0 ? 'gain' : 'drop'} of ${Math.abs(move)} percent${study.benchmark ? ` beyond what ${study.benchmark} explains` : ''}.`;
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.NewsEventStudy = NewsEventStudy;
+} else if (typeof global !== 'undefined') {
+    global.NewsEventStudy = NewsEventStudy;
+} else {
+    // Service worker environment
+    self.NewsEventStudy = NewsEventStudy;
+}
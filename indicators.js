@@ -0,0 +1,255 @@
+// Technical indicators over fetchHistoricalSeries bars (oldest first). Series functions return arrays
+// aligned with the input, null until the lookback is filled, so callers can index them by bar.
+// Prices are read split/dividend-adjusted: closes from adjClose, highs and lows scaled by the same factor.
+class TechnicalIndicators {
+    constructor(options = {}) {
+        this.periods = {
+            smaFast: 20, smaSlow: 50, smaLong: 200, ema: 20, rsi: 14,
+            macdFast: 12, macdSlow: 26, macdSignal: 9, bollinger: 20, bollingerWidth: 2,
+            atr: 14, yearSessions: 252, volumeAvg: 20,
+            ...(options.periods || {})
+        };
+        this.volumeSpikeRatio = options.volumeSpikeRatio || 2;
+    }
+
+    // { date, open, high, low, close, volume } with adjustment applied to every price field
+    adjusted(bars = []) {
+        return bars.map(b => {
+            const factor = b.adjClose && b.close ? b.adjClose / b.close : 1;
+            return {
+                date: b.date,
+                open: b.open !== null && b.open !== undefined ? b.open * factor : null,
+                high: b.high !== null && b.high !== undefined ? b.high * factor : null,
+                low: b.low !== null && b.low !== undefined ? b.low * factor : null,
+                close: (b.adjClose ?? b.close),
+                volume: b.volume ?? null
+            };
+        });
+    }
+
+    sma(values, n) {
+        const out = new Array(values.length).fill(null);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= n) sum -= values[i - n];
+            if (i >= n - 1) out[i] = sum / n;
+        }
+        return out;
+    }
+
+    // Seeded with the SMA of the first n values
+    ema(values, n) {
+        const out = new Array(values.length).fill(null);
+        const start = values.findIndex(v => v !== null && v !== undefined);
+        if (start < 0 || values.length - start < n) return out;
+        const k = 2 / (n + 1);
+        let prev = values.slice(start, start + n).reduce((a, b) => a + b, 0) / n;
+        out[start + n - 1] = prev;
+        for (let i = start + n; i < values.length; i++) {
+            prev = values[i] * k + prev * (1 - k);
+            out[i] = prev;
+        }
+        return out;
+    }
+
+    // Wilder's RSI
+    rsi(closes, n = this.periods.rsi) {
+        const out = new Array(closes.length).fill(null);
+        if (closes.length <= n) return out;
+        let gain = 0, loss = 0;
+        for (let i = 1; i <= n; i++) {
+            const d = closes[i] - closes[i - 1];
+            if (d > 0) gain += d; else loss -= d;
+        }
+        gain /= n; loss /= n;
+        // A flat series (suspended or circuit-locked) has no momentum either way: neutral 50, not overbought
+        const value = () => (gain === 0 && loss === 0 ? 50 : loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+        out[n] = value();
+        for (let i = n + 1; i < closes.length; i++) {
+            const d = closes[i] - closes[i - 1];
+            gain = (gain * (n - 1) + Math.max(d, 0)) / n;
+            loss = (loss * (n - 1) + Math.max(-d, 0)) / n;
+            out[i] = value();
+        }
+        return out;
+    }
+
+    // { macd, signal, histogram } series
+    macd(closes, fast = this.periods.macdFast, slow = this.periods.macdSlow, signalPeriod = this.periods.macdSignal) {
+        const f = this.ema(closes, fast);
+        const s = this.ema(closes, slow);
+        const macd = closes.map((_, i) => (f[i] !== null && s[i] !== null ? f[i] - s[i] : null));
+        const signal = this.ema(macd, signalPeriod);
+        const histogram = macd.map((m, i) => (m !== null && signal[i] !== null ? m - signal[i] : null));
+        return { macd, signal, histogram };
+    }
+
+    // { middle, upper, lower, percentB } series (population standard deviation, as charting tools use)
+    bollinger(closes, n = this.periods.bollinger, width = this.periods.bollingerWidth) {
+        const middle = this.sma(closes, n);
+        const upper = new Array(closes.length).fill(null);
+        const lower = new Array(closes.length).fill(null);
+        const percentB = new Array(closes.length).fill(null);
+        for (let i = n - 1; i < closes.length; i++) {
+            const window = closes.slice(i - n + 1, i + 1);
+            const sd = Math.sqrt(window.reduce((a, v) => a + (v - middle[i]) ** 2, 0) / n);
+            upper[i] = middle[i] + width * sd;
+            lower[i] = middle[i] - width * sd;
+            percentB[i] = upper[i] === lower[i] ? 0.5 : (closes[i] - lower[i]) / (upper[i] - lower[i]);
+        }
+        return { middle, upper, lower, percentB };
+    }
+
+    // Wilder's ATR; bars without high/low count the close-to-close move as the range
+    atr(bars, n = this.periods.atr) {
+        const out = new Array(bars.length).fill(null);
+        const tr = bars.map((b, i) => {
+            const prev = i ? bars[i - 1].close : null;
+            const high = b.high ?? b.close;
+            const low = b.low ?? b.close;
+            return prev === null ? high - low : Math.max(high - low, Math.abs(high - prev), Math.abs(low - prev));
+        });
+        if (bars.length <= n) return out;
+        let prev = tr.slice(1, n + 1).reduce((a, b) => a + b, 0) / n;
+        out[n] = prev;
+        for (let i = n + 1; i < bars.length; i++) {
+            prev = (prev * (n - 1) + tr[i]) / n;
+            out[i] = prev;
+        }
+        return out;
+    }
+
+    // Highest high and lowest low of the last `sessions` bars (fewer when the series is shorter)
+    range(bars, sessions = this.periods.yearSessions) {
+        const window = bars.slice(-sessions);
+        if (!window.length) return null;
+        const highs = window.map(b => b.high ?? b.close);
+        const lows = window.map(b => b.low ?? b.close);
+        const high = Math.max(...highs);
+        const low = Math.min(...lows);
+        return {
+            high, low,
+            highDate: window[highs.indexOf(high)].date,
+            lowDate: window[lows.indexOf(low)].date,
+            sessions: window.length
+        };
+    }
+
+    // Volume over its n-session average (excluding the day itself) for each bar
+    volumeRatio(bars, n = this.periods.volumeAvg) {
+        const vols = bars.map(b => b.volume || 0);
+        return vols.map((v, i) => {
+            if (i < n) return null;
+            const avg = vols.slice(i - n, i).reduce((a, b) => a + b, 0) / n;
+            return avg > 0 ? v / avg : null;
+        });
+    }
+
+    // Latest value of every indicator plus plain-language signals, or null for an empty series
+    snapshot(rawBars = []) {
+        const bars = this.adjusted(rawBars).filter(b => b.close !== null && b.close !== undefined);
+        if (!bars.length) return null;
+        const p = this.periods;
+        const closes = bars.map(b => b.close);
+        const last = closes.length - 1;
+        const close = closes[last];
+        const at = series => (series[last] === null || series[last] === undefined ? null : series[last]);
+        const r2 = v => (v === null || v === undefined ? null : +v.toFixed(2));
+        const pctFrom = ref => (ref ? r2(((close - ref) / ref) * 100) : null);
+
+        const smaFast = at(this.sma(closes, p.smaFast));
+        const smaSlow = at(this.sma(closes, p.smaSlow));
+        const smaLong = at(this.sma(closes, p.smaLong));
+        const ema = at(this.ema(closes, p.ema));
+        const rsi = at(this.rsi(closes));
+        const macd = this.macd(closes);
+        const bb = this.bollinger(closes);
+        const atr = at(this.atr(bars));
+        const year = this.range(bars);
+        const ratios = this.volumeRatio(bars);
+        const spikes = bars
+            .map((b, i) => ({ date: b.date, ratio: ratios[i] }))
+            .slice(-10)
+            .filter(x => x.ratio !== null && x.ratio >= this.volumeSpikeRatio)
+            .map(x => ({ date: x.date, ratio: r2(x.ratio) }));
+        // Bullish or bearish MACD crossover within the last 5 sessions
+        let macdCross = null;
+        for (let i = Math.max(1, last - 4); i <= last; i++) {
+            const h0 = macd.histogram[i - 1], h1 = macd.histogram[i];
+            if (h0 === null || h1 === null) continue;
+            if (h0 <= 0 && h1 > 0) macdCross = { type: 'bullish', date: bars[i].date };
+            if (h0 >= 0 && h1 < 0) macdCross = { type: 'bearish', date: bars[i].date };
+        }
+
+        const signals = [];
+        if (rsi !== null) {
+            if (rsi >= 70) signals.push('RSI overbought');
+            else if (rsi <= 30) signals.push('RSI oversold');
+        }
+        if (smaSlow !== null) signals.push(close > smaSlow ? `above ${p.smaSlow}-day average` : `below ${p.smaSlow}-day average`);
+        if (smaSlow !== null && smaLong !== null) signals.push(smaSlow > smaLong ? 'golden-cross regime' : 'death-cross regime');
+        if (macdCross) signals.push(`${macdCross.type} MACD crossover on ${macdCross.date}`);
+        if (at(bb.percentB) !== null) {
+            if (at(bb.percentB) > 1) signals.push('above upper Bollinger band');
+            else if (at(bb.percentB) < 0) signals.push('below lower Bollinger band');
+        }
+        if (year && year.sessions >= p.yearSessions * 0.9) {
+            if (close >= year.high * 0.98) signals.push('near 52-week high');
+            else if (close <= year.low * 1.02) signals.push('near 52-week low');
+        }
+        if (spikes.length) signals.push(`volume spike on ${spikes.map(s => `${s.date} (${s.ratio}x)`).join(', ')}`);
+
+        return {
+            asOf: bars[last].date,
+            sessions: bars.length,
+            close: r2(close),
+            sma: { [p.smaFast]: r2(smaFast), [p.smaSlow]: r2(smaSlow), [p.smaLong]: r2(smaLong) },
+            ema: { [p.ema]: r2(ema) },
+            rsi: r2(rsi),
+            macd: { macd: r2(at(macd.macd)), signal: r2(at(macd.signal)), histogram: r2(at(macd.histogram)), cross: macdCross },
+            bollinger: { upper: r2(at(bb.upper)), middle: r2(at(bb.middle)), lower: r2(at(bb.lower)), percentB: r2(at(bb.percentB)) },
+            atr: r2(atr),
+            atrPct: atr ? r2((atr / close) * 100) : null,
+            week52: year ? {
+                high: r2(year.high), low: r2(year.low), highDate: year.highDate, lowDate: year.lowDate,
+                fromHighPct: pctFrom(year.high), fromLowPct: pctFrom(year.low),
+                sessions: year.sessions, partial: year.sessions < p.yearSessions * 0.9
+            } : null,
+            volume: { last: bars[last].volume, ratio: r2(at(ratios)), spikes },
+            signals
+        };
+    }
+
+    // Two or three sentences for the fallback summary
+    describe(snap, name = 'The stock') {
+        if (!snap) return '';
+        const parts = [];
+        const p = this.periods;
+        const trend = [];
+        if (snap.sma[p.smaFast] !== null) trend.push(`${snap.close > snap.sma[p.smaFast] ? 'above' : 'below'} its ${p.smaFast}-day average (${snap.sma[p.smaFast]})`);
+        if (snap.sma[p.smaSlow] !== null) trend.push(`${snap.close > snap.sma[p.smaSlow] ? 'above' : 'below'} its ${p.smaSlow}-day average (${snap.sma[p.smaSlow]})`);
+        if (trend.length) parts.push(`${name} trades ${trend.join(' and ')}.`);
+        const momentum = [];
+        if (snap.rsi !== null) momentum.push(`RSI(${p.rsi}) is ${snap.rsi}${snap.rsi >= 70 ? ', overbought' : snap.rsi <= 30 ? ', oversold' : ''}`);
+        if (snap.macd.histogram !== null) momentum.push(`MACD is ${snap.macd.histogram > 0 ? 'above' : 'below'} its signal line${snap.macd.cross ? ` after a ${snap.macd.cross.type} crossover on ${snap.macd.cross.date}` : ''}`);
+        if (momentum.length) parts.push(momentum.join(' and ') + '.');
+        const w = snap.week52;
+        if (w) {
+            const label = w.partial ? `${w.sessions}-session` : '52-week';
+            parts.push(`Price is ${Math.abs(w.fromHighPct)} percent below the ${label} high of ${w.high} and ${w.fromLowPct} percent above the low of ${w.low}${snap.atrPct !== null ? `; a typical daily range (ATR) is ${snap.atrPct} percent` : ''}.`);
+        }
+        if (snap.volume.spikes.length) parts.push(`Volume spiked on ${snap.volume.spikes.map(s => `${s.date} (${s.ratio} times average)`).join(', ')}.`);
+        return parts.join(' ');
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.TechnicalIndicators = TechnicalIndicators;
+} else if (typeof global !== 'undefined') {
+    global.TechnicalIndicators = TechnicalIndicators;
+} else {
+    // Service worker environment
+    self.TechnicalIndicators = TechnicalIndicators;
+}
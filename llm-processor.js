@@ -1,10 +1,12 @@
 class LLMProcessor {
-    constructor() {
+    constructor(options = {}) {
         this.apiKey = null;
         this.baseUrl = 'https://api.openai.com/v1/chat/completions'; // Default to OpenAI, can be overridden
         this.model = 'gpt-3.5-turbo';
-        this.cache = new Map();
-        this.maxCacheSize = 100;
+        this.cache = options.cache || new MarketDataCache({ persistent: false });
+        this.quota = options.quota || new QuotaManager({ persistent: false });
+        this.quota.declare('llm', { label: 'LLM', perMinute: 20, perDay: 500 });
+        this.sentiment = options.sentiment || new HeadlineSentiment();
         this.failureCount = 0;
         this.remoteDisabled = false;
         
@@ -13,7 +15,8 @@ class LLMProcessor {
             condition_analysis: this.getConditionAnalysisPrompt(),
             data_interpretation: this.getDataInterpretationPrompt(),
             decision_making: this.getDecisionMakingPrompt(),
-            notification_content: this.getNotificationContentPrompt()
+            notification_content: this.getNotificationContentPrompt(),
+            rule_translation: this.getRuleTranslationPrompt()
         };
     }
 
@@ -37,32 +40,52 @@ class LLMProcessor {
     }
 
     async processTaskInput(userInput) {
-        const cacheKey = `task_input_${userInput}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+        const cacheKey = `task_input_${this.cache.hashKey(userInput)}`;
+        const cached = await this.cache.get('llm', cacheKey);
+        if (cached) {
+            return cached.value;
         }
 
         const prompt = this.buildTaskAnalysisPrompt(userInput);
         const result = await this.makeLLMCall(prompt, 'task_understanding');
         
         if (result) {
-            this.storeInCache(cacheKey, result);
+            await this.storeInCache(cacheKey, result);
         }
         
         return result;
     }
 
+    // Natural-language condition -> one line of the alert rule language: { rule, explanation }
+    async translateToRule(userInput) {
+        const cacheKey = `rule_translation_${this.cache.hashKey(userInput)}`;
+        const cached = await this.cache.get('llm', cacheKey);
+        if (cached) {
+            return cached.value;
+        }
+
+        const result = await this.makeLLMCall(this.buildRuleTranslationPrompt(userInput), 'rule_translation');
+        // A model that answers with the bare rule instead of JSON still counts
+        if (result && !result.rule && result.text && result.parsed !== false) result.rule = String(result.text).trim().split('\n')[0].replace(/^`+|`+$/g, '');
+        if (result?.rule && !result.fallback) {
+            await this.storeInCache(cacheKey, result);
+        }
+
+        return result;
+    }
+
     async analyzeConditionResults(task, data, conditionResults) {
-        const cacheKey = `condition_analysis_${task.id}_${JSON.stringify(conditionResults)}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+        const cacheKey = `condition_analysis_${task.id}_${this.cache.hashKey(JSON.stringify(conditionResults))}`;
+        const cached = await this.cache.get('llm', cacheKey);
+        if (cached) {
+            return cached.value;
         }
 
         const prompt = this.buildConditionAnalysisPrompt(task, data, conditionResults);
         const result = await this.makeLLMCall(prompt, 'condition_analysis');
         
         if (result) {
-            this.storeInCache(cacheKey, result);
+            await this.storeInCache(cacheKey, result);
         }
         
         return result;
@@ -109,6 +132,19 @@ class LLMProcessor {
             return this.fallbackProcessing(promptType, prompt);
         }
 
+        // Identical prompts reuse the stored remote answer (fallback answers are never cached)
+        const responseKey = `${promptType}_${this.model}_${this.cache.hashKey(prompt)}`;
+        const cached = await this.cache.get('llm', responseKey);
+        if (cached) {
+            return cached.value;
+        }
+
+        const gate = await this.quota.acquire('llm');
+        if (!gate.allowed) {
+            console.warn('LLM call skipped:', gate.reason);
+            return this.fallbackProcessing(promptType, prompt);
+        }
+
         try {
             const messages = [
                 {
@@ -136,6 +172,7 @@ class LLMProcessor {
             });
 
             if (!response.ok) {
+                await this.quota.inspect('llm', { status: response.status, headers: response.headers });
                 // Immediately disable remote calls for 400/401 style client errors
                 if (response.status === 400 || response.status === 401) {
                     this.remoteDisabled = true;
@@ -145,7 +182,11 @@ class LLMProcessor {
             }
 
             const result = await response.json();
-            return this.parseLLMResponse(result);
+            const parsed = this.parseLLMResponse(result);
+            if (parsed && parsed.parsed !== false) {
+                await this.storeInCache(responseKey, parsed);
+            }
+            return parsed;
         } catch (error) {
             // Downgrade to warning and implement quick backoff to stop repeated failures
             console.warn('LLM API call failed:', String(error && error.message ? error.message : error));
@@ -188,6 +229,8 @@ class LLMProcessor {
         switch (promptType) {
             case 'task_understanding':
                 return this.fallbackTaskUnderstanding(prompt);
+            case 'rule_translation':
+                return this.fallbackRuleTranslation(prompt);
             case 'condition_analysis':
                 return this.fallbackConditionAnalysis(prompt);
             case 'data_interpretation':
@@ -207,12 +250,28 @@ User Input: "${userInput}"
 
 Please extract:
 1. Task type (stock_monitor, news_monitor, general_alert)
-2. Assets/symbols to monitor
+2. Assets/symbols to monitor (NSE/BSE tickers or index names)
 3. Conditions to check (price thresholds, news keywords, etc.)
 4. Notification preferences
 5. Time constraints or frequencies
 
-Return as JSON with the extracted information.`;
+Return as JSON with the extracted information: {"taskType": "...", "symbols": [...], "conditions": [{"type": "price_above|price_below|pct_up|pct_down|pct_move|volume_spike", "value": number}], "rule": "...", "notificationChannels": [...], "intervalMinutes": number}. Prices are in rupees, pct_* values are day percent changes and volume_spike is a multiple of average volume.
+When the request needs indicators, crossovers, time windows or several conditions combined, also give "rule" in this language (otherwise null):
+${this.ruleReference()}`;
+    }
+
+    buildRuleTranslationPrompt(userInput) {
+        return `Translate this alert request into one rule:
+
+User Input: "${userInput}"
+
+${this.ruleReference()}
+
+Start the rule with the NSE symbol when the request names one. Return JSON: {"rule": "...", "explanation": "one sentence"}.`;
+    }
+
+    ruleReference() {
+        return typeof AlertRuleLanguage !== 'undefined' ? new AlertRuleLanguage().reference() : 'Rule syntax: SYMBOL series op value, e.g. TCS rsi(14) < 30 and close crosses_above sma(50)';
     }
 
     buildConditionAnalysisPrompt(task, data, conditionResults) {
@@ -296,6 +355,15 @@ Be specific about thresholds, conditions, and notification requirements.
 Always return structured, JSON-parseable responses when possible.`;
     }
 
+    getRuleTranslationPrompt() {
+        return `You translate stock alert requests for Indian markets into a small rule language.
+
+Use only the series, operators and keywords described. Prices are in rupees and percent values are plain
+numbers (a 3% fall is change_pct(1) <= -3). Prefer the simplest rule that matches the request.
+
+Always return JSON.`;
+    }
+
     getConditionAnalysisPrompt() {
         return `You are a financial monitoring analyst. Analyze condition check results with precision.
         
@@ -349,27 +417,89 @@ Create notifications that users can easily understand and act upon.`;
 
     // Fallback processing methods
     fallbackTaskUnderstanding(prompt) {
-        // Simple regex-based extraction as fallback
+        // Simple regex-based extraction as fallback; only the user's words, not the prompt instructions
+        const quoted = /User Input: "([\s\S]*?)"\n/.exec(String(prompt || ''));
+        if (quoted) prompt = quoted[1];
         const stockSymbolRegex = /\b[A-Z]{2,5}\b/g;
         const priceRegex = /\$?(\d+(?:\.\d{2})?)/g;
-        const thresholdRegex = /(over|above|below|under|>|<)\s*\$?(\d+(?:\.\d{2})?)/gi;
 
         const symbols = (prompt.match(stockSymbolRegex) || []).slice(0, 3);
         const prices = [...prompt.matchAll(priceRegex)].map(match => parseFloat(match[1])).slice(0, 3);
-        const thresholds = [...prompt.matchAll(thresholdRegex)].map(match => ({
-            operator: match[1],
-            value: parseFloat(match[2])
-        }));
 
         return {
             taskType: symbols.length > 0 ? 'stock_monitor' : 'general_alert',
             symbols: symbols,
-            thresholds: thresholds,
+            prices: prices,
+            rule: this.ruleFromText(prompt),
             extracted: true,
             fallback: true
         };
     }
 
+    fallbackRuleTranslation(prompt) {
+        const quoted = /User Input: "([\s\S]*?)"\n/.exec(String(prompt || ''));
+        const rule = this.ruleFromText(quoted ? quoted[1] : prompt);
+        return { rule, explanation: rule ? 'Translated from common indicator phrases' : null, fallback: true };
+    }
+
+    // Common indicator phrasing ("RSI below 30", "crosses above the 50 DMA", "golden cross",
+    // "52-week high", "falls 3% in 5 days") as a rule without the symbol, or null when the text has
+    // nothing beyond a plain price or day-move alert (the task parser handles those)
+    ruleFromText(text) {
+        const s = String(text || '').replace(/(\d),(?=\d)/g, '$1').toLowerCase();
+        const parts = [];
+        let indicator = false;
+        // Each stretch of text is read once; later, looser patterns skip what earlier ones matched
+        const add = (m, rule, isIndicator = true) => {
+            const end = m.index + m[0].length;
+            if (parts.some(p => p.rule === rule || (m.index < p.end && end > p.index))) return;
+            parts.push({ index: m.index, end, rule });
+            indicator = indicator || isIndicator;
+        };
+        const cmp = word => (/^(below|under|<|less than)$/.test(word) ? '<' : '>');
+        const average = (n, kind) => `${/ema|exponential/.test(kind) ? 'ema' : 'sma'}(${n})`;
+        const ma = String.raw`(\d+)[- ]?(?:day|d)?\s*(dma|sma|ema|exponential moving average|moving average|ma)\b`;
+
+        for (const m of s.matchAll(/\brsi(?:\s*\(?(\d+)\)?)?\s*(?:is\s+|goes\s+|falls\s+|drops\s+|rises\s+)?(below|under|<|less than|above|over|>|more than|greater than)\s*(\d+(?:\.\d+)?)/g)) {
+            add(m, `rsi(${m[1] || 14}) ${cmp(m[2])} ${m[3]}`);
+        }
+        for (const m of s.matchAll(/\boversold\b/g)) add(m, 'rsi(14) < 30');
+        for (const m of s.matchAll(/\boverbought\b/g)) add(m, 'rsi(14) > 70');
+        for (const m of s.matchAll(/\bgolden cross/g)) add(m, 'sma(50) crosses_above sma(200)');
+        for (const m of s.matchAll(/\bdeath cross/g)) add(m, 'sma(50) crosses_below sma(200)');
+        for (const m of s.matchAll(/\bmacd\b[^.,;]*?\b(bullish|bearish|crosses (?:above|below)|crossover)/g)) {
+            add(m, `macd ${/bearish|below/.test(m[1]) ? 'crosses_below' : 'crosses_above'} macd_signal`);
+        }
+        for (const m of s.matchAll(new RegExp(String.raw`\b(?:crosses|cross|breaks|moves|goes)\s+(above|over|below|under)\s+(?:its\s+|the\s+)?` + ma, 'g'))) {
+            add(m, `close ${cmp(m[1]) === '>' ? 'crosses_above' : 'crosses_below'} ${average(m[2], m[3])}`);
+        }
+        for (const m of s.matchAll(new RegExp(String.raw`\b(above|over|below|under)\s+(?:its\s+|the\s+)?` + ma, 'g'))) {
+            add(m, `close ${cmp(m[1])} ${average(m[2], m[3])}`);
+        }
+        for (const m of s.matchAll(/\b(\d+)[- ]?(week|day|month)\s+(high|low)\b/g)) {
+            const sessions = Math.min(250, Math.round(Number(m[1]) * { week: 5, day: 1, month: 21 }[m[2]]));
+            add(m, m[3] === 'high' ? `close > highest(${sessions})` : `close < lowest(${sessions})`);
+        }
+        for (const m of s.matchAll(/\b(upper|lower) bollinger/g)) add(m, m[1] === 'upper' ? 'close > bb_upper(20,2)' : 'close < bb_lower(20,2)');
+        for (const m of s.matchAll(/\b(rises?|gains?|jumps?|up|falls?|drops?|declines?|down|loses?)\s+(?:by\s+|more than\s+)?(\d+(?:\.\d+)?)\s*(?:%|percent)(?:\s+in\s+(\d+)\s+(?:sessions|days|trading days))?/g)) {
+            const down = /^(falls?|drops?|declines?|down|loses?)$/.test(m[1]);
+            // A day move on its own is a plain alert; over several sessions it needs history
+            add(m, `change_pct(${m[3] || 1}) ${down ? '<=' : '>='} ${down ? '-' : ''}${m[2]}`, !!m[3]);
+        }
+        for (const m of s.matchAll(/\bvolume\b[^.;]*?(\d+(?:\.\d+)?)\s*(?:x|times)\b/g)) add(m, `volume_ratio(20) >= ${m[1]}`, false);
+        for (const m of s.matchAll(/\b(?:price|close|trades?|goes|is)\s+(above|over|below|under)\s*(?:₹|rs\.?\s*)?(\d+(?:\.\d+)?)(?![\d.]|\s*(?:%|percent|[- ]?(?:day|week|month|d)\b|dma|sma|ema|ma\b|moving))/g)) {
+            add(m, `close ${cmp(m[1])} ${m[2]}`, false);
+        }
+
+        if (!indicator) return null;
+        const joiner = /\bor\b/.test(s) && !/\band\b/.test(s) ? ' or ' : ' and ';
+        // "within N days" qualifies the condition it follows, as in the rule language
+        const window = /\bwithin\s+(\d+)\s+(?:sessions|days|trading days)/.exec(s);
+        const rule = parts.sort((a, b) => a.index - b.index).map((p, k) => (window && k === parts.length - 1 ? `${p.rule} within ${window[1]} sessions` : p.rule)).join(joiner);
+        if (typeof AlertRuleLanguage !== 'undefined' && !new AlertRuleLanguage().tryParse(rule).ast) return null;
+        return rule;
+    }
+
     fallbackConditionAnalysis(prompt) {
         return {
             conditionsMet: true,
@@ -380,11 +510,22 @@ Create notifications that users can easily understand and act upon.`;
         };
     }
 
+    // Without a model, score the headlines embedded in the prompt (JSON "title" fields) with the lexicon
     fallbackDataInterpretation(prompt) {
+        const titles = [];
+        for (const m of String(prompt || '').matchAll(/"title"\s*:\s*"((?:[^"\\]|\\.)*)"/g)) {
+            try { titles.push(JSON.parse(`"${m[1]}"`)); } catch { titles.push(m[1]); }
+        }
+        const agg = this.sentiment.aggregate(Array.from(new Set(titles)).map(title => ({ title })));
+        const overall = agg.overall;
         return {
-            sentiment: 'neutral',
+            sentiment: !overall ? 'neutral' : overall.label === 'positive' ? 'bullish' : overall.label === 'negative' ? 'bearish' : 'neutral',
+            sentimentScore: overall ? overall.score : 0,
+            headlinesScored: overall ? overall.count : 0,
+            mostPositive: agg.mostPositive ? agg.mostPositive.title : null,
+            mostNegative: agg.mostNegative ? agg.mostNegative.title : null,
             trend: 'stable',
-            riskLevel: 'medium',
+            riskLevel: overall && overall.score <= -0.4 ? 'high' : 'medium',
             recommendations: ['Continue monitoring'],
             fallback: true
         };
@@ -428,13 +569,9 @@ Create notifications that users can easily understand and act upon.`;
         return Math.min(score, 1);
     }
 
-    storeInCache(key, value) {
-        if (this.cache.size >= this.maxCacheSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
-        }
-        
-        this.cache.set(key, {
+    async storeInCache(key, value) {
+        // Size limits and LRU eviction are handled by the shared cache
+        await this.cache.set('llm', key, {
             ...value,
             cacheTimestamp: Date.now()
         });
@@ -0,0 +1,122 @@
+// Breadth and contribution analysis for indices with bundled constituents (see symbol-master.js).
+// Day moves come from getMultipleStockPrices; the 20/50-day averages come from cached daily bars,
+// fetched a few at a time so one index does not drain every provider's per-minute budget.
+class MarketBreadth {
+    constructor(options = {}) {
+        this.stocks = options.stockDataClient || new StockDataClient(options);
+        this.resolver = options.resolver || this.stocks.resolver;
+        this.concurrency = options.concurrency || 4;
+    }
+
+    // Index instrument with weights normalised to 100 over the listed members
+    async constituents(index) {
+        const instrument = typeof index === 'string' ? (await this.resolver.resolve(index)).best : index;
+        if (!instrument || instrument.type !== 'index') throw new Error(`Not an index: ${typeof index === 'string' ? index : index?.name}`);
+        if (!instrument.constituents?.length) throw new Error(`No constituent list bundled for ${instrument.name}`);
+        const total = instrument.constituents.reduce((sum, c) => sum + (c.weight || 0), 0) || 1;
+        return {
+            instrument,
+            members: instrument.constituents.map(c => ({ symbol: c.symbol, weight: +((c.weight / total) * 100).toFixed(2) }))
+        };
+    }
+
+    async analyze(index, { withAverages = true } = {}) {
+        const { instrument, members } = await this.constituents(index);
+        const quotes = await this.stocks.getMultipleStockPrices(members.map(m => m.symbol));
+
+        const rows = members.map(m => {
+            const q = quotes[m.symbol] || {};
+            const changePct = q.error ? null : parseFloat(String(q.changePercent ?? '').replace('%', ''));
+            return {
+                symbol: m.symbol,
+                weight: m.weight,
+                price: q.error ? null : q.price ?? null,
+                changePct: Number.isFinite(changePct) ? +changePct.toFixed(2) : null,
+                // Index points are weight x move; summed they approximate the index's own % change
+                contribution: Number.isFinite(changePct) ? +((m.weight * changePct) / 100).toFixed(3) : null,
+                error: q.error || null
+            };
+        });
+
+        if (withAverages) {
+            await this.forEachLimited(rows, async (row) => {
+                try {
+                    const { bars } = await this.stocks.getDailySeries(row.symbol, { lookbackDays: 60 });
+                    const closes = bars.map(b => b.adjClose ?? b.close);
+                    const last = row.price ?? closes[closes.length - 1];
+                    const sma = n => (closes.length >= n ? closes.slice(-n).reduce((a, b) => a + b, 0) / n : null);
+                    const sma20 = sma(20);
+                    const sma50 = sma(50);
+                    row.above20 = sma20 === null ? null : last > sma20;
+                    row.above50 = sma50 === null ? null : last > sma50;
+                } catch (error) {
+                    row.above20 = null;
+                    row.above50 = null;
+                    row.historyError = String(error?.message || error);
+                }
+            });
+        }
+
+        const priced = rows.filter(r => r.changePct !== null);
+        const advancers = priced.filter(r => r.changePct > 0).length;
+        const decliners = priced.filter(r => r.changePct < 0).length;
+        const share = key => {
+            const known = rows.filter(r => r[key] === true || r[key] === false);
+            if (!known.length) return null;
+            const count = known.filter(r => r[key]).length;
+            return { count, of: known.length, pct: +((count / known.length) * 100).toFixed(1) };
+        };
+        const byContribution = priced.slice().sort((a, b) => b.contribution - a.contribution);
+        const brief = r => ({ symbol: r.symbol, weight: r.weight, changePct: r.changePct, contribution: r.contribution });
+
+        return {
+            index: { id: instrument.id, name: instrument.name, constituentsAsOf: instrument.constituentsAsOf || null },
+            asOf: new Date().toISOString(),
+            coverage: { constituents: rows.length, priced: priced.length, withAverages: withAverages ? rows.filter(r => r.above20 !== null && r.above20 !== undefined).length : 0 },
+            advancers,
+            decliners,
+            unchanged: priced.length - advancers - decliners,
+            advanceDeclineRatio: decliners ? +(advancers / decliners).toFixed(2) : null,
+            weightedChangePct: +priced.reduce((sum, r) => sum + r.contribution, 0).toFixed(2),
+            above20dma: share('above20'),
+            above50dma: share('above50'),
+            topContributors: byContribution.filter(r => r.contribution > 0).slice(0, 5).map(brief),
+            topDetractors: byContribution.filter(r => r.contribution < 0).reverse().slice(0, 5).map(brief),
+            members: rows
+        };
+    }
+
+    async forEachLimited(items, fn) {
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const item = items[next++];
+                await fn(item);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+    }
+
+    // One-line description for prompts and fallback summaries
+    describe(breadth) {
+        if (!breadth) return '';
+        const names = list => list.map(r => `${r.symbol} (${r.changePct > 0 ? '+' : ''}${r.changePct}%)`).join(', ');
+        const parts = [`${breadth.advancers} of ${breadth.coverage.priced} ${breadth.index.name} stocks advanced and ${breadth.decliners} declined`];
+        if (breadth.above20dma) parts.push(`${breadth.above20dma.pct}% trade above their 20-day average`);
+        if (breadth.above50dma) parts.push(`${breadth.above50dma.pct}% above their 50-day average`);
+        let text = parts.join(', ') + '.';
+        if (breadth.topContributors.length) text += ` Biggest lifts: ${names(breadth.topContributors.slice(0, 3))}.`;
+        if (breadth.topDetractors.length) text += ` Biggest drags: ${names(breadth.topDetractors.slice(0, 3))}.`;
+        return text;
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.MarketBreadth = MarketBreadth;
+} else if (typeof global !== 'undefined') {
+    global.MarketBreadth = MarketBreadth;
+} else {
+    // Service worker environment
+    self.MarketBreadth = MarketBreadth;
+}
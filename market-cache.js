@@ -0,0 +1,227 @@
+// Shared cache for quotes, daily/intraday bars, fundamentals, fund NAVs, FX/commodity/macro
+// reference data, news, extracted article text and LLM responses.
+// Entries live in chrome.storage.local (one key per entry plus an index) so they survive
+// service worker restarts; an in-memory layer in front avoids a storage read per lookup.
+class MarketDataCache {
+    constructor(options = {}) {
+        this.PREFIX = 'agentic_cache:';
+        this.INDEX_KEY = 'agentic_cache_index';
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.CACHE) || {};
+        // ttl: served as fresh; staleTtl: served while a refresh runs in the background
+        this.policies = {
+            quote: { ttl: 60 * 1000, staleTtl: 15 * 60 * 1000 },
+            daily: { ttl: 6 * 60 * 60 * 1000, staleTtl: 3 * 24 * 60 * 60 * 1000 },
+            intraday: { ttl: 60 * 1000, staleTtl: 5 * 60 * 1000 },
+            fundamentals: { ttl: 24 * 60 * 60 * 1000, staleTtl: 7 * 24 * 60 * 60 * 1000 },
+            mf: { ttl: 6 * 60 * 60 * 1000, staleTtl: 3 * 24 * 60 * 60 * 1000 },
+            reference: { ttl: 15 * 60 * 1000, staleTtl: 6 * 60 * 60 * 1000 },
+            news: { ttl: 5 * 60 * 1000, staleTtl: 60 * 60 * 1000 },
+            article: { ttl: 24 * 60 * 60 * 1000, staleTtl: 6 * 24 * 60 * 60 * 1000 },
+            llm: { ttl: 24 * 60 * 60 * 1000, staleTtl: 7 * 24 * 60 * 60 * 1000 },
+            ...(cfg.policies || {}),
+            ...(options.policies || {})
+        };
+        this.maxEntries = options.maxEntries || cfg.maxEntries || 500;
+        this.maxBytes = options.maxBytes || cfg.maxBytes || 4 * 1024 * 1024;
+        this.persistent = options.persistent !== false && typeof chrome !== 'undefined' && !!chrome?.storage?.local;
+
+        this.memory = new Map(); // storage key -> entry
+        this.index = null; // storage key -> { ns, size, storedAt, lastAccess }
+        this.inflight = new Map();
+        this._loading = null;
+        this._touchTimer = null;
+    }
+
+    policy(ns) {
+        return this.policies[ns] || { ttl: 5 * 60 * 1000, staleTtl: 5 * 60 * 1000 };
+    }
+
+    storageKey(ns, key) {
+        return `${this.PREFIX}${ns}:${key}`;
+    }
+
+    // Short stable key for long inputs such as prompts
+    hashKey(text) {
+        let h = 0x811c9dc5;
+        const s = String(text);
+        for (let i = 0; i < s.length; i++) {
+            h ^= s.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return `${(h >>> 0).toString(16)}_${s.length}`;
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadIndex();
+        return this._loading;
+    }
+
+    async _loadIndex() {
+        this.index = {};
+        if (!this.persistent) return;
+        try {
+            const saved = (await chrome.storage.local.get([this.INDEX_KEY]))[this.INDEX_KEY];
+            if (saved && typeof saved === 'object') this.index = saved;
+        } catch (error) {
+            console.warn('Could not load cache index:', error);
+        }
+    }
+
+    async get(ns, key) {
+        await this.load();
+        const skey = this.storageKey(ns, key);
+        let entry = this.memory.get(skey);
+        if (!entry && this.persistent && this.index[skey]) {
+            try {
+                entry = (await chrome.storage.local.get([skey]))[skey] || null;
+                if (entry) this.memory.set(skey, entry);
+            } catch (error) {
+                console.warn('Cache read failed:', error);
+            }
+        }
+        if (!entry) return null;
+
+        const age = Date.now() - entry.storedAt;
+        const { ttl, staleTtl } = this.policy(ns);
+        if (age > ttl + staleTtl) {
+            await this.delete(ns, key);
+            return null;
+        }
+        this.touch(skey);
+        return { value: entry.value, storedAt: entry.storedAt, age, fresh: age <= ttl, stale: age > ttl };
+    }
+
+    async set(ns, key, value) {
+        await this.load();
+        const skey = this.storageKey(ns, key);
+        const entry = { value, storedAt: Date.now() };
+        let size = 0;
+        try { size = JSON.stringify(entry).length; } catch { return; }
+        if (size > this.maxBytes / 4) return; // never let one entry crowd out the rest
+
+        this.memory.set(skey, entry);
+        this.index[skey] = { ns, size, storedAt: entry.storedAt, lastAccess: entry.storedAt };
+        const evicted = this.evictionCandidates();
+        for (const k of evicted) {
+            delete this.index[k];
+            this.memory.delete(k);
+        }
+        if (!this.persistent) return;
+        try {
+            if (evicted.length) await chrome.storage.local.remove(evicted);
+            await chrome.storage.local.set({ [skey]: entry, [this.INDEX_KEY]: this.index });
+        } catch (error) {
+            console.warn('Cache write failed:', error);
+        }
+    }
+
+    // Least recently used keys to drop so the cache fits its entry and byte limits
+    evictionCandidates() {
+        const entries = Object.entries(this.index).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        let count = entries.length;
+        let bytes = entries.reduce((sum, [, meta]) => sum + (meta.size || 0), 0);
+        const out = [];
+        for (const [k, meta] of entries) {
+            if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+            out.push(k);
+            count--;
+            bytes -= meta.size || 0;
+        }
+        return out;
+    }
+
+    touch(skey) {
+        if (!this.index[skey]) return;
+        this.index[skey].lastAccess = Date.now();
+        if (!this.persistent || this._touchTimer) return;
+        // Access times are flushed in batches; losing one batch only skews LRU order slightly
+        this._touchTimer = setTimeout(() => {
+            this._touchTimer = null;
+            chrome.storage.local.set({ [this.INDEX_KEY]: this.index }).catch(() => {});
+        }, 2000);
+    }
+
+    async delete(ns, key) {
+        await this.load();
+        const skey = this.storageKey(ns, key);
+        this.memory.delete(skey);
+        if (!this.index[skey]) return;
+        delete this.index[skey];
+        if (!this.persistent) return;
+        try {
+            await chrome.storage.local.remove([skey]);
+            await chrome.storage.local.set({ [this.INDEX_KEY]: this.index });
+        } catch (error) {
+            console.warn('Cache delete failed:', error);
+        }
+    }
+
+    // Stale-while-revalidate: fresh hits return immediately, stale hits return and refresh in the
+    // background, misses wait for the fetcher. Concurrent misses for one key share a single fetch.
+    async wrap(ns, key, fetcher, { force = false } = {}) {
+        const cached = force ? null : await this.get(ns, key);
+        if (cached && cached.fresh) return { value: cached.value, cache: 'hit', storedAt: cached.storedAt };
+        if (cached && cached.stale) {
+            this.refresh(ns, key, fetcher).catch(() => {});
+            return { value: cached.value, cache: 'stale', storedAt: cached.storedAt };
+        }
+        const value = await this.refresh(ns, key, fetcher);
+        return { value, cache: 'miss', storedAt: Date.now() };
+    }
+
+    refresh(ns, key, fetcher) {
+        const skey = this.storageKey(ns, key);
+        if (this.inflight.has(skey)) return this.inflight.get(skey);
+        const p = (async () => {
+            try {
+                const value = await fetcher();
+                if (value !== undefined && value !== null) await this.set(ns, key, value);
+                return value;
+            } finally {
+                this.inflight.delete(skey);
+            }
+        })();
+        this.inflight.set(skey, p);
+        return p;
+    }
+
+    async clear(ns = null) {
+        await this.load();
+        const keys = Object.keys(this.index).filter(k => !ns || this.index[k].ns === ns);
+        for (const k of keys) {
+            delete this.index[k];
+            this.memory.delete(k);
+        }
+        if (!this.persistent) return keys.length;
+        try {
+            if (keys.length) await chrome.storage.local.remove(keys);
+            await chrome.storage.local.set({ [this.INDEX_KEY]: this.index });
+        } catch (error) {
+            console.warn('Cache clear failed:', error);
+        }
+        return keys.length;
+    }
+
+    async stats() {
+        await this.load();
+        const byNamespace = {};
+        for (const meta of Object.values(this.index)) {
+            const row = byNamespace[meta.ns] || (byNamespace[meta.ns] = { entries: 0, bytes: 0 });
+            row.entries++;
+            row.bytes += meta.size || 0;
+        }
+        const entries = Object.keys(this.index).length;
+        const bytes = Object.values(byNamespace).reduce((sum, r) => sum + r.bytes, 0);
+        return { entries, bytes, maxEntries: this.maxEntries, maxBytes: this.maxBytes, byNamespace, policies: this.policies };
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.MarketDataCache = MarketDataCache;
+} else if (typeof global !== 'undefined') {
+    global.MarketDataCache = MarketDataCache;
+} else {
+    // Service worker environment
+    self.MarketDataCache = MarketDataCache;
+}
@@ -0,0 +1,154 @@
+// Groups near-duplicate stories: the same wire copy (PTI, Reuters, IANS) syndicated across outlets
+// with small headline edits, AMP and tracking-parameter variants of one URL, and aggregator copies.
+// Similarity is token overlap on normalised titles, backed up by descriptions, and only between
+// articles published within a few hours of each other so daily recurring headlines stay apart.
+class NewsClusterer {
+    constructor(options = {}) {
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.NEWS) || {};
+        this.threshold = options.threshold || cfg.clusterThreshold || 0.55;
+        this.windowMs = (options.windowHours || cfg.clusterWindowHours || 36) * 60 * 60 * 1000;
+        this.stopwords = new Set([
+            'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'as', 'is', 'are',
+            'was', 'were', 'be', 'its', 'it', 'this', 'that', 'after', 'over', 'amid', 'says', 'said', 'report', 'reports',
+            'news', 'latest', 'live', 'updates', 'update', 'today', 'here', 'what', 'why', 'how', 'check', 'details'
+        ]);
+        this.trackingParams = /^(utm_[a-z]+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|source|from|frm|cmp|taxonomy|yptr|ito|ncid|ocid)$/i;
+    }
+
+    // Same article reached through AMP pages, mobile hosts, tracking parameters or trailing slashes
+    canonicalUrl(url) {
+        const raw = String(url || '').trim();
+        if (!raw) return '';
+        let u;
+        try { u = new URL(raw); } catch { return raw.replace(/[?#].*$/, '').replace(/\/+$/, '').toLowerCase(); }
+        const host = u.hostname.toLowerCase().replace(/^(www|m|amp|mobile)\./, '');
+        let path = u.pathname
+            .replace(/\/amp(\/|$)/i, '/')
+            .replace(/\.amp(\.html?)?$/i, '$1')
+            .replace(/\/+$/, '');
+        // Google News RSS links are opaque per-story ids; keep them whole
+        if (host === 'news.google.com') path = u.pathname;
+        const params = Array.from(u.searchParams.entries())
+            .filter(([k]) => !this.trackingParams.test(k) && !/^amp$/i.test(k))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = params.length ? '?' + params.map(([k, v]) => `${k}=${v}`).join('&') : '';
+        return `${host}${path.toLowerCase()}${query}`;
+    }
+
+    // Outlet name for a story: the source field, else the host without www
+    outlet(article) {
+        const source = String(article?.source || '').trim();
+        if (source && source !== 'Unknown' && source !== 'Google News') return source;
+        try { return new URL(article.url).hostname.replace(/^www\./, ''); } catch { return source || 'Unknown'; }
+    }
+
+    // Lowercase word set without punctuation, stopwords, "- Outlet" suffixes (aggregators append them) or plural s
+    tokens(text, outlet = '') {
+        let s = String(text || '');
+        if (outlet) {
+            const esc = outlet.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            s = s.replace(new RegExp(`\\s+[-|–—:]\\s+${esc}\\s*$`, 'i'), '');
+        }
+        return new Set(s.toLowerCase()
+            .replace(/₹/g, ' rs ')
+            .replace(/(\d),(\d)/g, '$1$2')
+            .split(/[^a-z0-9.%]+/)
+            .map(w => w.replace(/^\.+|\.+$/g, '').replace(/(?<=[a-z]{3})s$/, ''))
+            .filter(w => w.length > 1 && !this.stopwords.has(w)));
+    }
+
+    // Jaccard, lifted towards the overlap coefficient when one headline is a trimmed version of the other
+    similarity(a, b) {
+        if (!a.size || !b.size) return 0;
+        let shared = 0;
+        for (const t of a) if (b.has(t)) shared++;
+        const jaccard = shared / (a.size + b.size - shared);
+        const overlap = shared / Math.min(a.size, b.size);
+        return Math.min(a.size, b.size) >= 4 ? Math.max(jaccard, overlap * 0.85) : jaccard;
+    }
+
+    // Different figures in otherwise identical headlines ("Sensex falls 300 points") are different stories
+    numbersConflict(a, b) {
+        const nums = set => Array.from(set).filter(t => /\d/.test(t));
+        const na = nums(a);
+        const nb = nums(b);
+        return na.length > 0 && nb.length > 0 && !na.some(n => nb.includes(n));
+    }
+
+    prepare(article, index) {
+        const outlet = this.outlet(article);
+        return {
+            index,
+            article,
+            outlet,
+            url: this.canonicalUrl(article.url),
+            title: this.tokens(article.title, outlet),
+            description: this.tokens(article.description, outlet),
+            time: Date.parse(article.publishedAt) || null
+        };
+    }
+
+    sameStory(x, y) {
+        if (x.url && x.url === y.url) return true;
+        if (x.time && y.time && Math.abs(x.time - y.time) > this.windowMs) return false;
+        if (this.numbersConflict(x.title, y.title)) return false;
+        const titleSim = this.similarity(x.title, y.title);
+        if (titleSim >= this.threshold) return true;
+        // Rewritten headline over the same wire copy
+        return titleSim >= this.threshold * 0.6 && x.description.size >= 6 && y.description.size >= 6
+            && this.similarity(x.description, y.description) >= this.threshold + 0.1;
+    }
+
+    // Clusters newest story first; each has one representative, the outlets covering it and its members
+    cluster(articles = []) {
+        const items = articles.filter(a => a && a.title).map((a, i) => this.prepare(a, i));
+        const groups = [];
+        for (const item of items) {
+            const group = groups.find(g => g.some(member => this.sameStory(member, item)));
+            if (group) group.push(item);
+            else groups.push([item]);
+        }
+        return groups
+            .map((members, i) => {
+                const rep = this.representative(members);
+                const sources = Array.from(new Set(members.map(m => m.outlet)));
+                const times = members.map(m => m.time).filter(Boolean);
+                return {
+                    id: `c${i + 1}`,
+                    representative: rep.article,
+                    sourceCount: sources.length,
+                    sources,
+                    firstSeenAt: times.length ? new Date(Math.min(...times)).toISOString() : null,
+                    lastSeenAt: times.length ? new Date(Math.max(...times)).toISOString() : null,
+                    articles: members.map(m => m.article)
+                };
+            })
+            .sort((a, b) => (Date.parse(b.lastSeenAt) || 0) - (Date.parse(a.lastSeenAt) || 0));
+    }
+
+    // Prefer a named outlet with a description, then the earliest copy (usually the original)
+    representative(members) {
+        const rank = m => (m.description.size ? 2 : 0) + (/^[a-z0-9.-]+\.[a-z]{2,}$/.test(m.outlet) ? 0 : 1);
+        return members.slice().sort((a, b) => rank(b) - rank(a) || (a.time || Infinity) - (b.time || Infinity) || a.index - b.index)[0];
+    }
+
+    // One entry per story for prompts and logs
+    brief(clusters, limit = 5) {
+        return clusters.slice(0, limit).map(c => ({
+            title: c.representative.title,
+            source: c.representative.source,
+            publishedAt: c.representative.publishedAt,
+            ...(c.sourceCount > 1 ? { coveredBy: c.sources } : {})
+        }));
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.NewsClusterer = NewsClusterer;
+} else if (typeof global !== 'undefined') {
+    global.NewsClusterer = NewsClusterer;
+} else {
+    // Service worker environment
+    self.NewsClusterer = NewsClusterer;
+}
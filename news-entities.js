@@ -0,0 +1,247 @@
+// Entity tagging and relevance scoring for fetched articles. Companies, tickers and indices come
+// from the resolver's instrument master (names, aliases, NSE symbols); sectors and people come from
+// the small bundled lists below. Relevance is a 0-1 score against the research target with the
+// reasons that produced it, so the run logs show why an article was kept or dropped.
+(function attachEntityLists(root){
+    const NEWS_ENTITIES = {
+        asOf: '2025-01-15',
+        // Keyword stems per sector, named as in SYMBOL_MASTER
+        sectors: {
+            'Financial Services': ['bank', 'banking', 'lender', 'nbfc', 'deposit', 'loan', 'credit growth', 'insurer', 'insurance', 'npa', 'microfinance'],
+            'Information Technology': ['it services', 'software', 'tech services', 'outsourcing', 'deal wins', 'digital transformation', 'attrition'],
+            'Healthcare': ['pharma', 'drug', 'usfda', 'generic', 'hospital', 'api maker', 'formulation'],
+            'Automobile': ['auto', 'automaker', 'carmaker', 'two-wheeler', 'two wheeler', 'passenger vehicle', 'ev ', 'electric vehicle', 'tractor', 'vehicle sales'],
+            'Metals & Mining': ['steel', 'metal', 'aluminium', 'aluminum', 'copper', 'zinc', 'iron ore', 'mining'],
+            'Oil & Gas': ['crude', 'oil', 'refiner', 'refining', 'petroleum', 'natural gas', 'lng', 'fuel', 'oil marketing'],
+            'FMCG': ['fmcg', 'consumer goods', 'staples', 'rural demand', 'cigarette', 'biscuit'],
+            'Consumer Durables': ['consumer durables', 'paints', 'jewellery', 'appliances'],
+            'Consumer Services': ['quick commerce', 'food delivery', 'retail', 'e-commerce', 'ecommerce'],
+            'Construction Materials': ['cement'],
+            'Construction': ['infrastructure', 'order book', 'epc', 'order inflow'],
+            'Capital Goods': ['defence', 'defense', 'capital goods', 'order book'],
+            'Telecommunication': ['telecom', 'tariff hike', 'arpu', 'spectrum', '5g'],
+            'Power': ['power', 'electricity', 'renewable', 'solar', 'thermal'],
+            'Realty': ['real estate', 'realty', 'housing sales', 'property', 'pre-sales']
+        },
+        // Executives and regulators whose names often stand in for the company in headlines
+        people: [
+            { name: 'Mukesh Ambani', aliases: ['mukesh ambani'], role: 'Chairman', symbol: 'RELIANCE' },
+            { name: 'Akash Ambani', aliases: ['akash ambani'], role: 'Chairman, Reliance Jio', symbol: 'RELIANCE' },
+            { name: 'Gautam Adani', aliases: ['gautam adani'], role: 'Chairman', symbol: 'ADANIENT' },
+            { name: 'N Chandrasekaran', aliases: ['n chandrasekaran', 'chandrasekaran'], role: 'Chairman, Tata Sons', symbol: 'TCS' },
+            { name: 'K Krithivasan', aliases: ['k krithivasan', 'krithivasan'], role: 'CEO', symbol: 'TCS' },
+            { name: 'Salil Parekh', aliases: ['salil parekh'], role: 'CEO', symbol: 'INFY' },
+            { name: 'Nandan Nilekani', aliases: ['nandan nilekani', 'nilekani'], role: 'Chairman', symbol: 'INFY' },
+            { name: 'C Vijayakumar', aliases: ['c vijayakumar'], role: 'CEO', symbol: 'HCLTECH' },
+            { name: 'Roshni Nadar Malhotra', aliases: ['roshni nadar', 'roshni nadar malhotra'], role: 'Chairperson', symbol: 'HCLTECH' },
+            { name: 'Srinivas Pallia', aliases: ['srinivas pallia'], role: 'CEO', symbol: 'WIPRO' },
+            { name: 'Rishad Premji', aliases: ['rishad premji'], role: 'Chairman', symbol: 'WIPRO' },
+            { name: 'Mohit Joshi', aliases: ['mohit joshi'], role: 'CEO', symbol: 'TECHM' },
+            { name: 'Sashidhar Jagdishan', aliases: ['sashidhar jagdishan'], role: 'CEO', symbol: 'HDFCBANK' },
+            { name: 'Sandeep Bakhshi', aliases: ['sandeep bakhshi'], role: 'CEO', symbol: 'ICICIBANK' },
+            { name: 'Uday Kotak', aliases: ['uday kotak'], role: 'Founder', symbol: 'KOTAKBANK' },
+            { name: 'Ashok Vaswani', aliases: ['ashok vaswani'], role: 'CEO', symbol: 'KOTAKBANK' },
+            { name: 'Amitabh Chaudhry', aliases: ['amitabh chaudhry'], role: 'CEO', symbol: 'AXISBANK' },
+            { name: 'C S Setty', aliases: ['cs setty', 'c s setty', 'challa sreenivasulu setty'], role: 'Chairman', symbol: 'SBIN' },
+            { name: 'Sanjiv Puri', aliases: ['sanjiv puri'], role: 'Chairman', symbol: 'ITC' },
+            { name: 'Rohit Jawa', aliases: ['rohit jawa'], role: 'CEO', symbol: 'HINDUNILVR' },
+            { name: 'Sunil Bharti Mittal', aliases: ['sunil mittal', 'sunil bharti mittal'], role: 'Chairman', symbol: 'BHARTIARTL' },
+            { name: 'Gopal Vittal', aliases: ['gopal vittal'], role: 'Vice Chairman', symbol: 'BHARTIARTL' },
+            { name: 'Anand Mahindra', aliases: ['anand mahindra'], role: 'Chairman', symbol: 'M&M' },
+            { name: 'Rajiv Bajaj', aliases: ['rajiv bajaj'], role: 'MD', symbol: 'BAJAJ-AUTO' },
+            { name: 'Sanjiv Bajaj', aliases: ['sanjiv bajaj'], role: 'Chairman', symbol: 'BAJAJFINSV' },
+            { name: 'Hisashi Takeuchi', aliases: ['hisashi takeuchi'], role: 'MD', symbol: 'MARUTI' },
+            { name: 'Dilip Shanghvi', aliases: ['dilip shanghvi'], role: 'MD', symbol: 'SUNPHARMA' },
+            { name: 'Kumar Mangalam Birla', aliases: ['kumar mangalam birla', 'km birla'], role: 'Chairman', symbol: 'GRASIM' },
+            { name: 'Sajjan Jindal', aliases: ['sajjan jindal'], role: 'Chairman', symbol: 'JSWSTEEL' },
+            { name: 'Anil Agarwal', aliases: ['anil agarwal'], role: 'Chairman', symbol: 'VEDL' },
+            { name: 'Deepinder Goyal', aliases: ['deepinder goyal'], role: 'CEO', symbol: 'ETERNAL' },
+            { name: 'Vijay Shekhar Sharma', aliases: ['vijay shekhar sharma'], role: 'CEO', symbol: 'PAYTM' },
+            { name: 'Bhavish Aggarwal', aliases: ['bhavish aggarwal'], role: 'CEO', symbol: 'OLAELEC' },
+            { name: 'Falguni Nayar', aliases: ['falguni nayar'], role: 'CEO', symbol: 'NYKAA' },
+            { name: 'Radhakishan Damani', aliases: ['radhakishan damani', 'rk damani'], role: 'Founder', symbol: 'DMART' },
+            { name: 'Sanjay Malhotra', aliases: ['sanjay malhotra'], role: 'RBI Governor', symbol: null },
+            { name: 'Tuhin Kanta Pandey', aliases: ['tuhin kanta pandey'], role: 'SEBI Chairman', symbol: null },
+            { name: 'Madhabi Puri Buch', aliases: ['madhabi puri buch', 'madhabi buch'], role: 'Former SEBI Chairperson', symbol: null },
+            { name: 'Nirmala Sitharaman', aliases: ['nirmala sitharaman', 'sitharaman'], role: 'Finance Minister', symbol: null }
+        ],
+        // Tickers that double as common acronyms; a mention next to one of these phrases is not the company
+        falseFriends: {
+            ITC: ['input tax credit', 'international trade commission', 'us itc', 'itc claim', 'itc refund'],
+            LT: ['lt gen', 'lt governor', 'lt col', 'lieutenant']
+        }
+    };
+
+    if (typeof root !== 'undefined') {
+        root.NEWS_ENTITIES = NEWS_ENTITIES;
+    }
+})(typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis));
+
+class NewsEntityTagger {
+    constructor(options = {}) {
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.NEWS) || {};
+        this.resolver = options.resolver || new SymbolResolver();
+        this.lists = options.lists || (typeof NEWS_ENTITIES !== 'undefined' ? NEWS_ENTITIES : { sectors: {}, people: [], falseFriends: {} });
+        this.minRelevance = options.minRelevance ?? cfg.minRelevance ?? 0.35;
+        this.marketWords = /\b(shares?|stocks?|nse|bse|sensex|nifty|q[1-4]|quarter|results|earnings|profit|revenue|crore|dividend|target price|brokerage|rating|sebi|ipo|stake|block deal|order|guidance|margin)\b/i;
+        this.wrapWords = /\b(stocks to (watch|buy)|market (wrap|live|highlights|close)|closing bell|opening bell|top (gainers|losers)|sensex,? nifty|trade setup|buzzing stocks)\b/i;
+        this.people = this.lists.people.map(p => ({ ...p, keys: p.aliases.map(a => this.resolver.normalize(a)) }));
+    }
+
+    // { companies, tickers, indices, sectors, people } found in the title and description
+    tag(article) {
+        const title = String(article?.title || '');
+        const body = String(article?.description || '');
+        const companies = new Map();
+        const indices = new Map();
+        const tickers = new Set();
+        for (const [field, text] of [['title', title], ['description', body]]) {
+            for (const hit of this.instrumentHits(text)) {
+                const inst = hit.instrument;
+                if (this.isFalseFriend(inst.symbol, text)) continue;
+                const bucket = inst.type === 'index' ? indices : companies;
+                const prev = bucket.get(inst.id);
+                if (prev) { prev.inTitle = prev.inTitle || field === 'title'; prev.count++; continue; }
+                bucket.set(inst.id, { id: inst.id, symbol: inst.symbol, name: inst.name, sector: inst.sector || null, matchedText: hit.matchedText, matchedOn: hit.matchedOn, inTitle: field === 'title', count: 1 });
+                if (hit.matchedOn === 'symbol') tickers.add(inst.symbol);
+            }
+        }
+        // Exchange-qualified tickers ("NSE: ITC", "RELIANCE.NS") even when not in the bundled master
+        for (const m of `${title} ${body}`.matchAll(/\b(?:NSE|BSE)\s*:\s*([A-Z][A-Z0-9&\-]{1,19})\b|\b([A-Z][A-Z0-9&\-]{1,19})\.(?:NS|BO)\b/g)) tickers.add(m[1] || m[2]);
+
+        const text = ` ${this.resolver.normalize(`${title} ${body}`)} `;
+        const people = this.people
+            .filter(p => p.keys.some(k => text.includes(` ${k} `)))
+            .map(({ name, role, symbol }) => ({ name, role, symbol }));
+        const sectors = new Set(Array.from(companies.values()).map(c => c.sector).filter(Boolean));
+        const lower = ` ${title} ${body} `.toLowerCase();
+        for (const [sector, words] of Object.entries(this.lists.sectors || {})) {
+            if (words.some(w => new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(lower))) sectors.add(sector);
+        }
+
+        return {
+            companies: Array.from(companies.values()),
+            tickers: Array.from(tickers),
+            indices: Array.from(indices.values()).map(({ id, symbol, name, inTitle }) => ({ id, symbol, name, inTitle })),
+            sectors: Array.from(sectors),
+            people
+        };
+    }
+
+    // Longest-phrase-first lookup against the resolver's name/alias/ticker index.
+    // Single words must be capitalised (so "persistent demand" is not Persistent Systems) and
+    // words under four letters must be written in capitals, as tickers are.
+    instrumentHits(text) {
+        const words = String(text || '').replace(/[’']s\b/g, '').split(/\s+/).filter(Boolean);
+        const used = new Set();
+        const hits = [];
+        for (let n = Math.min(5, words.length); n >= 1; n--) {
+            for (let i = 0; i + n <= words.length; i++) {
+                if (words.slice(i, i + n).some((_, k) => used.has(i + k))) continue;
+                const phraseRaw = words.slice(i, i + n).join(' ').replace(/^[^A-Za-z0-9&]+|[^A-Za-z0-9&]+$/g, '');
+                const phrase = this.resolver.normalize(phraseRaw);
+                if (!phrase || (n === 1 && this.resolver.stopwords.has(phrase))) continue;
+                const matches = this.resolver.keyIndex.get(phrase);
+                if (!matches) continue;
+                if (n === 1 && !/^[A-Z]/.test(phraseRaw)) continue;
+                const isUpper = phraseRaw === phraseRaw.toUpperCase();
+                if (n === 1 && phrase.length < 4 && !isUpper) continue;
+                for (let k = i; k < i + n; k++) used.add(k);
+                for (const instrument of matches) {
+                    const isTicker = isUpper && this.resolver.normalize(instrument.symbol) === phrase;
+                    hits.push({ instrument, matchedText: phraseRaw, matchedOn: isTicker ? 'symbol' : 'alias' });
+                }
+            }
+        }
+        return hits;
+    }
+
+    isFalseFriend(symbol, text) {
+        const phrases = this.lists.falseFriends?.[symbol];
+        if (!phrases) return false;
+        const lower = String(text || '').toLowerCase();
+        return phrases.some(p => lower.includes(p));
+    }
+
+    // 0-1 relevance to the research target with the reasons behind it; everything scores 1 without a target
+    score(article, tags, target) {
+        if (!target) return { score: 1, reasons: ['no target'] };
+        const reasons = [];
+        let score = 0;
+        const title = String(article?.title || '');
+        const text = `${title} ${article?.description || ''}`;
+
+        if (target.type === 'index') {
+            const hit = tags.indices.find(i => i.id === target.id);
+            if (hit) { score += hit.inTitle ? 0.6 : 0.4; reasons.push(`index named in ${hit.inTitle ? 'title' : 'description'}`); }
+            const members = new Set((target.constituents || []).map(c => c.symbol));
+            const named = tags.companies.filter(c => members.has(c.symbol)).length;
+            if (named) { score += Math.min(0.3, named * 0.1); reasons.push(`${named} constituent(s) named`); }
+            if (this.wrapWords.test(title) || /\b(sensex|nifty|dalal street|benchmark)\b/i.test(title)) { score += 0.2; reasons.push('market wrap'); }
+        } else {
+            const hit = tags.companies.find(c => c.id === target.id || c.symbol === target.symbol);
+            const byPerson = tags.people.find(p => p.symbol === target.symbol);
+            if (hit) {
+                const weight = hit.matchedOn === 'symbol' ? 0.4 : 0.55;
+                score += hit.inTitle ? weight : weight * 0.6;
+                reasons.push(`${hit.matchedOn === 'symbol' ? 'ticker' : 'name'} "${hit.matchedText}" in ${hit.inTitle ? 'title' : 'description'}`);
+            } else if (target.guessed && new RegExp(`\\b${target.symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text)) {
+                score += 0.4;
+                reasons.push('unlisted ticker in text');
+            } else if (this.isFalseFriend(target.symbol, text)) {
+                reasons.push(`"${target.symbol}" used as an unrelated acronym`);
+            }
+            if (byPerson) { score += hit ? 0.1 : 0.35; reasons.push(`mentions ${byPerson.name} (${byPerson.role})`); }
+            const others = tags.companies.filter(c => c.symbol !== target.symbol).length;
+            const isWrap = others >= 4 || this.wrapWords.test(title);
+            if (score > 0 && this.marketWords.test(text)) { score += 0.15; reasons.push('market context'); }
+            if (score > 0 && !isWrap && target.sector && tags.sectors.includes(target.sector)) { score += 0.1; reasons.push(`sector ${target.sector}`); }
+            if (score > 0 && isWrap) { score -= 0.3; reasons.push(`market wrap naming ${others} other companies`); }
+        }
+        if (!reasons.length) reasons.push('target not mentioned');
+        return { score: +Math.max(0, Math.min(1, score)).toFixed(2), reasons };
+    }
+
+    // Tags and scores each article; returns copies carrying { tags, relevance }
+    annotate(articles = [], target = null) {
+        return articles.filter(Boolean).map(article => {
+            const tags = this.tag(article);
+            return { ...article, tags, relevance: this.score(article, tags, target) };
+        });
+    }
+
+    // Splits annotated articles at minRelevance
+    filter(annotated = [], { minScore = this.minRelevance } = {}) {
+        const kept = [];
+        const dropped = [];
+        for (const a of annotated) (a.relevance.score >= minScore ? kept : dropped).push(a);
+        return { kept, dropped };
+    }
+
+    // Compact per-article record for run logs
+    logEntry(article) {
+        const t = article.tags || {};
+        return {
+            title: article.title,
+            url: article.url,
+            source: article.source,
+            relevance: article.relevance?.score ?? null,
+            reasons: article.relevance?.reasons || [],
+            companies: (t.companies || []).map(c => c.symbol),
+            tickers: t.tickers || [],
+            indices: (t.indices || []).map(i => i.symbol),
+            sectors: t.sectors || [],
+            people: (t.people || []).map(p => p.name)
+        };
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.NewsEntityTagger = NewsEntityTagger;
+} else if (typeof global !== 'undefined') {
+    global.NewsEntityTagger = NewsEntityTagger;
+} else {
+    // Service worker environment
+    self.NewsEntityTagger = NewsEntityTagger;
+}
@@ -0,0 +1,334 @@
+// RSS 2.0 / Atom ingestion without a proxy. The service worker has no DOMParser, so feeds are
+// read with a small tag scanner that is good enough for news feeds (items, CDATA, entities,
+// Atom link attributes). Polled items are kept in chrome.storage and searched locally, which
+// lets getNews return results with no API keys and without sending the query anywhere.
+class NewsFeedReader {
+    constructor(options = {}) {
+        this.ITEMS_KEY = 'agentic_feed_items';
+        this.STATE_KEY = 'agentic_feed_state';
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.NEWS) || {};
+        this.defaultFeeds = (options.feeds || cfg.feeds || []).map(f => this.normalizeFeed(f)).filter(Boolean);
+        this.maxItems = options.maxItems || cfg.feedMaxItems || 400;
+        this.retentionMs = (options.retentionDays || cfg.feedRetentionDays || 3) * 24 * 60 * 60 * 1000;
+        this.timeoutMs = options.timeoutMs || 15000;
+        this.persistent = options.persistent !== false && typeof chrome !== 'undefined' && !!chrome?.storage?.local;
+
+        this.userFeeds = null; // saved list from agentic_settings.newsFeeds, replaces the defaults once set
+        this.items = [];
+        this.state = {}; // feed id -> { lastPolledAt, lastOkAt, lastError, itemCount, etag, lastModified }
+        this._loading = null;
+        this._polling = null;
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadState();
+        return this._loading;
+    }
+
+    async _loadState() {
+        if (!this.persistent) return;
+        try {
+            const res = await chrome.storage.local.get([this.ITEMS_KEY, this.STATE_KEY, 'agentic_settings']);
+            if (Array.isArray(res[this.ITEMS_KEY])) this.items = res[this.ITEMS_KEY];
+            if (res[this.STATE_KEY] && typeof res[this.STATE_KEY] === 'object') this.state = res[this.STATE_KEY];
+            const saved = res.agentic_settings?.newsFeeds;
+            if (Array.isArray(saved)) this.userFeeds = saved.map(f => this.normalizeFeed(f)).filter(Boolean);
+        } catch (error) {
+            console.warn('Could not load feed state:', error);
+        }
+    }
+
+    async persist() {
+        if (!this.persistent) return;
+        try {
+            await chrome.storage.local.set({ [this.ITEMS_KEY]: this.items, [this.STATE_KEY]: this.state });
+        } catch (error) {
+            console.warn('Could not persist feed items:', error);
+        }
+    }
+
+    normalizeFeed(feed) {
+        const url = String(feed?.url || '').trim();
+        if (!/^https?:\/\//i.test(url)) return null;
+        const name = String(feed.name || '').trim() || url.replace(/^https?:\/\/(www\.)?/i, '').split('/')[0];
+        const pollMinutes = Math.max(5, Math.round(+feed.pollMinutes || 15));
+        const id = String(feed.id || name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `feed_${Date.now()}`;
+        return { id, name, url, enabled: feed.enabled !== false, pollMinutes };
+    }
+
+    async feeds() {
+        await this.load();
+        return this.userFeeds || this.defaultFeeds;
+    }
+
+    // Saves the full list (pass null to go back to config.js defaults); state of removed feeds is dropped
+    async saveFeeds(list) {
+        await this.load();
+        const seen = new Set();
+        this.userFeeds = Array.isArray(list)
+            ? list.map(f => this.normalizeFeed(f)).filter(f => f && !seen.has(f.id) && seen.add(f.id))
+            : null;
+        const ids = new Set((await this.feeds()).map(f => f.id));
+        for (const id of Object.keys(this.state)) if (!ids.has(id)) delete this.state[id];
+        this.items = this.items.filter(it => ids.has(it.feed));
+        if (this.persistent) {
+            const settings = (await chrome.storage.local.get(['agentic_settings'])).agentic_settings || {};
+            await chrome.storage.local.set({ agentic_settings: { ...settings, newsFeeds: this.userFeeds } });
+        }
+        await this.persist();
+        return this.describe();
+    }
+
+    // Alarm period: the shortest poll interval among enabled feeds
+    async pollPeriodMinutes() {
+        const enabled = (await this.feeds()).filter(f => f.enabled);
+        return enabled.length ? Math.min(...enabled.map(f => f.pollMinutes)) : null;
+    }
+
+    // Polls enabled feeds whose interval has elapsed (or all of them with force); concurrent callers share one run
+    async pollDue({ force = false, ids = null } = {}) {
+        if (this._polling) return this._polling;
+        this._polling = (async () => {
+            try {
+                const now = Date.now();
+                const due = (await this.feeds()).filter(f => {
+                    if (ids) return ids.includes(f.id);
+                    if (!f.enabled) return false;
+                    const last = this.state[f.id]?.lastPolledAt || 0;
+                    return force || now - last >= f.pollMinutes * 60 * 1000;
+                });
+                const results = await Promise.all(due.map(feed => this.pollFeed(feed)));
+                this.prune();
+                await this.persist();
+                return results;
+            } finally {
+                this._polling = null;
+            }
+        })();
+        return this._polling;
+    }
+
+    async pollFeed(feed) {
+        const st = this.state[feed.id] || (this.state[feed.id] = {});
+        st.lastPolledAt = Date.now();
+        try {
+            const headers = {};
+            if (st.etag) headers['If-None-Match'] = st.etag;
+            if (st.lastModified) headers['If-Modified-Since'] = st.lastModified;
+            const res = await this.fetchText(feed.url, headers);
+            if (res.status === 304) {
+                st.lastOkAt = Date.now();
+                st.lastError = null;
+                return { id: feed.id, added: 0, notModified: true };
+            }
+            const parsed = this.parse(res.text);
+            if (!parsed.items.length && !parsed.format) throw new Error('Response is not an RSS or Atom feed');
+            st.etag = res.etag;
+            st.lastModified = res.lastModified;
+            const known = new Set(this.items.map(it => it.url));
+            const fresh = parsed.items
+                .filter(it => it.url && it.title && !known.has(it.url))
+                .map(it => ({ ...it, source: it.source || feed.name, provider: 'rss', feed: feed.id }));
+            this.items.push(...fresh);
+            st.lastOkAt = Date.now();
+            st.lastError = null;
+            st.feedTitle = parsed.title || null;
+            return { id: feed.id, added: fresh.length, parsed: parsed.items.length };
+        } catch (error) {
+            st.lastError = String(error?.message || error);
+            return { id: feed.id, added: 0, error: st.lastError };
+        } finally {
+            st.itemCount = this.items.filter(it => it.feed === feed.id).length;
+        }
+    }
+
+    async fetchText(url, headers = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+        try {
+            const res = await fetch(url, { headers, signal: controller?.signal });
+            if (res.status === 304) return { status: 304 };
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return {
+                status: res.status,
+                text: await res.text(),
+                etag: res.headers.get('etag'),
+                lastModified: res.headers.get('last-modified')
+            };
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    // Drops old items and keeps the newest maxItems
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        this.items = this.items
+            .filter(it => !it.publishedAt || Date.parse(it.publishedAt) >= cutoff)
+            .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+            .slice(0, this.maxItems);
+    }
+
+    // Stored items matching every significant word of the query, newest first.
+    // Generic words ("stock", "news", "India") are ignored since the feeds are Indian market feeds already.
+    async search(query, { limit = 10, poll = true } = {}) {
+        await this.load();
+        if (poll && (await this.feeds()).some(f => f.enabled)) {
+            // Alarms can be delayed while the worker sleeps; catch up before answering from a stale store
+            await this.pollDue().catch(() => []);
+        }
+        const terms = this.queryTerms(query);
+        const enabled = new Set((await this.feeds()).filter(f => f.enabled).map(f => f.id));
+        const matches = this.items.filter(it => {
+            if (!enabled.has(it.feed)) return false;
+            if (!terms.length) return true;
+            const text = ` ${it.title} ${it.description || ''} `.toLowerCase();
+            return terms.every(t => new RegExp(`\\b${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+        });
+        return matches
+            .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+            .slice(0, limit);
+    }
+
+    queryTerms(query) {
+        const generic = new Set(['india', 'indian', 'stock', 'stocks', 'share', 'shares', 'price', 'prices', 'market', 'markets',
+            'trading', 'news', 'latest', 'today', 'the', 'and', 'for', 'ltd', 'limited', 'nse', 'bse']);
+        return String(query || '').toLowerCase().split(/[^a-z0-9&.]+/)
+            .map(w => w.replace(/\.+$/, ''))
+            .filter(w => w.length >= 2 && !generic.has(w));
+    }
+
+    async describe() {
+        const feeds = await this.feeds();
+        return {
+            feeds: feeds.map(f => ({ ...f, state: this.state[f.id] || null })),
+            customised: !!this.userFeeds,
+            itemCount: this.items.length,
+            pollPeriodMinutes: await this.pollPeriodMinutes()
+        };
+    }
+
+    // Parses RSS 2.0 (<item>) and Atom (<entry>) documents into NewsDataClient's article shape
+    parse(xml) {
+        const text = String(xml || '');
+        const isAtom = /<feed\b[^>]*>/i.test(text) && /<entry\b/i.test(text);
+        const isRss = /<(rss|rdf:RDF|channel)\b/i.test(text);
+        const blockRe = isAtom ? /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi : /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
+        const head = text.split(isAtom ? /<entry\b/i : /<item\b/i)[0];
+        const items = [];
+        let m;
+        while ((m = blockRe.exec(text)) !== null) {
+            const chunk = m[1];
+            const title = this._xmlText(chunk, 'title');
+            const url = isAtom ? this._atomLink(chunk) : (this._xmlTag(chunk, 'link') || this._permalinkGuid(chunk));
+            const rawDescription = isAtom
+                ? (this._xmlRaw(chunk, 'summary') || this._xmlRaw(chunk, 'content'))
+                : (this._xmlRaw(chunk, 'description') || this._xmlRaw(chunk, 'content:encoded'));
+            const description = this._stripHtml(rawDescription);
+            const date = this._parseDate(
+                this._xmlTag(chunk, 'pubDate') || this._xmlTag(chunk, 'dc:date') ||
+                this._xmlTag(chunk, 'published') || this._xmlTag(chunk, 'updated')
+            );
+            items.push({
+                title,
+                description: description.length > 500 ? description.slice(0, 497) + '...' : description,
+                url: url.trim(),
+                urlToImage: this._imageUrl(chunk, this._decodeHtml(rawDescription)),
+                publishedAt: date,
+                // Aggregators (Google News) name the original outlet per item
+                source: this._xmlText(chunk, 'source'),
+                content: ''
+            });
+        }
+        return { format: isAtom ? 'atom' : isRss ? 'rss' : null, title: this._xmlText(head, 'title'), items };
+    }
+
+    // Raw (CDATA-unwrapped, still entity-encoded) content of the first <tag>; tag may carry a prefix such as dc:date
+    _xmlRaw(chunk, tag) {
+        const name = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const r = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${name}>`, 'i');
+        const mm = r.exec(chunk);
+        if (!mm) return '';
+        return mm[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+    }
+
+    // Entity-decoded content of the first <tag>, for plain values (links, dates)
+    _xmlTag(chunk, tag) {
+        return this._decodeHtml(this._xmlRaw(chunk, tag));
+    }
+
+    _xmlText(chunk, tag) {
+        return this._stripHtml(this._xmlRaw(chunk, tag));
+    }
+
+    _attr(tagText, attr) {
+        const mm = new RegExp(`\\s${attr}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(tagText);
+        return mm ? this._decodeHtml(mm[2] ?? mm[3] ?? '') : '';
+    }
+
+    // Atom: prefer rel="alternate" (or no rel) over self/edit/enclosure links
+    _atomLink(chunk) {
+        const links = chunk.match(/<link\b[^>]*>/gi) || [];
+        const alt = links.find(l => !/\srel\s*=/i.test(l) || /\srel\s*=\s*["']alternate["']/i.test(l));
+        return this._attr(alt || links[0] || '', 'href');
+    }
+
+    _permalinkGuid(chunk) {
+        const mm = /<guid\b([^>]*)>([\s\S]*?)<\/guid>/i.exec(chunk);
+        if (!mm || /isPermaLink\s*=\s*["']false["']/i.test(mm[1])) return '';
+        const value = this._decodeHtml(mm[2].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+        return /^https?:\/\//i.test(value) ? value : '';
+    }
+
+    _imageUrl(chunk, description) {
+        const tags = chunk.match(/<(?:media:content|media:thumbnail|enclosure)\b[^>]*>/gi) || [];
+        for (const t of tags) {
+            const type = this._attr(t, 'type');
+            if (!type || /^image\//i.test(type) || /^<media:thumbnail/i.test(t)) {
+                const url = this._attr(t, 'url');
+                if (url) return url;
+            }
+        }
+        const img = /<img\b[^>]*>/i.exec(description || '');
+        return img ? (this._attr(img[0], 'src') || undefined) : undefined;
+    }
+
+    _parseDate(value) {
+        if (!value) return undefined;
+        // Several Indian publishers write "IST" instead of a numeric offset, which Date cannot parse
+        const ms = Date.parse(value.replace(/\bIST\b/, '+0530'));
+        return Number.isFinite(ms) ? new Date(ms).toISOString() : undefined;
+    }
+
+    // Text of raw feed markup: tags (including entity-escaped ones such as &lt;p&gt;) are removed first
+    // and entities decoded exactly once, so double-escaped text never turns back into markup
+    _stripHtml(s) {
+        if (!s) return '';
+        const text = s.replace(/<br\s*\/?>|&lt;br\s*\/?&gt;/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/&lt;\/?[a-z][\s\S]*?&gt;/gi, ' ');
+        return this._decodeHtml(text)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    _decodeHtml(s) {
+        if (!s) return '';
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', ndash: '–', mdash: '—', hellip: '…', rupee: '₹' };
+        return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, code) => {
+            if (code[0] === '#') {
+                const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : whole;
+            }
+            return named[code.toLowerCase()] ?? whole;
+        });
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.NewsFeedReader = NewsFeedReader;
+} else if (typeof global !== 'undefined') {
+    global.NewsFeedReader = NewsFeedReader;
+} else {
+    // Service worker environment
+    self.NewsFeedReader = NewsFeedReader;
+}
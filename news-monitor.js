@@ -0,0 +1,342 @@
+// Persistent news monitors ("SEBI order on any stock in my watchlist", "negative news on my holdings").
+// A monitor is a set of keywords and/or instruments (named, or the current watchlist or portfolio),
+// source filters (RSS feeds, the news APIs behind NewsDataClient, publishers) and optional sentiment
+// and relevance thresholds. A chrome.alarms check (scheduled from background.js) reads newly polled
+// feed items plus a news API search, skips articles the monitor has already seen or that predate it,
+// and hands each match to the caller to notify with the headline and link.
+class NewsMonitor {
+    constructor(options = {}) {
+        this.STORAGE_KEY = 'agentic_news_monitors';
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.NEWS_MONITORS) || {};
+        this.feeds = options.feeds || null; // NewsFeedReader
+        this.news = options.news || null; // NewsDataClient
+        this.tagger = options.tagger || null; // NewsEntityTagger
+        this.sentiment = options.sentiment || null; // HeadlineSentiment
+        this.clusterer = options.clusterer || (this.news && this.news.clusterer) || null;
+        this.resolver = options.resolver || (this.tagger && this.tagger.resolver) || null;
+        // Symbol lists that change under the monitor: { watchlist: async () => [...], portfolio: async () => [...] }
+        this.scopes = options.scopes || {};
+        this.pollMinutes = Math.max(5, options.pollMinutes || cfg.pollMinutes || 15);
+        this.maxSeen = options.maxSeen || cfg.maxSeen || 600;
+        this.maxHits = options.maxHits || cfg.maxHits || 20;
+        this.maxApiQueries = options.maxApiQueries || cfg.maxApiQueries || 4;
+        this.maxAgeHours = options.maxAgeHours || cfg.maxAgeHours || 48;
+        this.persistent = options.persistent !== false && typeof chrome !== 'undefined' && !!chrome?.storage?.local;
+
+        this.monitors = [];
+        this._loading = null;
+        this._checking = null;
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadState();
+        return this._loading;
+    }
+
+    async _loadState() {
+        if (!this.persistent) return;
+        try {
+            const res = await chrome.storage.local.get([this.STORAGE_KEY]);
+            if (Array.isArray(res[this.STORAGE_KEY])) this.monitors = res[this.STORAGE_KEY];
+        } catch (error) {
+            console.warn('Could not load news monitors:', error);
+        }
+    }
+
+    async persist() {
+        if (!this.persistent) return;
+        try {
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: this.monitors });
+        } catch (error) {
+            console.warn('Could not persist news monitors:', error);
+        }
+    }
+
+    newId() {
+        return `news_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    // Reads a one-line description into monitor fields: keywords (split on "or" and commas, quotes keep a
+    // phrase whole), instruments named in capitals, watchlist/portfolio scope and a sentiment direction
+    parseDescription(text) {
+        let s = ` ${String(text || '').trim()} `;
+        const spec = { keywords: [], symbols: [], scope: null, sentiment: null };
+        if (/\bwatch\s?lists?\b/i.test(s)) spec.scope = 'watchlist';
+        else if (/\b(portfolio|holdings?|my stocks|i own)\b/i.test(s)) spec.scope = 'portfolio';
+        if (/\b(negative|bad|adverse)\s+news\b|\bnegative\b/i.test(s)) spec.sentiment = 'negative';
+        else if (/\b(positive|good)\s+news\b|\bpositive\b/i.test(s)) spec.sentiment = 'positive';
+
+        for (const m of s.matchAll(/"([^"]+)"/g)) spec.keywords.push(m[1].trim());
+        s = s.replace(/"[^"]*"/g, ' ');
+        if (this.tagger) {
+            for (const hit of this.tagger.instrumentHits(s)) {
+                if (!spec.symbols.includes(hit.instrument.symbol)) spec.symbols.push(hit.instrument.symbol);
+                s = s.replace(hit.matchedText, ' ');
+            }
+        }
+        const filler = /\b(alert|notify|tell|me|when|whenever|if|there|is|are|any|all|every|some|news|stories|headlines?|articles?|about|on|for|of|in|at|to|from|the|a|an|my|our|stocks?|shares?|companies|company|names?|watch\s?lists?|portfolio|holdings?|i|own|negative|positive|bad|good|adverse|with|against|mentions?|mentioning)\b/gi;
+        const rest = s.replace(filler, ' ').replace(/[^\w&.,\s-]/g, ' ');
+        // "or" and commas separate keywords; "and" keeps its words in one keyword, all of which must match
+        for (const part of rest.split(/,|\bor\b/i)) {
+            const phrase = part.replace(/\band\b/gi, ' ').replace(/\s+/g, ' ').trim();
+            if (phrase.length >= 2 && !spec.keywords.some(k => k.toLowerCase() === phrase.toLowerCase())) spec.keywords.push(phrase);
+        }
+        return spec;
+    }
+
+    // Validated monitor from a description and/or explicit fields (explicit fields win)
+    async build(spec = {}) {
+        const parsed = spec.text ? this.parseDescription(spec.text) : { keywords: [], symbols: [], scope: null, sentiment: null };
+        const list = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(x => String(x).trim()).filter(Boolean);
+        const keywords = spec.keywords !== undefined && list(spec.keywords).length ? list(spec.keywords) : parsed.keywords;
+        const scope = ['watchlist', 'portfolio'].includes(spec.scope) ? spec.scope : spec.scope === 'none' ? null : parsed.scope;
+        const symbols = [];
+        for (const query of spec.symbols !== undefined && list(spec.symbols).length ? list(spec.symbols) : parsed.symbols) {
+            const inst = this.resolver ? (await this.resolver.resolve(query)).best : null;
+            if (!inst) throw new Error(`Unknown symbol: ${query}`);
+            if (!symbols.some(x => x.symbol === inst.symbol)) symbols.push({ symbol: inst.symbol, id: inst.id, name: inst.name });
+        }
+        if (!keywords.length && !symbols.length && !scope) throw new Error('Give keywords, symbols or a watchlist/portfolio scope, e.g. "SEBI order on any stock in my watchlist"');
+        const sentiment = ['positive', 'negative'].includes(spec.sentiment) ? spec.sentiment : spec.sentiment === 'any' ? null : parsed.sentiment;
+        const minRelevance = spec.minRelevance === null || spec.minRelevance === undefined || spec.minRelevance === '' ? null : Math.max(0, Math.min(1, Number(spec.minRelevance)));
+        const channels = Array.from(new Set(['browser', ...(spec.notificationChannels || [])])).filter(c => ['browser', 'email', 'telegram'].includes(c));
+        const target = scope === 'watchlist' ? 'any watchlist stock' : scope === 'portfolio' ? 'any portfolio holding' : symbols.map(x => x.symbol).join(', ');
+        return {
+            id: this.newId(),
+            name: String(spec.name || '').trim() || [keywords.length ? keywords.map(k => `"${k}"`).join(' or ') : 'any news', target ? `on ${target}` : '', sentiment ? `(${sentiment})` : ''].filter(Boolean).join(' '),
+            input: String(spec.text || '').trim() || null,
+            keywords,
+            symbols,
+            scope,
+            sources: ['rss', 'api'].includes(spec.sources) ? spec.sources : 'all',
+            feeds: Array.isArray(spec.feeds) && spec.feeds.length ? spec.feeds : null,
+            publishers: list(spec.publishers),
+            sentiment,
+            minSentiment: Number(spec.minSentiment) > 0 ? Number(spec.minSentiment) : null,
+            minRelevance: Number.isFinite(minRelevance) ? minRelevance : null,
+            notificationChannels: channels,
+            intervalMinutes: Math.max(this.pollMinutes, Math.round(+spec.intervalMinutes || this.pollMinutes)),
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            lastCheckedAt: null,
+            lastHitAt: null,
+            lastError: null,
+            apiCursor: 0,
+            seen: [],
+            hits: []
+        };
+    }
+
+    async list() {
+        await this.load();
+        return this.monitors;
+    }
+
+    async create(spec) {
+        await this.load();
+        const monitor = await this.build(spec);
+        this.monitors.push(monitor);
+        await this.persist();
+        return monitor;
+    }
+
+    async setStatus(id, status) {
+        if (!['active', 'paused'].includes(status)) throw new Error(`Unknown status: ${status}`);
+        await this.load();
+        const monitor = this.monitors.find(m => m.id === id);
+        if (!monitor) throw new Error('News monitor not found');
+        monitor.status = status;
+        await this.persist();
+        return monitor;
+    }
+
+    async remove(id) {
+        await this.load();
+        const before = this.monitors.length;
+        this.monitors = this.monitors.filter(m => m.id !== id);
+        if (this.monitors.length !== before) await this.persist();
+        return before !== this.monitors.length;
+    }
+
+    // Shortest interval among active monitors, or null when nothing needs checking
+    async checkPeriodMinutes() {
+        const active = (await this.list()).filter(m => m.status === 'active');
+        return active.length ? Math.min(...active.map(m => m.intervalMinutes || this.pollMinutes)) : null;
+    }
+
+    // Canonical link and normalised headline; either one already seen means the story was handled
+    articleKeys(article) {
+        const url = this.clusterer ? this.clusterer.canonicalUrl(article.url) : String(article.url || '').toLowerCase();
+        const title = String(article.title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        return [url && `u:${url}`, title && `t:${title}`].filter(Boolean);
+    }
+
+    // Keywords that match: every word of a keyword must start a word in the title or description
+    matchKeywords(monitor, article) {
+        if (!monitor.keywords.length) return [];
+        const text = ` ${article.title} ${article.description || ''} `.toLowerCase();
+        const escape = w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return monitor.keywords.filter(k => k.toLowerCase().split(/\s+/).filter(Boolean).every(w => new RegExp(`(^|[^a-z0-9])${escape(w)}`).test(text)));
+    }
+
+    // Instruments the monitor follows right now (named ones plus its watchlist/portfolio scope)
+    async targets(monitor) {
+        const symbols = new Set(monitor.symbols.map(s => s.symbol));
+        if (monitor.scope && this.scopes[monitor.scope]) {
+            for (const symbol of await this.scopes[monitor.scope]()) symbols.add(symbol);
+        }
+        const out = [];
+        for (const symbol of symbols) {
+            const inst = this.resolver ? (await this.resolver.resolve(symbol)).best : null;
+            out.push(inst || { symbol, id: symbol, name: symbol, guessed: true });
+        }
+        return out;
+    }
+
+    // Candidate articles from the enabled sources: stored feed items (polled first when due) and news
+    // API searches for the keywords, or for a few of the instruments in turn when there are none
+    async candidates(monitor, targets) {
+        const articles = [];
+        const errors = [];
+        if (monitor.sources !== 'api' && this.feeds) {
+            await this.feeds.pollDue().catch(e => errors.push(`feeds: ${e.message || e}`));
+            const enabled = new Set((await this.feeds.feeds()).filter(f => f.enabled).map(f => f.id));
+            articles.push(...this.feeds.items.filter(it => enabled.has(it.feed) && (!monitor.feeds || monitor.feeds.includes(it.feed))));
+        }
+        if (monitor.sources !== 'rss' && this.news) {
+            let queries = monitor.keywords.slice(0, this.maxApiQueries);
+            if (!queries.length && targets.length) {
+                const start = (monitor.apiCursor || 0) % targets.length;
+                queries = [...targets.slice(start), ...targets.slice(0, start)].slice(0, this.maxApiQueries).map(t => t.shortName || t.name || t.symbol);
+                monitor.apiCursor = (start + queries.length) % targets.length;
+            }
+            for (const query of queries) {
+                try {
+                    const found = await this.news.getNews(query, { sortBy: 'publishedAt', pageSize: 20 });
+                    articles.push(...found.filter(a => monitor.sources === 'all' || a.provider !== 'rss'));
+                } catch (e) {
+                    errors.push(`${query}: ${e.message || e}`);
+                }
+            }
+        }
+        const merged = this.news ? this.news.mergeArticles(articles) : articles;
+        return { articles: merged, errors };
+    }
+
+    // Why an article matches, or null: { keywords, symbols, relevance, sentiment }
+    evaluate(monitor, article, targets) {
+        if (!article?.title || !article.url) return null;
+        if (monitor.publishers.length && !monitor.publishers.some(p => String(article.source || '').toLowerCase().includes(p.toLowerCase()))) return null;
+        const keywords = this.matchKeywords(monitor, article);
+        if (monitor.keywords.length && !keywords.length) return null;
+
+        let relevance = null;
+        const symbols = [];
+        if (targets.length && this.tagger) {
+            const tags = this.tagger.tag(article);
+            const min = monitor.minRelevance ?? this.tagger.minRelevance;
+            for (const target of targets) {
+                const r = this.tagger.score(article, tags, target);
+                if (r.score >= min) symbols.push(target.symbol);
+                if (!relevance || r.score > relevance.score) relevance = { ...r, symbol: target.symbol };
+            }
+            if (!symbols.length) return null;
+        }
+
+        let sentiment = null;
+        if (this.sentiment) {
+            const s = this.sentiment.scoreArticle(article);
+            sentiment = { score: s.score, label: s.label };
+            const floor = monitor.minSentiment ?? this.sentiment.threshold;
+            if (monitor.sentiment === 'negative' && s.score > -floor) return null;
+            if (monitor.sentiment === 'positive' && s.score < floor) return null;
+        }
+        return { keywords, symbols, relevance, sentiment };
+    }
+
+    // Checks one monitor; returns the new hits and updates the monitor in place
+    async checkMonitor(monitor, { now = Date.now() } = {}) {
+        const targets = monitor.symbols.length || monitor.scope ? await this.targets(monitor) : [];
+        // A scope that is empty right now (no watchlist, nothing held) has nothing to match
+        if ((monitor.symbols.length || monitor.scope) && !targets.length) {
+            monitor.lastCheckedAt = new Date(now).toISOString();
+            monitor.lastError = `No instruments in the ${monitor.scope || 'monitor'} yet`;
+            return { hits: [], errors: [monitor.lastError] };
+        }
+        const { articles, errors } = await this.candidates(monitor, targets);
+        const seen = new Set(monitor.seen || []);
+        const since = Math.max(Date.parse(monitor.createdAt) || 0, now - this.maxAgeHours * 60 * 60 * 1000);
+        const hits = [];
+        for (const article of articles) {
+            const keys = this.articleKeys(article);
+            if (!keys.length || keys.some(k => seen.has(k))) continue;
+            const published = Date.parse(article.publishedAt);
+            if (Number.isFinite(published) && published < since) continue;
+            const match = this.evaluate(monitor, article, targets);
+            if (!match) continue;
+            keys.forEach(k => seen.add(k));
+            hits.push({
+                at: new Date(now).toISOString(),
+                title: article.title,
+                url: article.url,
+                source: article.source || null,
+                publishedAt: article.publishedAt || null,
+                ...match
+            });
+        }
+        monitor.seen = Array.from(seen).slice(-this.maxSeen);
+        monitor.lastCheckedAt = new Date(now).toISOString();
+        monitor.lastError = errors.length ? errors.join('; ') : null;
+        if (hits.length) {
+            hits.sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0));
+            monitor.lastHitAt = monitor.lastCheckedAt;
+            monitor.hits = [...hits, ...(monitor.hits || [])].slice(0, this.maxHits);
+        }
+        return { hits, errors };
+    }
+
+    // Plain notification text: headline, source and link
+    describeHit(hit) {
+        const about = [hit.symbols?.length ? hit.symbols.slice(0, 3).join(', ') : '', hit.sentiment && hit.sentiment.label !== 'neutral' ? hit.sentiment.label : ''].filter(Boolean).join(', ');
+        return `${hit.title}${about ? ` [${about}]` : ''}\n${hit.source ? `${hit.source}: ` : ''}${hit.url}`;
+    }
+
+    // Checks every due active monitor (or the given ids regardless of schedule when forced)
+    async checkDue({ force = false, ids = null, onHit = null } = {}) {
+        if (this._checking) return this._checking;
+        this._checking = this._checkDue(force, ids, onHit).finally(() => { this._checking = null; });
+        return this._checking;
+    }
+
+    async _checkDue(force, ids, onHit) {
+        await this.load();
+        const now = Date.now();
+        const monitors = this.monitors.filter(m => (ids ? ids.includes(m.id) : m.status === 'active'));
+        const due = force ? monitors : monitors.filter(m => !m.lastCheckedAt || now - Date.parse(m.lastCheckedAt) >= (m.intervalMinutes || this.pollMinutes) * 60 * 1000 - 30 * 1000);
+        const found = [];
+        for (const monitor of due) {
+            try {
+                const { hits } = await this.checkMonitor(monitor, { now });
+                for (const hit of hits) found.push({ monitorId: monitor.id, ...hit });
+                // Seen before notified, so a failed send is not repeated on the next check
+                if (hits.length) await this.persist();
+                if (hits.length && onHit) await onHit(monitor, hits);
+            } catch (error) {
+                monitor.lastError = String(error.message || error);
+                monitor.lastCheckedAt = new Date(now).toISOString();
+            }
+        }
+        if (due.length) await this.persist();
+        return { checked: due.length, hits: found };
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.NewsMonitor = NewsMonitor;
+} else if (typeof global !== 'undefined') {
+    global.NewsMonitor = NewsMonitor;
+} else {
+    // Service worker environment
+    self.NewsMonitor = NewsMonitor;
+}
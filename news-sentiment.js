@@ -0,0 +1,183 @@
+// Offline sentiment for financial headlines, used when no LLM is available and as a cross-check
+// when one is. A finance lexicon (with Indian market phrases such as "upper circuit", "SEBI probe",
+// "block deal") is scored VADER-style: negations flip and dampen a term, boosters and large % moves
+// strengthen it, and the clause after "but" outweighs the one before. Scores are normalised to -1..1.
+const SENTIMENT_LEXICON = {
+    // Multi-word phrases are matched first, longest first
+    phrases: {
+        'upper circuit': 2.5, 'lower circuit': -2.5, 'hits upper circuit': 2.8, 'hits lower circuit': -2.8,
+        '52 week high': 1.8, '52 week low': -1.8, 'all time high': 2, 'record high': 2, 'record low': -2, 'lifetime high': 2,
+        'sebi probe': -2.5, 'sebi order': -1.5, 'sebi ban': -2.8, 'sebi notice': -1.5, 'show cause notice': -1.8, 'ed raid': -2.5,
+        'income tax raid': -2.2, 'tax demand': -1.5, 'gst notice': -1.2, 'insider trading': -2, 'forensic audit': -2,
+        'block deal': 0.4, 'bulk deal': 0.3, 'promoter stake sale': -1.2, 'promoter buying': 1.5, 'stake hike': 1.2, 'pledge': -1,
+        'share buyback': 1.5, 'buyback': 1.3, 'bonus issue': 1.2, 'stock split': 0.8, 'special dividend': 1.5, 'interim dividend': 0.8,
+        'order win': 1.8, 'bags order': 1.8, 'wins order': 1.8, 'order inflow': 1.2, 'deal win': 1.6, 'capacity expansion': 1.2,
+        'target price raised': 1.8, 'raises target': 1.8, 'target cut': -1.8, 'cuts target': -1.8, 'price target cut': -1.8,
+        'rating upgrade': 2, 'rating downgrade': -2, 'credit rating cut': -2, 'outlook negative': -1.8, 'outlook positive': 1.6,
+        'beats estimates': 2, 'beat estimates': 2, 'misses estimates': -2, 'missed estimates': -2, 'below estimates': -1.5, 'above estimates': 1.5,
+        'net profit rises': 1.8, 'profit jumps': 2.2, 'profit falls': -1.8, 'profit declines': -1.8, 'net loss': -1.8, 'loss widens': -2.2, 'loss narrows': 1.2,
+        'margin expansion': 1.5, 'margin pressure': -1.5, 'margins contract': -1.5, 'fii selling': -1.2, 'fii buying': 1.2,
+        'profit booking': -1, 'short covering': 0.8, 'gap up': 1.2, 'gap down': -1.2, 'rate cut': 1, 'rate hike': -1,
+        'sell off': -2, 'bloodbath': -3, 'market crash': -3, 'stake sale': -0.6,
+        'guidance cut': -2, 'guidance raised': 2, 'raises guidance': 2, 'cuts guidance': -2, 'strong demand': 1.5, 'weak demand': -1.5,
+        'approval from usfda': 1.8, 'usfda approval': 1.8, 'usfda warning letter': -2.5, 'warning letter': -2.2, 'import alert': -2.2,
+        'ceo quits': -1.5, 'insolvency proceedings': -2.5
+    },
+    words: {
+        surge: 2.2, surges: 2.2, soar: 2.3, soars: 2.3, jump: 1.8, jumps: 1.8, rally: 1.8, rallies: 1.8, gain: 1.2, gains: 1.2,
+        rise: 1, rises: 1, climbs: 1.2, advances: 1, up: 0.5, higher: 0.7, zoom: 2, zooms: 2, skyrocket: 2.6, spurts: 1.6,
+        upgrade: 1.8, upgrades: 1.8, outperform: 1.5, overweight: 1.2, buy: 1, accumulate: 0.8, bullish: 1.8, optimistic: 1.4,
+        beat: 1.5, beats: 1.5, record: 1, strong: 1.3, robust: 1.4, growth: 1, grows: 1, expands: 1, expansion: 0.8,
+        profit: 0.6, profits: 0.6, dividend: 0.6, approval: 1, approves: 0.9, wins: 1.2, win: 1, secures: 1.2, bags: 1.2,
+        recovers: 1.2, recovery: 1.2, rebound: 1.4, rebounds: 1.4, boost: 1.3, boosts: 1.3, upbeat: 1.5, tailwind: 1.2,
+        fall: -1, falls: -1, drop: -1.2, drops: -1.2, decline: -1.2, declines: -1.2, slump: -2, slumps: -2, tumble: -2, tumbles: -2,
+        crash: -2.8, crashes: -2.8, plunge: -2.5, plunges: -2.5, selloff: -2, plummets: -2.6, slide: -1.2, slides: -1.2, sinks: -1.8, tanks: -2.2, down: -0.5, lower: -0.7,
+        downgrade: -1.8, downgrades: -1.8, underperform: -1.5, underweight: -1.2, sell: -1, reduce: -0.8, bearish: -1.8, cautious: -0.8,
+        miss: -1.5, misses: -1.5, weak: -1.3, weakness: -1.3, loss: -1.3, losses: -1.3, slowdown: -1.3, slows: -1, headwind: -1.2, headwinds: -1.2,
+        probe: -1.8, raid: -2, raids: -2, scam: -2.8, fraud: -2.8, lawsuit: -1.5, ban: -1.8, bans: -1.8, penalty: -1.5, penalised: -1.5,
+        concern: -1, concerns: -1, worry: -1.2, worries: -1.2, risk: -0.6, volatile: -0.6, pressure: -0.8, stress: -1.2, default: -2.5, insolvency: -2.5,
+        delay: -1, delayed: -1, halts: -1.5, suspends: -1.6, suspended: -1.6, exit: -0.5, layoffs: -1.5, resigns: -1.2, warning: -1.2
+    },
+    negations: ['not', 'no', 'never', 'without', 'fails', 'failed', 'unable', 'denies', 'deny', 'nor', 'despite', 'isnt', 'wont', 'doesnt', 'didnt', 'hardly'],
+    boosters: { sharply: 1.35, steeply: 1.35, massive: 1.35, huge: 1.3, big: 1.2, biggest: 1.35, strongly: 1.25, significantly: 1.25, record: 1.2, multi: 1.1 },
+    dampeners: { slightly: 0.6, marginally: 0.6, modestly: 0.7, mildly: 0.7, flat: 0.5, muted: 0.6 }
+};
+
+class HeadlineSentiment {
+    constructor(options = {}) {
+        const lex = options.lexicon || SENTIMENT_LEXICON;
+        this.words = lex.words;
+        this.negations = new Set(lex.negations);
+        this.boosters = lex.boosters;
+        this.dampeners = lex.dampeners;
+        // Phrases as token arrays, longest first
+        this.phrases = Object.entries(lex.phrases)
+            .map(([phrase, weight]) => ({ tokens: this.tokenize(phrase), weight }))
+            .sort((a, b) => b.tokens.length - a.tokens.length);
+        this.threshold = options.threshold || 0.15;
+    }
+
+    tokenize(text) {
+        return String(text || '').toLowerCase()
+            .replace(/[’']/g, '')
+            .replace(/(\d)\s*(?:per ?cent|pc)\b/g, '$1%')
+            .replace(/-/g, ' ')
+            .split(/[^a-z0-9%.]+/)
+            .map(t => t.replace(/^\.+|\.+$/g, ''))
+            .filter(Boolean);
+    }
+
+    // { score (-1..1), label, terms } for one headline (plus optional description, weighted lower)
+    score(text, { description = '' } = {}) {
+        const head = this.scoreTokens(this.tokenize(text));
+        const desc = description ? this.scoreTokens(this.tokenize(description)) : { raw: 0, terms: [] };
+        const raw = head.raw + desc.raw * 0.4;
+        const score = +(raw / Math.sqrt(raw * raw + 15)).toFixed(3);
+        return {
+            score,
+            label: score >= this.threshold ? 'positive' : score <= -this.threshold ? 'negative' : 'neutral',
+            terms: [...head.terms, ...desc.terms.map(t => ({ ...t, from: 'description' }))]
+        };
+    }
+
+    scoreTokens(tokens) {
+        const terms = [];
+        const butAt = tokens.lastIndexOf('but');
+        let raw = 0;
+        for (let i = 0; i < tokens.length; i++) {
+            let weight = null;
+            let span = 1;
+            for (const p of this.phrases) {
+                if (p.tokens.every((t, k) => tokens[i + k] === t)) { weight = p.weight; span = p.tokens.length; break; }
+            }
+            if (weight === null) weight = this.words[tokens[i]] ?? null;
+            if (weight === null) continue;
+
+            const before = tokens.slice(Math.max(0, i - 3), i);
+            const after = tokens.slice(i + span, i + span + 3);
+            let w = weight;
+            const boost = before.map(t => this.boosters[t]).find(Boolean);
+            if (boost) w *= boost;
+            const damp = [...before, ...after].map(t => this.dampeners[t]).find(Boolean);
+            if (damp) w *= damp;
+            // "jumps 12%": big percentage moves strengthen the verb next to them
+            const pct = [...before, ...after].map(t => /^(\d+(?:\.\d+)?)%$/.exec(t)?.[1]).find(Boolean);
+            if (pct && +pct >= 5) w *= 1.25;
+            const negated = before.some(t => this.negations.has(t));
+            if (negated) w *= -0.7;
+            if (butAt >= 0) w *= i > butAt ? 1.5 : 0.5;
+            raw += w;
+            terms.push({ term: tokens.slice(i, i + span).join(' '), weight: +w.toFixed(2), ...(negated ? { negated: true } : {}) });
+            i += span - 1;
+        }
+        return { raw, terms };
+    }
+
+    scoreArticle(article) {
+        return this.score(article?.title, { description: article?.description || '' });
+    }
+
+    // Overall, per-symbol (from entity tags, else the fallback symbol) and per-IST-day aggregates
+    // plus the most positive and most negative headlines
+    aggregate(articles = [], { symbol = null } = {}) {
+        const scored = articles.filter(a => a && a.title).map(a => ({ article: a, ...this.scoreArticle(a) }));
+        const summarise = list => {
+            if (!list.length) return null;
+            const mean = list.reduce((sum, x) => sum + x.score, 0) / list.length;
+            return {
+                score: +mean.toFixed(3),
+                label: mean >= this.threshold ? 'positive' : mean <= -this.threshold ? 'negative' : 'neutral',
+                count: list.length,
+                positive: list.filter(x => x.label === 'positive').length,
+                negative: list.filter(x => x.label === 'negative').length,
+                neutral: list.filter(x => x.label === 'neutral').length
+            };
+        };
+        const group = keyFn => {
+            const out = {};
+            for (const x of scored) {
+                for (const key of keyFn(x)) (out[key] || (out[key] = [])).push(x);
+            }
+            return Object.fromEntries(Object.entries(out).map(([k, list]) => [k, summarise(list)]));
+        };
+        const headline = x => x ? { title: x.article.title, source: x.article.source || null, url: x.article.url || null, publishedAt: x.article.publishedAt || null, score: x.score } : null;
+        const byScore = scored.slice().sort((a, b) => b.score - a.score);
+        const top = byScore[0];
+        const bottom = byScore[byScore.length - 1];
+
+        return {
+            overall: summarise(scored),
+            bySymbol: group(x => {
+                const tagged = (x.article.tags?.companies || []).map(c => c.symbol);
+                return tagged.length ? tagged : (symbol ? [symbol] : []);
+            }),
+            byDay: group(x => {
+                const ms = Date.parse(x.article.publishedAt);
+                return Number.isFinite(ms) ? [new Date(ms + 330 * 60 * 1000).toISOString().slice(0, 10)] : [];
+            }),
+            mostPositive: top && top.score > 0 ? headline(top) : null,
+            mostNegative: bottom && bottom.score < 0 ? headline(bottom) : null,
+            scored: scored.map(x => ({ title: x.article.title, score: x.score, label: x.label, terms: x.terms }))
+        };
+    }
+
+    // One or two sentences for prompts and fallback summaries
+    describe(agg) {
+        if (!agg?.overall) return '';
+        const o = agg.overall;
+        let text = `Headline sentiment across ${o.count} ${o.count === 1 ? 'story' : 'stories'} is ${o.label} (score ${o.score}; ${o.positive} positive, ${o.negative} negative, ${o.neutral} neutral).`;
+        if (agg.mostPositive) text += ` Most positive: "${agg.mostPositive.title}".`;
+        if (agg.mostNegative) text += ` Most negative: "${agg.mostNegative.title}".`;
+        return text;
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.HeadlineSentiment = HeadlineSentiment;
+} else if (typeof global !== 'undefined') {
+    global.HeadlineSentiment = HeadlineSentiment;
+} else {
+    // Service worker environment
+    self.HeadlineSentiment = HeadlineSentiment;
+}
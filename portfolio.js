@@ -0,0 +1,405 @@
+// What the user owns. Trades are the source of truth (kept in chrome.storage next to agentic_settings);
+// holdings, open lots and realised P&L are rebuilt from them FIFO, the way Indian brokers report
+// capital gains. Valuation uses live quotes, XIRR uses every buy/sell cash flow plus today's value.
+// Tradebook CSVs from Zerodha Console, Upstox, Groww, ICICI Direct, Angel One and similar exports are
+// read by matching column names, so a new broker format usually only needs another alias below.
+const TRADEBOOK_COLUMNS = {
+    symbol: ['symbol', 'tradingsymbol', 'trading symbol', 'scrip', 'scrip name', 'stock', 'stock name', 'stock symbol', 'company', 'company name', 'security', 'security name', 'instrument'],
+    isin: ['isin', 'isin code'],
+    date: ['trade_date', 'trade date', 'date', 'execution date and time', 'order_execution_time', 'trade time', 'transaction date', 'order date'],
+    side: ['trade_type', 'trade type', 'type', 'side', 'buy/sell', 'b/s', 'transaction type', 'action', 'order type'],
+    qty: ['quantity', 'qty', 'traded qty', 'trade qty', 'shares'],
+    price: ['price', 'trade price', 'rate', 'avg price', 'average price', 'traded price', 'price per share'],
+    value: ['value', 'amount', 'trade value', 'net amount', 'total'],
+    charges: ['charges', 'brokerage', 'total charges'],
+    tradeId: ['trade_id', 'trade id', 'trade num', 'trade no', 'trade number', 'exchange trade id', 'exchange order id', 'order_id', 'order id'],
+    exchange: ['exchange', 'exch'],
+    segment: ['segment', 'instrument type', 'product'],
+    status: ['order status', 'status']
+};
+
+class PortfolioTracker {
+    constructor(options = {}) {
+        this.STORAGE_KEY = 'agentic_portfolio';
+        this.stocks = options.stockDataClient || null;
+        this.resolver = options.resolver || (this.stocks && this.stocks.resolver) || null;
+        this.persistent = options.persistent !== false && typeof chrome !== 'undefined' && !!chrome?.storage?.local;
+        this.trades = [];
+        this._loading = null;
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadState();
+        return this._loading;
+    }
+
+    async _loadState() {
+        if (!this.persistent) return;
+        try {
+            const saved = (await chrome.storage.local.get([this.STORAGE_KEY]))[this.STORAGE_KEY];
+            if (Array.isArray(saved?.trades)) this.trades = saved.trades;
+        } catch (error) {
+            console.warn('Could not load portfolio:', error);
+        }
+    }
+
+    async persist() {
+        if (!this.persistent) return;
+        try {
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: { trades: this.trades, updatedAt: new Date().toISOString() } });
+        } catch (error) {
+            console.warn('Could not persist portfolio:', error);
+        }
+    }
+
+    async isEmpty() {
+        await this.load();
+        return !this.trades.length;
+    }
+
+    // Resolves the symbol and validates a trade; a holding without history is a buy on its purchase date
+    async normalizeTrade(raw) {
+        const qty = Math.abs(Number(raw.qty));
+        const price = Number(raw.price);
+        const side = /^s/i.test(String(raw.side || 'buy')) ? 'sell' : 'buy';
+        const date = this.parseDate(raw.date) || new Date().toISOString().slice(0, 10);
+        if (!qty || !Number.isFinite(price) || price <= 0) throw new Error('Quantity and price must be positive numbers');
+        let instrument = null;
+        if (this.resolver) {
+            const query = raw.isin || raw.symbol;
+            instrument = (await this.resolver.resolve(query, { exchange: raw.exchange || null })).best;
+            if (!instrument && raw.isin && raw.symbol) instrument = (await this.resolver.resolve(raw.symbol)).best;
+        }
+        const symbol = instrument ? instrument.symbol : String(raw.symbol || raw.isin || '').trim().toUpperCase();
+        if (!symbol) throw new Error('Symbol required');
+        return {
+            id: raw.id || `t_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+            symbol,
+            instrumentId: instrument ? instrument.id : null,
+            name: instrument ? instrument.name : symbol,
+            sector: instrument ? instrument.sector || null : null,
+            date,
+            side,
+            qty,
+            price,
+            charges: Number(raw.charges) || 0,
+            tradeId: raw.tradeId ? String(raw.tradeId) : null,
+            source: raw.source || 'manual'
+        };
+    }
+
+    async addTrade(raw) {
+        await this.load();
+        const trade = await this.normalizeTrade(raw);
+        this.trades.push(trade);
+        this.sortTrades();
+        await this.persist();
+        return trade;
+    }
+
+    async deleteTrade(id) {
+        await this.load();
+        const before = this.trades.length;
+        this.trades = this.trades.filter(t => t.id !== id);
+        if (this.trades.length !== before) await this.persist();
+        return before - this.trades.length;
+    }
+
+    async clear() {
+        await this.load();
+        this.trades = [];
+        await this.persist();
+    }
+
+    sortTrades() {
+        // Buys before sells on the same day so intraday round trips match
+        this.trades.sort((a, b) => a.date.localeCompare(b.date) || (a.side === b.side ? 0 : a.side === 'buy' ? -1 : 1));
+    }
+
+    // 'YYYY-MM-DD' from ISO, DD-MM-YYYY, DD/MM/YYYY, DD-Mon-YYYY or DD Mon YYYY (times ignored)
+    parseDate(value) {
+        const s = String(value || '').trim();
+        if (!s) return null;
+        let m = /^(\d{4})-(\d{2})-(\d{2})/.exec(s);
+        if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+        m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(s);
+        if (m) {
+            const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+            return `${year}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+        }
+        m = /^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{4})/.exec(s);
+        if (m) {
+            const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(m[2].toLowerCase()) + 1;
+            if (month) return `${m[3]}-${String(month).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+        }
+        const ms = Date.parse(s);
+        return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 10) : null;
+    }
+
+    // RFC 4180-ish: quoted fields, doubled quotes, CRLF
+    parseCsv(text) {
+        const rows = [];
+        let row = [], field = '', quoted = false;
+        const src = String(text || '').replace(/^﻿/, '');
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else field += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === ',') { row.push(field); field = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                row.push(field); field = '';
+                if (row.some(v => v.trim() !== '')) rows.push(row);
+                row = [];
+            } else field += ch;
+        }
+        row.push(field);
+        if (row.some(v => v.trim() !== '')) rows.push(row);
+        return rows;
+    }
+
+    // Column index per field; brokers put a few summary lines above the header, so the first row that
+    // names a quantity and a side (or value) column is taken as the header
+    detectColumns(rows) {
+        for (let r = 0; r < Math.min(rows.length, 15); r++) {
+            const header = rows[r].map(h => h.trim().toLowerCase().replace(/\s+/g, ' '));
+            const columns = {};
+            for (const [field, aliases] of Object.entries(TRADEBOOK_COLUMNS)) {
+                const idx = aliases.map(a => header.indexOf(a)).find(i => i >= 0);
+                if (idx !== undefined) columns[field] = idx;
+            }
+            if (columns.qty !== undefined && columns.side !== undefined && (columns.symbol !== undefined || columns.isin !== undefined)) {
+                return { headerRow: r, columns };
+            }
+        }
+        return null;
+    }
+
+    // Adds the equity trades in a broker tradebook CSV; rows already imported (same trade id, or same
+    // date/symbol/side/qty/price) are skipped
+    async importTradebook(csvText, { source = 'csv' } = {}) {
+        await this.load();
+        const rows = this.parseCsv(csvText);
+        const detected = this.detectColumns(rows);
+        if (!detected) throw new Error('Could not find trade columns (symbol or ISIN, side and quantity) in this CSV');
+        const { headerRow, columns } = detected;
+        const cell = (row, field) => (columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim());
+        const num = v => Number(String(v).replace(/[₹,\s]/g, ''));
+        const fingerprint = t => t.tradeId ? `${t.symbol}|${t.tradeId}` : `${t.date}|${t.symbol}|${t.side}|${t.qty}|${t.price}`;
+        const seen = new Set(this.trades.map(fingerprint));
+        const result = { source, added: 0, duplicates: 0, skipped: [], errors: [] };
+
+        for (const row of rows.slice(headerRow + 1)) {
+            const segment = cell(row, 'segment');
+            const status = cell(row, 'status');
+            const side = cell(row, 'side');
+            if (segment && /\b(fo|f&o|fut|opt|ce|pe|cds|mcx|commodity|currency)\b/i.test(segment)) { result.skipped.push({ row, reason: `segment ${segment}` }); continue; }
+            if (status && !/^(executed|complete|completed|traded|success)/i.test(status)) { result.skipped.push({ row, reason: `status ${status}` }); continue; }
+            if (!/^(b|s|buy|sell|purchase|sale|bought|sold)/i.test(side)) { result.skipped.push({ row, reason: 'no buy/sell side' }); continue; }
+            const qty = num(cell(row, 'qty'));
+            let price = num(cell(row, 'price'));
+            if (!price && cell(row, 'value') && qty) price = num(cell(row, 'value')) / qty;
+            try {
+                const trade = await this.normalizeTrade({
+                    symbol: cell(row, 'symbol').replace(/-(EQ|BE)$/i, ''),
+                    isin: cell(row, 'isin') || null,
+                    exchange: cell(row, 'exchange') || null,
+                    date: cell(row, 'date'),
+                    side: /^(s|sale|sold)/i.test(side) ? 'sell' : 'buy',
+                    qty,
+                    price,
+                    charges: cell(row, 'charges') ? num(cell(row, 'charges')) : 0,
+                    tradeId: cell(row, 'tradeId') || null,
+                    source
+                });
+                const key = fingerprint(trade);
+                if (seen.has(key)) { result.duplicates++; continue; }
+                seen.add(key);
+                this.trades.push(trade);
+                result.added++;
+            } catch (error) {
+                result.errors.push({ row, error: String(error.message || error) });
+            }
+        }
+        if (result.added) {
+            this.sortTrades();
+            await this.persist();
+        }
+        return result;
+    }
+
+    // FIFO matching: open lots per symbol and realised gains per sell
+    positions() {
+        const bySymbol = {};
+        const realised = [];
+        for (const t of this.trades) {
+            const pos = bySymbol[t.symbol] || (bySymbol[t.symbol] = { symbol: t.symbol, name: t.name, sector: t.sector, instrumentId: t.instrumentId, lots: [], realisedPnl: 0 });
+            if (t.side === 'buy') {
+                pos.lots.push({ date: t.date, qty: t.qty, price: t.price, costPerShare: t.price + t.charges / t.qty, tradeId: t.id });
+                continue;
+            }
+            let remaining = t.qty;
+            const sellCharges = t.charges / t.qty;
+            while (remaining > 0 && pos.lots.length) {
+                const lot = pos.lots[0];
+                const used = Math.min(lot.qty, remaining);
+                const pnl = used * (t.price - sellCharges - lot.costPerShare);
+                realised.push({ symbol: t.symbol, buyDate: lot.date, sellDate: t.date, qty: used, buyPrice: lot.price, sellPrice: t.price, pnl: +pnl.toFixed(2), holdingDays: Math.round((Date.parse(t.date) - Date.parse(lot.date)) / 86400000) });
+                pos.realisedPnl += pnl;
+                lot.qty -= used;
+                remaining -= used;
+                if (lot.qty <= 0) pos.lots.shift();
+            }
+            // Sells with no matching buys (holdings bought before the imported period) are reported, not guessed
+            if (remaining > 0) realised.push({ symbol: t.symbol, sellDate: t.date, qty: remaining, sellPrice: t.price, pnl: null, unmatched: true });
+        }
+        return { positions: Object.values(bySymbol), realised };
+    }
+
+    // Annualised money-weighted return of dated cash flows [{ date, amount }] (negative = invested)
+    xirr(flows) {
+        const clean = flows.filter(f => f.amount && Number.isFinite(Date.parse(f.date))).sort((a, b) => a.date.localeCompare(b.date));
+        if (clean.length < 2 || !clean.some(f => f.amount < 0) || !clean.some(f => f.amount > 0)) return null;
+        const t0 = Date.parse(clean[0].date);
+        const years = clean.map(f => (Date.parse(f.date) - t0) / (365 * 86400000));
+        const npv = r => clean.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, years[i]), 0);
+        const dnpv = r => clean.reduce((s, f, i) => s - years[i] * f.amount / Math.pow(1 + r, years[i] + 1), 0);
+        let r = 0.1;
+        for (let i = 0; i < 50; i++) {
+            const d = dnpv(r);
+            if (!d) break;
+            const next = r - npv(r) / d;
+            if (!Number.isFinite(next) || next <= -0.9999) break;
+            if (Math.abs(next - r) < 1e-7) return next;
+            r = next;
+        }
+        // Bisection when Newton does not settle
+        let lo = -0.9999, hi = 10;
+        if (npv(lo) * npv(hi) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (lo + hi) / 2;
+            if (npv(lo) * npv(mid) <= 0) hi = mid; else lo = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Holdings valued at live prices with day, unrealised and realised P&L, XIRR and sector weights
+    async value() {
+        await this.load();
+        const { positions, realised } = this.positions();
+        const open = positions.filter(p => p.lots.some(l => l.qty > 0));
+        const quotes = open.length && this.stocks ? await this.stocks.getMultipleStockPrices(open.map(p => p.symbol)) : {};
+        const today = new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+        const r2 = v => (v === null || v === undefined || !Number.isFinite(v) ? null : +v.toFixed(2));
+        const errors = [];
+
+        const holdings = open.map(p => {
+            const qty = p.lots.reduce((s, l) => s + l.qty, 0);
+            const invested = p.lots.reduce((s, l) => s + l.qty * l.costPerShare, 0);
+            const quote = quotes[p.symbol];
+            if (quote?.error) errors.push({ symbol: p.symbol, error: quote.error });
+            const price = quote && !quote.error && Number.isFinite(+quote.price) ? +quote.price : null;
+            const change = quote && !quote.error && Number.isFinite(+quote.change) ? +quote.change : null;
+            // Lots bought today earn from their purchase price, older lots from the previous close
+            const dayPnl = price === null || change === null ? null : p.lots.reduce((s, l) => s + l.qty * (l.date === today ? price - l.costPerShare : change), 0);
+            const marketValue = price === null ? null : qty * price;
+            return {
+                symbol: p.symbol,
+                name: p.name,
+                sector: p.sector || 'Other',
+                qty,
+                avgCost: r2(invested / qty),
+                invested: r2(invested),
+                price: r2(price),
+                dayChangePct: quote && !quote.error && quote.changePercent !== undefined ? r2(parseFloat(quote.changePercent)) : null,
+                marketValue: r2(marketValue),
+                dayPnl: r2(dayPnl),
+                unrealisedPnl: marketValue === null ? null : r2(marketValue - invested),
+                unrealisedPct: marketValue === null || !invested ? null : r2((marketValue / invested - 1) * 100),
+                realisedPnl: r2(p.realisedPnl),
+                lots: p.lots.filter(l => l.qty > 0).map(l => ({ date: l.date, qty: l.qty, price: l.price }))
+            };
+        });
+
+        // Unpriced holdings count at cost so weights still add up
+        const weightBase = holdings.reduce((s, h) => s + (h.marketValue ?? h.invested), 0);
+        for (const h of holdings) h.weightPct = weightBase ? r2(((h.marketValue ?? h.invested) / weightBase) * 100) : null;
+        holdings.sort((a, b) => (b.weightPct || 0) - (a.weightPct || 0));
+
+        const sectors = {};
+        for (const h of holdings) sectors[h.sector] = (sectors[h.sector] || 0) + (h.marketValue ?? h.invested);
+        const bySector = Object.entries(sectors)
+            .map(([sector, value]) => ({ sector, value: r2(value), weightPct: weightBase ? r2((value / weightBase) * 100) : null }))
+            .sort((a, b) => b.value - a.value);
+
+        // Unpriced holdings are carried at cost in the totals and listed so the UI can say so
+        const unpriced = holdings.filter(h => h.marketValue === null).map(h => h.symbol);
+        const flows = this.trades.map(t => ({ date: t.date, amount: t.side === 'buy' ? -(t.qty * t.price + t.charges) : t.qty * t.price - t.charges }));
+        if (weightBase) flows.push({ date: today, amount: weightBase });
+        const xirr = this.xirr(flows);
+
+        const sum = key => holdings.reduce((s, h) => s + (h[key] || 0), 0);
+        const invested = sum('invested');
+        const dayPnl = holdings.some(h => h.dayPnl !== null) ? sum('dayPnl') : null;
+        const realisedPnl = positions.reduce((s, p) => s + p.realisedPnl, 0);
+
+        return {
+            asOf: new Date().toISOString(),
+            holdings,
+            totals: {
+                invested: r2(invested),
+                marketValue: r2(weightBase),
+                dayPnl: r2(dayPnl),
+                dayPnlPct: dayPnl !== null && weightBase ? r2((dayPnl / (weightBase - dayPnl)) * 100) : null,
+                unrealisedPnl: r2(weightBase - invested),
+                unrealisedPct: invested ? r2((weightBase / invested - 1) * 100) : null,
+                realisedPnl: r2(realisedPnl),
+                xirrPct: xirr === null ? null : r2(xirr * 100),
+                trades: this.trades.length,
+                unpriced
+            },
+            allocation: { bySector },
+            realised: realised.slice(-50).reverse(),
+            recentTrades: this.trades.slice(-20).reverse(),
+            errors
+        };
+    }
+
+    // How much of the portfolio a research subject touches: the holding itself, an index's
+    // constituents, and the rest of its sector
+    exposure(valuation, instrument) {
+        if (!valuation?.holdings?.length || !instrument) return null;
+        const members = new Set((instrument.constituents || []).map(c => c.symbol));
+        const direct = valuation.holdings.filter(h => h.symbol === instrument.symbol);
+        const constituents = members.size ? valuation.holdings.filter(h => members.has(h.symbol)) : [];
+        const sector = instrument.sector ? valuation.holdings.filter(h => h.sector === instrument.sector) : [];
+        const pct = list => +list.reduce((s, h) => s + (h.weightPct || 0), 0).toFixed(1);
+        const out = {
+            directPct: pct(direct),
+            constituentsPct: members.size ? pct(constituents) : null,
+            sectorPct: instrument.sector ? pct(sector) : null,
+            sector: instrument.sector || null,
+            holdings: Array.from(new Set([...direct, ...constituents, ...sector])).map(h => ({ symbol: h.symbol, weightPct: h.weightPct }))
+        };
+        out.affectedPct = Math.max(out.directPct, out.constituentsPct || 0, out.sectorPct || 0);
+        const parts = [];
+        if (out.directPct) parts.push(`${instrument.symbol} itself ${out.directPct}%`);
+        if (out.constituentsPct) parts.push(`${instrument.name || instrument.symbol} constituents ${out.constituentsPct}%`);
+        if (out.sectorPct && out.sectorPct !== out.directPct) parts.push(`${out.sector} sector ${out.sectorPct}%`);
+        out.text = parts.length ? `This affects ${out.affectedPct}% of your portfolio (${parts.join(', ')}).` : 'You hold nothing directly affected by this.';
+        return out;
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.PortfolioTracker = PortfolioTracker;
+} else if (typeof global !== 'undefined') {
+    global.PortfolioTracker = PortfolioTracker;
+} else {
+    // Service worker environment
+    self.PortfolioTracker = PortfolioTracker;
+}
@@ -0,0 +1,199 @@
+// Per-provider call budgets. Counts calls per minute and per UTC day, persists them in
+// chrome.storage so a restarted service worker does not forget what it already spent, and
+// turns rate-limit responses (HTTP 429, Retry-After, Alpha Vantage "Note") into cooldowns.
+class QuotaManager {
+    constructor(options = {}) {
+        this.STORAGE_KEY = 'agentic_quota';
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.QUOTA) || {};
+        // Clients declare their published limits; config.js and the sidebar can tighten or relax them
+        this.configured = { ...(cfg.budgets || {}), ...(options.budgets || {}) };
+        this.defaultBudgets = {};
+        this.overrides = {};
+        this.budgets = {};
+        this.persistent = options.persistent !== false && typeof chrome !== 'undefined' && !!chrome?.storage?.local;
+        this.counters = {}; // provider -> { minute, minuteCount, day, dayCount, blockedUntil, lastSignal, lastDenied }
+        this._loading = null;
+        this._writing = Promise.resolve();
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadState();
+        return this._loading;
+    }
+
+    async _loadState() {
+        if (!this.persistent) return;
+        try {
+            const res = await chrome.storage.local.get([this.STORAGE_KEY, 'agentic_settings']);
+            const saved = res[this.STORAGE_KEY];
+            if (saved?.counters) this.counters = saved.counters;
+            this.applyBudgetOverrides(res.agentic_settings?.quotaBudgets);
+        } catch (error) {
+            console.warn('Could not load quota state:', error);
+        }
+    }
+
+    declare(provider, limits = {}) {
+        this.defaultBudgets[provider] = { label: provider, ...limits, ...(this.configured[provider] || {}) };
+        this.budgets[provider] = { ...this.defaultBudgets[provider], ...(this.overrides[provider] || {}) };
+    }
+
+    applyBudgetOverrides(overrides) {
+        this.overrides = {};
+        for (const [provider, limits] of Object.entries(overrides || {})) {
+            const clean = {};
+            for (const k of ['perMinute', 'perDay']) {
+                if (limits?.[k] === null || limits?.[k] === '') clean[k] = null;
+                else if (Number.isFinite(+limits?.[k]) && +limits[k] >= 0) clean[k] = +limits[k];
+            }
+            this.overrides[provider] = clean;
+        }
+        this.budgets = {};
+        for (const provider of new Set([...Object.keys(this.defaultBudgets), ...Object.keys(this.overrides)])) {
+            this.budgets[provider] = { label: provider, ...(this.defaultBudgets[provider] || {}), ...(this.overrides[provider] || {}) };
+        }
+    }
+
+    persist() {
+        if (!this.persistent) return this._writing;
+        this._writing = this._writing
+            .then(() => chrome.storage.local.set({ [this.STORAGE_KEY]: { counters: this.counters, savedAt: Date.now() } }))
+            .catch(error => console.warn('Could not persist quota state:', error));
+        return this._writing;
+    }
+
+    windows(now = Date.now()) {
+        return { minute: Math.floor(now / 60000), day: new Date(now).toISOString().slice(0, 10) };
+    }
+
+    // Counter for the provider with stale windows rolled over
+    counter(provider) {
+        const { minute, day } = this.windows();
+        const c = this.counters[provider] || (this.counters[provider] = { minute, minuteCount: 0, day, dayCount: 0, blockedUntil: 0 });
+        if (c.minute !== minute) { c.minute = minute; c.minuteCount = 0; }
+        if (c.day !== day) { c.day = day; c.dayCount = 0; }
+        return c;
+    }
+
+    // Synchronous check against in-memory state; call load() first
+    evaluate(provider) {
+        const budget = this.budgets[provider] || {};
+        const c = this.counter(provider);
+        const now = Date.now();
+        const remaining = {
+            minute: budget.perMinute != null ? Math.max(0, budget.perMinute - c.minuteCount) : null,
+            day: budget.perDay != null ? Math.max(0, budget.perDay - c.dayCount) : null
+        };
+        if (c.blockedUntil && now < c.blockedUntil) {
+            return { allowed: false, reason: `rate limited by provider until ${new Date(c.blockedUntil).toLocaleTimeString()}`, remaining };
+        }
+        if (remaining.day === 0) return { allowed: false, reason: `daily budget of ${budget.perDay} used`, remaining };
+        if (remaining.minute === 0) return { allowed: false, reason: `per-minute budget of ${budget.perMinute} used`, remaining };
+        return { allowed: true, reason: null, remaining };
+    }
+
+    async check(provider) {
+        await this.load();
+        return this.evaluate(provider);
+    }
+
+    isExhausted(provider) {
+        if (!this.counters[provider] && !this.budgets[provider]) return false;
+        return !this.evaluate(provider).allowed;
+    }
+
+    // Check and count one call; denied calls are not counted
+    async acquire(provider) {
+        await this.load();
+        const verdict = this.evaluate(provider);
+        const c = this.counter(provider);
+        if (!verdict.allowed) {
+            c.lastDenied = { at: Date.now(), reason: verdict.reason };
+            this.persist();
+            return verdict;
+        }
+        c.minuteCount++;
+        c.dayCount++;
+        this.persist();
+        return verdict;
+    }
+
+    async block(provider, ms, message = '') {
+        await this.load();
+        const c = this.counter(provider);
+        c.blockedUntil = Math.max(c.blockedUntil || 0, Date.now() + ms);
+        c.lastSignal = { at: Date.now(), message: String(message).slice(0, 200), retryAfterMs: ms };
+        await this.persist();
+    }
+
+    // Look for rate-limit signals in a provider response and start a cooldown if one is found
+    async inspect(provider, { status = 200, headers = null, body = null } = {}) {
+        const signal = this.parseSignal(provider, { status, headers, body });
+        if (signal) await this.block(provider, signal.retryAfterMs, signal.message);
+        return signal;
+    }
+
+    parseSignal(provider, { status, headers, body }) {
+        const text = typeof body === 'string' ? body
+            : [body?.Note, body?.Information, body?.message, body?.error, body?.code].filter(Boolean).join(' ');
+        const lower = String(text || '').toLowerCase();
+        const retryAfter = headers && typeof headers.get === 'function' ? headers.get('retry-after') : null;
+        const untilNextUtcDay = () => {
+            const next = new Date();
+            next.setUTCHours(24, 0, 0, 0);
+            return next.getTime() - Date.now();
+        };
+
+        // Alpha Vantage "Information" is also used for premium-endpoint notices, so only its wording counts
+        if (status === 429 || (body && body.Note) || /rate ?limit|too many requests|ratelimited|requests per/.test(lower)) {
+            let retryAfterMs = 60 * 1000;
+            if (retryAfter && Number.isFinite(+retryAfter)) retryAfterMs = +retryAfter * 1000;
+            else if (retryAfter && !Number.isNaN(Date.parse(retryAfter))) retryAfterMs = Math.max(1000, Date.parse(retryAfter) - Date.now());
+            else if (/per day|daily|24 hour/.test(lower)) retryAfterMs = provider === 'newsApi' ? 12 * 60 * 60 * 1000 : untilNextUtcDay();
+            return { retryAfterMs, message: text || `HTTP ${status}` };
+        }
+        return null;
+    }
+
+    async status() {
+        await this.load();
+        const providers = new Set([...Object.keys(this.budgets), ...Object.keys(this.counters)]);
+        return Array.from(providers).map(provider => {
+            const budget = this.budgets[provider] || {};
+            const c = this.counter(provider);
+            const verdict = this.evaluate(provider);
+            return {
+                provider,
+                label: budget.label || provider,
+                perMinute: budget.perMinute ?? null,
+                perDay: budget.perDay ?? null,
+                usedMinute: c.minuteCount,
+                usedDay: c.dayCount,
+                remainingMinute: verdict.remaining.minute,
+                remainingDay: verdict.remaining.day,
+                allowed: verdict.allowed,
+                reason: verdict.reason,
+                blockedUntil: c.blockedUntil && c.blockedUntil > Date.now() ? c.blockedUntil : null,
+                lastSignal: c.lastSignal || null,
+                lastDenied: c.lastDenied || null
+            };
+        });
+    }
+
+    async reset(provider = null) {
+        await this.load();
+        if (provider) delete this.counters[provider];
+        else this.counters = {};
+        await this.persist();
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.QuotaManager = QuotaManager;
+} else if (typeof global !== 'undefined') {
+    global.QuotaManager = QuotaManager;
+} else {
+    // Service worker environment
+    self.QuotaManager = QuotaManager;
+}
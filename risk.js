@@ -0,0 +1,206 @@
+// Risk figures from daily bars: beta and correlation against an index, drawdowns and how long they
+// took to recover, one-day historical and parametric (normal) VaR/CVaR, and rolling volatility.
+// Returns are close-to-close on adjusted closes and are paired with the benchmark by date, so
+// holidays that differ between the two series drop out instead of shifting the alignment.
+class RiskAnalytics {
+    constructor(options = {}) {
+        this.confidence = options.confidence || [0.95, 0.99];
+        this.rollingWindows = options.rollingWindows || [20, 60];
+        this.tradingDays = 252;
+    }
+
+    returns(bars = []) {
+        const out = [];
+        const close = b => b.adjClose ?? b.close;
+        for (let i = 1; i < bars.length; i++) {
+            const prev = close(bars[i - 1]);
+            const cur = close(bars[i]);
+            if (prev && cur) out.push({ date: bars[i].date, r: cur / prev - 1 });
+        }
+        return out;
+    }
+
+    mean(list) {
+        return list.reduce((a, b) => a + b, 0) / (list.length || 1);
+    }
+
+    stdev(list) {
+        if (list.length < 2) return 0;
+        const m = this.mean(list);
+        return Math.sqrt(list.reduce((a, v) => a + (v - m) ** 2, 0) / (list.length - 1));
+    }
+
+    // Standard normal quantile (Acklam's rational approximation) and density
+    normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) return -this.normalQuantile(1 - p);
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    normalDensity(z) {
+        return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    }
+
+    // { beta, correlation, rSquared, alphaAnnualPct, observations } against benchmark returns
+    versus(stockReturns, benchmarkReturns) {
+        const market = new Map(benchmarkReturns.map(x => [x.date, x.r]));
+        const pairs = stockReturns.filter(x => market.has(x.date)).map(x => [market.get(x.date), x.r]);
+        if (pairs.length < 20) return null;
+        const mx = this.mean(pairs.map(p => p[0]));
+        const my = this.mean(pairs.map(p => p[1]));
+        let sxy = 0, sxx = 0, syy = 0;
+        for (const [x, y] of pairs) {
+            sxy += (x - mx) * (y - my);
+            sxx += (x - mx) ** 2;
+            syy += (y - my) ** 2;
+        }
+        if (!sxx || !syy) return null;
+        const beta = sxy / sxx;
+        const correlation = sxy / Math.sqrt(sxx * syy);
+        return {
+            beta: +beta.toFixed(2),
+            correlation: +correlation.toFixed(2),
+            rSquared: +(correlation ** 2).toFixed(2),
+            alphaAnnualPct: +((my - beta * mx) * this.tradingDays * 100).toFixed(2),
+            observations: pairs.length
+        };
+    }
+
+    // Deepest peak-to-trough fall and the sessions it took to regain the peak (null while still under water)
+    maxDrawdown(bars = []) {
+        const close = b => b.adjClose ?? b.close;
+        let peakIdx = 0, maxDd = 0, ddPeak = 0, ddTrough = 0;
+        for (let i = 1; i < bars.length; i++) {
+            if (close(bars[i]) > close(bars[peakIdx])) peakIdx = i;
+            const dd = 1 - close(bars[i]) / close(bars[peakIdx]);
+            if (dd > maxDd) { maxDd = dd; ddPeak = peakIdx; ddTrough = i; }
+        }
+        if (!bars.length || maxDd === 0) return { maxDrawdownPct: 0, peakDate: null, troughDate: null, recoveryDate: null, recoverySessions: null, currentDrawdownPct: 0 };
+        let recovery = null;
+        for (let i = ddTrough + 1; i < bars.length; i++) {
+            if (close(bars[i]) >= close(bars[ddPeak])) { recovery = i; break; }
+        }
+        const high = Math.max(...bars.map(close));
+        return {
+            maxDrawdownPct: +(maxDd * 100).toFixed(2),
+            peakDate: bars[ddPeak].date,
+            troughDate: bars[ddTrough].date,
+            declineSessions: ddTrough - ddPeak,
+            recoveryDate: recovery === null ? null : bars[recovery].date,
+            recoverySessions: recovery === null ? null : recovery - ddTrough,
+            sessionsUnderwater: recovery === null ? bars.length - 1 - ddTrough : null,
+            currentDrawdownPct: +((1 - close(bars[bars.length - 1]) / high) * 100).toFixed(2)
+        };
+    }
+
+    // One-day VaR and CVaR as positive loss percentages
+    valueAtRisk(returns, confidence) {
+        const sorted = returns.slice().sort((a, b) => a - b);
+        const cut = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+        const tail = sorted.slice(0, cut);
+        const mu = this.mean(returns);
+        const sigma = this.stdev(returns);
+        const z = this.normalQuantile(1 - confidence);
+        const pct = v => +(v * 100).toFixed(2);
+        return {
+            confidence,
+            historicalVarPct: pct(-sorted[cut - 1]),
+            historicalCvarPct: pct(-this.mean(tail)),
+            parametricVarPct: pct(-(mu + z * sigma)),
+            parametricCvarPct: pct(-(mu - sigma * this.normalDensity(z) / (1 - confidence)))
+        };
+    }
+
+    // Annualised volatility over each trailing window, per date
+    rollingVolatility(returns, window) {
+        const out = [];
+        for (let i = window - 1; i < returns.length; i++) {
+            const slice = returns.slice(i - window + 1, i + 1).map(x => x.r);
+            out.push({ date: returns[i].date, volPct: +(this.stdev(slice) * Math.sqrt(this.tradingDays) * 100).toFixed(2) });
+        }
+        return out;
+    }
+
+    // Full risk profile for one series; benchmarkBars is optional
+    analyze(bars = [], { benchmarkBars = null, benchmark = 'NIFTY 50' } = {}) {
+        const rets = this.returns(bars);
+        if (rets.length < 20) return null;
+        const values = rets.map(x => x.r);
+        const rolling = {};
+        for (const w of this.rollingWindows) {
+            const series = this.rollingVolatility(rets, w);
+            if (series.length) rolling[w] = { latestPct: series[series.length - 1].volPct, series };
+        }
+        return {
+            from: bars[0].date,
+            to: bars[bars.length - 1].date,
+            observations: rets.length,
+            volatilityPct: +(this.stdev(values) * Math.sqrt(this.tradingDays) * 100).toFixed(2),
+            benchmark: benchmarkBars && benchmarkBars.length > 1 ? benchmark : null,
+            market: benchmarkBars && benchmarkBars.length > 1 ? this.versus(rets, this.returns(benchmarkBars)) : null,
+            drawdown: this.maxDrawdown(bars),
+            var: this.confidence.map(c => this.valueAtRisk(values, c)),
+            rollingVolatility: rolling
+        };
+    }
+
+    // Pairwise return correlations for several symbols: { symbols, matrix }
+    correlationMatrix(seriesBySymbol) {
+        const symbols = Object.keys(seriesBySymbol);
+        const rets = symbols.map(s => this.returns(seriesBySymbol[s]));
+        const matrix = symbols.map((_, i) => symbols.map((__, j) => {
+            if (i === j) return 1;
+            const v = this.versus(rets[i], rets[j]);
+            return v ? v.correlation : null;
+        }));
+        return { symbols, matrix };
+    }
+
+    // Without the daily series, for prompts and result payloads
+    summary(risk) {
+        if (!risk) return null;
+        const rolling = Object.fromEntries(Object.entries(risk.rollingVolatility).map(([w, r]) => [w, r.latestPct]));
+        return { ...risk, rollingVolatility: rolling };
+    }
+
+    // The "near-term risk" sentences for notes
+    describe(risk, name = 'The stock') {
+        if (!risk) return '';
+        const v95 = risk.var.find(v => v.confidence === 0.95) || risk.var[0];
+        const parts = [];
+        parts.push(`Near-term risk: on one day in twenty ${name} can be expected to lose at least ${v95.historicalVarPct} percent (average ${v95.historicalCvarPct} percent on those days; the normal model gives ${v95.parametricVarPct} percent).`);
+        const shortVol = risk.rollingVolatility[this.rollingWindows[0]]?.latestPct;
+        if (shortVol !== undefined) {
+            const direction = shortVol > risk.volatilityPct * 1.2 ? 'elevated against' : shortVol < risk.volatilityPct * 0.8 ? 'calmer than' : 'in line with';
+            parts.push(`${this.rollingWindows[0]}-day volatility is ${shortVol} percent annualised, ${direction} ${risk.volatilityPct} percent over the whole period.`);
+        }
+        if (risk.market) {
+            parts.push(`Beta to ${risk.benchmark} is ${risk.market.beta} with correlation ${risk.market.correlation}, so a 1 percent index move has typically meant about ${Math.abs(risk.market.beta)} percent ${risk.market.beta >= 0 ? 'in the same direction' : 'the other way'}.`);
+        }
+        const dd = risk.drawdown;
+        if (dd.maxDrawdownPct) {
+            parts.push(`The deepest fall in the period was ${dd.maxDrawdownPct} percent from ${dd.peakDate} to ${dd.troughDate}, ${dd.recoveryDate ? `recovered after ${dd.recoverySessions} sessions` : `not yet recovered after ${dd.sessionsUnderwater} sessions`}.`);
+        }
+        return parts.join(' ');
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.RiskAnalytics = RiskAnalytics;
+} else if (typeof global !== 'undefined') {
+    global.RiskAnalytics = RiskAnalytics;
+} else {
+    // Service worker environment
+    self.RiskAnalytics = RiskAnalytics;
+}
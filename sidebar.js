@@ -23,6 +23,13 @@ class SidebarController {
                 button.classList.add('active');
                 document.getElementById(targetTab)?.classList.add('active');
                 if (targetTab === 'logs') this.renderLogs().catch(()=>{});
+                if (targetTab === 'providers') this.renderProviders().catch(()=>{});
+                if (targetTab === 'cache') this.renderCacheStats().catch(()=>{});
+                if (targetTab === 'quotas') this.renderQuotas().catch(()=>{});
+                if (targetTab === 'feeds') this.renderFeeds().catch(()=>{});
+                if (targetTab === 'portfolio') this.renderPortfolio().catch(()=>{});
+                if (targetTab === 'watchlist') this.renderWatchlists().catch(()=>{});
+                if (targetTab === 'alerts') { this.renderTasks().catch(()=>{}); this.renderNewsMonitors().catch(()=>{}); }
             });
         });
     }
@@ -32,6 +39,40 @@ class SidebarController {
         const clearLogs = document.getElementById('btnLogsClear');
         dlAll?.addEventListener('click', async () => this.downloadAllLogs());
         clearLogs?.addEventListener('click', async () => this.clearAllLogs());
+        document.getElementById('btnProvidersSave')?.addEventListener('click', async () => this.saveProviderOrder());
+        document.getElementById('btnProvidersReset')?.addEventListener('click', async () => this.saveProviderOrder({}));
+        document.getElementById('btnCacheRefresh')?.addEventListener('click', async () => this.renderCacheStats());
+        document.getElementById('btnCacheClear')?.addEventListener('click', async () => this.clearCache());
+        document.getElementById('btnQuotaSave')?.addEventListener('click', async () => this.saveQuotaBudgets());
+        document.getElementById('btnQuotaRefresh')?.addEventListener('click', async () => this.renderQuotas());
+        document.getElementById('btnQuotaReset')?.addEventListener('click', async () => this.resetQuotas());
+        document.getElementById('btnFeedAdd')?.addEventListener('click', () => this.addFeed());
+        document.getElementById('btnFeedsSave')?.addEventListener('click', async () => this.saveFeeds());
+        document.getElementById('btnFeedsPoll')?.addEventListener('click', async () => this.pollFeeds());
+        document.getElementById('btnFeedsReset')?.addEventListener('click', async () => this.saveFeeds({ reset: true }));
+        document.getElementById('btnBacktestRun')?.addEventListener('click', async () => this.runBacktest());
+        document.getElementById('btnBacktestTradesCsv')?.addEventListener('click', () => this.exportBacktest('trades'));
+        document.getElementById('btnBacktestEquityCsv')?.addEventListener('click', () => this.exportBacktest('equity'));
+        document.getElementById('btnBacktestJson')?.addEventListener('click', () => this.exportBacktest('json'));
+        document.getElementById('btPreset')?.addEventListener('change', (e) => this.applyBacktestPreset(e.target.value));
+        document.getElementById('btnWatchlistSave')?.addEventListener('click', async () => this.saveWatchlist());
+        document.getElementById('btnWatchlistDelete')?.addEventListener('click', async () => this.deleteWatchlist());
+        document.getElementById('btnWatchlistRefresh')?.addEventListener('click', async () => this.refreshWatchlists());
+        document.getElementById('wlSelect')?.addEventListener('change', (e) => this.selectWatchlist(e.target.value));
+        document.getElementById('btnAlertCreate')?.addEventListener('click', async () => this.createTask());
+        document.getElementById('btnAlertRule')?.addEventListener('click', async () => this.translateAlertRule());
+        document.getElementById('btnAlertsCheck')?.addEventListener('click', async () => this.checkTasks());
+        document.getElementById('btnNewsMonitorCreate')?.addEventListener('click', async () => this.createNewsMonitor());
+        document.getElementById('btnNewsMonitorsCheck')?.addEventListener('click', async () => this.checkNewsMonitors());
+        this.setupNewsMonitorPresets();
+        document.getElementById('btnPortfolioRefresh')?.addEventListener('click', async () => this.renderPortfolio());
+        document.getElementById('btnTradeAdd')?.addEventListener('click', async () => this.addTrade());
+        document.getElementById('btnPortfolioClear')?.addEventListener('click', async () => this.clearPortfolio());
+        document.getElementById('pfImportFile')?.addEventListener('change', async (e) => this.importTradebook(e.target));
+        document.getElementById('btSymbol')?.addEventListener('input', () => {
+            clearTimeout(this.symbolSuggestTimer);
+            this.symbolSuggestTimer = setTimeout(() => this.suggestSymbols().catch(() => {}), 250);
+        });
         document.querySelectorAll('.example-chip').forEach(btn => {
             btn.addEventListener('click', () => {
                 const text = btn.getAttribute('data-example') || '';
@@ -65,6 +106,13 @@ class SidebarController {
         chrome.runtime.onMessage.addListener((_request, _sender, _sendResponse) => {
             // No monitoring messages handled
         });
+        // Background refreshes write quotes and task state to storage; redraw the tab that shows them
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local') return;
+            if (changes.agentic_watchlist_quotes && document.getElementById('watchlist')?.classList.contains('active')) this.renderWatchlists().catch(() => {});
+            if (changes.agentic_tasks && document.getElementById('alerts')?.classList.contains('active')) this.renderTasks().catch(() => {});
+            if (changes.agentic_news_monitors && document.getElementById('alerts')?.classList.contains('active')) this.renderNewsMonitors().catch(() => {});
+        });
     }
 
     async loadSettings() {
@@ -141,18 +189,964 @@ class SidebarController {
     async downloadAllLogs() {
         const logs = await this.loadLogs();
         const dataStr = logs && logs.length ? JSON.stringify(logs, null, 2) : 'No logs';
-        const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+        this.downloadFile(dataStr, 'agentic_logs.json', 'application/json');
+    }
+
+    // Save text through chrome.downloads, or an anchor click where the API is missing
+    downloadFile(content, filename, mime) {
+        const dataUrl = `data:${mime};charset=utf-8,` + encodeURIComponent(content);
         if (chrome?.downloads?.download) {
-            chrome.downloads.download({ url: dataUrl, filename: 'agentic_logs.json', saveAs: true });
+            chrome.downloads.download({ url: dataUrl, filename, saveAs: true });
         } else {
-            const blob = new Blob([dataStr], { type: 'application/json' });
+            const blob = new Blob([content], { type: mime });
             const url = URL.createObjectURL(blob);
-            const a = document.createElement('a'); a.href = url; a.download = 'agentic_logs.json';
+            const a = document.createElement('a'); a.href = url; a.download = filename;
             document.body.appendChild(a); a.click(); a.remove();
             URL.revokeObjectURL(url);
         }
     }
 
+    // Providers tab helpers
+    async renderProviders() {
+        const container = document.getElementById('providerOrder');
+        if (!container) return;
+        const resp = await this.sendMessage({ type: 'GET_PROVIDERS' });
+        if (!resp?.ok) { container.textContent = 'Could not load providers: ' + (resp?.error || 'Unknown error'); return; }
+        this.providerState = resp.data;
+        this.drawProviderOrder();
+    }
+
+    drawProviderOrder() {
+        const container = document.getElementById('providerOrder');
+        const { order = {}, providers = [] } = this.providerState || {};
+        const labels = { quote: 'Quotes', daily: 'Daily history', intraday: 'Intraday', fundamentals: 'Fundamentals' };
+        container.innerHTML = '';
+        for (const [capability, names] of Object.entries(order)) {
+            const group = document.createElement('div');
+            group.className = 'log-item';
+            group.innerHTML = `<div class="log-header">${labels[capability] || capability}</div>`;
+            names.forEach((name, idx) => {
+                const p = providers.find(x => x.name === name) || { label: name, capabilities: [] };
+                const notes = [
+                    p.capabilities.includes(capability) ? '' : 'unsupported',
+                    p.configured === false ? 'no key' : '',
+                    p.rateLimit?.perMinute ? `${p.rateLimit.perMinute}/min` : ''
+                ].filter(Boolean).join(' • ');
+                const row = document.createElement('div');
+                row.className = 'task-controls';
+                row.innerHTML = `<span class="log-meta">${idx + 1}. ${p.label}${notes ? ' (' + notes + ')' : ''}</span>`;
+                const up = document.createElement('button');
+                up.textContent = '↑';
+                up.disabled = idx === 0;
+                up.addEventListener('click', () => { names.splice(idx - 1, 0, names.splice(idx, 1)[0]); this.drawProviderOrder(); });
+                const down = document.createElement('button');
+                down.textContent = '↓';
+                down.disabled = idx === names.length - 1;
+                down.addEventListener('click', () => { names.splice(idx + 1, 0, names.splice(idx, 1)[0]); this.drawProviderOrder(); });
+                row.append(up, down);
+                group.appendChild(row);
+            });
+            container.appendChild(group);
+        }
+    }
+
+    async saveProviderOrder(order = this.providerState?.order || {}) {
+        try {
+            const resp = await this.sendMessage({ type: 'SET_PROVIDER_ORDER', payload: { order } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.providerState = resp.data;
+            this.drawProviderOrder();
+            this.showNotification('Provider order saved', 'info');
+        } catch (e) {
+            this.showNotification('Saving provider order failed: ' + e.message, 'error');
+        }
+    }
+
+    // Cache tab helpers
+    async renderCacheStats() {
+        const container = document.getElementById('cacheStats');
+        if (!container) return;
+        const resp = await this.sendMessage({ type: 'GET_CACHE_STATS' });
+        if (!resp?.ok) { container.textContent = 'Could not load cache stats: ' + (resp?.error || 'Unknown error'); return; }
+        const { entries, bytes, maxEntries, maxBytes, byNamespace = {}, policies = {} } = resp.data || {};
+        const kb = n => `${(n / 1024).toFixed(1)} KB`;
+        const mins = ms => ms >= 3600000 ? `${+(ms / 3600000).toFixed(1)}h` : `${Math.round(ms / 60000)}m`;
+        container.innerHTML = '';
+        const total = document.createElement('div');
+        total.className = 'log-item';
+        total.innerHTML = `<div class="log-header">${entries} entries • ${kb(bytes)}</div><div class="log-meta">Limit ${maxEntries} entries / ${kb(maxBytes)}; least recently used entries are evicted first.</div>`;
+        container.appendChild(total);
+        for (const [ns, policy] of Object.entries(policies)) {
+            const row = byNamespace[ns] || { entries: 0, bytes: 0 };
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.innerHTML = `<div class="log-header">${ns}</div><div class="log-meta">${row.entries} entries • ${kb(row.bytes)} • fresh ${mins(policy.ttl)}, stale up to ${mins(policy.staleTtl)} more</div>`;
+            container.appendChild(div);
+        }
+    }
+
+    async clearCache() {
+        try {
+            const resp = await this.sendMessage({ type: 'CLEAR_CACHE' });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.showNotification(`Cache cleared (${resp.data?.removed || 0} entries)`, 'info');
+            await this.renderCacheStats();
+        } catch (e) {
+            this.showNotification('Clearing cache failed: ' + e.message, 'error');
+        }
+    }
+
+    // Quotas tab helpers
+    async renderQuotas() {
+        const container = document.getElementById('quotaStatus');
+        if (!container) return;
+        const resp = await this.sendMessage({ type: 'GET_QUOTA_STATUS' });
+        if (!resp?.ok) { container.textContent = 'Could not load quotas: ' + (resp?.error || 'Unknown error'); return; }
+        this.drawQuotas(resp.data || []);
+    }
+
+    drawQuotas(rows) {
+        const container = document.getElementById('quotaStatus');
+        const used = (n, limit) => limit ? `${n}/${limit}` : `${n} (no limit)`;
+        const time = ts => new Date(ts).toLocaleTimeString();
+        container.innerHTML = '';
+        if (!rows.length) { container.textContent = 'No provider calls recorded yet.'; return; }
+        for (const q of rows) {
+            const notes = [
+                q.blockedUntil ? `⛔ cooling down until ${time(q.blockedUntil)}` : '',
+                !q.allowed && !q.blockedUntil ? `⛔ ${q.reason}` : '',
+                q.lastSignal ? `last rate-limit ${time(q.lastSignal.at)}: ${q.lastSignal.message}` : '',
+                q.lastDenied ? `last skipped call ${time(q.lastDenied.at)}: ${q.lastDenied.reason}` : ''
+            ].filter(Boolean);
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.dataset.provider = q.provider;
+            div.innerHTML = `<div class="log-header">${q.label}</div><div class="log-meta">Minute ${used(q.usedMinute, q.perMinute)} • Today ${used(q.usedDay, q.perDay)}</div>`;
+            for (const note of notes) {
+                const meta = document.createElement('div');
+                meta.className = 'log-meta';
+                meta.textContent = note;
+                div.appendChild(meta);
+            }
+            const controls = document.createElement('div');
+            controls.className = 'task-controls';
+            for (const [key, label] of [['perMinute', '/min'], ['perDay', '/day']]) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.placeholder = label;
+                input.dataset.limit = key;
+                input.value = q[key] ?? '';
+                controls.appendChild(input);
+            }
+            div.appendChild(controls);
+            container.appendChild(div);
+        }
+    }
+
+    async saveQuotaBudgets() {
+        const budgets = {};
+        document.querySelectorAll('#quotaStatus .log-item[data-provider]').forEach(row => {
+            const limits = {};
+            row.querySelectorAll('input[data-limit]').forEach(input => {
+                if (input.value !== '') limits[input.dataset.limit] = Number(input.value);
+            });
+            if (Object.keys(limits).length) budgets[row.dataset.provider] = limits;
+        });
+        try {
+            const resp = await this.sendMessage({ type: 'SET_QUOTA_BUDGETS', payload: { budgets } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawQuotas(resp.data || []);
+            this.showNotification('API budgets saved', 'info');
+        } catch (e) {
+            this.showNotification('Saving budgets failed: ' + e.message, 'error');
+        }
+    }
+
+    async resetQuotas() {
+        try {
+            const resp = await this.sendMessage({ type: 'RESET_QUOTA' });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawQuotas(resp.data || []);
+            this.showNotification('Quota counters reset', 'info');
+        } catch (e) {
+            this.showNotification('Resetting quotas failed: ' + e.message, 'error');
+        }
+    }
+
+    // Feeds tab helpers
+    async renderFeeds() {
+        const container = document.getElementById('feedList');
+        if (!container) return;
+        const resp = await this.sendMessage({ type: 'GET_FEEDS' });
+        if (!resp?.ok) { container.textContent = 'Could not load feeds: ' + (resp?.error || 'Unknown error'); return; }
+        this.feedState = resp.data;
+        this.drawFeeds();
+    }
+
+    drawFeeds() {
+        const container = document.getElementById('feedList');
+        const { feeds = [], itemCount = 0 } = this.feedState || {};
+        container.innerHTML = '';
+        if (!feeds.length) { container.textContent = 'No feeds configured.'; return; }
+        const total = document.createElement('div');
+        total.className = 'log-meta';
+        total.textContent = `${itemCount} stored headlines`;
+        container.appendChild(total);
+        feeds.forEach((feed, idx) => {
+            const st = feed.state || {};
+            const status = st.lastError ? `⛔ ${st.lastError}`
+                : st.lastPolledAt ? `${st.itemCount || 0} items • polled ${this.formatTimestamp(st.lastPolledAt)}`
+                : 'not polled yet';
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.innerHTML = '<div class="log-header"></div><div class="log-meta feed-url"></div><div class="log-meta feed-status"></div>';
+            div.querySelector('.log-header').textContent = feed.name;
+            div.querySelector('.feed-url').textContent = feed.url;
+            div.querySelector('.feed-status').textContent = status;
+            const controls = document.createElement('div');
+            controls.className = 'task-controls';
+            const label = document.createElement('label');
+            label.className = 'log-meta';
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = feed.enabled;
+            enabled.addEventListener('change', () => { feed.enabled = enabled.checked; });
+            label.append(enabled, ' enabled, every ');
+            const minutes = document.createElement('input');
+            minutes.type = 'number';
+            minutes.min = '5';
+            minutes.value = feed.pollMinutes;
+            minutes.addEventListener('change', () => { feed.pollMinutes = Number(minutes.value) || feed.pollMinutes; });
+            const unit = document.createElement('span');
+            unit.className = 'log-meta';
+            unit.textContent = 'min';
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = 'Remove feed';
+            remove.addEventListener('click', () => { feeds.splice(idx, 1); this.drawFeeds(); });
+            controls.append(label, minutes, unit, remove);
+            div.appendChild(controls);
+            container.appendChild(div);
+        });
+    }
+
+    addFeed() {
+        const nameInput = document.getElementById('feedName');
+        const urlInput = document.getElementById('feedUrl');
+        const url = (urlInput?.value || '').trim();
+        if (!/^https?:\/\//i.test(url)) { this.showNotification('Feed URL must start with http:// or https://', 'error'); return; }
+        this.feedState = this.feedState || { feeds: [] };
+        this.feedState.feeds.push({ name: (nameInput?.value || '').trim(), url, enabled: true, pollMinutes: 15 });
+        nameInput.value = '';
+        urlInput.value = '';
+        this.drawFeeds();
+    }
+
+    async saveFeeds({ reset = false } = {}) {
+        try {
+            const feeds = (this.feedState?.feeds || []).map(({ state, ...feed }) => feed);
+            const resp = await this.sendMessage({ type: 'SAVE_FEEDS', payload: reset ? { reset: true } : { feeds } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.feedState = resp.data;
+            this.drawFeeds();
+            this.showNotification(reset ? 'Default feeds restored' : 'Feeds saved', 'info');
+        } catch (e) {
+            this.showNotification('Saving feeds failed: ' + e.message, 'error');
+        }
+    }
+
+    async pollFeeds() {
+        try {
+            const resp = await this.sendMessage({ type: 'POLL_FEEDS' });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.feedState = resp.data;
+            this.drawFeeds();
+            const added = (resp.data.results || []).reduce((sum, r) => sum + (r.added || 0), 0);
+            this.showNotification(`Feeds polled: ${added} new headlines`, 'info');
+        } catch (e) {
+            this.showNotification('Polling feeds failed: ' + e.message, 'error');
+        }
+    }
+
+    // Backtest tab helpers
+    applyBacktestPreset(name) {
+        const presets = {
+            sma_cross: ['sma(20) crosses_above sma(50)', 'sma(20) crosses_below sma(50)'],
+            rsi_revert: ['rsi(14) crosses_above 30', 'rsi(14) > 55'],
+            breakout: ['close > highest(20) and volume_ratio(20) > 1.5', 'close < lowest(10)'],
+            macd: ['macd crosses_above macd_signal and close > sma(50)', 'macd crosses_below macd_signal']
+        };
+        const preset = presets[name];
+        if (!preset) return;
+        document.getElementById('btEntry').value = preset[0];
+        document.getElementById('btExit').value = preset[1];
+    }
+
+    async suggestSymbols() {
+        const input = document.getElementById('btSymbol');
+        const list = document.getElementById('btSymbolOptions');
+        const query = (input?.value || '').trim();
+        if (!list || query.length < 2) return;
+        const resp = await this.sendMessage({ type: 'RESOLVE_SYMBOL', payload: { query } });
+        if (!resp?.ok) return;
+        list.innerHTML = '';
+        for (const c of resp.data?.candidates || []) {
+            const option = document.createElement('option');
+            option.value = c.symbol;
+            option.label = `${c.name} (${c.exchange || c.type})`;
+            list.appendChild(option);
+        }
+    }
+
+    async runBacktest() {
+        const value = id => (document.getElementById(id)?.value || '').trim();
+        const number = id => (value(id) === '' ? null : Number(value(id)));
+        const status = document.getElementById('btStatus');
+        const symbol = value('btSymbol');
+        const entry = value('btEntry');
+        if (!symbol || !entry) { status.textContent = 'Enter a symbol and an entry rule.'; return; }
+        const sizingMode = value('btSizing');
+        const sizing = sizingMode === 'risk_pct' ? { mode: 'risk_pct', value: 1 }
+            : sizingMode === 'fixed_amount' ? { mode: 'fixed_amount', value: 25000 }
+            : { mode: 'percent_equity', value: 100 };
+        const payload = {
+            symbol,
+            entry,
+            exit: value('btExit') || null,
+            stopLossPct: number('btStop'),
+            takeProfitPct: number('btTarget'),
+            maxHoldingDays: number('btHold'),
+            capital: number('btCapital') || undefined,
+            sizing,
+            lookbackDays: Number(value('btLookback')) || 500
+        };
+        if (sizing.mode === 'risk_pct' && !payload.stopLossPct) { status.textContent = 'Risk-based sizing needs a stop %.'; return; }
+        status.textContent = 'Running backtest…';
+        try {
+            const resp = await this.sendMessage({ type: 'BACKTEST_TASK', payload });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.backtestResult = resp.data;
+            status.textContent = `${resp.data.title} • ${resp.data.from} to ${resp.data.to}`;
+            this.drawBacktest(resp.data);
+            ['btnBacktestTradesCsv', 'btnBacktestEquityCsv', 'btnBacktestJson'].forEach(id => { document.getElementById(id).disabled = false; });
+        } catch (e) {
+            status.textContent = 'Backtest failed: ' + e.message;
+        }
+    }
+
+    drawBacktest(result) {
+        const s = result.stats || {};
+        const fmt = (v, suffix = '') => (v === null || v === undefined ? 'N/A' : `${v}${suffix}`);
+        const rows = [
+            ['Total return', fmt(s.totalReturnPct, '%'), 'Buy & hold', fmt(s.buyAndHoldPct, '%')],
+            ['CAGR', fmt(s.cagrPct, '%'), 'Max drawdown', fmt(s.maxDrawdownPct, '%')],
+            ['Sharpe', fmt(s.sharpe), 'Win rate', fmt(s.winRatePct, '%')],
+            ['Trades', fmt(s.trades), 'Avg trade', fmt(s.avgTradePct, '%')],
+            ['Profit factor', fmt(s.profitFactor), 'Exposure', fmt(s.exposurePct, '%')],
+            ['End equity', `₹${fmt(s.endEquity)}`, 'Costs paid', `₹${fmt(s.totalCosts)}`]
+        ];
+        const stats = document.getElementById('btStats');
+        stats.innerHTML = '';
+        const table = document.createElement('table');
+        for (const row of rows) {
+            const tr = document.createElement('tr');
+            for (const cell of row) {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
+            }
+            table.appendChild(tr);
+        }
+        stats.appendChild(table);
+
+        const priceCanvas = document.getElementById('btChart');
+        const equityCanvas = document.getElementById('btEquity');
+        const dates = result.series?.dates || [];
+        this.drawLineChart(priceCanvas, dates, [{ values: result.series?.closes || [], color: '#2563eb' }], result.markers || []);
+        const start = result.series?.closes?.[0];
+        const equity = (result.equity || []).map(p => p.equity);
+        const hold = start ? (result.series.closes).map(c => (c / start) * (s.startEquity || equity[0])) : [];
+        this.drawLineChart(equityCanvas, dates, [{ values: hold, color: '#cbd5e0' }, { values: equity, color: '#059669' }], []);
+
+        const trades = document.getElementById('btTrades');
+        trades.innerHTML = '';
+        for (const t of (result.trades || []).slice().reverse()) {
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.innerHTML = '<div class="log-header"></div><div class="log-meta"></div>';
+            div.querySelector('.log-header').textContent = `${t.entryDate} → ${t.exitDate} • ${t.returnPct > 0 ? '+' : ''}${t.returnPct}%`;
+            div.querySelector('.log-meta').textContent = `${t.qty} @ ${t.entryPrice} → ${t.exitPrice} • ${t.reason.replace('_', ' ')} • ${t.holdingDays} sessions • net ₹${t.netPnl} after ₹${t.costs} costs`;
+            trades.appendChild(div);
+        }
+        if (!result.trades?.length) trades.textContent = 'No trades: the entry rule never fired in this period.';
+    }
+
+    // Line chart with optional entry (▲) / exit (▼) markers, scaled to the canvas width
+    drawLineChart(canvas, dates, lines, markers) {
+        if (!canvas?.getContext) return;
+        canvas.classList.add('has-data');
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.parentElement?.clientWidth || 300;
+        const height = Number(canvas.dataset.height || canvas.getAttribute('height')) || 150;
+        canvas.dataset.height = height;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.height = height + 'px';
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        const all = lines.flatMap(l => l.values).filter(v => Number.isFinite(v));
+        if (!all.length || dates.length < 2) return;
+        const pad = { left: 44, right: 6, top: 8, bottom: 16 };
+        const min = Math.min(...all);
+        const max = Math.max(...all);
+        const span = max - min || 1;
+        const x = i => pad.left + (i / (dates.length - 1)) * (width - pad.left - pad.right);
+        const y = v => pad.top + (1 - (v - min) / span) * (height - pad.top - pad.bottom);
+
+        ctx.fillStyle = '#64748b';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(max.toFixed(max >= 1000 ? 0 : 2), 2, pad.top + 8);
+        ctx.fillText(min.toFixed(min >= 1000 ? 0 : 2), 2, height - pad.bottom);
+        ctx.fillText(dates[0], pad.left, height - 3);
+        const lastLabel = dates[dates.length - 1];
+        ctx.fillText(lastLabel, width - pad.right - ctx.measureText(lastLabel).width, height - 3);
+
+        for (const line of lines) {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            line.values.forEach((v, i) => { if (i === 0) ctx.moveTo(x(i), y(v)); else ctx.lineTo(x(i), y(v)); });
+            ctx.stroke();
+        }
+
+        const index = new Map(dates.map((d, i) => [d, i]));
+        for (const m of markers) {
+            const i = index.get(m.date);
+            if (i === undefined) continue;
+            const px = x(i);
+            const py = y(m.price);
+            ctx.fillStyle = m.type === 'entry' ? '#059669' : '#dc2626';
+            ctx.beginPath();
+            if (m.type === 'entry') { ctx.moveTo(px, py + 2); ctx.lineTo(px - 4, py + 9); ctx.lineTo(px + 4, py + 9); }
+            else { ctx.moveTo(px, py - 2); ctx.lineTo(px - 4, py - 9); ctx.lineTo(px + 4, py - 9); }
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+
+    exportBacktest(kind) {
+        const r = this.backtestResult;
+        if (!r) return;
+        const symbol = (r.instrument?.symbol || 'backtest').replace(/[^A-Za-z0-9_-]+/g, '_');
+        const csv = rows => rows.map(row => row.map(v => {
+            const text = v === null || v === undefined ? '' : String(v);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\n');
+        if (kind === 'trades') {
+            const cols = ['entryDate', 'entryPrice', 'exitDate', 'exitPrice', 'qty', 'reason', 'holdingDays', 'grossPnl', 'costs', 'netPnl', 'returnPct'];
+            this.downloadFile(csv([cols, ...r.trades.map(t => cols.map(c => t[c]))]), `backtest_${symbol}_trades.csv`, 'text/csv');
+        } else if (kind === 'equity') {
+            const cols = ['date', 'close', 'equity', 'inPosition'];
+            this.downloadFile(csv([cols, ...r.equity.map(p => cols.map(c => p[c]))]), `backtest_${symbol}_equity.csv`, 'text/csv');
+        } else {
+            const { logs, ...rest } = r;
+            this.downloadFile(JSON.stringify(rest, null, 2), `backtest_${symbol}.json`, 'application/json');
+        }
+    }
+
+    // Watchlist tab helpers
+    async renderWatchlists() {
+        const resp = await this.sendMessage({ type: 'GET_WATCHLISTS' });
+        if (!resp?.ok) { document.getElementById('wlStatus').textContent = 'Could not load watchlists: ' + (resp?.error || 'Unknown error'); return; }
+        this.drawWatchlists(resp.data);
+    }
+
+    drawWatchlists(state) {
+        this.watchlistState = state;
+        const status = document.getElementById('wlStatus');
+        const market = state.market || {};
+        const closed = { weekend: 'closed (weekend)', holiday: 'closed (holiday)', pre_open: 'not open yet', closed: 'closed for the day' };
+        const last = state.lastRefresh?.at ? ` • updated ${this.formatTimestamp(state.lastRefresh.at)}` : '';
+        status.textContent = market.open ? `NSE open • refreshing every ${state.refreshMinutes} min${last}` : `NSE ${closed[market.reason] || 'closed'} • showing last quotes${last}`;
+
+        const picker = document.getElementById('wlSelect');
+        const selected = picker.value;
+        picker.innerHTML = '<option value="">New list…</option>';
+        for (const list of state.lists || []) {
+            const option = document.createElement('option');
+            option.value = list.id;
+            option.textContent = list.name;
+            picker.appendChild(option);
+        }
+        if ((state.lists || []).some(l => l.id === selected)) picker.value = selected;
+
+        const fmt = (v, digits = 2) => (v === null || v === undefined ? '–' : Number(v).toLocaleString('en-IN', { maximumFractionDigits: digits }));
+        const container = document.getElementById('wlTables');
+        container.innerHTML = '';
+        for (const list of state.lists || []) {
+            const heading = document.createElement('div');
+            heading.className = 'log-header';
+            heading.textContent = list.name;
+            container.appendChild(heading);
+            const table = document.createElement('table');
+            table.className = 'wl-table';
+            table.innerHTML = '<tr><th>Symbol</th><th>LTP</th><th>Chg%</th><th>Day range</th><th>Volume</th><th>Trend</th></tr>';
+            for (const row of list.rows) {
+                const tr = document.createElement('tr');
+                tr.title = `Research ${row.name}`;
+                tr.className = row.changePercent > 0 ? 'wl-up' : row.changePercent < 0 ? 'wl-down' : '';
+                const cells = [
+                    row.symbol,
+                    fmt(row.price),
+                    row.changePercent === null || row.changePercent === undefined ? '–' : `${row.changePercent > 0 ? '+' : ''}${row.changePercent.toFixed(2)}%`,
+                    row.dayLow !== null && row.dayLow !== undefined ? `${fmt(row.dayLow)} – ${fmt(row.dayHigh)}` : '–',
+                    fmt(row.volume, 0),
+                    this.sparkline(row.history || [])
+                ];
+                for (const text of cells) {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                }
+                if (row.error && row.price === undefined) tr.cells[1].textContent = '⛔';
+                tr.addEventListener('click', () => this.researchSymbol(row));
+                table.appendChild(tr);
+            }
+            if (!list.rows.length) table.insertRow().insertCell().textContent = 'No instruments yet.';
+            container.appendChild(table);
+        }
+    }
+
+    // Unicode block sparkline of the session's prices
+    sparkline(values) {
+        const points = values.slice(-24);
+        if (points.length < 2) return '';
+        const min = Math.min(...points);
+        const span = Math.max(...points) - min || 1;
+        const bars = '▁▂▃▄▅▆▇█';
+        return points.map(v => bars[Math.round(((v - min) / span) * (bars.length - 1))]).join('');
+    }
+
+    selectWatchlist(id) {
+        const list = (this.watchlistState?.lists || []).find(l => l.id === id);
+        document.getElementById('wlName').value = list ? list.name : '';
+        document.getElementById('wlSymbols').value = list ? list.rows.map(r => r.symbol).join(', ') : '';
+    }
+
+    async saveWatchlist() {
+        const id = document.getElementById('wlSelect').value || null;
+        const name = document.getElementById('wlName').value.trim();
+        const symbols = document.getElementById('wlSymbols').value.split(/[,\n]/).map(s => s.trim()).filter(Boolean);
+        if (!name) { this.showNotification('Enter a watchlist name', 'error'); return; }
+        try {
+            const resp = await this.sendMessage({ type: 'SAVE_WATCHLIST', payload: { id, name, symbols } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawWatchlists(resp.data);
+            document.getElementById('wlSelect').value = resp.data.list.id;
+            this.selectWatchlist(resp.data.list.id);
+            this.showNotification(`Watchlist ${name} saved`, 'info');
+        } catch (e) {
+            this.showNotification('Saving watchlist failed: ' + e.message, 'error');
+        }
+    }
+
+    async deleteWatchlist() {
+        const id = document.getElementById('wlSelect').value;
+        if (!id) return;
+        try {
+            const resp = await this.sendMessage({ type: 'DELETE_WATCHLIST', payload: { id } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            document.getElementById('wlSelect').value = '';
+            this.selectWatchlist('');
+            this.drawWatchlists(resp.data);
+        } catch (e) {
+            this.showNotification('Deleting watchlist failed: ' + e.message, 'error');
+        }
+    }
+
+    async refreshWatchlists() {
+        document.getElementById('wlStatus').textContent = 'Refreshing quotes…';
+        try {
+            const resp = await this.sendMessage({ type: 'REFRESH_WATCHLISTS' });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawWatchlists(resp.data);
+        } catch (e) {
+            document.getElementById('wlStatus').textContent = 'Refresh failed: ' + e.message;
+        }
+    }
+
+    // Runs the normal research flow for a watchlist row
+    researchSymbol(row) {
+        const box = document.getElementById('taskInput');
+        if (!box) return;
+        box.value = `Research ${row.type === 'index' ? row.name : row.symbol} latest news and price trend`;
+        document.getElementById('btnRunResearch')?.click();
+    }
+
+    // Alerts tab helpers
+    async renderTasks() {
+        const resp = await this.sendMessage({ type: 'GET_TASKS' });
+        if (!resp?.ok) { document.getElementById('taskList').textContent = 'Could not load alerts: ' + (resp?.error || 'Unknown error'); return; }
+        this.drawTasks(resp.data || []);
+    }
+
+    drawTasks(tasks) {
+        const container = document.getElementById('taskList');
+        container.innerHTML = '';
+        if (!tasks.length) { container.textContent = 'No alerts yet.'; return; }
+        for (const task of tasks) {
+            const last = task.triggers?.[0];
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.innerHTML = '<div class="log-header"></div><div class="log-meta task-input"></div><div class="log-meta task-state"></div>';
+            div.querySelector('.log-header').textContent = `${task.status === 'paused' ? '⏸️' : '🟢'} ${task.name}`;
+            div.querySelector('.task-input').textContent = `"${task.input}" • every ${task.intervalMinutes} min • ${task.notificationChannels.join(', ')}`;
+            div.querySelector('.task-state').textContent = [
+                task.lastCheckedAt ? `checked ${this.formatTimestamp(task.lastCheckedAt)}` : 'not checked yet',
+                last ? `last alert ${this.formatTimestamp(last.at)}: ${last.symbol} at ₹${last.price}` : '',
+                task.lastError ? `⛔ ${task.lastError}` : ''
+            ].filter(Boolean).join(' • ');
+            const controls = document.createElement('div');
+            controls.className = 'task-controls';
+            const toggle = document.createElement('button');
+            toggle.textContent = task.status === 'paused' ? '▶️ Resume' : '⏸️ Pause';
+            toggle.addEventListener('click', async () => this.setTaskStatus(task.id, task.status === 'paused' ? 'active' : 'paused'));
+            const check = document.createElement('button');
+            check.textContent = '🔄 Check now';
+            check.addEventListener('click', async () => this.checkTasks([task.id]));
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = 'Delete alert';
+            remove.addEventListener('click', async () => this.deleteTask(task.id));
+            controls.append(toggle, check, remove);
+            div.appendChild(controls);
+            container.appendChild(div);
+        }
+    }
+
+    async createTask() {
+        const box = document.getElementById('alertInput');
+        const text = (box?.value || '').trim();
+        if (!text) { this.showNotification('Describe the alert, e.g. "TCS falls 3% or goes below ₹3,500"', 'error'); return; }
+        const notificationChannels = ['browser', ...Array.from(document.querySelectorAll('.alert-channel:checked')).map(el => el.value)];
+        const intervalMinutes = Number(document.getElementById('alertInterval')?.value) || null;
+        try {
+            const resp = await this.sendMessage({ type: 'CREATE_TASK', payload: { text, notificationChannels, intervalMinutes } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            box.value = '';
+            this.showNotification(`Alert created: ${resp.data.name}`, 'info');
+            await this.renderTasks();
+        } catch (e) {
+            this.showNotification('Creating alert failed: ' + e.message, 'error');
+        }
+    }
+
+    // Replaces the alert text with the equivalent rule so it can be checked and edited before saving
+    async translateAlertRule() {
+        const box = document.getElementById('alertInput');
+        const text = (box?.value || '').trim();
+        if (!text) { this.showNotification('Describe the alert first, e.g. "TCS crosses above its 50 DMA with RSI under 40"', 'error'); return; }
+        try {
+            const resp = await this.sendMessage({ type: 'TRANSLATE_RULE', payload: { text } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            box.value = resp.data.rule;
+            const note = resp.data.translated ? (resp.data.explanation || 'Translated') : 'Rule is valid';
+            this.showNotification(`${note}${resp.data.symbol ? '' : ' • add a symbol at the start'}`, resp.data.symbol ? 'info' : 'error');
+        } catch (e) {
+            this.showNotification('Rule: ' + e.message, 'error');
+        }
+    }
+
+    async setTaskStatus(id, status) {
+        try {
+            const resp = await this.sendMessage({ type: 'SET_TASK_STATUS', payload: { id, status } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            await this.renderTasks();
+        } catch (e) {
+            this.showNotification('Updating alert failed: ' + e.message, 'error');
+        }
+    }
+
+    async deleteTask(id) {
+        try {
+            const resp = await this.sendMessage({ type: 'DELETE_TASK', payload: { id } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawTasks(resp.data || []);
+        } catch (e) {
+            this.showNotification('Deleting alert failed: ' + e.message, 'error');
+        }
+    }
+
+    async checkTasks(ids = null) {
+        try {
+            const resp = await this.sendMessage({ type: 'CHECK_TASKS', payload: { ids } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawTasks(resp.data.tasks || []);
+            this.showNotification(`Checked ${resp.data.checked} alert(s): ${resp.data.triggers.length} triggered`, 'info');
+        } catch (e) {
+            this.showNotification('Checking alerts failed: ' + e.message, 'error');
+        }
+    }
+
+    // News monitor presets from config.js fill the description (and sentiment) fields
+    setupNewsMonitorPresets() {
+        const select = document.getElementById('nmPreset');
+        const presets = (typeof CONFIG !== 'undefined' && CONFIG.NEWS_MONITORS?.presets) || [];
+        if (!select) return;
+        presets.forEach((preset, i) => select.add(new Option(preset.label, String(i))));
+        select.addEventListener('change', () => {
+            const preset = presets[Number(select.value)];
+            if (!preset) return;
+            document.getElementById('nmInput').value = preset.text;
+            document.getElementById('nmSentiment').value = preset.sentiment || '';
+            select.value = '';
+        });
+    }
+
+    async renderNewsMonitors() {
+        const resp = await this.sendMessage({ type: 'GET_NEWS_MONITORS' });
+        if (!resp?.ok) { document.getElementById('newsMonitorList').textContent = 'Could not load news monitors: ' + (resp?.error || 'Unknown error'); return; }
+        this.drawNewsMonitors(resp.data || []);
+    }
+
+    drawNewsMonitors(monitors) {
+        const container = document.getElementById('newsMonitorList');
+        container.innerHTML = '';
+        if (!monitors.length) { container.textContent = 'No news monitors yet.'; return; }
+        const sources = { all: 'RSS + APIs', rss: 'RSS only', api: 'APIs only' };
+        for (const monitor of monitors) {
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.innerHTML = '<div class="log-header"></div><div class="log-meta task-input"></div><div class="log-meta task-state"></div><div class="log-meta nm-hits"></div>';
+            div.querySelector('.log-header').textContent = `${monitor.status === 'paused' ? '⏸️' : '🟢'} ${monitor.name}`;
+            div.querySelector('.task-input').textContent = [
+                sources[monitor.sources] || monitor.sources,
+                monitor.publishers.length ? `from ${monitor.publishers.join(', ')}` : '',
+                monitor.minRelevance !== null ? `relevance ≥ ${monitor.minRelevance}` : '',
+                `every ${monitor.intervalMinutes} min`,
+                monitor.notificationChannels.join(', ')
+            ].filter(Boolean).join(' • ');
+            div.querySelector('.task-state').textContent = [
+                monitor.lastCheckedAt ? `checked ${this.formatTimestamp(monitor.lastCheckedAt)}` : 'not checked yet',
+                monitor.lastHitAt ? `last match ${this.formatTimestamp(monitor.lastHitAt)}` : '',
+                monitor.lastError ? `⛔ ${monitor.lastError}` : ''
+            ].filter(Boolean).join(' • ');
+            const hits = div.querySelector('.nm-hits');
+            for (const hit of (monitor.hits || []).slice(0, 3)) {
+                const row = document.createElement('div');
+                const link = document.createElement('a');
+                if (/^https?:\/\//i.test(hit.url || '')) link.href = hit.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = hit.title;
+                row.append(link, document.createTextNode(` — ${[hit.source, hit.symbols?.join(', ')].filter(Boolean).join(' • ')}`));
+                hits.appendChild(row);
+            }
+            const controls = document.createElement('div');
+            controls.className = 'task-controls';
+            const toggle = document.createElement('button');
+            toggle.textContent = monitor.status === 'paused' ? '▶️ Resume' : '⏸️ Pause';
+            toggle.addEventListener('click', async () => this.setNewsMonitorStatus(monitor.id, monitor.status === 'paused' ? 'active' : 'paused'));
+            const check = document.createElement('button');
+            check.textContent = '🔄 Check now';
+            check.addEventListener('click', async () => this.checkNewsMonitors([monitor.id]));
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = 'Delete monitor';
+            remove.addEventListener('click', async () => this.deleteNewsMonitor(monitor.id));
+            controls.append(toggle, check, remove);
+            div.appendChild(controls);
+            container.appendChild(div);
+        }
+    }
+
+    async createNewsMonitor() {
+        const value = id => (document.getElementById(id)?.value || '').trim();
+        const text = value('nmInput');
+        if (!text) { this.showNotification('Describe the news to watch, e.g. "SEBI order on any stock in my watchlist"', 'error'); return; }
+        const payload = {
+            text,
+            sources: value('nmSources') || 'all',
+            sentiment: value('nmSentiment') || null,
+            minRelevance: value('nmRelevance') === '' ? null : Number(value('nmRelevance')),
+            publishers: value('nmPublishers'),
+            intervalMinutes: Number(value('nmInterval')) || null,
+            notificationChannels: ['browser', ...Array.from(document.querySelectorAll('.alert-channel:checked')).map(el => el.value)]
+        };
+        try {
+            const resp = await this.sendMessage({ type: 'CREATE_NEWS_MONITOR', payload });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            document.getElementById('nmInput').value = '';
+            this.showNotification(`News monitor created: ${resp.data.name}`, 'info');
+            await this.renderNewsMonitors();
+        } catch (e) {
+            this.showNotification('Creating news monitor failed: ' + e.message, 'error');
+        }
+    }
+
+    async setNewsMonitorStatus(id, status) {
+        try {
+            const resp = await this.sendMessage({ type: 'SET_NEWS_MONITOR_STATUS', payload: { id, status } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            await this.renderNewsMonitors();
+        } catch (e) {
+            this.showNotification('Updating news monitor failed: ' + e.message, 'error');
+        }
+    }
+
+    async deleteNewsMonitor(id) {
+        try {
+            const resp = await this.sendMessage({ type: 'DELETE_NEWS_MONITOR', payload: { id } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawNewsMonitors(resp.data || []);
+        } catch (e) {
+            this.showNotification('Deleting news monitor failed: ' + e.message, 'error');
+        }
+    }
+
+    async checkNewsMonitors(ids = null) {
+        try {
+            const resp = await this.sendMessage({ type: 'CHECK_NEWS_MONITORS', payload: { ids } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawNewsMonitors(resp.data.monitors || []);
+            this.showNotification(`Checked ${resp.data.checked} monitor(s): ${resp.data.hits.length} new article(s)`, 'info');
+        } catch (e) {
+            this.showNotification('Checking news monitors failed: ' + e.message, 'error');
+        }
+    }
+
+    // Portfolio tab helpers
+    async renderPortfolio() {
+        const status = document.getElementById('pfStatus');
+        if (status) status.textContent = 'Valuing holdings…';
+        try {
+            const resp = await this.sendMessage({ type: 'GET_PORTFOLIO' });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawPortfolio(resp.data);
+        } catch (e) {
+            if (status) status.textContent = 'Could not load portfolio: ' + e.message;
+        }
+    }
+
+    drawPortfolio(portfolio) {
+        const t = portfolio?.totals || {};
+        const rupees = v => (v === null || v === undefined ? 'N/A' : `₹${Number(v).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`);
+        const pct = v => (v === null || v === undefined ? 'N/A' : `${v > 0 ? '+' : ''}${v}%`);
+        const failed = (portfolio?.errors || []).map(e => e.symbol);
+        document.getElementById('pfStatus').textContent = t.trades
+            ? `${portfolio.holdings.length} holdings from ${t.trades} trades • valued ${this.formatTimestamp(portfolio.asOf)}${failed.length ? ` • no quote for ${failed.join(', ')} (shown at cost)` : ''}`
+            : 'No trades yet. Import a broker tradebook CSV or add a trade.';
+
+        const stats = document.getElementById('pfTotals');
+        stats.innerHTML = '';
+        if (t.trades) {
+            const rows = [
+                ['Invested', rupees(t.invested), 'Current value', rupees(t.marketValue)],
+                ['Day P&L', `${rupees(t.dayPnl)} (${pct(t.dayPnlPct)})`, 'Unrealised', `${rupees(t.unrealisedPnl)} (${pct(t.unrealisedPct)})`],
+                ['Realised', rupees(t.realisedPnl), 'XIRR', pct(t.xirrPct)]
+            ];
+            const table = document.createElement('table');
+            for (const row of rows) {
+                const tr = document.createElement('tr');
+                for (const cell of row) {
+                    const td = document.createElement('td');
+                    td.textContent = cell;
+                    tr.appendChild(td);
+                }
+                table.appendChild(tr);
+            }
+            stats.appendChild(table);
+        }
+
+        const sectors = portfolio?.allocation?.bySector || [];
+        document.getElementById('pfAllocation').textContent = sectors.length ? 'By sector: ' + sectors.map(s => `${s.sector} ${s.weightPct}%`).join(' • ') : '';
+
+        const list = document.getElementById('pfHoldings');
+        list.innerHTML = '';
+        for (const h of portfolio?.holdings || []) {
+            const div = document.createElement('div');
+            div.className = 'log-item';
+            div.innerHTML = '<div class="log-header"></div><div class="log-meta pf-value"></div><div class="log-meta pf-lots"></div>';
+            div.querySelector('.log-header').textContent = `${h.symbol} • ${h.qty} @ ₹${h.avgCost} • ${h.weightPct}%`;
+            div.querySelector('.pf-value').textContent = `LTP ${rupees(h.price)} (${pct(h.dayChangePct)}) • day ${rupees(h.dayPnl)} • unrealised ${rupees(h.unrealisedPnl)} (${pct(h.unrealisedPct)})${h.realisedPnl ? ` • realised ${rupees(h.realisedPnl)}` : ''}`;
+            div.querySelector('.pf-lots').textContent = 'Lots: ' + h.lots.map(l => `${l.qty} on ${l.date} @ ${l.price}`).join(', ');
+            list.appendChild(div);
+        }
+
+        const trades = document.getElementById('pfTrades');
+        trades.innerHTML = '';
+        for (const trade of portfolio?.recentTrades || []) {
+            const div = document.createElement('div');
+            div.className = 'log-item task-controls';
+            const label = document.createElement('span');
+            label.className = 'log-meta';
+            label.textContent = `${trade.date} ${trade.side.toUpperCase()} ${trade.qty} ${trade.symbol} @ ₹${trade.price} • ${trade.source}`;
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = 'Delete trade';
+            remove.addEventListener('click', async () => this.deleteTrade(trade.id));
+            div.append(label, remove);
+            trades.appendChild(div);
+        }
+    }
+
+    async deleteTrade(id) {
+        try {
+            const resp = await this.sendMessage({ type: 'DELETE_TRADE', payload: { id } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawPortfolio(resp.data.portfolio);
+        } catch (e) {
+            this.showNotification('Deleting trade failed: ' + e.message, 'error');
+        }
+    }
+
+    async addTrade() {
+        const value = id => (document.getElementById(id)?.value || '').trim();
+        const payload = { symbol: value('pfSymbol'), side: value('pfSide'), qty: Number(value('pfQty')), price: Number(value('pfPrice')), date: value('pfDate') || null };
+        if (!payload.symbol || !payload.qty || !payload.price) { this.showNotification('Enter a symbol, quantity and price', 'error'); return; }
+        try {
+            const resp = await this.sendMessage({ type: 'ADD_TRADE', payload });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            ['pfSymbol', 'pfQty', 'pfPrice'].forEach(id => { document.getElementById(id).value = ''; });
+            this.drawPortfolio(resp.data.portfolio);
+            this.showNotification(`Added ${resp.data.trade.side} ${resp.data.trade.qty} ${resp.data.trade.symbol}`, 'info');
+        } catch (e) {
+            this.showNotification('Adding trade failed: ' + e.message, 'error');
+        }
+    }
+
+    async importTradebook(input) {
+        const file = input?.files?.[0];
+        if (!file) return;
+        const status = document.getElementById('pfStatus');
+        status.textContent = `Importing ${file.name}…`;
+        try {
+            const resp = await this.sendMessage({ type: 'IMPORT_TRADEBOOK', payload: { csv: await file.text(), source: file.name } });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            const r = resp.data;
+            this.drawPortfolio(r.portfolio);
+            this.showNotification(`${file.name}: ${r.added} trades added, ${r.duplicates} already imported, ${r.skipped} rows skipped${r.errors.length ? `, ${r.errors.length} unreadable` : ''}`, 'info');
+        } catch (e) {
+            status.textContent = 'Import failed: ' + e.message;
+        } finally {
+            input.value = '';
+        }
+    }
+
+    async clearPortfolio() {
+        if (!confirm('Delete all trades from the portfolio?')) return;
+        try {
+            const resp = await this.sendMessage({ type: 'CLEAR_PORTFOLIO' });
+            if (!resp?.ok) throw new Error(resp?.error || 'Unknown error');
+            this.drawPortfolio(resp.data);
+            this.showNotification('Portfolio cleared', 'info');
+        } catch (e) {
+            this.showNotification('Clearing portfolio failed: ' + e.message, 'error');
+        }
+    }
+
     async clearAllLogs() {
         await chrome.storage.local.set({ agentic_logs: [] });
         this.renderLogs();
@@ -173,6 +1167,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const titleEl = document.getElementById('rsTitle');
     const summaryEl = document.getElementById('rsSummary');
     const articlesEl = document.getElementById('rsArticles');
+    const instrumentEl = document.getElementById('rsInstrument');
+    const actionsEl = document.getElementById('rsActions');
+    const fundEl = document.getElementById('rsFund');
+    const breadthEl = document.getElementById('rsBreadth');
+    const referenceEl = document.getElementById('rsReference');
+    const sentimentEl = document.getElementById('rsSentiment');
+    const eventsEl = document.getElementById('rsEvents');
+    const indicatorsEl = document.getElementById('rsIndicators');
+    const riskEl = document.getElementById('rsRisk');
+    const exposureEl = document.getElementById('rsExposure');
         const copyBtn = document.getElementById('btnCopyLogs');
     const dlBtn = document.getElementById('btnDownloadLogs');
         const sendBtn = document.getElementById('btnSendResearchNotif');
@@ -189,20 +1193,178 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!suppressEmpty) articlesEl.innerHTML = '<small>No recent articles found.</small>';
             return;
         }
-        for (const a of articles) {
-            const div = document.createElement('div');
-            div.className = 'article-item';
-            const when = a.publishedAt ? new Date(a.publishedAt).toLocaleString() : '';
-            div.innerHTML = `
-                <div class="article-title">${a.title || '(No title)'} </div>
-                <div class="article-meta">${a.source || ''} • ${when}</div>
-                <div class="article-desc">${a.description || ''}</div>
-                ${a.url ? `<div><a href="${a.url}" target="_blank" rel="noopener">Open</a></div>` : ''}
-            `;
+        for (const a of articles) articlesEl.appendChild(articleCard(a));
+    };
+
+    // Article text comes from third-party feeds and APIs, so it is only ever set as textContent
+    const articleCard = (a, extraMeta = '') => {
+        const div = document.createElement('div');
+        div.className = 'article-item';
+        div.innerHTML = '<div class="article-title"></div><div class="article-meta"></div><div class="article-desc"></div>';
+        const when = a.publishedAt ? new Date(a.publishedAt).toLocaleString() : '';
+        div.querySelector('.article-title').textContent = a.title || '(No title)';
+        div.querySelector('.article-meta').textContent = `${a.source || ''} • ${when}${extraMeta}`;
+        div.querySelector('.article-desc').textContent = a.description || '';
+        if (a.url) div.appendChild(articleLink(a.url, 'Open'));
+        return div;
+    };
+
+    const articleLink = (url, text) => {
+        const wrap = document.createElement('div');
+        const link = document.createElement('a');
+        if (/^https?:\/\//i.test(url)) link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = text;
+        wrap.appendChild(link);
+        return wrap;
+    };
+
+    // One card per story; syndicated copies are folded under the representative article
+    const renderClusters = (clusters=[]) => {
+        articlesEl.innerHTML = '';
+        if (!clusters.length) { articlesEl.innerHTML = '<small>No recent articles found.</small>'; return; }
+        for (const c of clusters) {
+            const a = c.representative || {};
+            const div = articleCard(a, c.sourceCount > 1 ? ` • ${c.sourceCount} outlets` : '');
+            const t = a.tags;
+            const tagText = t ? [...(t.companies || []).map(c => c.symbol), ...(t.sectors || []), ...(t.people || []).map(p => p.name)] : [];
+            if (tagText.length || a.relevance) {
+                const tagEl = document.createElement('div');
+                tagEl.className = 'article-meta';
+                tagEl.textContent = [a.relevance ? `Relevance ${a.relevance.score}` : '', tagText.length ? 'Tags: ' + Array.from(new Set(tagText)).join(', ') : ''].filter(Boolean).join(' • ');
+                div.appendChild(tagEl);
+            }
+            const others = (c.articles || []).filter(x => x.url !== a.url);
+            if (others.length) {
+                const details = document.createElement('details');
+                details.className = 'article-meta';
+                const summary = document.createElement('summary');
+                summary.textContent = `Also covered by ${c.sources.filter(s => s !== a.source).join(', ') || others.length + ' more'}`;
+                details.appendChild(summary);
+                for (const o of others) details.appendChild(articleLink(o.url || '', `${o.source || ''}: ${o.title || ''}`));
+                div.appendChild(details);
+            }
             articlesEl.appendChild(div);
         }
     };
 
+    const renderInstrument = (instrument, candidates=[]) => {
+        if (!instrumentEl) return;
+        if (!instrument) { instrumentEl.textContent = ''; return; }
+        const alt = candidates.filter(c => c.id !== instrument.id).map(c => c.name).join(', ');
+        instrumentEl.textContent = `${instrument.name} • ${instrument.id}${instrument.isin ? ' • ' + instrument.isin : ''}${alt ? ' • Also matched: ' + alt : ''}`;
+    };
+
+    const renderActions = (actions=[]) => {
+        if (!actionsEl) return;
+        actionsEl.textContent = actions.length ? 'Corporate actions: ' + actions.map(a => `${a.date} ${a.label}`).join(' • ') : '';
+    };
+
+    const renderFund = (fund) => {
+        if (!fundEl) return;
+        if (!fund) { fundEl.textContent = ''; return; }
+        const r = fund.returns || {};
+        const pct = v => (v === null || v === undefined ? 'N/A' : `${v}%`);
+        fundEl.textContent = `NAV ${fund.nav ?? 'N/A'} (${fund.navDate || 'N/A'}) • 1M ${pct(r['1M'])} • 1Y ${pct(r['1Y'])} • 3Y CAGR ${pct(r['3Y'])} • 5Y CAGR ${pct(r['5Y'])}`;
+    };
+
+    const renderBreadth = (breadth) => {
+        if (!breadthEl) return;
+        if (!breadth) { breadthEl.textContent = ''; return; }
+        const movers = list => list.slice(0, 3).map(r => `${r.symbol} ${r.changePct > 0 ? '+' : ''}${r.changePct}%`).join(', ');
+        breadthEl.textContent = [
+            `Breadth: ${breadth.advancers}▲ / ${breadth.decliners}▼`,
+            breadth.above20dma ? `${breadth.above20dma.pct}% > 20DMA` : '',
+            breadth.above50dma ? `${breadth.above50dma.pct}% > 50DMA` : '',
+            breadth.topContributors?.length ? `Lifts: ${movers(breadth.topContributors)}` : '',
+            breadth.topDetractors?.length ? `Drags: ${movers(breadth.topDetractors)}` : ''
+        ].filter(Boolean).join(' • ');
+    };
+
+    const renderReference = (reference) => {
+        if (!referenceEl) return;
+        const rows = Object.values(reference || {}).filter(r => !r.error);
+        referenceEl.textContent = rows.length
+            ? rows.map(r => `${r.label} ${r.value}${r.unit === '%' ? '%' : ''}${r.changePct ? ` (${r.changePct > 0 ? '+' : ''}${r.changePct}%)` : ''} [${r.source}${r.kind === 'macro' ? ', ' + r.asOf : ''}]`).join(' • ')
+            : '';
+    };
+
+    const renderSentiment = (sentiment) => {
+        if (!sentimentEl) return;
+        const o = sentiment?.overall;
+        if (!o) { sentimentEl.textContent = ''; return; }
+        const days = Object.entries(sentiment.byDay || {}).sort(([a], [b]) => b.localeCompare(a)).slice(0, 3);
+        sentimentEl.textContent = [
+            `Headline sentiment: ${o.label} (${o.score > 0 ? '+' : ''}${o.score}; ${o.positive}▲ ${o.negative}▼ ${o.neutral}•)`,
+            days.length ? 'By day: ' + days.map(([d, v]) => `${d.slice(5)} ${v.score > 0 ? '+' : ''}${v.score}`).join(', ') : '',
+            sentiment.mostPositive ? `Most positive: ${sentiment.mostPositive.title}` : '',
+            sentiment.mostNegative ? `Most negative: ${sentiment.mostNegative.title}` : ''
+        ].filter(Boolean).join(' • ');
+    };
+
+    const renderIndicators = (ind) => {
+        if (!indicatorsEl) return;
+        if (!ind) { indicatorsEl.textContent = ''; return; }
+        const smas = Object.entries(ind.sma || {}).filter(([, v]) => v !== null).map(([n, v]) => `SMA${n} ${v}`);
+        const w = ind.week52;
+        indicatorsEl.textContent = [
+            ind.rsi !== null ? `RSI ${ind.rsi}` : '',
+            ind.macd?.histogram !== null && ind.macd?.histogram !== undefined ? `MACD hist ${ind.macd.histogram > 0 ? '+' : ''}${ind.macd.histogram}` : '',
+            smas.join(' / '),
+            ind.bollinger?.upper !== null ? `BB ${ind.bollinger.lower}–${ind.bollinger.upper}` : '',
+            ind.atrPct !== null ? `ATR ${ind.atrPct}%` : '',
+            w ? `${w.partial ? w.sessions + 'd' : '52w'} high ${w.fromHighPct}% / low +${w.fromLowPct}%` : '',
+            ind.signals?.length ? `Signals: ${ind.signals.join(', ')}` : ''
+        ].filter(Boolean).join(' • ');
+    };
+
+    const renderRisk = (risk) => {
+        if (!riskEl) return;
+        if (!risk) { riskEl.textContent = ''; return; }
+        const v = risk.var?.[0];
+        const dd = risk.drawdown || {};
+        const vols = Object.entries(risk.rollingVolatility || {}).map(([w, pct]) => `${w}d ${pct}%`);
+        riskEl.textContent = [
+            v ? `Risk: 1-day VaR${Math.round(v.confidence * 100)} ${v.historicalVarPct}% (CVaR ${v.historicalCvarPct}%, normal ${v.parametricVarPct}%)` : 'Risk:',
+            `Vol ${vols.length ? vols.join(' / ') + ', ' : ''}period ${risk.volatilityPct}%`,
+            risk.market ? `Beta ${risk.market.beta} vs ${risk.benchmark} (corr ${risk.market.correlation})` : '',
+            dd.maxDrawdownPct ? `Max DD ${dd.maxDrawdownPct}% ${dd.recoveryDate ? `(recovered in ${dd.recoverySessions} sessions)` : '(not recovered)'}` : ''
+        ].filter(Boolean).join(' • ');
+    };
+
+    const renderExposure = (exposure) => {
+        if (!exposureEl) return;
+        exposureEl.textContent = exposure ? `Portfolio: ${exposure.text}` : '';
+    };
+
+    // One row per story: session it landed in, same-day and next-day moves, abnormal return vs the index
+    const renderEvents = (study) => {
+        if (!eventsEl) return;
+        eventsEl.innerHTML = '';
+        if (!study || !study.events?.length) return;
+        const sign = v => (v === null || v === undefined ? 'N/A' : `${v > 0 ? '+' : ''}${v}%`);
+        const head = document.createElement('div');
+        head.className = 'log-header';
+        head.textContent = study.benchmark
+            ? `News vs price (abnormal vs ${study.benchmark}, beta ${study.model.beta})`
+            : 'News vs price (raw returns)';
+        eventsEl.appendChild(head);
+        for (const e of study.events.slice(0, 6)) {
+            const row = document.createElement('div');
+            row.className = 'event-row' + (e.significant ? ` event-${e.direction}` : '');
+            row.textContent = [
+                `${e.session} (${e.timing.replace('_', ' ')})`,
+                `day ${sign(e.day0?.returnPct)}`,
+                `next ${e.day1 ? sign(e.day1.returnPct) : 'pending'}`,
+                study.benchmark && e.carPct !== null ? `abnormal ${sign(e.carPct)} (z ${e.carZ})` : '',
+                e.title
+            ].filter(Boolean).join(' • ');
+            if (e.significant) row.title = 'Significant move around this story';
+            eventsEl.appendChild(row);
+        }
+    };
+
     let latestLogs = null;
 
     btn.addEventListener('click', async () => {
@@ -215,6 +1377,16 @@ document.addEventListener('DOMContentLoaded', () => {
             if (titleEl) titleEl.textContent = 'Q&A Result';
             summaryEl.textContent = 'Solving your question step by step…';
             renderArticles([], true);
+            renderInstrument(null);
+            renderActions([]);
+            renderFund(null);
+            renderBreadth(null);
+            renderReference(null);
+            renderSentiment(null);
+            renderEvents(null);
+            renderIndicators(null);
+            renderRisk(null);
+            renderExposure(null);
             try {
                 const question = text.replace(/^qa:\s*/i, '');
                 const resp = await chrome.runtime.sendMessage({ type: 'RUN_QA', payload: { question } });
@@ -233,12 +1405,33 @@ document.addEventListener('DOMContentLoaded', () => {
         if (titleEl) titleEl.textContent = 'Research Result';
         summaryEl.textContent = 'Running multi-step research…';
         renderArticles([]);
+        renderInstrument(null);
+        renderActions([]);
+        renderFund(null);
+        renderBreadth(null);
+        renderReference(null);
+        renderSentiment(null);
+        renderEvents(null);
+        renderIndicators(null);
+        renderRisk(null);
+        renderExposure(null);
         try {
             const resp = await chrome.runtime.sendMessage({ type: 'RUN_RESEARCH', payload: { query: text } });
             if (!resp?.ok) { summaryEl.textContent = 'Research failed: ' + (resp?.error || 'Unknown error'); return; }
-            const { summary, articles, logs } = resp.data || {};
+            const { summary, articles, clusters, logs, instrument, candidates, corporateActions, fund, breadth, reference, sentiment, eventStudy, indicators, risk, exposure } = resp.data || {};
             summaryEl.textContent = summary || 'No summary available';
-            renderArticles(articles || []);
+            renderInstrument(instrument, candidates || []);
+            renderActions(corporateActions || []);
+            renderFund(fund || null);
+            renderBreadth(breadth || null);
+            renderReference(reference || null);
+            renderSentiment(sentiment || null);
+            renderEvents(eventStudy || null);
+            renderIndicators(indicators || null);
+            renderRisk(risk || null);
+            renderExposure(exposure || null);
+            if (Array.isArray(clusters)) renderClusters(clusters);
+            else renderArticles(articles || []);
             latestLogs = logs || null;
             try { window.__agenticLatestLogs = latestLogs || resp.data || null; } catch {}
         } catch (e) {
@@ -0,0 +1,178 @@
+// Bundled instrument master for NSE/BSE symbol resolution.
+// Users can layer updates on top of this list via chrome.storage (`agentic_symbol_master`),
+// so keep entries minimal: NSE ticker, BSE scrip code, ISIN, sector and common nicknames.
+// Index constituents are [NSE ticker, approximate weight %] pairs as of `constituentsAsOf`; the
+// exchanges rebalance twice a year, so push fresh lists through the same storage overrides.
+(function attachSymbolMaster(root){
+    const SYMBOL_MASTER = {
+        version: '2025.01',
+        updatedAt: '2025-01-15',
+        constituentsAsOf: '2025-01-15',
+        instruments: [
+            // NIFTY 50
+            { symbol: 'ADANIENT', name: 'Adani Enterprises Ltd', isin: 'INE423A01024', bse: '512599', sector: 'Metals & Mining', aliases: ['adani enterprises', 'adani ent'] },
+            { symbol: 'ADANIPORTS', name: 'Adani Ports and Special Economic Zone Ltd', isin: 'INE742F01042', bse: '532921', sector: 'Services', aliases: ['adani ports', 'apsez'] },
+            { symbol: 'APOLLOHOSP', name: 'Apollo Hospitals Enterprise Ltd', isin: 'INE437A01024', bse: '508869', sector: 'Healthcare', aliases: ['apollo hospitals', 'apollo hospital'] },
+            { symbol: 'ASIANPAINT', name: 'Asian Paints Ltd', isin: 'INE021A01026', bse: '500820', sector: 'Consumer Durables', aliases: ['asian paints'] },
+            { symbol: 'AXISBANK', name: 'Axis Bank Ltd', isin: 'INE238A01034', bse: '532215', sector: 'Financial Services', aliases: ['axis bank', 'axis'] },
+            { symbol: 'BAJAJ-AUTO', name: 'Bajaj Auto Ltd', isin: 'INE917I01010', bse: '532977', sector: 'Automobile', aliases: ['bajaj auto'] },
+            { symbol: 'BAJFINANCE', name: 'Bajaj Finance Ltd', isin: 'INE296A01024', bse: '500034', sector: 'Financial Services', aliases: ['bajaj finance'] },
+            { symbol: 'BAJAJFINSV', name: 'Bajaj Finserv Ltd', isin: 'INE918I01026', bse: '532978', sector: 'Financial Services', aliases: ['bajaj finserv'] },
+            { symbol: 'BEL', name: 'Bharat Electronics Ltd', isin: 'INE263A01024', bse: '500049', sector: 'Capital Goods', aliases: ['bharat electronics'] },
+            { symbol: 'BHARTIARTL', name: 'Bharti Airtel Ltd', isin: 'INE397D01024', bse: '532454', sector: 'Telecommunication', aliases: ['bharti airtel', 'airtel'] },
+            { symbol: 'BPCL', name: 'Bharat Petroleum Corporation Ltd', isin: 'INE029A01011', bse: '500547', sector: 'Oil & Gas', aliases: ['bharat petroleum'] },
+            { symbol: 'BRITANNIA', name: 'Britannia Industries Ltd', isin: 'INE216A01030', bse: '500825', sector: 'FMCG', aliases: ['britannia'] },
+            { symbol: 'CIPLA', name: 'Cipla Ltd', isin: 'INE059A01026', bse: '500087', sector: 'Healthcare', aliases: ['cipla'] },
+            { symbol: 'COALINDIA', name: 'Coal India Ltd', isin: 'INE522F01014', bse: '533278', sector: 'Oil & Gas', aliases: ['coal india', 'cil'] },
+            { symbol: 'DRREDDY', name: "Dr. Reddy's Laboratories Ltd", isin: 'INE089A01031', bse: '500124', sector: 'Healthcare', aliases: ['dr reddys', 'dr reddy', 'dr. reddy\'s'] },
+            { symbol: 'EICHERMOT', name: 'Eicher Motors Ltd', isin: 'INE066A01021', bse: '505200', sector: 'Automobile', aliases: ['eicher motors', 'eicher', 'royal enfield'] },
+            { symbol: 'ETERNAL', name: 'Eternal Ltd', isin: 'INE758T01015', bse: '543320', sector: 'Consumer Services', aliases: ['zomato', 'eternal', 'blinkit'] },
+            { symbol: 'GRASIM', name: 'Grasim Industries Ltd', isin: 'INE047A01021', bse: '500300', sector: 'Construction Materials', aliases: ['grasim'] },
+            { symbol: 'HCLTECH', name: 'HCL Technologies Ltd', isin: 'INE860A01027', bse: '532281', sector: 'Information Technology', aliases: ['hcl tech', 'hcl technologies', 'hcl'] },
+            { symbol: 'HDFCBANK', name: 'HDFC Bank Ltd', isin: 'INE040A01034', bse: '500180', sector: 'Financial Services', aliases: ['hdfc bank', 'hdfc'] },
+            { symbol: 'HDFCLIFE', name: 'HDFC Life Insurance Company Ltd', isin: 'INE795G01014', bse: '540777', sector: 'Financial Services', aliases: ['hdfc life'] },
+            { symbol: 'HEROMOTOCO', name: 'Hero MotoCorp Ltd', isin: 'INE158A01026', bse: '500182', sector: 'Automobile', aliases: ['hero motocorp', 'hero moto'] },
+            { symbol: 'HINDALCO', name: 'Hindalco Industries Ltd', isin: 'INE038A01020', bse: '500440', sector: 'Metals & Mining', aliases: ['hindalco'] },
+            { symbol: 'HINDUNILVR', name: 'Hindustan Unilever Ltd', isin: 'INE030A01027', bse: '500696', sector: 'FMCG', aliases: ['hindustan unilever', 'hul'] },
+            { symbol: 'ICICIBANK', name: 'ICICI Bank Ltd', isin: 'INE090A01021', bse: '532174', sector: 'Financial Services', aliases: ['icici bank', 'icici'] },
+            { symbol: 'INDUSINDBK', name: 'IndusInd Bank Ltd', isin: 'INE095A01012', bse: '532187', sector: 'Financial Services', aliases: ['indusind bank', 'indusind'] },
+            { symbol: 'INFY', name: 'Infosys Ltd', isin: 'INE009A01021', bse: '500209', sector: 'Information Technology', aliases: ['infosys'] },
+            { symbol: 'ITC', name: 'ITC Ltd', isin: 'INE154A01025', bse: '500875', sector: 'FMCG', aliases: ['itc'] },
+            { symbol: 'JIOFIN', name: 'Jio Financial Services Ltd', isin: 'INE758E01017', bse: '543940', sector: 'Financial Services', aliases: ['jio financial', 'jio finance'] },
+            { symbol: 'JSWSTEEL', name: 'JSW Steel Ltd', isin: 'INE019A01038', bse: '500228', sector: 'Metals & Mining', aliases: ['jsw steel'] },
+            { symbol: 'KOTAKBANK', name: 'Kotak Mahindra Bank Ltd', isin: 'INE237A01028', bse: '500247', sector: 'Financial Services', aliases: ['kotak mahindra bank', 'kotak bank', 'kotak'] },
+            { symbol: 'LT', name: 'Larsen & Toubro Ltd', isin: 'INE018A01030', bse: '500510', sector: 'Construction', aliases: ['larsen & toubro', 'larsen and toubro', 'l&t'] },
+            { symbol: 'LTIM', name: 'LTIMindtree Ltd', isin: 'INE214T01019', bse: '540005', sector: 'Information Technology', aliases: ['ltimindtree', 'lti mindtree'] },
+            { symbol: 'M&M', name: 'Mahindra & Mahindra Ltd', isin: 'INE101A01026', bse: '500520', sector: 'Automobile', aliases: ['mahindra & mahindra', 'mahindra and mahindra', 'mahindra', 'm and m'] },
+            { symbol: 'MARUTI', name: 'Maruti Suzuki India Ltd', isin: 'INE585B01010', bse: '532500', sector: 'Automobile', aliases: ['maruti suzuki', 'maruti'] },
+            { symbol: 'NESTLEIND', name: 'Nestle India Ltd', isin: 'INE239A01024', bse: '500790', sector: 'FMCG', aliases: ['nestle india', 'nestle'] },
+            { symbol: 'NTPC', name: 'NTPC Ltd', isin: 'INE733E01010', bse: '532555', sector: 'Power', aliases: ['ntpc'] },
+            { symbol: 'ONGC', name: 'Oil and Natural Gas Corporation Ltd', isin: 'INE213A01029', bse: '500312', sector: 'Oil & Gas', aliases: ['ongc', 'oil and natural gas'] },
+            { symbol: 'POWERGRID', name: 'Power Grid Corporation of India Ltd', isin: 'INE752E01010', bse: '532898', sector: 'Power', aliases: ['power grid', 'powergrid corp'] },
+            { symbol: 'RELIANCE', name: 'Reliance Industries Ltd', isin: 'INE002A01018', bse: '500325', sector: 'Oil & Gas', aliases: ['reliance industries', 'reliance', 'ril'] },
+            { symbol: 'SBILIFE', name: 'SBI Life Insurance Company Ltd', isin: 'INE123W01016', bse: '540719', sector: 'Financial Services', aliases: ['sbi life'] },
+            { symbol: 'SBIN', name: 'State Bank of India', isin: 'INE062A01020', bse: '500112', sector: 'Financial Services', aliases: ['state bank of india', 'sbi', 'state bank'] },
+            { symbol: 'SHRIRAMFIN', name: 'Shriram Finance Ltd', isin: 'INE721A01047', bse: '511218', sector: 'Financial Services', aliases: ['shriram finance'] },
+            { symbol: 'SUNPHARMA', name: 'Sun Pharmaceutical Industries Ltd', isin: 'INE044A01036', bse: '524715', sector: 'Healthcare', aliases: ['sun pharma', 'sun pharmaceutical'] },
+            { symbol: 'TATACONSUM', name: 'Tata Consumer Products Ltd', isin: 'INE192A01025', bse: '500800', sector: 'FMCG', aliases: ['tata consumer', 'tata consumer products'] },
+            { symbol: 'TATAMOTORS', name: 'Tata Motors Ltd', isin: 'INE155A01022', bse: '500570', sector: 'Automobile', aliases: ['tata motors', 'jaguar land rover', 'jlr'] },
+            { symbol: 'TATASTEEL', name: 'Tata Steel Ltd', isin: 'INE081A01020', bse: '500470', sector: 'Metals & Mining', aliases: ['tata steel'] },
+            { symbol: 'TCS', name: 'Tata Consultancy Services Ltd', isin: 'INE467B01029', bse: '532540', sector: 'Information Technology', aliases: ['tata consultancy services', 'tata consultancy', 'tcs'] },
+            { symbol: 'TECHM', name: 'Tech Mahindra Ltd', isin: 'INE669C01036', bse: '532755', sector: 'Information Technology', aliases: ['tech mahindra', 'techm'] },
+            { symbol: 'TITAN', name: 'Titan Company Ltd', isin: 'INE280A01028', bse: '500114', sector: 'Consumer Durables', aliases: ['titan company', 'titan'] },
+            { symbol: 'TRENT', name: 'Trent Ltd', isin: 'INE849A01020', bse: '500251', sector: 'Consumer Services', aliases: ['trent', 'westside', 'zudio'] },
+            { symbol: 'ULTRACEMCO', name: 'UltraTech Cement Ltd', isin: 'INE481G01011', bse: '532538', sector: 'Construction Materials', aliases: ['ultratech cement', 'ultratech'] },
+            { symbol: 'WIPRO', name: 'Wipro Ltd', isin: 'INE075A01022', bse: '507685', sector: 'Information Technology', aliases: ['wipro'] },
+
+            // Bank / IT sector constituents outside NIFTY 50
+            { symbol: 'AUBANK', name: 'AU Small Finance Bank Ltd', isin: 'INE949L01017', bse: '540611', sector: 'Financial Services', aliases: ['au small finance bank', 'au bank'] },
+            { symbol: 'BANDHANBNK', name: 'Bandhan Bank Ltd', isin: 'INE545U01014', bse: '541153', sector: 'Financial Services', aliases: ['bandhan bank', 'bandhan'] },
+            { symbol: 'BANKBARODA', name: 'Bank of Baroda', isin: 'INE028A01039', bse: '532134', sector: 'Financial Services', aliases: ['bank of baroda', 'bob'] },
+            { symbol: 'CANBK', name: 'Canara Bank', isin: 'INE476A01022', bse: '532483', sector: 'Financial Services', aliases: ['canara bank'] },
+            { symbol: 'FEDERALBNK', name: 'The Federal Bank Ltd', isin: 'INE171A01029', bse: '500469', sector: 'Financial Services', aliases: ['federal bank'] },
+            { symbol: 'IDFCFIRSTB', name: 'IDFC First Bank Ltd', isin: 'INE092T01019', bse: '539437', sector: 'Financial Services', aliases: ['idfc first bank', 'idfc first'] },
+            { symbol: 'PNB', name: 'Punjab National Bank', isin: 'INE160A01022', bse: '532461', sector: 'Financial Services', aliases: ['punjab national bank'] },
+            { symbol: 'YESBANK', name: 'Yes Bank Ltd', isin: 'INE528G01035', bse: '532648', sector: 'Financial Services', aliases: ['yes bank'] },
+            { symbol: 'COFORGE', name: 'Coforge Ltd', isin: 'INE591G01017', bse: '532541', sector: 'Information Technology', aliases: ['coforge'] },
+            { symbol: 'LTTS', name: 'L&T Technology Services Ltd', isin: 'INE010V01017', bse: '540115', sector: 'Information Technology', aliases: ['l&t technology services', 'l&t tech'] },
+            { symbol: 'MPHASIS', name: 'Mphasis Ltd', isin: 'INE356A01018', bse: '526299', sector: 'Information Technology', aliases: ['mphasis'] },
+            { symbol: 'OFSS', name: 'Oracle Financial Services Software Ltd', isin: 'INE881D01027', bse: '532466', sector: 'Information Technology', aliases: ['oracle financial services', 'oracle financial'] },
+            { symbol: 'PERSISTENT', name: 'Persistent Systems Ltd', isin: 'INE262H01021', bse: '533179', sector: 'Information Technology', aliases: ['persistent systems', 'persistent'] },
+
+            // Frequently researched mid/large caps
+            { symbol: 'DMART', name: 'Avenue Supermarts Ltd', isin: 'INE192R01011', bse: '540376', sector: 'Consumer Services', aliases: ['avenue supermarts', 'dmart', 'd-mart'] },
+            { symbol: 'DLF', name: 'DLF Ltd', isin: 'INE271C01023', bse: '532868', sector: 'Realty', aliases: ['dlf'] },
+            { symbol: 'GAIL', name: 'GAIL (India) Ltd', isin: 'INE129A01019', bse: '532155', sector: 'Oil & Gas', aliases: ['gail'] },
+            { symbol: 'HAL', name: 'Hindustan Aeronautics Ltd', isin: 'INE066F01020', bse: '541154', sector: 'Capital Goods', aliases: ['hindustan aeronautics'] },
+            { symbol: 'HINDPETRO', name: 'Hindustan Petroleum Corporation Ltd', isin: 'INE094A01015', bse: '500104', sector: 'Oil & Gas', aliases: ['hindustan petroleum', 'hpcl'] },
+            { symbol: 'IDEA', name: 'Vodafone Idea Ltd', isin: 'INE669E01016', bse: '532822', sector: 'Telecommunication', aliases: ['vodafone idea', 'vi'] },
+            { symbol: 'IOC', name: 'Indian Oil Corporation Ltd', isin: 'INE242A01010', bse: '530965', sector: 'Oil & Gas', aliases: ['indian oil', 'iocl'] },
+            { symbol: 'IRCTC', name: 'Indian Railway Catering and Tourism Corporation Ltd', isin: 'INE335Y01020', bse: '542830', sector: 'Consumer Services', aliases: ['irctc', 'indian railway catering'] },
+            { symbol: 'NYKAA', name: 'FSN E-Commerce Ventures Ltd', isin: 'INE388Y01029', bse: '543384', sector: 'Consumer Services', aliases: ['nykaa', 'fsn e-commerce'] },
+            { symbol: 'OLAELEC', name: 'Ola Electric Mobility Ltd', isin: 'INE0LXG01040', bse: '544225', sector: 'Automobile', aliases: ['ola electric', 'ola'] },
+            { symbol: 'PAYTM', name: 'One 97 Communications Ltd', isin: 'INE982J01020', bse: '543396', sector: 'Financial Services', aliases: ['paytm', 'one 97 communications', 'one97'] },
+            { symbol: 'PIDILITIND', name: 'Pidilite Industries Ltd', isin: 'INE318A01026', bse: '500331', sector: 'Chemicals', aliases: ['pidilite', 'fevicol'] },
+            { symbol: 'TATAPOWER', name: 'Tata Power Company Ltd', isin: 'INE245A01021', bse: '500400', sector: 'Power', aliases: ['tata power'] },
+            { symbol: 'VEDL', name: 'Vedanta Ltd', isin: 'INE205A01025', bse: '500295', sector: 'Metals & Mining', aliases: ['vedanta'] }
+        ],
+        indices: [
+            { symbol: 'NIFTY 50', name: 'NIFTY 50', yahoo: '^NSEI', aliases: ['nifty 50', 'nifty50', 'nifty', 'nse nifty'],
+                constituents: [
+                    ['HDFCBANK', 13.0], ['ICICIBANK', 8.6], ['RELIANCE', 8.1], ['INFY', 6.1], ['BHARTIARTL', 4.1], ['ITC', 3.9],
+                    ['TCS', 3.9], ['LT', 3.8], ['AXISBANK', 2.9], ['SBIN', 2.9], ['KOTAKBANK', 2.7], ['M&M', 2.5],
+                    ['BAJFINANCE', 2.1], ['HINDUNILVR', 1.9], ['HCLTECH', 1.9], ['SUNPHARMA', 1.8], ['NTPC', 1.5], ['MARUTI', 1.4],
+                    ['TATAMOTORS', 1.4], ['POWERGRID', 1.3], ['TRENT', 1.2], ['TITAN', 1.2], ['ULTRACEMCO', 1.1], ['TATASTEEL', 1.1],
+                    ['BEL', 1.0], ['TECHM', 1.0], ['ASIANPAINT', 0.9], ['ADANIPORTS', 0.9], ['HINDALCO', 0.9], ['BAJAJ-AUTO', 0.8],
+                    ['JSWSTEEL', 0.8], ['ONGC', 0.8], ['WIPRO', 0.8], ['GRASIM', 0.8], ['COALINDIA', 0.7], ['CIPLA', 0.7],
+                    ['SHRIRAMFIN', 0.7], ['NESTLEIND', 0.6], ['SBILIFE', 0.6], ['BAJAJFINSV', 0.6], ['HDFCLIFE', 0.6], ['DRREDDY', 0.6],
+                    ['TATACONSUM', 0.6], ['EICHERMOT', 0.6], ['APOLLOHOSP', 0.6], ['ADANIENT', 0.6], ['INDUSINDBK', 0.5], ['BRITANNIA', 0.5],
+                    ['HEROMOTOCO', 0.4], ['BPCL', 0.4]
+            ] },
+            { symbol: 'NIFTY NEXT 50', name: 'NIFTY Next 50', yahoo: '^NSMIDCP', aliases: ['nifty next 50', 'nifty junior'] },
+            { symbol: 'NIFTY BANK', name: 'NIFTY Bank', yahoo: '^NSEBANK', aliases: ['nifty bank', 'bank nifty', 'banknifty'],
+                constituents: [
+                    ['HDFCBANK', 28.5], ['ICICIBANK', 24.9], ['SBIN', 8.8], ['KOTAKBANK', 8.6], ['AXISBANK', 8.5], ['INDUSINDBK', 3.7],
+                    ['BANKBARODA', 3.0], ['FEDERALBNK', 3.0], ['CANBK', 2.4], ['IDFCFIRSTB', 2.3], ['PNB', 2.3], ['AUBANK', 2.0]
+            ] },
+            { symbol: 'NIFTY IT', name: 'NIFTY IT', yahoo: '^CNXIT', aliases: ['nifty it', 'cnx it'],
+                constituents: [
+                    ['INFY', 28.5], ['TCS', 23.5], ['HCLTECH', 11.0], ['TECHM', 10.0], ['WIPRO', 7.5], ['PERSISTENT', 6.0],
+                    ['COFORGE', 5.5], ['LTIM', 4.5], ['MPHASIS', 2.5], ['LTTS', 1.5]
+            ] },
+            { symbol: 'NIFTY FIN SERVICE', name: 'NIFTY Financial Services', yahoo: 'NIFTY_FIN_SERVICE.NS', aliases: ['nifty financial services', 'finnifty', 'nifty fin service'],
+                constituents: [
+                    ['HDFCBANK', 31.0], ['ICICIBANK', 22.0], ['AXISBANK', 7.3], ['SBIN', 7.2], ['KOTAKBANK', 6.8], ['BAJFINANCE', 5.1],
+                    ['SHRIRAMFIN', 1.8], ['BAJAJFINSV', 1.6], ['SBILIFE', 1.6], ['HDFCLIFE', 1.6], ['JIOFIN', 1.6], ['PFC', 1.5],
+                    ['CHOLAFIN', 1.3], ['RECLTD', 1.3], ['ICICIGI', 1.0], ['HDFCAMC', 1.0], ['MUTHOOTFIN', 0.8], ['ICICIPRULI', 0.7],
+                    ['SBICARD', 0.6], ['LICHSGFIN', 0.5]
+            ] },
+            { symbol: 'NIFTY AUTO', name: 'NIFTY Auto', yahoo: '^CNXAUTO', aliases: ['nifty auto'],
+                constituents: [
+                    ['M&M', 23.0], ['TATAMOTORS', 15.0], ['MARUTI', 14.0], ['BAJAJ-AUTO', 9.5], ['EICHERMOT', 6.5], ['HEROMOTOCO', 5.5],
+                    ['TVSMOTOR', 5.0], ['BHARATFORG', 3.5], ['MOTHERSON', 3.5], ['BOSCHLTD', 3.0], ['TIINDIA', 2.5], ['ASHOKLEY', 2.5],
+                    ['MRF', 2.5], ['BALKRISIND', 2.5], ['EXIDEIND', 1.5]
+            ] },
+            { symbol: 'NIFTY PHARMA', name: 'NIFTY Pharma', yahoo: '^CNXPHARMA', aliases: ['nifty pharma'],
+                constituents: [
+                    ['SUNPHARMA', 23.0], ['CIPLA', 11.5], ['DRREDDY', 10.0], ['DIVISLAB', 10.0], ['LUPIN', 7.0], ['ZYDUSLIFE', 5.0],
+                    ['AUROPHARMA', 5.0], ['TORNTPHARM', 4.5], ['ALKEM', 4.0], ['MANKIND', 3.5], ['GLENMARK', 3.0], ['BIOCON', 2.5],
+                    ['LAURUSLABS', 2.5], ['IPCALAB', 2.0], ['ABBOTINDIA', 2.0], ['GLAND', 1.0], ['GRANULES', 1.0], ['NATCOPHARM', 1.0],
+                    ['AJANTPHARM', 1.0], ['JBCHEPHARM', 1.0]
+            ] },
+            { symbol: 'NIFTY FMCG', name: 'NIFTY FMCG', yahoo: '^CNXFMCG', aliases: ['nifty fmcg'],
+                constituents: [
+                    ['ITC', 31.0], ['HINDUNILVR', 20.0], ['NESTLEIND', 7.5], ['TATACONSUM', 6.0], ['BRITANNIA', 5.5], ['VBL', 5.0],
+                    ['GODREJCP', 4.5], ['UNITDSPR', 4.0], ['DABUR', 3.5], ['MARICO', 3.5], ['COLPAL', 3.0], ['UBL', 1.5],
+                    ['PGHH', 1.5], ['RADICO', 1.5], ['BALRAMCHIN', 0.5]
+            ] },
+            { symbol: 'NIFTY METAL', name: 'NIFTY Metal', yahoo: '^CNXMETAL', aliases: ['nifty metal'],
+                constituents: [
+                    ['TATASTEEL', 18.0], ['JSWSTEEL', 15.0], ['HINDALCO', 15.0], ['ADANIENT', 10.0], ['VEDL', 9.0], ['JINDALSTEL', 6.5],
+                    ['APLAPOLLO', 4.0], ['SAIL', 4.0], ['NMDC', 4.0], ['HINDZINC', 3.5], ['NATIONALUM', 3.5], ['JSL', 3.0],
+                    ['LLOYDSME', 1.5], ['WELCORP', 1.5], ['RATNAMANI', 1.0]
+            ] },
+            { symbol: 'NIFTY ENERGY', name: 'NIFTY Energy', yahoo: '^CNXENERGY', aliases: ['nifty energy'],
+                constituents: [
+                    ['RELIANCE', 34.0], ['NTPC', 12.0], ['POWERGRID', 10.0], ['ONGC', 9.0], ['COALINDIA', 7.5], ['TATAPOWER', 4.5],
+                    ['BPCL', 4.0], ['IOC', 4.0], ['ADANIGREEN', 3.5], ['GAIL', 3.5], ['ADANIPOWER', 3.0], ['HINDPETRO', 2.0]
+            ] },
+            { symbol: 'NIFTY REALTY', name: 'NIFTY Realty', yahoo: '^CNXREALTY', aliases: ['nifty realty'],
+                constituents: [
+                    ['DLF', 23.0], ['GODREJPROP', 16.0], ['LODHA', 15.0], ['PHOENIXLTD', 12.0], ['PRESTIGE', 10.5], ['OBEROIRLTY', 10.0],
+                    ['BRIGADE', 5.0], ['SOBHA', 3.5], ['SUNTECK', 2.5], ['ANANTRAJ', 2.5]
+            ] },
+            { symbol: 'SENSEX', name: 'S&P BSE SENSEX', yahoo: '^BSESN', exchange: 'BSE', aliases: ['sensex', 'bse sensex', 'bse 30'],
+                constituents: [
+                    ['HDFCBANK', 15.5], ['ICICIBANK', 10.0], ['RELIANCE', 9.5], ['INFY', 7.5], ['BHARTIARTL', 4.8], ['ITC', 4.6],
+                    ['TCS', 4.6], ['LT', 4.5], ['AXISBANK', 3.4], ['SBIN', 3.4], ['KOTAKBANK', 3.2], ['M&M', 3.0],
+                    ['BAJFINANCE', 2.5], ['HINDUNILVR', 2.2], ['HCLTECH', 2.2], ['SUNPHARMA', 2.1], ['ETERNAL', 1.8], ['NTPC', 1.8],
+                    ['MARUTI', 1.7], ['TATAMOTORS', 1.7], ['POWERGRID', 1.5], ['TITAN', 1.4], ['ULTRACEMCO', 1.3], ['TATASTEEL', 1.3],
+                    ['TECHM', 1.2], ['ASIANPAINT', 1.1], ['ADANIPORTS', 1.1], ['BAJAJFINSV', 0.8], ['NESTLEIND', 0.8], ['INDUSINDBK', 0.6]
+            ] }
+        ]
+    };
+
+    if (typeof root !== 'undefined') {
+        root.SYMBOL_MASTER = SYMBOL_MASTER;
+    }
+})(typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis));
@@ -0,0 +1,332 @@
+class SymbolResolver {
+    constructor(master = null) {
+        this.STORAGE_KEY = 'agentic_symbol_master';
+        this.bundled = master || (typeof SYMBOL_MASTER !== 'undefined' ? SYMBOL_MASTER : { instruments: [], indices: [] });
+        this.master = this.bundled;
+        this.instruments = [];
+        this.keyIndex = new Map(); // normalized name/alias/ticker -> instruments
+        this._loading = null;
+
+        // Words that show up in research queries but never identify an instrument
+        this.stopwords = new Set([
+            'research', 'news', 'latest', 'recent', 'stock', 'stocks', 'share', 'shares', 'price', 'prices',
+            'trend', 'trends', 'india', 'indian', 'market', 'markets', 'today', 'week', 'month', 'year',
+            'analysis', 'performance', 'sector', 'update', 'outlook', 'and', 'the', 'of', 'in', 'for', 'on',
+            'with', 'vs', 'last', 'this', 'about', 'show', 'find', 'what', 'how', 'why', 'is', 'are', 'to'
+        ]);
+        this.tickerStopwords = new Set([
+            'NSE', 'BSE', 'IPO', 'RBI', 'SEBI', 'US', 'USD', 'INR', 'AI', 'IT', 'QA', 'LLM', 'OTT', 'CEO',
+            'CFO', 'GDP', 'CPI', 'FII', 'DII', 'FY', 'EPS', 'PE', 'ETF', 'MF', 'NAV', 'YOY', 'QOQ'
+        ]);
+
+        this.build(this.master);
+    }
+
+    // Merge user-maintained overrides from storage once per worker lifetime
+    async load() {
+        if (!this._loading) this._loading = this._loadOverrides();
+        return this._loading;
+    }
+
+    async _loadOverrides() {
+        try {
+            if (typeof chrome === 'undefined' || !chrome?.storage?.local) return;
+            const saved = (await chrome.storage.local.get([this.STORAGE_KEY]))[this.STORAGE_KEY];
+            if (saved && (Array.isArray(saved.instruments) || Array.isArray(saved.indices))) {
+                this.master = this.merge(this.bundled, saved);
+                this.build(this.master);
+            }
+        } catch (error) {
+            console.warn('Could not load symbol master overrides:', error);
+        }
+    }
+
+    async updateMaster(update = {}, { replace = false } = {}) {
+        const instruments = Array.isArray(update.instruments) ? update.instruments.filter(e => e && e.symbol) : [];
+        const indices = Array.isArray(update.indices) ? update.indices.filter(e => e && e.symbol) : [];
+        if (!instruments.length && !indices.length) throw new Error('No instruments in update');
+
+        const existing = replace ? {} : ((await chrome.storage.local.get([this.STORAGE_KEY]))[this.STORAGE_KEY] || {});
+        const stored = this.merge(
+            { instruments: existing.instruments || [], indices: existing.indices || [] },
+            { instruments, indices }
+        );
+        stored.version = update.version || existing.version || null;
+        stored.updatedAt = new Date().toISOString();
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: stored });
+
+        this.master = this.merge(this.bundled, stored);
+        this.build(this.master);
+        this._loading = Promise.resolve();
+        return { instruments: stored.instruments.length, indices: stored.indices.length, total: this.instruments.length };
+    }
+
+    merge(base, update) {
+        const mergeList = (a = [], b = []) => {
+            const bySymbol = new Map(a.map(e => [String(e.symbol).toUpperCase(), e]));
+            for (const entry of b) {
+                const key = String(entry.symbol).toUpperCase();
+                bySymbol.set(key, { ...(bySymbol.get(key) || {}), ...entry });
+            }
+            return Array.from(bySymbol.values());
+        };
+        return {
+            ...base,
+            instruments: mergeList(base.instruments, update.instruments),
+            indices: mergeList(base.indices, update.indices)
+        };
+    }
+
+    build(master) {
+        this.instruments = [
+            ...(master.instruments || []).map(e => this.toInstrument(e, 'equity')),
+            ...(master.indices || []).map(e => this.toInstrument({ constituentsAsOf: master.constituentsAsOf, ...e }, 'index'))
+        ];
+        this.keyIndex = new Map();
+        for (const inst of this.instruments) {
+            for (const key of inst.keys) {
+                const list = this.keyIndex.get(key) || [];
+                if (!list.includes(inst)) list.push(inst);
+                this.keyIndex.set(key, list);
+            }
+        }
+    }
+
+    toInstrument(entry, type) {
+        const symbol = String(entry.symbol).toUpperCase();
+        const name = entry.name || symbol;
+        const shortName = name.replace(/\b(ltd\.?|limited)$/i, '').trim();
+        const exchange = entry.exchange || 'NSE';
+        const providers = type === 'index'
+            ? { yahoo: entry.yahoo || null, alphaVantage: entry.alphaVantage || null, finnhub: entry.finnhub || null }
+            : {
+                yahoo: entry.yahoo || `${symbol}.NS`,
+                alphaVantage: entry.alphaVantage || `${symbol}.BSE`,
+                finnhub: entry.finnhub || `${symbol}.NS`
+            };
+        const keys = new Set([this.normalize(symbol), this.normalize(name), this.normalize(shortName)]);
+        (entry.aliases || []).forEach(a => keys.add(this.normalize(a)));
+        keys.delete('');
+
+        return {
+            id: `${exchange}:${symbol}`,
+            symbol,
+            type,
+            exchange,
+            name,
+            shortName,
+            isin: entry.isin || null,
+            bseCode: entry.bse || null,
+            sector: entry.sector || null,
+            providers,
+            keys: Array.from(keys),
+            ...(type === 'index' && Array.isArray(entry.constituents) ? {
+                constituents: entry.constituents.map(c => (Array.isArray(c) ? { symbol: c[0], weight: +c[1] } : { symbol: c.symbol, weight: +c.weight })),
+                constituentsAsOf: entry.constituentsAsOf || null
+            } : {})
+        };
+    }
+
+    // Same instrument, quoted on BSE instead of NSE
+    forExchange(instrument, exchange) {
+        if (!instrument || instrument.type !== 'equity' || instrument.exchange === exchange) return instrument;
+        if (exchange === 'BSE') {
+            return {
+                ...instrument,
+                id: `BSE:${instrument.symbol}`,
+                exchange: 'BSE',
+                providers: { ...instrument.providers, yahoo: `${instrument.symbol}.BO`, finnhub: `${instrument.symbol}.BO` }
+            };
+        }
+        return this.instruments.find(i => i.symbol === instrument.symbol && i.type === 'equity') || instrument;
+    }
+
+    toProviderSymbol(instrument, provider) {
+        return instrument?.providers?.[provider] || null;
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[-_/]/g, ' ')
+            .replace(/[^a-z0-9& ]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Accepts "RELIANCE.NS", "TCS.BO", "INFY.BSE", "NSE:SBIN" and "BSE: 500325"
+    parseExplicit(query) {
+        const q = String(query || '').trim();
+        let m = /^([A-Z0-9&\-]+)\.(NS|NSE|BO|BSE)$/i.exec(q);
+        if (m) return { token: m[1], exchange: /^(NS|NSE)$/i.test(m[2]) ? 'NSE' : 'BSE' };
+        m = /^(NSE|BSE)\s*:\s*([A-Z0-9&\-]+)$/i.exec(q);
+        if (m) return { token: m[2], exchange: m[1].toUpperCase() };
+        return null;
+    }
+
+    async resolve(query, { exchange = null, limit = 5 } = {}) {
+        await this.load();
+        const raw = String(query || '').trim();
+        const explicit = this.parseExplicit(raw);
+        const token = explicit ? explicit.token : raw;
+        const venue = exchange || explicit?.exchange || null;
+        const q = this.normalize(token);
+        if (!q) return { query: raw, best: null, candidates: [], ambiguous: false };
+
+        // BSE scrip codes and ISINs are exact lookups
+        const byCode = this.instruments.find(i => i.bseCode === token || (i.isin && i.isin === token.toUpperCase()));
+        const scored = byCode
+            ? [{ instrument: byCode, score: 100, matchedOn: byCode.bseCode === token ? 'bse_code' : 'isin' }]
+            : this.instruments
+                .map(inst => ({ instrument: inst, ...this.score(inst, q) }))
+                .filter(c => c.score >= 40)
+                .sort((a, b) => b.score - a.score || a.instrument.symbol.localeCompare(b.instrument.symbol));
+
+        let candidates = scored.slice(0, limit);
+        if (!candidates.length && /^[A-Z][A-Z0-9&\-]{1,19}$/i.test(token)) {
+            candidates = [{ instrument: this.guess(token), score: 30, matchedOn: 'unlisted' }];
+        }
+        if (venue) candidates = candidates.map(c => ({ ...c, instrument: this.forExchange(c.instrument, venue) }));
+
+        return this.toResult(raw, candidates);
+    }
+
+    // Pull the most likely instrument out of a free-text research query
+    async extract(text, { exchange = null, limit = 5 } = {}) {
+        await this.load();
+        const raw = String(text || '');
+
+        const explicit = raw.match(/\b[A-Z0-9&\-]+\.(?:NS|NSE|BO|BSE)\b|\b(?:NSE|BSE)\s*:\s*[A-Z0-9&\-]+/i);
+        if (explicit) return { ...(await this.resolve(explicit[0], { exchange, limit })), matchedText: explicit[0] };
+
+        // Exact n-gram hits against names, aliases and tickers, longest phrase first
+        const words = raw.split(/\s+/).filter(Boolean);
+        const hits = new Map();
+        const used = new Set(); // word positions already covered by a longer match
+        for (let n = Math.min(4, words.length); n >= 1; n--) {
+            for (let i = 0; i + n <= words.length; i++) {
+                if (words.slice(i, i + n).some((_, k) => used.has(i + k))) continue;
+                const phraseRaw = words.slice(i, i + n).join(' ').replace(/^[^A-Za-z0-9&]+|[^A-Za-z0-9&]+$/g, '');
+                const phrase = this.normalize(phraseRaw);
+                if (!phrase || (n === 1 && this.stopwords.has(phrase))) continue;
+                const matches = this.keyIndex.get(phrase);
+                if (!matches) continue;
+                // Short single words ("lt", "vi", "bel") only count when written as a ticker
+                const isUpper = phraseRaw === phraseRaw.toUpperCase();
+                if (n === 1 && phrase.length < 4 && !isUpper) continue;
+                for (let k = i; k < i + n; k++) used.add(k);
+                for (const inst of matches) {
+                    const isTicker = this.normalize(inst.symbol) === phrase && isUpper;
+                    const score = Math.min(100, (isTicker ? 96 : 88) + n * 2);
+                    const prev = hits.get(inst.id);
+                    if (!prev || prev.score < score) hits.set(inst.id, { instrument: inst, score, matchedOn: isTicker ? 'symbol' : 'alias', matchedText: phraseRaw });
+                }
+            }
+        }
+        if (hits.size) {
+            let candidates = Array.from(hits.values()).sort((a, b) => b.score - a.score).slice(0, limit);
+            if (exchange) candidates = candidates.map(c => ({ ...c, instrument: this.forExchange(c.instrument, exchange) }));
+            return { ...this.toResult(raw, candidates), matchedText: candidates[0].matchedText };
+        }
+
+        // Fuzzy pass over capitalised words ("Tata", "Relianse", "HDFCBNK")
+        const tokens = (raw.match(/\b[A-Z][A-Za-z0-9&\-]{2,}\b/g) || [])
+            .filter(t => !this.stopwords.has(t.toLowerCase()) && !this.tickerStopwords.has(t.toUpperCase()));
+        let best = null;
+        for (const token of tokens) {
+            const res = await this.resolve(token, { exchange, limit });
+            const top = res.candidates[0];
+            if (!top || top.matchedOn === 'unlisted') continue;
+            if (!best || top.score > best.candidates[0].score) best = { ...res, matchedText: token };
+        }
+        if (best) return { ...best, query: raw };
+
+        // Last resort: treat an uppercase token as an unlisted NSE ticker
+        const ticker = (raw.match(/\b[A-Z][A-Z0-9&]{1,14}\b/g) || []).find(t => !this.tickerStopwords.has(t));
+        if (ticker) return { ...(await this.resolve(ticker, { exchange, limit })), query: raw, matchedText: ticker };
+        return { query: raw, best: null, candidates: [], ambiguous: false, matchedText: null };
+    }
+
+    score(inst, q) {
+        const symbolKey = this.normalize(inst.symbol);
+        if (symbolKey === q) return { score: 100, matchedOn: 'symbol' };
+        if (this.normalize(inst.name) === q || this.normalize(inst.shortName) === q) return { score: 97, matchedOn: 'name' };
+        if (inst.keys.includes(q)) return { score: 95, matchedOn: 'alias' };
+
+        let best = { score: 0, matchedOn: null };
+        const take = (score, matchedOn) => { if (score > best.score) best = { score, matchedOn }; };
+        const qTokens = q.split(' ');
+        for (const key of inst.keys) {
+            if (q.length >= 3 && key.startsWith(q)) take(85 - Math.min(15, key.length - q.length), 'prefix');
+            const keyTokens = key.split(' ');
+            const shared = qTokens.filter(t => keyTokens.includes(t) && !this.stopwords.has(t)).length;
+            if (shared) {
+                const union = new Set([...qTokens, ...keyTokens]).size;
+                take(40 + Math.round(40 * shared / union), 'tokens');
+            }
+            if (q.length >= 4 && Math.abs(key.length - q.length) <= 2 && editDistance(q, key) <= (q.length >= 8 ? 2 : 1)) {
+                take(75, 'fuzzy');
+            }
+        }
+        return best;
+    }
+
+    guess(token) {
+        const symbol = token.toUpperCase();
+        return {
+            id: `NSE:${symbol}`,
+            symbol,
+            type: 'equity',
+            exchange: 'NSE',
+            name: symbol,
+            shortName: symbol,
+            isin: null,
+            bseCode: null,
+            sector: null,
+            providers: { yahoo: `${symbol}.NS`, alphaVantage: `${symbol}.BSE`, finnhub: `${symbol}.NS` },
+            keys: [this.normalize(symbol)],
+            guessed: true
+        };
+    }
+
+    toResult(query, candidates) {
+        const ambiguous = candidates.length > 1 && (candidates[0].score - candidates[1].score) < 10;
+        return {
+            query,
+            best: candidates[0]?.instrument || null,
+            candidates: candidates.map(c => ({ instrument: c.instrument, score: c.score, matchedOn: c.matchedOn })),
+            ambiguous
+        };
+    }
+
+    // Compact form for logs and message responses
+    describe(instrument) {
+        if (!instrument) return null;
+        const { id, symbol, type, exchange, name, isin, sector, providers, guessed } = instrument;
+        return { id, symbol, type, exchange, name, isin, sector, providers, ...(guessed ? { guessed: true } : {}) };
+    }
+}
+
+function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = tmp;
+        }
+    }
+    return prev[b.length];
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.SymbolResolver = SymbolResolver;
+} else if (typeof global !== 'undefined') {
+    global.SymbolResolver = SymbolResolver;
+} else {
+    // Service worker environment
+    self.SymbolResolver = SymbolResolver;
+}
@@ -0,0 +1,351 @@
+// Monitoring tasks ("tell me when TCS falls 3% today", "alert if RELIANCE goes above ₹3,000 or volume
+// spikes"). A task is created from natural language: the LLM's task understanding is merged with a local
+// parser for Indian phrasing (₹/Rs amounts, percent moves, volume multiples), stored with
+// StorageManager in agentic_tasks, and checked on a chrome.alarms schedule during NSE hours. A condition
+// notifies when it becomes true and re-arms only after it has been false again and the cooldown has
+// passed, so a stock sitting above its threshold does not alert on every check.
+//
+// Tasks can also carry one condition written in the alert rule language (alert-rules.js), either typed
+// directly or translated from the user's words by the LLM: "TCS close crosses_above sma(50) and
+// rsi(14) < 35 within 3 sessions". Rules are evaluated on daily bars with the live quote as the
+// current session, so a crossover can fire intraday.
+const TASK_CONDITION_TYPES = {
+    price_above: { label: (c) => `price at or above ₹${c.value}` },
+    price_below: { label: (c) => `price at or below ₹${c.value}` },
+    pct_up: { label: (c) => `up ${c.value}% or more on the day` },
+    pct_down: { label: (c) => `down ${c.value}% or more on the day` },
+    pct_move: { label: (c) => `moves ${c.value}% either way on the day` },
+    volume_spike: { label: (c) => `volume ${c.value}x the ${c.window || 20}-day average` },
+    rule: { label: (c) => c.rule }
+};
+
+class TaskMonitor {
+    constructor(options = {}) {
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.TASKS) || {};
+        this.storage = options.storage;
+        this.stocks = options.stockDataClient || null;
+        this.resolver = options.resolver || (this.stocks && this.stocks.resolver) || null;
+        this.notifier = options.notifier || null;
+        this.marketStatus = options.marketStatus || (() => ({ open: true, reason: null }));
+        this.backtester = options.backtester || null; // series for rule conditions
+        this.rules = options.rules || (this.backtester && this.backtester.rules) || new AlertRuleLanguage();
+        this.checkMinutes = Math.max(1, options.checkMinutes || cfg.checkMinutes || 5);
+        this.cooldownMinutes = options.cooldownMinutes ?? cfg.cooldownMinutes ?? 60;
+        this.maxTriggers = options.maxTriggers || cfg.maxTriggers || 20;
+        this.volumeWindow = options.volumeWindow || 20;
+        this._checking = null;
+    }
+
+    newId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    // Conditions the local parser finds in the user's text
+    parseConditions(text) {
+        const s = String(text || '').replace(/(\d),(?=\d)/g, '$1');
+        const conditions = [];
+        const add = (type, value, extra = {}) => {
+            if (!Number.isFinite(value) || value <= 0) return;
+            if (conditions.some(c => c.type === type && c.value === value)) return;
+            conditions.push({ id: this.newId('c'), type, value, ...extra });
+        };
+        const amount = '(?:₹|rs\\.?|inr)?\\s*(\\d+(?:\\.\\d+)?)(?![\\d.]|\\s*(?:%|percent|per cent|x\\b|times))';
+        const pct = '(?:(?:by|above|over|more than|at least)\\s+)*(\\d+(?:\\.\\d+)?)\\s*(?:%|percent|per cent)';
+
+        for (const m of s.matchAll(new RegExp(`\\b(?:rises?|gains?|jumps?|surges?|rall(?:y|ies)|up|climbs?)\\s+${pct}`, 'gi'))) add('pct_up', parseFloat(m[1]));
+        for (const m of s.matchAll(new RegExp(`\\b(?:falls?|drops?|declines?|slips?|loses?|crash(?:es)?|down|sinks?|tanks?)\\s+${pct}`, 'gi'))) add('pct_down', parseFloat(m[1]));
+        for (const m of s.matchAll(new RegExp(`\\b(?:moves?|changes?|swings?)\\s+${pct}|±\\s*(\\d+(?:\\.\\d+)?)\\s*%`, 'gi'))) add('pct_move', parseFloat(m[1] || m[2]));
+
+        const above = `(?:\\b(?:above|over|exceeds?|(?:crosses|breaks)(?:\\s+above)?(?!\\s+below)|hits|reaches|touches)|>=?)\\s*`;
+        const below = `(?:\\b(?:below|under|beneath)|<=?)\\s*`;
+        for (const m of s.matchAll(new RegExp(above + amount, 'gi'))) add('price_above', parseFloat(m[1]));
+        for (const m of s.matchAll(new RegExp(below + amount, 'gi'))) add('price_below', parseFloat(m[1]));
+
+        const volume = /\bvolume\b[^.;]*?(?:(\d+(?:\.\d+)?)\s*(?:x|times)\b|spikes?|surges?|jumps?|doubles?)|\b(?:spike|surge)\s+in\s+volume/i.exec(s);
+        if (volume) add('volume_spike', volume[1] ? parseFloat(volume[1]) : 2, { window: this.volumeWindow });
+        return conditions;
+    }
+
+    // Conditions from an LLM (or fallback) understanding: { conditions: [{ type, value }] } in our
+    // vocabulary, or the older { thresholds: [{ operator, value }] } price form
+    conditionsFromUnderstanding(understanding) {
+        const out = [];
+        if (!understanding || typeof understanding !== 'object') return out;
+        for (const c of Array.isArray(understanding.conditions) ? understanding.conditions : []) {
+            const value = parseFloat(c?.value ?? c?.threshold);
+            if (TASK_CONDITION_TYPES[c?.type] && Number.isFinite(value) && value > 0) out.push({ id: this.newId('c'), type: c.type, value: Math.abs(value), ...(c.type === 'volume_spike' ? { window: this.volumeWindow } : {}) });
+        }
+        for (const t of Array.isArray(understanding.thresholds) ? understanding.thresholds : []) {
+            const value = parseFloat(t?.value);
+            if (!Number.isFinite(value) || value <= 0) continue;
+            const type = /^(over|above|>|>=)$/i.test(String(t.operator).trim()) ? 'price_above' : /^(below|under|<|<=)$/i.test(String(t.operator).trim()) ? 'price_below' : null;
+            if (type && !out.some(c => c.type === type && c.value === value)) out.push({ id: this.newId('c'), type, value });
+        }
+        return out;
+    }
+
+    // Rule condition for a parsed rule; the symbol prefix is kept on the task, not the condition
+    ruleCondition(ast) {
+        return { id: this.newId('c'), type: 'rule', rule: this.rules.format(ast.body), lookback: this.rules.lookback(ast) };
+    }
+
+    // A rule typed by the user, else one the LLM (or its fallback) translated from the user's words.
+    // Text that reads as a rule but does not parse is an error, unless the translation rescues it.
+    ruleFromInput(input, understanding) {
+        const typed = this.rules.looksLikeRule(input) ? this.rules.tryParse(input) : { ast: null, error: null };
+        if (typed.ast) return typed.ast;
+        const translated = understanding?.rule ? this.rules.tryParse(understanding.rule) : { ast: null };
+        if (translated.ast) return translated.ast;
+        if (typed.error) throw typed.error;
+        return null;
+    }
+
+    // Instruments named in the text
+    async extractInstruments(text, understanding) {
+        const found = new Map();
+        if (this.resolver) {
+            const res = await this.resolver.extract(text);
+            // Exact name/ticker hits score 88+; each one is a separate instrument named in the text
+            const named = (res.candidates || []).filter(c => c.score >= 88).map(c => c.instrument);
+            for (const inst of named.length ? named : [res.best].filter(Boolean)) found.set(inst.symbol, { symbol: inst.symbol, id: inst.id, name: inst.name });
+            for (const sym of Array.isArray(understanding?.symbols) ? understanding.symbols : []) {
+                if (found.size) break;
+                const inst = (await this.resolver.resolve(String(sym))).best;
+                if (inst) found.set(inst.symbol, { symbol: inst.symbol, id: inst.id, name: inst.name });
+            }
+        }
+        return Array.from(found.values());
+    }
+
+    // Builds (but does not save) a task from the user's text and the LLM's reading of it
+    async buildTask(text, understanding = null, { notificationChannels = ['browser'], intervalMinutes = null, logic = null } = {}) {
+        const input = String(text || '').trim();
+        if (!input) throw new Error('Describe what to monitor, e.g. "Alert me if TCS falls 3% or goes below ₹3,500"');
+        const ast = this.ruleFromInput(input, understanding);
+        let symbols;
+        if (ast?.symbol) {
+            const inst = this.resolver ? (await this.resolver.resolve(ast.symbol)).best : null;
+            if (!inst) throw new Error(`Unknown symbol in rule: ${ast.symbol}`);
+            symbols = [{ symbol: inst.symbol, id: inst.id, name: inst.name }];
+        } else {
+            symbols = await this.extractInstruments(input, understanding);
+        }
+        if (!symbols.length) throw new Error('No stock or index found in the task; name one, e.g. TCS or NIFTY 50');
+        let conditions = ast ? [this.ruleCondition(ast)] : this.parseConditions(input);
+        if (!conditions.length) conditions = this.conditionsFromUnderstanding(understanding);
+        if (!conditions.length) throw new Error('No condition found; try a price ("above ₹2,500"), a move ("falls 3%") or "volume spike"');
+        const channels = Array.from(new Set(['browser', ...(notificationChannels || [])])).filter(c => ['browser', 'email', 'telegram'].includes(c));
+        // "falls 3% and volume spikes" needs both; anything else alerts on the first condition met
+        const mode = logic || (conditions.length > 1 && /\band\b/i.test(input) && !/\bor\b/i.test(input) ? 'all' : 'any');
+        return {
+            id: this.newId('task'),
+            name: `${symbols.map(s => s.symbol).join(', ')}: ${conditions.map(c => this.describeCondition(c)).join(mode === 'all' ? ' and ' : ' or ')}`,
+            input,
+            type: 'stock_monitor',
+            symbols,
+            conditions,
+            logic: mode,
+            notificationChannels: channels,
+            intervalMinutes: Math.max(this.checkMinutes, Math.round(+intervalMinutes || this.checkMinutes)),
+            cooldownMinutes: this.cooldownMinutes,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            lastCheckedAt: null,
+            lastTriggeredAt: null,
+            lastError: null,
+            armed: {}, // `${conditionId}|${symbol}` -> false while the condition is still true after firing
+            firedAt: {},
+            triggers: [],
+            understanding: understanding && !understanding.fallback ? understanding : null
+        };
+    }
+
+    describeCondition(c) {
+        const type = TASK_CONDITION_TYPES[c.type];
+        return type ? type.label(c) : c.type;
+    }
+
+    async listTasks() {
+        return (await this.storage.getAllTasks()).filter(t => t.type === 'stock_monitor');
+    }
+
+    async setStatus(id, status) {
+        if (!['active', 'paused'].includes(status)) throw new Error(`Unknown status: ${status}`);
+        const task = (await this.storage.getAllTasks()).find(t => t.id === id);
+        if (!task) throw new Error('Task not found');
+        task.status = status;
+        // A resumed task starts from a clean slate so conditions already true alert once
+        if (status === 'active') task.armed = {};
+        await this.storage.saveTask(task);
+        return task;
+    }
+
+    // Shortest check interval among active tasks, or null when nothing needs checking
+    async checkPeriodMinutes() {
+        const active = (await this.listTasks()).filter(t => t.status === 'active');
+        return active.length ? Math.min(...active.map(t => t.intervalMinutes || this.checkMinutes)) : null;
+    }
+
+    // Daily bars (adjusted) for rule conditions with the quote as the current session, replacing a
+    // partial bar for today when the provider already has one
+    liveBars(bars, quote) {
+        const out = this.backtester ? this.backtester.indicators.adjusted(bars || []) : (bars || []).slice();
+        const num = v => (v === null || v === undefined || v === '' ? null : parseFloat(v));
+        const price = num(quote?.price);
+        if (price === null) return out;
+        const date = quote.timestamp ? String(quote.timestamp).slice(0, 10) : this.marketStatus().session || new Date().toISOString().slice(0, 10);
+        if (out.length && out[out.length - 1].date > date) return out;
+        if (out.length && out[out.length - 1].date === date) out.pop();
+        out.push({ date, open: num(quote.open) ?? price, high: Math.max(num(quote.high) ?? price, price), low: Math.min(num(quote.low) ?? price, price), close: price, volume: num(quote.volume) });
+        return out;
+    }
+
+    // { met, value } for one rule condition on the latest session
+    evaluateRule(c, quote, bars) {
+        if (!this.backtester) return { met: false, value: null, error: 'Rule conditions need the backtester' };
+        const series = this.liveBars(bars, quote);
+        if (series.length < 2) return { met: false, value: null, error: 'Not enough history for the rule' };
+        const fired = this.backtester.evaluate(this.rules.parse(c.rule), series, new Map());
+        return { met: !!fired[fired.length - 1], value: series[series.length - 1].close };
+    }
+
+    // { met, value } for one condition against a quote (and daily bars for volume and rules)
+    evaluateCondition(c, quote, bars) {
+        const num = v => (v === null || v === undefined || v === '' ? null : parseFloat(v));
+        const price = num(quote?.price);
+        const changePct = num(quote?.changePercent);
+        switch (c.type) {
+            case 'price_above': return { met: price !== null && price >= c.value, value: price };
+            case 'price_below': return { met: price !== null && price <= c.value, value: price };
+            case 'pct_up': return { met: changePct !== null && changePct >= c.value, value: changePct };
+            case 'pct_down': return { met: changePct !== null && changePct <= -c.value, value: changePct };
+            case 'pct_move': return { met: changePct !== null && Math.abs(changePct) >= c.value, value: changePct };
+            case 'volume_spike': {
+                const volume = num(quote?.volume);
+                // Completed sessions only; today's partial bar would drag the average down
+                const today = quote?.timestamp ? String(quote.timestamp).slice(0, 10) : null;
+                const past = (bars || []).filter(b => b.volume && b.date !== today).slice(-(c.window || this.volumeWindow));
+                if (!volume || past.length < 5) return { met: false, value: null };
+                const ratio = volume / (past.reduce((s, b) => s + b.volume, 0) / past.length);
+                return { met: ratio >= c.value, value: +ratio.toFixed(2) };
+            }
+            case 'rule': return this.evaluateRule(c, quote, bars);
+            default: return { met: false, value: null, error: `Unknown condition ${c.type}` };
+        }
+    }
+
+    // Evaluates one task; returns the new triggers (already de-duplicated) and updates the task in place
+    async evaluateTask(task, { now = Date.now() } = {}) {
+        const symbols = task.symbols.map(s => s.symbol);
+        const quotes = await this.stocks.getMultipleStockPrices(symbols, { force: true });
+        const needsVolume = task.conditions.some(c => c.type === 'volume_spike');
+        const ruleLookback = Math.max(0, ...task.conditions.filter(c => c.type === 'rule').map(c => c.lookback || this.rules.lookback(this.rules.parse(c.rule))));
+        const results = [];
+        const errors = [];
+        for (const symbol of symbols) {
+            const quote = quotes[symbol];
+            if (!quote || quote.error) { errors.push(`${symbol}: ${quote?.error || 'no quote'}`); continue; }
+            let bars = null;
+            if (needsVolume || ruleLookback) {
+                // Sessions; getBars widens the date window itself to cover weekends and holidays
+                const lookbackDays = Math.max(needsVolume ? this.volumeWindow + 5 : 0, ruleLookback + 5);
+                try { bars = (await this.stocks.getBars(symbol, { lookbackDays })).bars; }
+                catch (e) { errors.push(`${symbol} history: ${e.message || e}`); }
+            }
+            const checks = task.conditions.map(c => ({ condition: c, ...this.evaluateCondition(c, quote, bars) }));
+            for (const x of checks) if (x.error) errors.push(`${symbol}: ${x.error}`);
+            results.push({ symbol, quote, checks, met: task.logic === 'all' ? checks.every(x => x.met) : checks.some(x => x.met) });
+        }
+
+        task.armed = task.armed || {};
+        task.firedAt = task.firedAt || {};
+        const cooldownMs = (task.cooldownMinutes ?? this.cooldownMinutes) * 60 * 1000;
+        const triggers = [];
+        for (const r of results) {
+            // With "all", the task as a whole is one condition per symbol
+            const units = task.logic === 'all' ? [{ key: `all|${r.symbol}`, met: r.met, checks: r.checks }] : r.checks.map(x => ({ key: `${x.condition.id}|${r.symbol}`, met: x.met, checks: [x] }));
+            for (const u of units) {
+                if (!u.met) { task.armed[u.key] = true; continue; }
+                const armed = task.armed[u.key] !== false;
+                const cooled = !task.firedAt[u.key] || now - Date.parse(task.firedAt[u.key]) >= cooldownMs;
+                if (!armed || !cooled) continue;
+                task.armed[u.key] = false;
+                task.firedAt[u.key] = new Date(now).toISOString();
+                triggers.push({
+                    at: new Date(now).toISOString(),
+                    symbol: r.symbol,
+                    key: u.key,
+                    price: r.quote.price ?? null,
+                    changePercent: r.quote.changePercent ?? null,
+                    conditions: u.checks.map(x => ({ type: x.condition.type, value: x.condition.value, observed: x.value, text: this.describeCondition(x.condition) }))
+                });
+            }
+        }
+        task.lastCheckedAt = new Date(now).toISOString();
+        task.lastError = errors.length ? errors.join('; ') : null;
+        if (triggers.length) {
+            task.lastTriggeredAt = task.lastCheckedAt;
+            task.triggers = [...triggers, ...(task.triggers || [])].slice(0, this.maxTriggers);
+        }
+        return { triggers, results, errors };
+    }
+
+    // Plain notification text for a trigger
+    describeTrigger(trigger) {
+        const fmt = v => (v === null || v === undefined || v === '' ? 'N/A' : String(v));
+        const change = parseFloat(trigger.changePercent);
+        const observed = trigger.conditions.map(c => `${c.text}${c.type === 'volume_spike' ? ` (now ${fmt(c.observed)}x)` : ''}`).join(' and ');
+        return `${trigger.symbol} at ₹${fmt(trigger.price)}${Number.isFinite(change) ? ` (${change > 0 ? '+' : ''}${change.toFixed(2)}% today)` : ''}: ${observed}.`;
+    }
+
+    // Checks every due active task (or the given ids regardless of schedule and market hours when forced)
+    async checkDue({ force = false, ids = null, onTrigger = null } = {}) {
+        if (this._checking) return this._checking;
+        this._checking = this._checkDue(force, ids, onTrigger).finally(() => { this._checking = null; });
+        return this._checking;
+    }
+
+    async _checkDue(force, ids, onTrigger) {
+        const market = this.marketStatus();
+        if (!market.open && !force) return { checked: 0, skipped: market.reason, triggers: [] };
+        const now = Date.now();
+        const tasks = (await this.listTasks()).filter(t => (ids ? ids.includes(t.id) : t.status === 'active'));
+        const due = force ? tasks : tasks.filter(t => !t.lastCheckedAt || now - Date.parse(t.lastCheckedAt) >= (t.intervalMinutes || this.checkMinutes) * 60 * 1000 - 30 * 1000);
+        const fired = [];
+        for (const task of due) {
+            try {
+                const { triggers } = await this.evaluateTask(task, { now });
+                for (const trigger of triggers) {
+                    fired.push({ taskId: task.id, ...trigger });
+                    if (onTrigger) await onTrigger(task, trigger);
+                }
+            } catch (error) {
+                task.lastError = String(error.message || error);
+                task.lastCheckedAt = new Date(now).toISOString();
+            }
+            await this.saveCheckState(task);
+        }
+        return { checked: due.length, triggers: fired };
+    }
+
+    // Writes only the check fields back onto the stored task: a check can take seconds, and a task the
+    // user deleted or paused meanwhile must stay deleted or paused
+    async saveCheckState(task) {
+        const stored = (await this.storage.getAllTasks()).find(t => t.id === task.id);
+        if (!stored) return;
+        for (const key of ['lastCheckedAt', 'lastError', 'armed', 'firedAt', 'triggers', 'lastTriggeredAt']) {
+            if (task[key] !== undefined) stored[key] = task[key];
+        }
+        await this.storage.saveTask(stored);
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.TaskMonitor = TaskMonitor;
+} else if (typeof global !== 'undefined') {
+    global.TaskMonitor = TaskMonitor;
+} else {
+    // Service worker environment
+    self.TaskMonitor = TaskMonitor;
+}
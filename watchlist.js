@@ -0,0 +1,225 @@
+// Named watchlists and their live quotes. Lists are kept in chrome.storage; a chrome.alarms refresh
+// (scheduled from background.js) fetches fresh quotes for every listed instrument while NSE is open,
+// which also refreshes the shared quote cache, and keeps a short per-session price history for each
+// instrument so the sidebar can draw a trend without another request. Outside market hours the
+// refresh is skipped and the last snapshot is shown as the close.
+class WatchlistManager {
+    constructor(options = {}) {
+        this.LISTS_KEY = 'agentic_watchlists';
+        this.QUOTES_KEY = 'agentic_watchlist_quotes';
+        const cfg = (typeof CONFIG !== 'undefined' && CONFIG.WATCHLIST) || {};
+        const market = (typeof CONFIG !== 'undefined' && CONFIG.MARKET) || {};
+        this.stocks = options.stockDataClient || null;
+        this.resolver = options.resolver || (this.stocks && this.stocks.resolver) || null;
+        this.refreshMinutes = Math.max(1, options.refreshMinutes || cfg.refreshMinutes || 5);
+        this.historyPoints = options.historyPoints || cfg.historyPoints || 80;
+        this.maxSymbols = options.maxSymbols || cfg.maxSymbols || 50;
+        this.defaultLists = options.defaultLists || cfg.defaultLists || [];
+        this.utcOffsetMinutes = market.utcOffsetMinutes ?? 330;
+        this.openMinutes = this.toMinutes(market.sessionOpen || '09:15');
+        this.closeMinutes = this.toMinutes(market.sessionClose || '15:30');
+        this.holidays = new Set(options.holidays || market.holidays || []);
+        this.persistent = options.persistent !== false && typeof chrome !== 'undefined' && !!chrome?.storage?.local;
+
+        this.lists = null; // [{ id, name, symbols: [{ symbol, id, name, type }] }]
+        this.quotes = {}; // symbol -> { price, change, changePercent, open, dayHigh, dayLow, volume, session, updatedAt, provider, history: [{ t, price }], error }
+        this.lastRefresh = null;
+        this._loading = null;
+        this._refreshing = null;
+    }
+
+    toMinutes(hhmm) {
+        const [h, m] = String(hhmm).split(':').map(Number);
+        return h * 60 + (m || 0);
+    }
+
+    async load() {
+        if (!this._loading) this._loading = this._loadState();
+        return this._loading;
+    }
+
+    async _loadState() {
+        if (this.persistent) {
+            try {
+                const res = await chrome.storage.local.get([this.LISTS_KEY, this.QUOTES_KEY]);
+                if (Array.isArray(res[this.LISTS_KEY])) this.lists = res[this.LISTS_KEY];
+                const saved = res[this.QUOTES_KEY];
+                if (saved && typeof saved === 'object') {
+                    this.quotes = saved.quotes || {};
+                    this.lastRefresh = saved.lastRefresh || null;
+                }
+            } catch (error) {
+                console.warn('Could not load watchlists:', error);
+            }
+        }
+        if (!this.lists) {
+            this.lists = [];
+            for (const list of this.defaultLists) this.lists.push(await this.normalizeList(list));
+        }
+    }
+
+    async persist({ lists = false } = {}) {
+        if (!this.persistent) return;
+        try {
+            const data = { [this.QUOTES_KEY]: { quotes: this.quotes, lastRefresh: this.lastRefresh } };
+            if (lists) data[this.LISTS_KEY] = this.lists;
+            await chrome.storage.local.set(data);
+        } catch (error) {
+            console.warn('Could not persist watchlists:', error);
+        }
+    }
+
+    // IST trading day and whether the cash market is open at `now`
+    marketStatus(now = Date.now()) {
+        const local = new Date(now + this.utcOffsetMinutes * 60 * 1000);
+        const session = local.toISOString().slice(0, 10);
+        const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+        const weekday = local.getUTCDay();
+        let reason = null;
+        if (weekday === 0 || weekday === 6) reason = 'weekend';
+        else if (this.holidays.has(session)) reason = 'holiday';
+        else if (minutes < this.openMinutes) reason = 'pre_open';
+        else if (minutes > this.closeMinutes) reason = 'closed';
+        return { open: !reason, reason, session };
+    }
+
+    // Resolves each entry to the canonical instrument; unknown symbols are kept as typed so a later
+    // symbol master update can still pick them up
+    async normalizeList(list) {
+        const name = String(list?.name || '').trim();
+        if (!name) throw new Error('Watchlist name required');
+        const id = String(list.id || name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `list_${Date.now()}`;
+        const symbols = [];
+        const seen = new Set();
+        for (const entry of list.symbols || []) {
+            const query = String(typeof entry === 'string' ? entry : entry?.symbol || '').trim();
+            if (!query) continue;
+            const instrument = this.resolver ? (await this.resolver.resolve(query)).best : null;
+            const symbol = instrument ? instrument.symbol : query.toUpperCase();
+            if (seen.has(symbol)) continue;
+            seen.add(symbol);
+            symbols.push({ symbol, id: instrument ? instrument.id : null, name: instrument ? instrument.name : symbol, type: instrument ? instrument.type : null });
+        }
+        return { id, name, symbols };
+    }
+
+    async getLists() {
+        await this.load();
+        return this.lists;
+    }
+
+    // Creates or replaces a list (matched by id, or by name for new ones)
+    async saveList(list) {
+        await this.load();
+        const normalized = await this.normalizeList(list);
+        const others = this.lists.filter(l => l.id !== normalized.id);
+        const total = new Set([...others.flatMap(l => l.symbols.map(s => s.symbol)), ...normalized.symbols.map(s => s.symbol)]).size;
+        if (total > this.maxSymbols) throw new Error(`Watchlists are limited to ${this.maxSymbols} instruments in total`);
+        const idx = this.lists.findIndex(l => l.id === normalized.id);
+        if (idx >= 0) this.lists[idx] = normalized; else this.lists.push(normalized);
+        this.pruneQuotes();
+        await this.persist({ lists: true });
+        return normalized;
+    }
+
+    async deleteList(id) {
+        await this.load();
+        const before = this.lists.length;
+        this.lists = this.lists.filter(l => l.id !== id);
+        if (this.lists.length === before) return false;
+        this.pruneQuotes();
+        await this.persist({ lists: true });
+        return true;
+    }
+
+    symbols() {
+        return Array.from(new Set((this.lists || []).flatMap(l => l.symbols.map(s => s.symbol))));
+    }
+
+    pruneQuotes() {
+        const keep = new Set(this.symbols());
+        for (const symbol of Object.keys(this.quotes)) if (!keep.has(symbol)) delete this.quotes[symbol];
+    }
+
+    // Fetches fresh quotes for every listed instrument. Skipped outside market hours unless forced
+    // (a forced refresh after the close records the closing snapshot without adding to the history).
+    async refresh({ force = false } = {}) {
+        if (this._refreshing) return this._refreshing;
+        this._refreshing = this._refresh(force).finally(() => { this._refreshing = null; });
+        return this._refreshing;
+    }
+
+    async _refresh(force) {
+        await this.load();
+        const market = this.marketStatus();
+        const symbols = this.symbols();
+        if (!symbols.length) return { refreshed: 0, skipped: 'empty', market };
+        if (!market.open && !force) return { refreshed: 0, skipped: market.reason, market };
+        if (!this.stocks) throw new Error('No stock data client configured');
+
+        const quotes = await this.stocks.getMultipleStockPrices(symbols, { force: true });
+        const now = new Date().toISOString();
+        const num = v => (v === null || v === undefined || v === '' || !Number.isFinite(parseFloat(v)) ? null : parseFloat(v));
+        let refreshed = 0;
+        const failed = [];
+        for (const symbol of symbols) {
+            const q = quotes[symbol];
+            const prev = this.quotes[symbol] || {};
+            if (!q || q.error) {
+                failed.push(symbol);
+                this.quotes[symbol] = { ...prev, error: q?.error || 'No quote', errorAt: now };
+                continue;
+            }
+            const price = num(q.price);
+            // History belongs to one session; a new trading day starts a fresh series
+            const history = prev.session === market.session ? (prev.history || []).slice() : [];
+            if (market.open && price !== null) history.push({ t: now, price });
+            this.quotes[symbol] = {
+                price,
+                change: num(q.change),
+                changePercent: num(q.changePercent),
+                open: num(q.open),
+                dayHigh: num(q.high),
+                dayLow: num(q.low),
+                volume: num(q.volume),
+                session: market.session,
+                updatedAt: now,
+                provider: q.provider || null,
+                history: history.slice(-this.historyPoints),
+                error: null
+            };
+            refreshed++;
+        }
+        this.lastRefresh = { at: now, refreshed, failed, marketOpen: market.open };
+        await this.persist();
+        return { refreshed, failed, market };
+    }
+
+    // Lists with their latest quote rows, for the sidebar
+    async describe() {
+        await this.load();
+        return {
+            market: this.marketStatus(),
+            refreshMinutes: this.refreshMinutes,
+            lastRefresh: this.lastRefresh,
+            lists: this.lists.map(list => ({
+                id: list.id,
+                name: list.name,
+                rows: list.symbols.map(s => {
+                    const q = this.quotes[s.symbol] || {};
+                    return { ...s, ...q, history: (q.history || []).map(h => h.price) };
+                })
+            }))
+        };
+    }
+}
+
+// Make classes globally available
+if (typeof window !== 'undefined') {
+    window.WatchlistManager = WatchlistManager;
+} else if (typeof global !== 'undefined') {
+    global.WatchlistManager = WatchlistManager;
+} else {
+    // Service worker environment
+    self.WatchlistManager = WatchlistManager;
+}